@@ -0,0 +1,115 @@
+/**
+ * The starter catalogue in content/*.json. Migration 004 copies it into the
+ * database once (and 006 adds the learning paths in content/paths.json);
+ * after that subjects, items and paths are managed through the /api/admin
+ * endpoints and these files are only read to fill the in-memory store (dev
+ * server and tests).
+ */
+const path = require("path");
+const fs = require("fs");
+
+const CONTENT_DIR = path.join(__dirname, "..", "content");
+
+const bundledSubjects = [
+  { name: "Engineering", file: "engineering.json" },
+  { name: "Physics", file: "physics.json" },
+  { name: "Maths", file: "maths.json" },
+];
+
+const bundledFormats = ["lessons", "videos", "games"];
+
+// [{ name, items: { lessons: [...], videos: [...], games: [...] } }]
+function readBundledContent() {
+  return bundledSubjects.map(({ name, file }) => {
+    const data = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, file), "utf-8"));
+    const items = {};
+    for (const format of bundledFormats) {
+      items[format] = Array.isArray(data[format]) ? data[format] : [];
+    }
+    return { name, items };
+  });
+}
+
+/**
+ * Starter learning paths. Items are given as { format, index } into the
+ * subject's bundled file since database IDs aren't known until import;
+ * lookup(subject, format, index) maps them to content IDs. Returns
+ * [{ subject, title, data: { description, units } }] as learning_paths stores
+ * them, leaving out items the lookup can't find.
+ */
+function readBundledPaths(lookup) {
+  const paths = JSON.parse(fs.readFileSync(path.join(CONTENT_DIR, "paths.json"), "utf-8"));
+  return paths.map((p) => ({
+    subject: p.subject,
+    title: p.title,
+    data: {
+      description: p.description || "",
+      units: p.units.map((unit) => ({
+        key: unit.key,
+        title: unit.title,
+        requires: unit.requires || [],
+        items: unit.items
+          .map((ref) => lookup(p.subject, ref.format, ref.index))
+          .filter((id) => id != null),
+      })),
+    },
+  }));
+}
+
+/**
+ * Loads the starter catalogue through the storage repositories. Does nothing
+ * if any subject exists, so it never duplicates or overwrites authored content.
+ */
+async function importBundledContent(store) {
+  if ((await store.subjects.list()).length) return false;
+
+  await store.transaction(async (tx) => {
+    const subjectIds = new Map();
+    const itemIds = new Map();
+    let subjectPosition = 0;
+    for (const subject of readBundledContent()) {
+      const subjectId = await tx.subjects.create({
+        name: subject.name,
+        position: subjectPosition++,
+      });
+      subjectIds.set(subject.name, subjectId);
+      for (const [format, items] of Object.entries(subject.items)) {
+        let position = 0;
+        for (const data of items) {
+          const id = await tx.contentItems.create({
+            subject_id: subjectId,
+            format,
+            position,
+            published: true,
+            data,
+          });
+          itemIds.set(`${subject.name}|${format}|${position++}`, id);
+        }
+      }
+    }
+
+    const lookup = (subject, format, index) => itemIds.get(`${subject}|${format}|${index}`);
+    const positions = new Map();
+    for (const p of readBundledPaths(lookup)) {
+      const subjectId = subjectIds.get(p.subject);
+      if (!subjectId) continue;
+      const position = positions.get(subjectId) || 0;
+      positions.set(subjectId, position + 1);
+      await tx.learningPaths.create({
+        subject_id: subjectId,
+        title: p.title,
+        position,
+        published: true,
+        data: p.data,
+      });
+    }
+  });
+  return true;
+}
+
+/** Paths of every file in content/ the app reads; the readiness check opens them. */
+function bundledContentFiles() {
+  return [...bundledSubjects.map(({ file }) => file), "paths.json"].map((file) => path.join(CONTENT_DIR, file));
+}
+
+module.exports = { readBundledContent, readBundledPaths, importBundledContent, bundledContentFiles };
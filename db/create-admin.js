@@ -0,0 +1,38 @@
+/**
+ * Creates an admin account, or resets its password if the email exists.
+ *
+ *   ADMIN_PASSWORD=... npm run create-admin -- admin@school.nz "Full Name"
+ *
+ * The password comes from the environment so it doesn't end up in shell history.
+ */
+require("dotenv").config();
+
+const bcrypt = require("bcrypt");
+const { storage } = require("./storage");
+
+async function main() {
+  const [email, fullName = "Admin"] = process.argv.slice(2);
+  const password = process.env.ADMIN_PASSWORD;
+  if (!email || !password) {
+    throw new Error('Usage: ADMIN_PASSWORD=... npm run create-admin -- <email> ["Full Name"]');
+  }
+
+  const hash = await bcrypt.hash(password, 10);
+  try {
+    const existing = await storage.admins.findByEmail(email);
+    if (existing) {
+      await storage.admins.update(existing.id, { password_hash: hash });
+      console.log(`✅ Updated password for admin ${email}.`);
+    } else {
+      await storage.admins.create({ full_name: fullName, email, password_hash: hash });
+      console.log(`✅ Created admin ${email}.`);
+    }
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ create-admin failed:", err.message);
+  process.exit(1);
+});
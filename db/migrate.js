@@ -0,0 +1,138 @@
+/**
+ * Schema migrations.
+ *
+ *   npm run migrate              apply every pending migration
+ *   npm run migrate -- down      roll back the most recent migration
+ *   npm run migrate -- down 3    roll back the last 3
+ *   npm run migrate -- status    list applied / pending
+ *
+ * Migrations live in db/migrations as NNN_description.js and export
+ * async up(conn) / down(conn). They run in filename order; applied versions
+ * are recorded in schema_migrations. Never edit a migration that has been
+ * merged — add a new one.
+ */
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mysql = require("mysql2/promise");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+function listMigrations() {
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => /^\d+_.+\.js$/.test(f))
+    .sort()
+    .map((file) => ({
+      version: file.split("_")[0],
+      name: file.replace(/\.js$/, ""),
+      file: path.join(MIGRATIONS_DIR, file),
+    }));
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function appliedVersions(conn) {
+  const [rows] = await conn.query(
+    "SELECT version FROM schema_migrations ORDER BY version ASC"
+  );
+  return rows.map((r) => r.version);
+}
+
+async function migrateUp(conn) {
+  await ensureMigrationsTable(conn);
+  const applied = new Set(await appliedVersions(conn));
+  const pending = listMigrations().filter((m) => !applied.has(m.version));
+
+  for (const m of pending) {
+    console.log(`⬆️  ${m.name}`);
+    // MySQL commits DDL implicitly, so a failed migration may leave partial
+    // changes behind; it is not recorded and will be retried next run.
+    await require(m.file).up(conn);
+    await conn.execute(
+      "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+      [m.version, m.name]
+    );
+  }
+  return pending.map((m) => m.name);
+}
+
+async function migrateDown(conn, steps = 1) {
+  await ensureMigrationsTable(conn);
+  const applied = await appliedVersions(conn);
+  const byVersion = new Map(listMigrations().map((m) => [m.version, m]));
+  const rolledBack = [];
+
+  for (const version of applied.reverse().slice(0, steps)) {
+    const m = byVersion.get(version);
+    if (!m) throw new Error(`Migration file for version ${version} is missing.`);
+    console.log(`⬇️  ${m.name}`);
+    await require(m.file).down(conn);
+    await conn.execute("DELETE FROM schema_migrations WHERE version = ?", [version]);
+    rolledBack.push(m.name);
+  }
+  return rolledBack;
+}
+
+async function status(conn) {
+  await ensureMigrationsTable(conn);
+  const applied = new Set(await appliedVersions(conn));
+  return listMigrations().map((m) => ({ name: m.name, applied: applied.has(m.version) }));
+}
+
+// Connects without a database first so a fresh MySQL install only needs
+// the credentials in .env.
+async function connect() {
+  const database = process.env.DB_NAME || "education_platform";
+  const conn = await mysql.createConnection({
+    host: process.env.DB_HOST || "localhost",
+    user: process.env.DB_USER || "root",
+    password: process.env.DB_PASSWORD || "",
+  });
+  await conn.query(
+    `CREATE DATABASE IF NOT EXISTS \`${database}\` CHARACTER SET utf8mb4`
+  );
+  await conn.changeUser({ database });
+  return conn;
+}
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+  const conn = await connect();
+  try {
+    if (command === "up") {
+      const ran = await migrateUp(conn);
+      console.log(ran.length ? `✅ Applied ${ran.length} migration(s).` : "✅ Schema is up to date.");
+    } else if (command === "down") {
+      const ran = await migrateDown(conn, Number(arg) || 1);
+      console.log(`✅ Rolled back ${ran.length} migration(s).`);
+    } else if (command === "status") {
+      for (const m of await status(conn)) {
+        console.log(`${m.applied ? "[x]" : "[ ]"} ${m.name}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [n] or status.`);
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Migration failed:", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { listMigrations, migrateUp, migrateDown, status, connect };
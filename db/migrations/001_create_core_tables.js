@@ -0,0 +1,80 @@
+// parents, students and the two activity tables the original server.js used.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE parents (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      full_name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_parents_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE students (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      full_name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      age TINYINT UNSIGNED NULL,
+      interest VARCHAR(50) NULL,
+      parent_id INT UNSIGNED NULL,
+      streak_days INT UNSIGNED NOT NULL DEFAULT 0,
+      last_streak_date DATE NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_students_email (email),
+      KEY idx_students_parent (parent_id),
+      CONSTRAINT fk_students_parent FOREIGN KEY (parent_id)
+        REFERENCES parents (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE student_activities (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      student_id INT UNSIGNED NOT NULL,
+      activity_type ENUM('lesson', 'video', 'game') NOT NULL,
+      subject VARCHAR(50) NOT NULL,
+      content_title VARCHAR(255) NULL,
+      duration_minutes INT UNSIGNED NOT NULL DEFAULT 0,
+      completed BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_activities_student_created (student_id, created_at),
+      CONSTRAINT fk_activities_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // uq_daily_sessions_day is what /api/activity/log's ON DUPLICATE KEY UPDATE hits
+  await conn.query(`
+    CREATE TABLE daily_sessions (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      student_id INT UNSIGNED NOT NULL,
+      session_date DATE NOT NULL,
+      total_minutes INT UNSIGNED NOT NULL DEFAULT 0,
+      lessons_count INT UNSIGNED NOT NULL DEFAULT 0,
+      videos_count INT UNSIGNED NOT NULL DEFAULT 0,
+      games_count INT UNSIGNED NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_daily_sessions_day (student_id, session_date),
+      CONSTRAINT fk_daily_sessions_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS daily_sessions");
+  await conn.query("DROP TABLE IF EXISTS student_activities");
+  await conn.query("DROP TABLE IF EXISTS students");
+  await conn.query("DROP TABLE IF EXISTS parents");
+}
+
+module.exports = { up, down };
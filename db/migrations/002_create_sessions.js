@@ -0,0 +1,22 @@
+// Login sessions for lib/auth.js. Only a SHA-256 of the session id is stored.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE sessions (
+      token_hash CHAR(64) NOT NULL,
+      role ENUM('student', 'parent') NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      PRIMARY KEY (token_hash),
+      KEY idx_sessions_user (role, user_id),
+      KEY idx_sessions_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS sessions");
+}
+
+module.exports = { up, down };
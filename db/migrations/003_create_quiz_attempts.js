@@ -0,0 +1,27 @@
+// One row per answered question, written by /api/quiz/submit.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE quiz_attempts (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      student_id INT UNSIGNED NOT NULL,
+      subject VARCHAR(50) NOT NULL,
+      lesson_index INT UNSIGNED NOT NULL,
+      lesson_title VARCHAR(255) NULL,
+      question_index INT UNSIGNED NOT NULL,
+      answer_index INT UNSIGNED NOT NULL,
+      is_correct BOOLEAN NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_quiz_attempts_lesson (student_id, subject, lesson_index, question_index),
+      CONSTRAINT fk_quiz_attempts_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS quiz_attempts");
+}
+
+module.exports = { up, down };
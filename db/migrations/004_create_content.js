@@ -0,0 +1,78 @@
+// Moves lessons, videos and games out of content/*.json into the database so
+// admins can author them, and adds admin accounts. Existing content is copied
+// in as published items in their current order.
+const { readBundledContent } = require("../bundled-content");
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE admins (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      full_name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_admins_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(
+    "ALTER TABLE sessions MODIFY role ENUM('student', 'parent', 'admin') NOT NULL"
+  );
+
+  await conn.query(`
+    CREATE TABLE subjects (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      name VARCHAR(50) NOT NULL,
+      position INT UNSIGNED NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_subjects_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE content_items (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      subject_id INT UNSIGNED NOT NULL,
+      format VARCHAR(20) NOT NULL,
+      position INT UNSIGNED NOT NULL DEFAULT 0,
+      published BOOLEAN NOT NULL DEFAULT FALSE,
+      data JSON NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_content_items_order (subject_id, format, position),
+      CONSTRAINT fk_content_items_subject FOREIGN KEY (subject_id)
+        REFERENCES subjects (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  let subjectPosition = 0;
+  for (const subject of readBundledContent()) {
+    const [result] = await conn.query(
+      "INSERT INTO subjects (name, position) VALUES (?, ?)",
+      [subject.name, subjectPosition++]
+    );
+    for (const [format, items] of Object.entries(subject.items)) {
+      for (let position = 0; position < items.length; position++) {
+        await conn.query(
+          "INSERT INTO content_items (subject_id, format, position, published, data) VALUES (?, ?, ?, TRUE, ?)",
+          [result.insertId, format, position, JSON.stringify(items[position])]
+        );
+      }
+    }
+  }
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS content_items");
+  await conn.query("DROP TABLE IF EXISTS subjects");
+  await conn.query("DELETE FROM sessions WHERE role = 'admin'");
+  await conn.query(
+    "ALTER TABLE sessions MODIFY role ENUM('student', 'parent') NOT NULL"
+  );
+  await conn.query("DROP TABLE IF EXISTS admins");
+}
+
+module.exports = { up, down };
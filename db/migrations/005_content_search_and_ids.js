@@ -0,0 +1,97 @@
+// Search/filter columns for content items, tags, and content IDs on activity
+// and quiz rows so they survive content being renamed or reordered.
+const { contentFields } = require("../storage/content-fields");
+
+async function up(conn) {
+  await conn.query(`
+    ALTER TABLE content_items
+      ADD COLUMN title VARCHAR(255) NOT NULL DEFAULT '' AFTER published,
+      ADD COLUMN age_min TINYINT UNSIGNED NULL AFTER title,
+      ADD COLUMN age_max TINYINT UNSIGNED NULL AFTER age_min,
+      ADD COLUMN search_text MEDIUMTEXT NULL AFTER age_max
+  `);
+
+  await conn.query(`
+    CREATE TABLE content_tags (
+      content_id INT UNSIGNED NOT NULL,
+      tag VARCHAR(30) NOT NULL,
+      PRIMARY KEY (content_id, tag),
+      KEY idx_content_tags_tag (tag),
+      CONSTRAINT fk_content_tags_item FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const [items] = await conn.query("SELECT id, data FROM content_items");
+  for (const item of items) {
+    const data = typeof item.data === "string" ? JSON.parse(item.data) : item.data;
+    const f = contentFields(data);
+    await conn.query(
+      "UPDATE content_items SET title = ?, age_min = ?, age_max = ?, search_text = ? WHERE id = ?",
+      [f.title, f.age_min, f.age_max, f.search_text, item.id]
+    );
+    for (const tag of f.tags) {
+      await conn.query("INSERT INTO content_tags (content_id, tag) VALUES (?, ?)", [item.id, tag]);
+    }
+  }
+
+  // Added after the backfill so the index is built once
+  await conn.query(
+    "ALTER TABLE content_items ADD FULLTEXT KEY ft_content_items_search (title, search_text)"
+  );
+
+  await conn.query(`
+    ALTER TABLE student_activities
+      ADD COLUMN content_id INT UNSIGNED NULL AFTER subject,
+      ADD KEY idx_student_activities_content (content_id),
+      ADD CONSTRAINT fk_student_activities_content FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE SET NULL
+  `);
+  await conn.query(`
+    ALTER TABLE quiz_attempts
+      ADD COLUMN content_id INT UNSIGNED NULL AFTER subject,
+      ADD KEY idx_quiz_attempts_content (student_id, content_id, question_index),
+      ADD CONSTRAINT fk_quiz_attempts_content FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE SET NULL
+  `);
+
+  // Existing rows only had the title / lesson position to go on
+  await conn.query(`
+    UPDATE student_activities a
+    JOIN subjects s ON s.name = a.subject
+    JOIN content_items c
+      ON c.subject_id = s.id
+     AND c.format = CONCAT(a.activity_type, 's')
+     AND c.title = a.content_title
+    SET a.content_id = c.id
+  `);
+  await conn.query(`
+    UPDATE quiz_attempts q
+    JOIN subjects s ON s.name = q.subject
+    JOIN content_items c
+      ON c.subject_id = s.id
+     AND c.format = 'lessons'
+     AND c.position = q.lesson_index
+    SET q.content_id = c.id
+  `);
+}
+
+async function down(conn) {
+  await conn.query("ALTER TABLE quiz_attempts DROP FOREIGN KEY fk_quiz_attempts_content");
+  await conn.query("ALTER TABLE quiz_attempts DROP KEY idx_quiz_attempts_content, DROP COLUMN content_id");
+  await conn.query("ALTER TABLE student_activities DROP FOREIGN KEY fk_student_activities_content");
+  await conn.query(
+    "ALTER TABLE student_activities DROP KEY idx_student_activities_content, DROP COLUMN content_id"
+  );
+  await conn.query("DROP TABLE IF EXISTS content_tags");
+  await conn.query(`
+    ALTER TABLE content_items
+      DROP KEY ft_content_items_search,
+      DROP COLUMN search_text,
+      DROP COLUMN age_max,
+      DROP COLUMN age_min,
+      DROP COLUMN title
+  `);
+}
+
+module.exports = { up, down };
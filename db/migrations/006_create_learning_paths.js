@@ -0,0 +1,50 @@
+// Learning paths: an ordered set of units per subject, each unit a list of
+// content item IDs plus the units that must be finished first. Units live in
+// the data JSON column; the starter paths in content/paths.json are added for
+// subjects and items that came from the bundled catalogue.
+const { readBundledPaths } = require("../bundled-content");
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE learning_paths (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      subject_id INT UNSIGNED NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      position INT UNSIGNED NOT NULL DEFAULT 0,
+      published BOOLEAN NOT NULL DEFAULT FALSE,
+      data JSON NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_learning_paths_order (subject_id, position),
+      CONSTRAINT fk_learning_paths_subject FOREIGN KEY (subject_id)
+        REFERENCES subjects (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const [subjects] = await conn.query("SELECT id, name FROM subjects");
+  const [items] = await conn.query("SELECT id, subject_id, format, position FROM content_items");
+  const subjectIds = new Map(subjects.map((s) => [s.name, s.id]));
+  const itemIds = new Map(items.map((c) => [`${c.subject_id}|${c.format}|${c.position}`, c.id]));
+
+  const lookup = (subject, format, index) =>
+    itemIds.get(`${subjectIds.get(subject)}|${format}|${index}`);
+
+  const positions = new Map();
+  for (const p of readBundledPaths(lookup)) {
+    const subjectId = subjectIds.get(p.subject);
+    if (!subjectId || !p.data.units.some((u) => u.items.length)) continue;
+    const position = positions.get(subjectId) || 0;
+    positions.set(subjectId, position + 1);
+    await conn.query(
+      "INSERT INTO learning_paths (subject_id, title, position, published, data) VALUES (?, ?, ?, TRUE, ?)",
+      [subjectId, p.title, position, JSON.stringify(p.data)]
+    );
+  }
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS learning_paths");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,60 @@
+// XP ledger, earned badges and streak freezes. XP is only ever added as
+// ledger rows so totals can be audited; a student's level is derived from
+// the sum. Badge definitions live in lib/gamification.js, keyed by badge_key.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE xp_events (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      student_id INT UNSIGNED NOT NULL,
+      source VARCHAR(20) NOT NULL,
+      amount INT NOT NULL,
+      reason VARCHAR(255) NOT NULL,
+      content_id INT UNSIGNED NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_xp_events_student (student_id, source, created_at),
+      CONSTRAINT fk_xp_events_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE,
+      CONSTRAINT fk_xp_events_content FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE student_badges (
+      student_id INT UNSIGNED NOT NULL,
+      badge_key VARCHAR(50) NOT NULL,
+      awarded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id, badge_key),
+      CONSTRAINT fk_student_badges_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    ALTER TABLE students
+      ADD COLUMN streak_freezes TINYINT UNSIGNED NOT NULL DEFAULT 0 AFTER last_streak_date
+  `);
+
+  // Days a freeze was spent on, so the dashboard can show them
+  await conn.query(`
+    CREATE TABLE streak_freeze_days (
+      student_id INT UNSIGNED NOT NULL,
+      covered_date DATE NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id, covered_date),
+      CONSTRAINT fk_streak_freeze_days_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS streak_freeze_days");
+  await conn.query("ALTER TABLE students DROP COLUMN streak_freezes");
+  await conn.query("DROP TABLE IF EXISTS student_badges");
+  await conn.query("DROP TABLE IF EXISTS xp_events");
+}
+
+module.exports = { up, down };
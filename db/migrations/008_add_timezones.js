@@ -0,0 +1,42 @@
+// Timezones for families and students (IANA names; NULL means inherit: a
+// student falls back to their parent's, a parent to DEFAULT_TIMEZONE).
+// daily_sessions used to be bucketed by UTC date, so rebuild it from
+// student_activities using the default timezone, which is what every existing
+// account now gets.
+const { DEFAULT_TIMEZONE, dateString } = require("../../lib/dates");
+
+async function up(conn) {
+  await conn.query("ALTER TABLE parents ADD COLUMN timezone VARCHAR(64) NULL AFTER email");
+  await conn.query("ALTER TABLE students ADD COLUMN timezone VARCHAR(64) NULL AFTER interest");
+
+  const [activities] = await conn.query(
+    "SELECT student_id, activity_type, duration_minutes, created_at FROM student_activities"
+  );
+  const days = new Map();
+  for (const a of activities) {
+    const day = dateString(new Date(a.created_at), DEFAULT_TIMEZONE);
+    const key = `${a.student_id}|${day}`;
+    const totals = days.get(key) || { studentId: a.student_id, day, minutes: 0, lesson: 0, video: 0, game: 0 };
+    totals.minutes += a.duration_minutes;
+    if (a.activity_type in totals) totals[a.activity_type] += 1;
+    days.set(key, totals);
+  }
+
+  await conn.query("DELETE FROM daily_sessions");
+  for (const t of days.values()) {
+    await conn.query(
+      `INSERT INTO daily_sessions
+       (student_id, session_date, total_minutes, lessons_count, videos_count, games_count)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [t.studentId, t.day, t.minutes, t.lesson, t.video, t.game]
+    );
+  }
+}
+
+// Sessions stay bucketed by the default timezone; the old UTC days aren't restored
+async function down(conn) {
+  await conn.query("ALTER TABLE students DROP COLUMN timezone");
+  await conn.query("ALTER TABLE parents DROP COLUMN timezone");
+}
+
+module.exports = { up, down };
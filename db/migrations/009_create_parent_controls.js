@@ -0,0 +1,43 @@
+// Parent controls: one row of rules per student (daily minute limit plus
+// which subjects and formats they may use) and any number of weekly goals.
+// rules is { subjects: { mode, list }, formats: { mode, list } } where mode is
+// "all", "allow" (only the listed ones) or "block" (everything but them); see
+// lib/controls.js. Subjects are stored by name, as student_activities does.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE student_controls (
+      student_id INT UNSIGNED NOT NULL,
+      daily_minute_limit SMALLINT UNSIGNED NULL,
+      rules JSON NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id),
+      CONSTRAINT fk_student_controls_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // subject / format NULL means any; metric is "count" (activities) or "minutes"
+  await conn.query(`
+    CREATE TABLE weekly_goals (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      student_id INT UNSIGNED NOT NULL,
+      subject VARCHAR(50) NULL,
+      format VARCHAR(10) NULL,
+      metric VARCHAR(10) NOT NULL DEFAULT 'count',
+      target SMALLINT UNSIGNED NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_weekly_goals_student (student_id),
+      CONSTRAINT fk_weekly_goals_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS weekly_goals");
+  await conn.query("DROP TABLE IF EXISTS student_controls");
+}
+
+module.exports = { up, down };
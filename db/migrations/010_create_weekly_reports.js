@@ -0,0 +1,30 @@
+// Weekly progress emails. Parents opt in (weekly_report); report_deliveries
+// records each report sent, so the hourly job never sends one twice.
+
+async function up(conn) {
+  await conn.query(`
+    ALTER TABLE parents
+      ADD COLUMN weekly_report BOOLEAN NOT NULL DEFAULT FALSE AFTER timezone
+  `);
+
+  await conn.query(`
+    CREATE TABLE report_deliveries (
+      parent_id INT UNSIGNED NOT NULL,
+      student_id INT UNSIGNED NOT NULL,
+      week_start DATE NOT NULL,
+      sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (parent_id, student_id, week_start),
+      CONSTRAINT fk_report_deliveries_parent FOREIGN KEY (parent_id)
+        REFERENCES parents (id) ON DELETE CASCADE,
+      CONSTRAINT fk_report_deliveries_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS report_deliveries");
+  await conn.query("ALTER TABLE parents DROP COLUMN weekly_report");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+// Measured activity time. The dashboard opens a session when a lesson, video
+// or game starts and sends heartbeats while it's on screen; lib/tracking.js
+// credits the time between them (capped) to engaged_seconds. When the session
+// ends, or is closed for going quiet, it becomes a student_activities row.
+// end_reason is "ended", "abandoned", "replaced" or "timeout".
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE activity_sessions (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      student_id INT UNSIGNED NOT NULL,
+      content_id INT UNSIGNED NULL,
+      activity_type ENUM('lesson', 'video', 'game') NOT NULL,
+      subject VARCHAR(50) NOT NULL,
+      content_title VARCHAR(255) NULL,
+      started_at DATETIME NOT NULL,
+      last_seen_at DATETIME NOT NULL,
+      engaged_seconds INT UNSIGNED NOT NULL DEFAULT 0,
+      ended_at DATETIME NULL,
+      end_reason VARCHAR(10) NULL,
+      PRIMARY KEY (id),
+      KEY idx_activity_sessions_student (student_id, ended_at),
+      KEY idx_activity_sessions_open (ended_at, last_seen_at),
+      CONSTRAINT fk_activity_sessions_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE,
+      CONSTRAINT fk_activity_sessions_content FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS activity_sessions");
+}
+
+module.exports = { up, down };
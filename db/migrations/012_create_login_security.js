@@ -0,0 +1,37 @@
+// Sign-in hardening. login_throttles counts recent failures per key (an
+// email address or a client IP, see lib/throttle.js) and holds the lockout;
+// password_resets holds single-use reset tokens, stored as a SHA-256 like
+// session ids.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE login_throttles (
+      throttle_key VARCHAR(300) NOT NULL,
+      failures INT UNSIGNED NOT NULL DEFAULT 0,
+      window_started_at DATETIME NOT NULL,
+      locked_until DATETIME NULL,
+      PRIMARY KEY (throttle_key),
+      KEY idx_login_throttles_window (window_started_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE password_resets (
+      token_hash CHAR(64) NOT NULL,
+      role ENUM('student', 'parent', 'admin') NOT NULL,
+      user_id INT UNSIGNED NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME NULL,
+      PRIMARY KEY (token_hash),
+      KEY idx_password_resets_user (role, user_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS password_resets");
+  await conn.query("DROP TABLE IF EXISTS login_throttles");
+}
+
+module.exports = { up, down };
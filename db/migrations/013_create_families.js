@@ -0,0 +1,54 @@
+// Families with more than one guardian, and invitations to join one.
+// student_guardians lists every parent who can see a child; students.parent_id
+// stays as the child's primary guardian (whose timezone the child follows,
+// and who alone can unlink or transfer them) and always has a row here too.
+// family_invitations are pending until the person they're addressed to (by
+// email) accepts or declines: see lib/family.js for the kinds.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE student_guardians (
+      student_id INT UNSIGNED NOT NULL,
+      parent_id INT UNSIGNED NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id, parent_id),
+      KEY idx_student_guardians_parent (parent_id),
+      CONSTRAINT fk_student_guardians_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE,
+      CONSTRAINT fk_student_guardians_parent FOREIGN KEY (parent_id)
+        REFERENCES parents (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    INSERT INTO student_guardians (student_id, parent_id, created_at)
+    SELECT id, parent_id, created_at FROM students WHERE parent_id IS NOT NULL
+  `);
+
+  await conn.query(`
+    CREATE TABLE family_invitations (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      kind ENUM('guardian', 'child', 'link', 'transfer') NOT NULL,
+      from_role ENUM('parent', 'student') NOT NULL,
+      from_id INT UNSIGNED NOT NULL,
+      student_id INT UNSIGNED NULL,
+      email VARCHAR(255) NOT NULL,
+      status ENUM('pending', 'accepted', 'declined', 'cancelled') NOT NULL DEFAULT 'pending',
+      created_at DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      responded_at DATETIME NULL,
+      PRIMARY KEY (id),
+      KEY idx_family_invitations_email (email, status),
+      KEY idx_family_invitations_from (from_role, from_id, status),
+      CONSTRAINT fk_family_invitations_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS family_invitations");
+  await conn.query("DROP TABLE IF EXISTS student_guardians");
+}
+
+module.exports = { up, down };
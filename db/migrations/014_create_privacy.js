@@ -0,0 +1,52 @@
+// Privacy tooling: exports, deletion with a grace period and retention.
+// deletion_requests and audit_log have no foreign keys on purpose: they are
+// the record that an account existed and was removed, so they outlive it.
+// They hold ids only, never names or emails. See lib/privacy.js.
+
+async function up(conn) {
+  // Days of activity history to keep for this child; NULL means the
+  // server-wide ACTIVITY_RETENTION_DAYS (or forever when that's unset)
+  await conn.query(`
+    ALTER TABLE students
+      ADD COLUMN activity_retention_days SMALLINT UNSIGNED NULL AFTER timezone
+  `);
+
+  await conn.query(`
+    CREATE TABLE deletion_requests (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      subject_role ENUM('student', 'parent') NOT NULL,
+      subject_id INT UNSIGNED NOT NULL,
+      requested_by INT UNSIGNED NOT NULL,
+      status ENUM('pending', 'cancelled', 'completed') NOT NULL DEFAULT 'pending',
+      requested_at DATETIME NOT NULL,
+      delete_after DATETIME NOT NULL,
+      closed_at DATETIME NULL,
+      PRIMARY KEY (id),
+      KEY idx_deletion_requests_subject (subject_role, subject_id, status),
+      KEY idx_deletion_requests_due (status, delete_after)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE audit_log (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      action VARCHAR(40) NOT NULL,
+      actor_role ENUM('student', 'parent', 'admin', 'system') NOT NULL,
+      actor_id INT UNSIGNED NULL,
+      subject_role ENUM('student', 'parent') NOT NULL,
+      subject_id INT UNSIGNED NOT NULL,
+      details JSON NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      KEY idx_audit_log_subject (subject_role, subject_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS audit_log");
+  await conn.query("DROP TABLE IF EXISTS deletion_requests");
+  await conn.query("ALTER TABLE students DROP COLUMN activity_retention_days");
+}
+
+module.exports = { up, down };
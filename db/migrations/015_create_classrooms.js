@@ -0,0 +1,97 @@
+// Teachers, their classrooms and what they assign. Students join a classroom
+// with its join code (classroom_students); an assignment is one published
+// content item with a due date. Teachers sign in like everyone else, so the
+// role lists on sessions, password_resets and audit_log gain 'teacher'.
+// See lib/classrooms.js.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE teachers (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      full_name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      school VARCHAR(255) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_teachers_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE classrooms (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      teacher_id INT UNSIGNED NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      join_code CHAR(8) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_classrooms_join_code (join_code),
+      KEY idx_classrooms_teacher (teacher_id),
+      CONSTRAINT fk_classrooms_teacher FOREIGN KEY (teacher_id)
+        REFERENCES teachers (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE classroom_students (
+      classroom_id INT UNSIGNED NOT NULL,
+      student_id INT UNSIGNED NOT NULL,
+      joined_at DATETIME NOT NULL,
+      PRIMARY KEY (classroom_id, student_id),
+      KEY idx_classroom_students_student (student_id),
+      CONSTRAINT fk_classroom_students_classroom FOREIGN KEY (classroom_id)
+        REFERENCES classrooms (id) ON DELETE CASCADE,
+      CONSTRAINT fk_classroom_students_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    CREATE TABLE assignments (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      classroom_id INT UNSIGNED NOT NULL,
+      content_id INT UNSIGNED NOT NULL,
+      due_date DATE NOT NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_assignments_item (classroom_id, content_id),
+      KEY idx_assignments_due (classroom_id, due_date),
+      CONSTRAINT fk_assignments_classroom FOREIGN KEY (classroom_id)
+        REFERENCES classrooms (id) ON DELETE CASCADE,
+      CONSTRAINT fk_assignments_content FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(
+    "ALTER TABLE sessions MODIFY role ENUM('student', 'parent', 'admin', 'teacher') NOT NULL"
+  );
+  await conn.query(
+    "ALTER TABLE password_resets MODIFY role ENUM('student', 'parent', 'admin', 'teacher') NOT NULL"
+  );
+  await conn.query(
+    "ALTER TABLE audit_log MODIFY actor_role ENUM('student', 'parent', 'admin', 'system', 'teacher') NOT NULL"
+  );
+}
+
+async function down(conn) {
+  await conn.query("DELETE FROM sessions WHERE role = 'teacher'");
+  await conn.query("DELETE FROM password_resets WHERE role = 'teacher'");
+  await conn.query("UPDATE audit_log SET actor_role = 'system', actor_id = NULL WHERE actor_role = 'teacher'");
+  await conn.query(
+    "ALTER TABLE audit_log MODIFY actor_role ENUM('student', 'parent', 'admin', 'system') NOT NULL"
+  );
+  await conn.query(
+    "ALTER TABLE password_resets MODIFY role ENUM('student', 'parent', 'admin') NOT NULL"
+  );
+  await conn.query(
+    "ALTER TABLE sessions MODIFY role ENUM('student', 'parent', 'admin') NOT NULL"
+  );
+  await conn.query("DROP TABLE IF EXISTS assignments");
+  await conn.query("DROP TABLE IF EXISTS classroom_students");
+  await conn.query("DROP TABLE IF EXISTS classrooms");
+  await conn.query("DROP TABLE IF EXISTS teachers");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// Events the offline dashboard queued and sent later through
+// POST /api/sync/events. The client gives each event an id; a row here means
+// it has been applied, so a batch sent twice (say the reply was lost) counts
+// once. occurred_at is when it happened on the device, which is the day it's
+// credited to. See lib/sync.js.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE synced_events (
+      student_id INT UNSIGNED NOT NULL,
+      event_id VARCHAR(64) NOT NULL,
+      event_type ENUM('activity', 'streak') NOT NULL,
+      occurred_at DATETIME NOT NULL,
+      received_at DATETIME NOT NULL,
+      PRIMARY KEY (student_id, event_id),
+      CONSTRAINT fk_synced_events_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS synced_events");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,56 @@
+// Spaced repetition for lesson quiz questions: one card per student per
+// question they've got wrong, scheduled SM-2 style (lib/review.js).
+// repetitions counts correct answers in a row, interval_days is the gap to
+// the next review and ease is the SM-2 ease factor times 100 (250 = 2.5).
+// reviewed_on is the last day the card came up in the daily review, so the
+// day's queue knows what's been done.
+//
+// Existing answers seed the cards: every question a student has missed,
+// scheduled from their latest answer to it and due the day after.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE review_cards (
+      student_id INT UNSIGNED NOT NULL,
+      content_id INT UNSIGNED NOT NULL,
+      question_index INT UNSIGNED NOT NULL,
+      repetitions INT UNSIGNED NOT NULL DEFAULT 0,
+      interval_days INT UNSIGNED NOT NULL DEFAULT 1,
+      ease SMALLINT UNSIGNED NOT NULL DEFAULT 250,
+      lapses INT UNSIGNED NOT NULL DEFAULT 0,
+      due_date DATE NOT NULL,
+      last_answered_at DATETIME NOT NULL,
+      reviewed_on DATE NULL,
+      created_at DATETIME NOT NULL,
+      PRIMARY KEY (student_id, content_id, question_index),
+      KEY idx_review_cards_due (student_id, due_date),
+      KEY idx_review_cards_reviewed (student_id, reviewed_on),
+      CONSTRAINT fk_review_cards_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE,
+      CONSTRAINT fk_review_cards_content FOREIGN KEY (content_id)
+        REFERENCES content_items (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await conn.query(`
+    INSERT INTO review_cards
+      (student_id, content_id, question_index, repetitions, interval_days, ease, lapses,
+       due_date, last_answered_at, created_at)
+    SELECT a.student_id, a.content_id, a.question_index, IF(a.is_correct, 1, 0), 1, 250,
+           1, DATE(a.created_at) + INTERVAL 1 DAY, a.created_at, NOW()
+    FROM quiz_attempts a
+    JOIN (
+      SELECT MAX(id) AS id FROM quiz_attempts
+      WHERE content_id IS NOT NULL
+      GROUP BY student_id, content_id, question_index
+      HAVING MIN(is_correct) = 0
+    ) latest ON latest.id = a.id
+    JOIN content_items c ON c.id = a.content_id
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS review_cards");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// A student's language for content and messages (lib/i18n.js LOCALES).
+// NULL means they haven't picked one, so the browser's Accept-Language
+// decides, falling back to English.
+
+async function up(conn) {
+  await conn.query("ALTER TABLE students ADD COLUMN language VARCHAR(10) NULL AFTER timezone");
+}
+
+async function down(conn) {
+  await conn.query("ALTER TABLE students DROP COLUMN language");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// Parents' notification inbox: one row per parent per event about one of
+// their children (activity, a quiz, a streak milestone, a streak about to
+// end). The same rows are pushed live over GET /api/notifications/stream.
+// dedupe_key stops an event being stored twice for a parent, e.g. the nightly
+// streak warning; read_at is NULL until the parent reads it. See
+// lib/notifications.js.
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE notifications (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      parent_id INT UNSIGNED NOT NULL,
+      student_id INT UNSIGNED NOT NULL,
+      type ENUM('activity', 'quiz', 'streak-milestone', 'streak-at-risk') NOT NULL,
+      message VARCHAR(255) NOT NULL,
+      details JSON NULL,
+      dedupe_key VARCHAR(100) NULL,
+      created_at DATETIME NOT NULL,
+      read_at DATETIME NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_notifications_dedupe (parent_id, dedupe_key),
+      KEY idx_notifications_parent (parent_id, id),
+      KEY idx_notifications_unread (parent_id, read_at),
+      KEY idx_notifications_created (created_at),
+      CONSTRAINT fk_notifications_parent FOREIGN KEY (parent_id)
+        REFERENCES parents (id) ON DELETE CASCADE,
+      CONSTRAINT fk_notifications_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS notifications");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// Every day counted towards a student's streak, so a day that arrives late
+// (an offline event synced after a later day was counted) can fill a gap and
+// the streak be recounted (lib/streaks.js).
+//
+// Existing streaks seed it: the streak_days credited days of the current run,
+// walking back from last_streak_date and stepping over days a freeze covered.
+const { addDays } = require("../../lib/dates");
+
+async function up(conn) {
+  await conn.query(`
+    CREATE TABLE streak_credited_days (
+      student_id INT UNSIGNED NOT NULL,
+      credited_date DATE NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (student_id, credited_date),
+      CONSTRAINT fk_streak_credited_days_student FOREIGN KEY (student_id)
+        REFERENCES students (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const [streaks] = await conn.query(`
+    SELECT id, streak_days, DATE_FORMAT(last_streak_date, '%Y-%m-%d') AS last_streak_date
+    FROM students WHERE streak_days > 0 AND last_streak_date IS NOT NULL
+  `);
+  const [frozen] = await conn.query(
+    "SELECT student_id, DATE_FORMAT(covered_date, '%Y-%m-%d') AS covered_date FROM streak_freeze_days"
+  );
+  const frozenDays = new Set(frozen.map((f) => `${f.student_id}|${f.covered_date}`));
+
+  for (const s of streaks) {
+    let date = s.last_streak_date;
+    for (let credited = 0; credited < s.streak_days; date = addDays(date, -1)) {
+      if (frozenDays.has(`${s.id}|${date}`)) continue;
+      await conn.query(
+        "INSERT INTO streak_credited_days (student_id, credited_date) VALUES (?, ?)",
+        [s.id, date]
+      );
+      credited++;
+    }
+  }
+}
+
+async function down(conn) {
+  await conn.query("DROP TABLE IF EXISTS streak_credited_days");
+}
+
+module.exports = { up, down };
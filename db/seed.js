@@ -0,0 +1,223 @@
+/**
+ * Loads demo data: two parents, three students, two weeks of activity and an
+ * admin account for content authoring. The in-memory store also gets the
+ * starter content from content/*.json (MySQL gets it from migration 004).
+ *
+ *   npm run seed                        into MySQL (runs pending migrations first)
+ *   STORAGE_DRIVER=memory SEED_DEMO_DATA=true npm start
+ *                                       the in-memory store seeds itself on startup
+ *
+ * Safe to re-run — demo accounts (the emails below) are deleted and recreated,
+ * anything else in the database is left alone. Every demo password is
+ * "password123".
+ */
+require("dotenv").config();
+
+const bcrypt = require("bcrypt");
+const { connect, migrateUp } = require("./migrate");
+const { storage } = require("./storage");
+const { importBundledContent } = require("./bundled-content");
+const { listSubjects, loadSubject, lessonQuestions } = require("../lib/content");
+const { DEFAULT_TIMEZONE, dateString } = require("../lib/dates");
+const { XP_RULES } = require("../lib/gamification");
+const clock = require("../lib/clock");
+
+const DEMO_PASSWORD = "password123";
+const DEMO_ADMIN = { full_name: "Content Admin", email: "admin@example.com" };
+const HISTORY_DAYS = 14;
+
+const demoParents = [
+  {
+    full_name: "Aroha Ngata",
+    email: "aroha.parent@example.com",
+    children: [
+      { full_name: "Mere Ngata", email: "mere@example.com", age: 12, interest: "Physics", streak: 5 },
+      { full_name: "Tama Ngata", email: "tama@example.com", age: 9, interest: "Maths", streak: 0 },
+    ],
+  },
+  {
+    full_name: "James Wilson",
+    email: "james.parent@example.com",
+    children: [
+      { full_name: "Olivia Wilson", email: "olivia@example.com", age: 14, interest: "Engineering", streak: 2 },
+    ],
+  },
+];
+
+// Small deterministic PRNG so every seed run produces the same history.
+function prng(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 1103515245 + 12345) % 2147483648;
+    return s / 2147483648;
+  };
+}
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+
+const formatToActivity = { lessons: "lesson", videos: "video", games: "game" };
+const minutesFor = { lesson: 15, video: 10, game: 20 };
+
+async function loadCatalog() {
+  const catalog = {};
+  for (const subject of await listSubjects()) {
+    catalog[subject] = await loadSubject(subject);
+  }
+  return catalog;
+}
+
+async function seedStudentHistory(tx, studentId, child, catalog, rand) {
+  const now = clock.now().getTime();
+  const daily = new Map();
+
+  // Active on the last `streak` days plus a few scattered earlier days
+  for (let daysAgo = HISTORY_DAYS - 1; daysAgo >= 0; daysAgo--) {
+    const inStreak = daysAgo < child.streak;
+    if (!inStreak && rand() < 0.5) continue;
+
+    const count = 1 + Math.floor(rand() * 3);
+    for (let i = 0; i < count; i++) {
+      const subject = rand() < 0.6 ? child.interest : pick(rand, Object.keys(catalog));
+      const format = pick(rand, Object.keys(formatToActivity));
+      const activityType = formatToActivity[format];
+      const list = (catalog[subject] && catalog[subject][format]) || [];
+      const itemIndex = Math.floor(rand() * list.length);
+      const item = list[itemIndex];
+      const createdAt = new Date(now - daysAgo * 86400000 - (i + 1) * 3600000);
+      const minutes = minutesFor[activityType];
+
+      await tx.activities.log({
+        student_id: studentId,
+        activity_type: activityType,
+        subject,
+        content_id: item ? item.id : null,
+        content_title: item ? item.title : null,
+        duration_minutes: minutes,
+        created_at: createdAt,
+      });
+      await tx.xp.add({
+        student_id: studentId,
+        source: "activity",
+        amount: XP_RULES.activity[activityType],
+        reason: item ? `Finished "${item.title}"` : `Finished a ${activityType}`,
+        content_id: item ? item.id : null,
+        created_at: createdAt,
+      });
+
+      const day = dateString(createdAt, DEFAULT_TIMEZONE);
+      const totals = daily.get(day) || { minutes: 0, lessons: 0, videos: 0, games: 0 };
+      totals.minutes += minutes;
+      totals[format] += 1;
+      daily.set(day, totals);
+
+      if (activityType === "lesson" && item) {
+        const questions = lessonQuestions(item);
+        for (let q = 0; q < questions.length; q++) {
+          const correct = rand() < 0.7;
+          const answerIndex = correct
+            ? questions[q].correctIndex
+            : (questions[q].correctIndex + 1) % questions[q].answers.length;
+          await tx.quizAttempts.add({
+            student_id: studentId,
+            subject,
+            content_id: item.id,
+            lesson_index: itemIndex,
+            lesson_title: item.title,
+            question_index: q,
+            answer_index: answerIndex,
+            is_correct: correct,
+            created_at: createdAt,
+          });
+        }
+      }
+    }
+  }
+
+  for (const [day, totals] of daily) {
+    await tx.dailySessions.addActivity(studentId, day, totals);
+  }
+
+  await tx.students.update(studentId, {
+    streak_days: child.streak,
+    last_streak_date: child.streak ? dateString(new Date(now), DEFAULT_TIMEZONE) : null,
+  });
+}
+
+async function seed(store = storage) {
+  await importBundledContent(store);
+  const catalog = await loadCatalog();
+  const hash = await bcrypt.hash(DEMO_PASSWORD, 10);
+  const rand = prng(2025);
+
+  const parentEmails = demoParents.map((p) => p.email);
+  const studentEmails = demoParents.flatMap((p) => p.children.map((c) => c.email));
+
+  await store.transaction(async (tx) => {
+    const admin = await tx.admins.findByEmail(DEMO_ADMIN.email);
+    if (admin) {
+      await tx.admins.update(admin.id, { password_hash: hash });
+    } else {
+      await tx.admins.create({ ...DEMO_ADMIN, password_hash: hash });
+    }
+
+    // Activity, session and quiz rows go with the students via ON DELETE CASCADE
+    await tx.students.deleteByEmails(studentEmails);
+    await tx.parents.deleteByEmails(parentEmails);
+
+    for (const parent of demoParents) {
+      const parentId = await tx.parents.create({
+        full_name: parent.full_name,
+        email: parent.email,
+        password_hash: hash,
+      });
+
+      for (const child of parent.children) {
+        const studentId = await tx.students.create({
+          full_name: child.full_name,
+          email: child.email,
+          password_hash: hash,
+          age: child.age,
+          interest: child.interest,
+          parent_id: parentId,
+        });
+        await seedStudentHistory(tx, studentId, child, catalog, rand);
+      }
+    }
+  });
+
+  return {
+    parents: parentEmails,
+    students: studentEmails,
+    admins: [DEMO_ADMIN.email],
+    password: DEMO_PASSWORD,
+  };
+}
+
+async function main() {
+  if (storage.driver === "mysql") {
+    const conn = await connect();
+    try {
+      await migrateUp(conn);
+    } finally {
+      await conn.end();
+    }
+  }
+
+  try {
+    const result = await seed(storage);
+    console.log(`✅ Seeded ${result.parents.length} parents and ${result.students.length} students.`);
+    console.log(`   Sign in with any of: ${[...result.parents, ...result.students, ...result.admins].join(", ")}`);
+    console.log(`   Password: ${result.password}`);
+  } finally {
+    await storage.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Seed failed:", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { seed };
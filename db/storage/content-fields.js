@@ -0,0 +1,49 @@
+// Columns derived from a content item's JSON so both drivers can filter and
+// search without digging into `data`. Migration 005 uses it to backfill.
+
+function tagList(data) {
+  if (!Array.isArray(data.tags)) return [];
+  const tags = data.tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+function textParts(data) {
+  const parts = [data.overview, data.description];
+  if (Array.isArray(data.blocks)) {
+    for (const block of data.blocks) {
+      if (block) parts.push(block.heading, block.content);
+    }
+  }
+  return parts;
+}
+
+// Translations are searchable too, titles included since the title column
+// only holds the English one
+function searchText(data) {
+  const parts = textParts(data);
+  if (data.translations && typeof data.translations === "object") {
+    for (const translation of Object.values(data.translations)) {
+      if (translation) parts.push(translation.title, ...textParts(translation));
+    }
+  }
+  return parts.filter((p) => typeof p === "string" && p.trim()).join("\n");
+}
+
+function contentFields(data) {
+  return {
+    title: String(data.title || "").slice(0, 255),
+    age_min: Number.isInteger(data.ageMin) ? data.ageMin : null,
+    age_max: Number.isInteger(data.ageMax) ? data.ageMax : null,
+    search_text: searchText(data),
+    tags: tagList(data),
+  };
+}
+
+// Search words as both drivers match them: letters/digits, 3+ characters
+// (InnoDB's default minimum full-text token size), lower-cased.
+function searchTerms(q) {
+  const words = String(q || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter((w) => w.length >= 3))];
+}
+
+module.exports = { contentFields, searchTerms };
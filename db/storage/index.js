@@ -0,0 +1,37 @@
+/**
+ * Storage backend, picked by STORAGE_DRIVER:
+ *   mysql  (default) — the real database, configured by DB_* in .env
+ *   memory           — in-process, no external services; data is lost on exit
+ *
+ * Both expose the same repositories (parents, students, guardians,
+ * invitations, admins, streaks, activities, dailySessions, sessions,
+ * loginThrottles, passwordResets, quizAttempts, teachers, classrooms,
+ * assignments, subjects, contentItems,
+ * learningPaths, xp, badges, controls, goals, reportDeliveries,
+ * activitySessions, syncedEvents, reviewCards, notifications, privacy,
+ * deletionRequests, auditLog) plus
+ * transaction(fn), ping() and close().
+ * Route handlers should only ever talk to this module, never to mysql2.
+ */
+const { createMysqlStorage } = require("./mysql");
+const { createMemoryStorage } = require("./memory");
+
+const drivers = {
+  mysql: createMysqlStorage,
+  memory: createMemoryStorage,
+};
+
+function createStorage(driver = process.env.STORAGE_DRIVER || "mysql") {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driver}". Use one of: ${Object.keys(drivers).join(", ")}.`
+    );
+  }
+  return factory();
+}
+
+// The app-wide instance; tests and scripts can build their own with createStorage()
+const storage = createStorage();
+
+module.exports = { storage, createStorage };
@@ -0,0 +1,1660 @@
+const clock = require("../../lib/clock");
+const { contentFields, searchTerms } = require("./content-fields");
+
+// In-process storage with the same repository interface as mysql.js.
+// Used for local development without MySQL and for the test suite. Rows are
+// shaped like mysql2 returns them: DATE columns as "YYYY-MM-DD" strings,
+// TIMESTAMP columns as Date objects, booleans as 1/0.
+
+function emptyState() {
+  return {
+    nextId: {},
+    parents: [],
+    students: [],
+    student_activities: [],
+    daily_sessions: [],
+    sessions: [],
+    login_throttles: [],
+    password_resets: [],
+    quiz_attempts: [],
+    admins: [],
+    subjects: [],
+    content_items: [],
+    learning_paths: [],
+    xp_events: [],
+    student_badges: [],
+    streak_freeze_days: [],
+    streak_credited_days: [],
+    student_controls: [],
+    weekly_goals: [],
+    report_deliveries: [],
+    activity_sessions: [],
+    student_guardians: [],
+    family_invitations: [],
+    deletion_requests: [],
+    audit_log: [],
+    teachers: [],
+    classrooms: [],
+    classroom_students: [],
+    assignments: [],
+    synced_events: [],
+    review_cards: [],
+    notifications: [],
+  };
+}
+
+// Every table with a student_id that cascades from students: what a data
+// export contains and what deleting a student removes
+const STUDENT_TABLES = [
+  "student_activities",
+  "daily_sessions",
+  "activity_sessions",
+  "quiz_attempts",
+  "xp_events",
+  "student_badges",
+  "streak_freeze_days",
+  "streak_credited_days",
+  "student_controls",
+  "weekly_goals",
+  "report_deliveries",
+  "student_guardians",
+  "family_invitations",
+  "classroom_students",
+  "synced_events",
+  "review_cards",
+  "notifications",
+];
+
+function duplicateError(key) {
+  const err = new Error(`Duplicate entry for key '${key}'`);
+  err.code = "ER_DUP_ENTRY";
+  return err;
+}
+
+const copy = (row) => (row ? { ...row } : null);
+
+const pickColumns = (row, columns) =>
+  Object.fromEntries(columns.map((c) => [c, row[c]]));
+
+function repositories(store) {
+  const state = () => store.state;
+
+  function insert(table, row) {
+    const s = state();
+    s.nextId[table] = (s.nextId[table] || 0) + 1;
+    const full = { id: s.nextId[table], ...row };
+    s[table].push(full);
+    return full.id;
+  }
+
+  function assertUniqueEmail(table, email, exceptId) {
+    if (state()[table].some((r) => r.email === email && r.id !== exceptId)) {
+      throw duplicateError(`uq_${table}_email`);
+    }
+  }
+
+  function deleteStudents(predicate) {
+    const s = state();
+    const ids = new Set(s.students.filter(predicate).map((r) => r.id));
+    if (!ids.size) return;
+    s.students = s.students.filter((r) => !ids.has(r.id));
+    // ON DELETE CASCADE
+    for (const table of STUDENT_TABLES) {
+      s[table] = s[table].filter((r) => !ids.has(r.student_id));
+    }
+  }
+
+  function deleteParents(predicate) {
+    const s = state();
+    const ids = new Set(s.parents.filter(predicate).map((p) => p.id));
+    s.parents = s.parents.filter((p) => !ids.has(p.id));
+    // ON DELETE SET NULL
+    for (const st of s.students) {
+      if (ids.has(st.parent_id)) st.parent_id = null;
+    }
+    // ON DELETE CASCADE
+    s.report_deliveries = s.report_deliveries.filter((d) => !ids.has(d.parent_id));
+    s.notifications = s.notifications.filter((n) => !ids.has(n.parent_id));
+    s.student_guardians = s.student_guardians.filter((g) => !ids.has(g.parent_id));
+  }
+
+  const parents = {
+    async findByEmail(email) {
+      return copy(state().parents.find((p) => p.email === email));
+    },
+
+    async findById(id) {
+      return copy(state().parents.find((p) => p.id === Number(id)));
+    },
+
+    async create({ full_name, email, password_hash, timezone }) {
+      assertUniqueEmail("parents", email);
+      return insert("parents", {
+        full_name,
+        email,
+        timezone: timezone ?? null,
+        weekly_report: 0,
+        password_hash,
+        created_at: clock.now(),
+      });
+    },
+
+    async update(id, fields) {
+      const row = state().parents.find((p) => p.id === Number(id));
+      if (!row) return;
+      if (fields.email !== undefined) assertUniqueEmail("parents", fields.email, row.id);
+      Object.assign(row, fields);
+    },
+
+    async deleteByEmails(emails) {
+      deleteParents((p) => emails.includes(p.email));
+    },
+
+    async delete(id) {
+      deleteParents((p) => p.id === Number(id));
+    },
+
+    async listReportRecipients() {
+      return state()
+        .parents.filter((p) => p.weekly_report)
+        .sort((a, b) => a.id - b.id)
+        .map((p) => pickColumns(p, ["id", "full_name", "email", "timezone"]));
+    },
+  };
+
+  const students = {
+    async findByEmail(email) {
+      return copy(state().students.find((s) => s.email === email));
+    },
+
+    async findById(id) {
+      return copy(state().students.find((s) => s.id === Number(id)));
+    },
+
+    // Every child the parent is a guardian of, not only their primary ones
+    async listByParent(parentId) {
+      const ids = new Set(
+        state()
+          .student_guardians.filter((g) => g.parent_id === Number(parentId))
+          .map((g) => g.student_id)
+      );
+      return state()
+        .students.filter((s) => ids.has(s.id))
+        .sort((a, b) => a.id - b.id)
+        .map((s) =>
+          pickColumns(s, [
+            "id",
+            "full_name",
+            "email",
+            "age",
+            "interest",
+            "timezone",
+            "language",
+            "activity_retention_days",
+            "parent_id",
+            "streak_days",
+            "last_streak_date",
+          ])
+        );
+    },
+
+    // parent_id also becomes the child's first student_guardians row
+    async create({ full_name, email, password_hash, age, interest, timezone, parent_id }) {
+      assertUniqueEmail("students", email);
+      const id = insert("students", {
+        full_name,
+        email,
+        password_hash,
+        age,
+        interest: interest ?? null,
+        timezone: timezone ?? null,
+        language: null,
+        activity_retention_days: null,
+        parent_id: parent_id ?? null,
+        streak_days: 0,
+        last_streak_date: null,
+        streak_freezes: 0,
+        created_at: clock.now(),
+      });
+      if (parent_id) await guardians.add(id, parent_id);
+      return id;
+    },
+
+    async update(id, fields) {
+      const row = state().students.find((s) => s.id === Number(id));
+      if (!row) return;
+      if (fields.email !== undefined) assertUniqueEmail("students", fields.email, row.id);
+      Object.assign(row, fields);
+    },
+
+    async timeZone(id) {
+      const student = state().students.find((s) => s.id === Number(id));
+      if (!student) return null;
+      const parent = state().parents.find((p) => p.id === student.parent_id);
+      return student.timezone ?? (parent ? parent.timezone : null) ?? null;
+    },
+
+    async language(id) {
+      const student = state().students.find((s) => s.id === Number(id));
+      return student ? student.language ?? null : null;
+    },
+
+    async deleteByEmails(emails) {
+      deleteStudents((s) => emails.includes(s.email));
+    },
+
+    async delete(id) {
+      deleteStudents((s) => s.id === Number(id));
+    },
+  };
+
+  const guardians = {
+    async add(studentId, parentId) {
+      const s = state();
+      const exists = s.student_guardians.some(
+        (g) => g.student_id === Number(studentId) && g.parent_id === Number(parentId)
+      );
+      if (!exists) {
+        s.student_guardians.push({
+          student_id: Number(studentId),
+          parent_id: Number(parentId),
+          created_at: clock.now(),
+        });
+      }
+    },
+
+    async remove(studentId, parentId) {
+      const s = state();
+      s.student_guardians = s.student_guardians.filter(
+        (g) => !(g.student_id === Number(studentId) && g.parent_id === Number(parentId))
+      );
+    },
+
+    async removeAll(studentId) {
+      const s = state();
+      s.student_guardians = s.student_guardians.filter((g) => g.student_id !== Number(studentId));
+    },
+
+    async isGuardian(studentId, parentId) {
+      return state().student_guardians.some(
+        (g) => g.student_id === Number(studentId) && g.parent_id === Number(parentId)
+      );
+    },
+
+    async listForStudent(studentId) {
+      return state()
+        .student_guardians.filter((g) => g.student_id === Number(studentId))
+        .sort((a, b) => a.created_at - b.created_at || a.parent_id - b.parent_id)
+        .map((g) => state().parents.find((p) => p.id === g.parent_id))
+        .filter(Boolean)
+        .map((p) => pickColumns(p, ["id", "full_name", "email"]));
+    },
+
+    async listCoGuardians(parentId) {
+      const links = state().student_guardians;
+      const children = new Set(
+        links.filter((g) => g.parent_id === Number(parentId)).map((g) => g.student_id)
+      );
+      const others = new Set(
+        links
+          .filter((g) => children.has(g.student_id) && g.parent_id !== Number(parentId))
+          .map((g) => g.parent_id)
+      );
+      return state()
+        .parents.filter((p) => others.has(p.id))
+        .sort((a, b) => a.id - b.id)
+        .map((p) => pickColumns(p, ["id", "full_name", "email"]));
+    },
+  };
+
+  const sameEmail = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+  const isOpen = (i) => i.status === "pending" && i.expires_at > clock.now();
+
+  const invitations = {
+    async create({ kind, from_role, from_id, student_id, email, expires_at }) {
+      return insert("family_invitations", {
+        kind,
+        from_role,
+        from_id: Number(from_id),
+        student_id: student_id ? Number(student_id) : null,
+        email,
+        status: "pending",
+        created_at: clock.now(),
+        expires_at: new Date(expires_at),
+        responded_at: null,
+      });
+    },
+
+    async findById(id) {
+      return copy(state().family_invitations.find((i) => i.id === Number(id)));
+    },
+
+    async findPending({ kind, from_role, from_id, student_id, email }) {
+      return copy(
+        state().family_invitations.find(
+          (i) =>
+            isOpen(i) &&
+            i.kind === kind &&
+            i.from_role === from_role &&
+            i.from_id === Number(from_id) &&
+            i.student_id === (student_id ? Number(student_id) : null) &&
+            sameEmail(i.email, email)
+        )
+      );
+    },
+
+    async listPendingTo(email, kinds) {
+      return state()
+        .family_invitations.filter((i) => isOpen(i) && sameEmail(i.email, email) && kinds.includes(i.kind))
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async listPendingFrom(role, id) {
+      return state()
+        .family_invitations.filter((i) => isOpen(i) && i.from_role === role && i.from_id === Number(id))
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async respond(id, status) {
+      const row = state().family_invitations.find((i) => i.id === Number(id) && i.status === "pending");
+      if (!row) return false;
+      Object.assign(row, { status, responded_at: clock.now() });
+      return true;
+    },
+
+    async deleteInvolving(role, id, email) {
+      const s = state();
+      s.family_invitations = s.family_invitations.filter(
+        (i) => !((i.from_role === role && i.from_id === Number(id)) || i.email === email)
+      );
+    },
+  };
+
+  const streakColumns = ["id", "full_name", "streak_days", "last_streak_date", "streak_freezes"];
+
+  const streaks = {
+    async get(studentId) {
+      const row = state().students.find((s) => s.id === Number(studentId));
+      return row ? pickColumns(row, streakColumns) : null;
+    },
+
+    // Transactions already run one at a time here, so there is nothing to lock
+    async getForUpdate(studentId) {
+      return streaks.get(studentId);
+    },
+
+    async save(studentId, { streak_days, last_streak_date, streak_freezes }) {
+      const row = state().students.find((s) => s.id === Number(studentId));
+      if (row) Object.assign(row, { streak_days, last_streak_date, streak_freezes });
+    },
+
+    async addFrozenDays(studentId, dates) {
+      const s = state();
+      for (const date of dates) {
+        const exists = s.streak_freeze_days.some(
+          (d) => d.student_id === Number(studentId) && d.covered_date === date
+        );
+        if (!exists) {
+          s.streak_freeze_days.push({
+            student_id: Number(studentId),
+            covered_date: date,
+            created_at: clock.now(),
+          });
+        }
+      }
+    },
+
+    // False when the day was already credited
+    async addCreditedDay(studentId, date) {
+      const s = state();
+      const id = Number(studentId);
+      if (s.streak_credited_days.some((d) => d.student_id === id && d.credited_date === date)) {
+        return false;
+      }
+      s.streak_credited_days.push({ student_id: id, credited_date: date, created_at: clock.now() });
+      return true;
+    },
+
+    async creditedDays(studentId) {
+      return state()
+        .streak_credited_days.filter((d) => d.student_id === Number(studentId))
+        .map((d) => d.credited_date)
+        .sort((a, b) => b.localeCompare(a));
+    },
+
+    async listActive(since) {
+      return state()
+        .students.filter((s) => s.streak_days > 0 && s.last_streak_date && s.last_streak_date >= since)
+        .sort((a, b) => a.id - b.id)
+        .map((s) => pickColumns(s, streakColumns));
+    },
+
+    async frozenDays(studentId, limit = Infinity) {
+      return state()
+        .streak_freeze_days.filter((d) => d.student_id === Number(studentId))
+        .map((d) => d.covered_date)
+        .sort((a, b) => b.localeCompare(a))
+        .slice(0, limit);
+    },
+  };
+
+  const activities = {
+    async log({ student_id, activity_type, subject, content_id, content_title, duration_minutes, completed = true, created_at }) {
+      return insert("student_activities", {
+        student_id: Number(student_id),
+        activity_type,
+        subject,
+        content_id: content_id ?? null,
+        content_title: content_title ?? null,
+        duration_minutes,
+        completed: completed ? 1 : 0,
+        created_at: created_at ? new Date(created_at) : clock.now(),
+      });
+    },
+
+    async recent(studentId, limit) {
+      return state()
+        .student_activities.filter((a) => a.student_id === Number(studentId))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(0, limit)
+        .map((a) => pickColumns(a, ["activity_type", "subject", "content_id", "content_title", "created_at"]));
+    },
+
+    async count(studentId) {
+      return state().student_activities.filter((a) => a.student_id === Number(studentId) && a.completed).length;
+    },
+
+    async contentIds(studentId) {
+      const ids = new Set();
+      for (const a of state().student_activities) {
+        if (a.student_id === Number(studentId) && a.content_id !== null && a.completed) ids.add(a.content_id);
+      }
+      return [...ids];
+    },
+
+    async listSince(studentId, since) {
+      return state()
+        .student_activities.filter(
+          (a) => a.student_id === Number(studentId) && a.created_at >= since
+        )
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+        .map((a) => pickColumns(a, ["activity_type", "subject", "duration_minutes", "completed", "created_at"]));
+    },
+
+    async listBetween(studentId, from, to) {
+      return state()
+        .student_activities.filter(
+          (a) => a.student_id === Number(studentId) && a.created_at >= from && a.created_at < to
+        )
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+        .map((a) => pickColumns(a, ["activity_type", "subject", "duration_minutes", "completed", "created_at"]));
+    },
+
+    async completions(studentIds, contentIds) {
+      const students = new Set(studentIds.map(Number));
+      const items = new Set(contentIds.map(Number));
+      const first = new Map();
+      for (const a of state().student_activities) {
+        if (!a.completed || !students.has(a.student_id) || !items.has(a.content_id)) continue;
+        const key = `${a.student_id}:${a.content_id}`;
+        const seen = first.get(key);
+        if (!seen || a.created_at < seen.completed_at) {
+          first.set(key, { student_id: a.student_id, content_id: a.content_id, completed_at: a.created_at });
+        }
+      }
+      return [...first.values()];
+    },
+  };
+
+  const dailySessions = {
+    async addActivity(studentId, sessionDate, { minutes, lessons, videos, games }) {
+      const existing = state().daily_sessions.find(
+        (d) => d.student_id === Number(studentId) && d.session_date === sessionDate
+      );
+      if (existing) {
+        existing.total_minutes += minutes;
+        existing.lessons_count += lessons;
+        existing.videos_count += videos;
+        existing.games_count += games;
+        existing.updated_at = clock.now();
+        return;
+      }
+      insert("daily_sessions", {
+        student_id: Number(studentId),
+        session_date: sessionDate,
+        total_minutes: minutes,
+        lessons_count: lessons,
+        videos_count: videos,
+        games_count: games,
+        created_at: clock.now(),
+        updated_at: clock.now(),
+      });
+    },
+
+    async listSince(studentId, sinceDate) {
+      return state()
+        .daily_sessions.filter(
+          (d) => d.student_id === Number(studentId) && d.session_date >= sinceDate
+        )
+        .sort((a, b) => a.session_date.localeCompare(b.session_date))
+        .map((d) =>
+          pickColumns(d, ["session_date", "total_minutes", "lessons_count", "videos_count", "games_count"])
+        );
+    },
+
+    async get(studentId, sessionDate) {
+      const row = state().daily_sessions.find(
+        (d) => d.student_id === Number(studentId) && d.session_date === sessionDate
+      );
+      return row
+        ? pickColumns(row, ["session_date", "total_minutes", "lessons_count", "videos_count", "games_count"])
+        : null;
+    },
+  };
+
+  const sessions = {
+    async create({ token_hash, role, user_id, expires_at }) {
+      if (state().sessions.some((s) => s.token_hash === token_hash)) {
+        throw duplicateError("PRIMARY");
+      }
+      state().sessions.push({
+        token_hash,
+        role,
+        user_id: Number(user_id),
+        created_at: clock.now(),
+        expires_at: new Date(expires_at),
+      });
+    },
+
+    async findActive(tokenHash) {
+      const row = state().sessions.find(
+        (s) => s.token_hash === tokenHash && s.expires_at > clock.now()
+      );
+      return row ? pickColumns(row, ["role", "user_id", "expires_at"]) : null;
+    },
+
+    async delete(tokenHash) {
+      const s = state();
+      s.sessions = s.sessions.filter((r) => r.token_hash !== tokenHash);
+    },
+
+    async deleteForUser(role, userId) {
+      const s = state();
+      s.sessions = s.sessions.filter(
+        (r) => !(r.role === role && r.user_id === Number(userId))
+      );
+    },
+  };
+
+  const loginThrottles = {
+    async get(key) {
+      const row = state().login_throttles.find((t) => t.throttle_key === key);
+      return row ? pickColumns(row, ["failures", "window_started_at", "locked_until"]) : null;
+    },
+
+    // Nothing awaits between reading and writing the count, so concurrent
+    // attempts each get their own
+    async addFailure(key, { now, windowStart }) {
+      const s = state();
+      let row = s.login_throttles.find((t) => t.throttle_key === key);
+      if (!row) {
+        row = { throttle_key: key, failures: 0, window_started_at: new Date(now), locked_until: null };
+        s.login_throttles.push(row);
+      } else if (row.window_started_at <= windowStart) {
+        Object.assign(row, { failures: 0, window_started_at: new Date(now) });
+      }
+      row.failures += 1;
+      return row.failures;
+    },
+
+    async removeFailure(key) {
+      const row = state().login_throttles.find((t) => t.throttle_key === key);
+      if (row && row.failures > 0) row.failures -= 1;
+    },
+
+    async lock(key, until) {
+      const row = state().login_throttles.find((t) => t.throttle_key === key);
+      if (row) row.locked_until = new Date(until);
+    },
+
+    async clear(key) {
+      const s = state();
+      s.login_throttles = s.login_throttles.filter((t) => t.throttle_key !== key);
+    },
+  };
+
+  const passwordResets = {
+    async create({ token_hash, role, user_id, expires_at }) {
+      if (state().password_resets.some((r) => r.token_hash === token_hash)) {
+        throw duplicateError("PRIMARY");
+      }
+      state().password_resets.push({
+        token_hash,
+        role,
+        user_id: Number(user_id),
+        created_at: clock.now(),
+        expires_at: new Date(expires_at),
+        used_at: null,
+      });
+    },
+
+    async findActive(tokenHash) {
+      const row = state().password_resets.find(
+        (r) => r.token_hash === tokenHash && !r.used_at && r.expires_at > clock.now()
+      );
+      return row ? pickColumns(row, ["role", "user_id", "expires_at"]) : null;
+    },
+
+    async use(tokenHash) {
+      const now = clock.now();
+      const row = state().password_resets.find(
+        (r) => r.token_hash === tokenHash && !r.used_at && r.expires_at > now
+      );
+      if (!row) return false;
+      row.used_at = now;
+      return true;
+    },
+
+    async deleteForUser(role, userId) {
+      const s = state();
+      s.password_resets = s.password_resets.filter(
+        (r) => !(r.role === role && r.user_id === Number(userId))
+      );
+    },
+  };
+
+  const quizAttempts = {
+    async add({ student_id, subject, content_id, lesson_index, lesson_title, question_index, answer_index, is_correct, created_at }) {
+      insert("quiz_attempts", {
+        student_id: Number(student_id),
+        subject,
+        content_id: content_id ?? null,
+        lesson_index,
+        lesson_title: lesson_title ?? null,
+        question_index,
+        answer_index,
+        is_correct: is_correct ? 1 : 0,
+        created_at: created_at ? new Date(created_at) : clock.now(),
+      });
+    },
+
+    async listForStudent(studentId) {
+      return state()
+        .quiz_attempts.filter((a) => a.student_id === Number(studentId))
+        .sort((a, b) => a.id - b.id)
+        .map((a) => pickColumns(a, ["subject", "content_id", "lesson_index", "question_index", "is_correct"]));
+    },
+
+    async listBetween(studentId, from, to) {
+      return state()
+        .quiz_attempts.filter(
+          (a) => a.student_id === Number(studentId) && a.created_at >= from && a.created_at < to
+        )
+        .sort((a, b) => a.id - b.id)
+        .map((a) => pickColumns(a, ["content_id", "is_correct", "created_at"]));
+    },
+  };
+
+  const admins = {
+    async findByEmail(email) {
+      return copy(state().admins.find((a) => a.email === email));
+    },
+
+    async findById(id) {
+      return copy(state().admins.find((a) => a.id === Number(id)));
+    },
+
+    async create({ full_name, email, password_hash }) {
+      assertUniqueEmail("admins", email);
+      return insert("admins", { full_name, email, password_hash, created_at: clock.now() });
+    },
+
+    async update(id, fields) {
+      const row = state().admins.find((a) => a.id === Number(id));
+      if (row) Object.assign(row, fields);
+    },
+  };
+
+  const teachers = {
+    async findByEmail(email) {
+      return copy(state().teachers.find((t) => t.email === email));
+    },
+
+    async findById(id) {
+      return copy(state().teachers.find((t) => t.id === Number(id)));
+    },
+
+    async list() {
+      return state()
+        .teachers.slice()
+        .sort((a, b) => a.full_name.localeCompare(b.full_name) || a.id - b.id)
+        .map((t) => pickColumns(t, ["id", "full_name", "email", "school", "created_at"]));
+    },
+
+    async create({ full_name, email, password_hash, school }) {
+      assertUniqueEmail("teachers", email);
+      return insert("teachers", { full_name, email, password_hash, school: school ?? null, created_at: clock.now() });
+    },
+
+    async update(id, fields) {
+      const row = state().teachers.find((t) => t.id === Number(id));
+      if (row) Object.assign(row, fields);
+    },
+  };
+
+  const classroomColumns = ["id", "teacher_id", "name", "join_code", "created_at"];
+
+  const classrooms = {
+    async create({ teacher_id, name, join_code }) {
+      if (state().classrooms.some((c) => c.join_code === join_code)) {
+        throw duplicateError("uq_classrooms_join_code");
+      }
+      return insert("classrooms", { teacher_id: Number(teacher_id), name, join_code, created_at: clock.now() });
+    },
+
+    async findById(id) {
+      const row = state().classrooms.find((c) => c.id === Number(id));
+      return row ? pickColumns(row, classroomColumns) : null;
+    },
+
+    async findByJoinCode(code) {
+      const row = state().classrooms.find((c) => c.join_code === code);
+      return row ? pickColumns(row, classroomColumns) : null;
+    },
+
+    async listByTeacher(teacherId) {
+      const s = state();
+      return s.classrooms
+        .filter((c) => c.teacher_id === Number(teacherId))
+        .sort((a, b) => a.created_at - b.created_at || a.id - b.id)
+        .map((c) => ({
+          ...pickColumns(c, classroomColumns),
+          student_count: s.classroom_students.filter((m) => m.classroom_id === c.id).length,
+        }));
+    },
+
+    async listForStudent(studentId) {
+      const s = state();
+      return s.classroom_students
+        .filter((m) => m.student_id === Number(studentId))
+        .map((m) => {
+          const c = s.classrooms.find((r) => r.id === m.classroom_id);
+          const teacher = s.teachers.find((t) => t.id === c.teacher_id);
+          return {
+            ...pickColumns(c, classroomColumns),
+            teacher_name: teacher ? teacher.full_name : null,
+            joined_at: m.joined_at,
+          };
+        })
+        .sort((a, b) => a.joined_at - b.joined_at || a.id - b.id);
+    },
+
+    async update(id, fields) {
+      const s = state();
+      if (fields.join_code && s.classrooms.some((c) => c.join_code === fields.join_code && c.id !== Number(id))) {
+        throw duplicateError("uq_classrooms_join_code");
+      }
+      const row = s.classrooms.find((c) => c.id === Number(id));
+      if (row) Object.assign(row, fields);
+    },
+
+    async delete(id) {
+      const s = state();
+      s.classrooms = s.classrooms.filter((c) => c.id !== Number(id));
+      // ON DELETE CASCADE
+      s.classroom_students = s.classroom_students.filter((m) => m.classroom_id !== Number(id));
+      s.assignments = s.assignments.filter((a) => a.classroom_id !== Number(id));
+    },
+
+    async addStudent(classroomId, studentId) {
+      const s = state();
+      const exists = s.classroom_students.some(
+        (m) => m.classroom_id === Number(classroomId) && m.student_id === Number(studentId)
+      );
+      if (exists) return false;
+      s.classroom_students.push({
+        classroom_id: Number(classroomId),
+        student_id: Number(studentId),
+        joined_at: clock.now(),
+      });
+      return true;
+    },
+
+    async removeStudent(classroomId, studentId) {
+      const s = state();
+      const before = s.classroom_students.length;
+      s.classroom_students = s.classroom_students.filter(
+        (m) => !(m.classroom_id === Number(classroomId) && m.student_id === Number(studentId))
+      );
+      return s.classroom_students.length < before;
+    },
+
+    async isMember(classroomId, studentId) {
+      return state().classroom_students.some(
+        (m) => m.classroom_id === Number(classroomId) && m.student_id === Number(studentId)
+      );
+    },
+
+    async listStudents(classroomId) {
+      const s = state();
+      return s.classroom_students
+        .filter((m) => m.classroom_id === Number(classroomId))
+        .map((m) => {
+          const student = s.students.find((st) => st.id === m.student_id);
+          return { id: student.id, full_name: student.full_name, joined_at: m.joined_at };
+        })
+        .sort((a, b) => a.full_name.localeCompare(b.full_name) || a.id - b.id);
+    },
+  };
+
+  const assignmentColumns = ["id", "classroom_id", "content_id", "due_date", "created_at"];
+
+  const assignments = {
+    async create({ classroom_id, content_id, due_date }) {
+      const exists = state().assignments.some(
+        (a) => a.classroom_id === Number(classroom_id) && a.content_id === Number(content_id)
+      );
+      if (exists) throw duplicateError("uq_assignments_item");
+      return insert("assignments", {
+        classroom_id: Number(classroom_id),
+        content_id: Number(content_id),
+        due_date,
+        created_at: clock.now(),
+      });
+    },
+
+    async findById(id) {
+      const row = state().assignments.find((a) => a.id === Number(id));
+      return row ? pickColumns(row, assignmentColumns) : null;
+    },
+
+    async listForClassroom(classroomId) {
+      return state()
+        .assignments.filter((a) => a.classroom_id === Number(classroomId))
+        .sort((a, b) => a.due_date.localeCompare(b.due_date) || a.id - b.id)
+        .map((a) => pickColumns(a, assignmentColumns));
+    },
+
+    async update(id, fields) {
+      const row = state().assignments.find((a) => a.id === Number(id));
+      if (row) Object.assign(row, fields);
+    },
+
+    async delete(id) {
+      const s = state();
+      s.assignments = s.assignments.filter((a) => a.id !== Number(id));
+    },
+  };
+
+  const sameName = (a, b) => a.toLowerCase() === String(b).toLowerCase();
+  const byPosition = (a, b) => a.position - b.position || a.id - b.id;
+
+  const subjects = {
+    async list() {
+      return state()
+        .subjects.slice()
+        .sort(byPosition)
+        .map((s) => pickColumns(s, ["id", "name", "position"]));
+    },
+
+    async findById(id) {
+      const row = state().subjects.find((s) => s.id === Number(id));
+      return row ? pickColumns(row, ["id", "name", "position"]) : null;
+    },
+
+    async findByName(name) {
+      const row = state().subjects.find((s) => sameName(s.name, name));
+      return row ? pickColumns(row, ["id", "name", "position"]) : null;
+    },
+
+    async create({ name, position }) {
+      if (state().subjects.some((s) => sameName(s.name, name))) {
+        throw duplicateError("uq_subjects_name");
+      }
+      return insert("subjects", { name, position, created_at: clock.now() });
+    },
+  };
+
+  const contentColumns = ["id", "subject_id", "format", "position", "published", "data", "created_at", "updated_at"];
+  // data is a JSON column in MySQL; hand out copies so callers can't mutate the store
+  const contentRow = (row) =>
+    row ? { ...pickColumns(row, contentColumns), data: structuredClone(row.data) } : null;
+
+  // Rough stand-in for MySQL's boolean-mode full-text match: every term must
+  // prefix a word; relevance is how many words the terms hit.
+  function relevance(row, terms) {
+    const words = `${row.title}\n${row.search_text}`.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    let hits = 0;
+    for (const term of terms) {
+      const n = words.filter((w) => w.startsWith(term)).length;
+      if (!n) return 0;
+      hits += n;
+    }
+    return hits;
+  }
+
+  const contentItems = {
+    async findById(id) {
+      return contentRow(state().content_items.find((c) => c.id === Number(id)));
+    },
+
+    async list(subjectId, format, { publishedOnly = false } = {}) {
+      return state()
+        .content_items.filter(
+          (c) =>
+            c.subject_id === Number(subjectId) &&
+            c.format === format &&
+            (!publishedOnly || c.published)
+        )
+        .sort(byPosition)
+        .map(contentRow);
+    },
+
+    async search(filters = {}) {
+      const s = state();
+      const subjectOrder = new Map(
+        s.subjects.slice().sort(byPosition).map((sub, i) => [sub.id, i])
+      );
+      const terms = searchTerms(filters.q);
+      const tag = filters.tag ? String(filters.tag).toLowerCase() : null;
+
+      const matches = [];
+      for (const c of s.content_items) {
+        if (filters.publishedOnly && !c.published) continue;
+        if (filters.subjectId && c.subject_id !== Number(filters.subjectId)) continue;
+        if (filters.format && c.format !== filters.format) continue;
+        if (filters.excludeSubjectIds && filters.excludeSubjectIds.includes(c.subject_id)) continue;
+        if (filters.excludeFormats && filters.excludeFormats.includes(c.format)) continue;
+        if (filters.ageFrom != null) {
+          if (c.age_min !== null && c.age_min > filters.ageTo) continue;
+          if (c.age_max !== null && c.age_max < filters.ageFrom) continue;
+        }
+        if (tag && !c.tags.includes(tag)) continue;
+        const score = terms.length ? relevance(c, terms) : 0;
+        if (terms.length && !score) continue;
+        matches.push({ c, score });
+      }
+
+      matches.sort(
+        (a, b) =>
+          b.score - a.score ||
+          subjectOrder.get(a.c.subject_id) - subjectOrder.get(b.c.subject_id) ||
+          a.c.format.localeCompare(b.c.format) ||
+          byPosition(a.c, b.c)
+      );
+
+      const offset = Number(filters.offset) || 0;
+      const limit = Number(filters.limit) || 20;
+      return {
+        rows: matches.slice(offset, offset + limit).map((m) => contentRow(m.c)),
+        total: matches.length,
+      };
+    },
+
+    async create({ subject_id, format, position, published, data }) {
+      return insert("content_items", {
+        subject_id: Number(subject_id),
+        format,
+        position,
+        published: published ? 1 : 0,
+        data: structuredClone(data),
+        ...contentFields(data),
+        created_at: clock.now(),
+        updated_at: clock.now(),
+      });
+    },
+
+    async update(id, fields) {
+      const row = state().content_items.find((c) => c.id === Number(id));
+      if (!row) return;
+      if (fields.data !== undefined) {
+        row.data = structuredClone(fields.data);
+        Object.assign(row, contentFields(fields.data));
+      }
+      if (fields.published !== undefined) row.published = fields.published ? 1 : 0;
+      if (fields.position !== undefined) row.position = fields.position;
+      row.updated_at = clock.now();
+    },
+
+    async delete(id) {
+      const s = state();
+      s.content_items = s.content_items.filter((c) => c.id !== Number(id));
+      // ON DELETE CASCADE
+      s.assignments = s.assignments.filter((a) => a.content_id !== Number(id));
+      s.review_cards = s.review_cards.filter((c) => c.content_id !== Number(id));
+      // ON DELETE SET NULL
+      for (const table of ["student_activities", "quiz_attempts", "xp_events", "activity_sessions"]) {
+        for (const r of s[table]) {
+          if (r.content_id === Number(id)) r.content_id = null;
+        }
+      }
+    },
+  };
+
+  const xp = {
+    async add({ student_id, source, amount, reason, content_id, created_at }) {
+      return insert("xp_events", {
+        student_id: Number(student_id),
+        source,
+        amount,
+        reason,
+        content_id: content_id ?? null,
+        created_at: created_at ? new Date(created_at) : clock.now(),
+      });
+    },
+
+    async total(studentId) {
+      return state()
+        .xp_events.filter((e) => e.student_id === Number(studentId))
+        .reduce((sum, e) => sum + e.amount, 0);
+    },
+
+    async count(studentId, { source, contentId, since } = {}) {
+      return state().xp_events.filter(
+        (e) =>
+          e.student_id === Number(studentId) &&
+          (source === undefined || e.source === source) &&
+          (contentId === undefined || e.content_id === (contentId === null ? null : Number(contentId))) &&
+          (since === undefined || e.created_at >= since)
+      ).length;
+    },
+
+    async recent(studentId, limit) {
+      return state()
+        .xp_events.filter((e) => e.student_id === Number(studentId))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .slice(0, limit)
+        .map((e) => pickColumns(e, ["source", "amount", "reason", "content_id", "created_at"]));
+    },
+  };
+
+  const badges = {
+    async listForStudent(studentId) {
+      return state()
+        .student_badges.filter((b) => b.student_id === Number(studentId))
+        .sort((a, b) => a.awarded_at - b.awarded_at)
+        .map((b) => pickColumns(b, ["badge_key", "awarded_at"]));
+    },
+
+    async award(studentId, badgeKey) {
+      const s = state();
+      const exists = s.student_badges.some(
+        (b) => b.student_id === Number(studentId) && b.badge_key === badgeKey
+      );
+      if (exists) return false;
+      s.student_badges.push({
+        student_id: Number(studentId),
+        badge_key: badgeKey,
+        awarded_at: clock.now(),
+      });
+      return true;
+    },
+  };
+
+  const pathColumns = ["id", "subject_id", "title", "position", "published", "data", "created_at", "updated_at"];
+  const pathRow = (row) =>
+    row ? { ...pickColumns(row, pathColumns), data: structuredClone(row.data) } : null;
+
+  const learningPaths = {
+    async findById(id) {
+      return pathRow(state().learning_paths.find((p) => p.id === Number(id)));
+    },
+
+    async list({ subjectId, publishedOnly = false } = {}) {
+      const s = state();
+      const subjectOrder = new Map(
+        s.subjects.slice().sort(byPosition).map((sub, i) => [sub.id, i])
+      );
+      return s.learning_paths
+        .filter(
+          (p) =>
+            (!subjectId || p.subject_id === Number(subjectId)) &&
+            (!publishedOnly || p.published)
+        )
+        .sort(
+          (a, b) =>
+            subjectOrder.get(a.subject_id) - subjectOrder.get(b.subject_id) ||
+            byPosition(a, b)
+        )
+        .map(pathRow);
+    },
+
+    async create({ subject_id, title, position, published, data }) {
+      return insert("learning_paths", {
+        subject_id: Number(subject_id),
+        title,
+        position,
+        published: published ? 1 : 0,
+        data: structuredClone(data),
+        created_at: clock.now(),
+        updated_at: clock.now(),
+      });
+    },
+
+    async update(id, fields) {
+      const row = state().learning_paths.find((p) => p.id === Number(id));
+      if (!row) return;
+      if (fields.data !== undefined) row.data = structuredClone(fields.data);
+      if (fields.title !== undefined) row.title = fields.title;
+      if (fields.published !== undefined) row.published = fields.published ? 1 : 0;
+      if (fields.position !== undefined) row.position = fields.position;
+      row.updated_at = clock.now();
+    },
+
+    async delete(id) {
+      const s = state();
+      s.learning_paths = s.learning_paths.filter((p) => p.id !== Number(id));
+    },
+  };
+
+  const controls = {
+    async get(studentId) {
+      const row = state().student_controls.find((c) => c.student_id === Number(studentId));
+      return row ? { ...row, rules: structuredClone(row.rules) } : null;
+    },
+
+    async save(studentId, { daily_minute_limit, rules }) {
+      const s = state();
+      const existing = s.student_controls.find((c) => c.student_id === Number(studentId));
+      const values = {
+        daily_minute_limit: daily_minute_limit ?? null,
+        rules: structuredClone(rules),
+        updated_at: clock.now(),
+      };
+      if (existing) {
+        Object.assign(existing, values);
+      } else {
+        s.student_controls.push({ student_id: Number(studentId), ...values });
+      }
+    },
+  };
+
+  const goalColumns = ["id", "student_id", "subject", "format", "metric", "target", "created_at"];
+
+  const goals = {
+    async findById(id) {
+      const row = state().weekly_goals.find((g) => g.id === Number(id));
+      return row ? pickColumns(row, goalColumns) : null;
+    },
+
+    async listForStudent(studentId) {
+      return state()
+        .weekly_goals.filter((g) => g.student_id === Number(studentId))
+        .sort((a, b) => a.id - b.id)
+        .map((g) => pickColumns(g, goalColumns));
+    },
+
+    async create({ student_id, subject, format, metric, target }) {
+      return insert("weekly_goals", {
+        student_id: Number(student_id),
+        subject: subject ?? null,
+        format: format ?? null,
+        metric,
+        target,
+        created_at: clock.now(),
+      });
+    },
+
+    async delete(id) {
+      const s = state();
+      s.weekly_goals = s.weekly_goals.filter((g) => g.id !== Number(id));
+    },
+  };
+
+  const reportDeliveries = {
+    async claim(parentId, studentId, weekStart) {
+      const s = state();
+      const key = (d) =>
+        d.parent_id === Number(parentId) &&
+        d.student_id === Number(studentId) &&
+        d.week_start === weekStart;
+      if (s.report_deliveries.some(key)) return false;
+      s.report_deliveries.push({
+        parent_id: Number(parentId),
+        student_id: Number(studentId),
+        week_start: weekStart,
+        sent_at: clock.now(),
+      });
+      return true;
+    },
+
+    async release(parentId, studentId, weekStart) {
+      const s = state();
+      s.report_deliveries = s.report_deliveries.filter(
+        (d) =>
+          !(
+            d.parent_id === Number(parentId) &&
+            d.student_id === Number(studentId) &&
+            d.week_start === weekStart
+          )
+      );
+    },
+  };
+
+  const activitySessions = {
+    async create({ student_id, activity_type, subject, content_id, content_title, started_at }) {
+      return insert("activity_sessions", {
+        student_id: Number(student_id),
+        content_id: content_id ?? null,
+        activity_type,
+        subject,
+        content_title: content_title ?? null,
+        started_at: new Date(started_at),
+        last_seen_at: new Date(started_at),
+        engaged_seconds: 0,
+        ended_at: null,
+        end_reason: null,
+      });
+    },
+
+    async findById(id) {
+      return copy(state().activity_sessions.find((a) => a.id === Number(id)));
+    },
+
+    async listOpen(studentId) {
+      return state()
+        .activity_sessions.filter((a) => a.student_id === Number(studentId) && !a.ended_at)
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async listStale(before) {
+      return state()
+        .activity_sessions.filter((a) => !a.ended_at && a.last_seen_at < before)
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    // When the student's first session after `after` started, or null
+    async nextStartAfter(studentId, after) {
+      const starts = state()
+        .activity_sessions.filter((a) => a.student_id === Number(studentId) && a.started_at > after)
+        .map((a) => a.started_at);
+      return starts.length ? new Date(Math.min(...starts)) : null;
+    },
+
+    // Both return false when the session had already ended
+    async beat(id, { last_seen_at, engaged_seconds }) {
+      const row = state().activity_sessions.find((a) => a.id === Number(id) && !a.ended_at);
+      if (!row) return false;
+      Object.assign(row, { last_seen_at: new Date(last_seen_at), engaged_seconds });
+      return true;
+    },
+
+    async close(id, { ended_at, end_reason, engaged_seconds }) {
+      const row = state().activity_sessions.find((a) => a.id === Number(id) && !a.ended_at);
+      if (!row) return false;
+      Object.assign(row, { ended_at: new Date(ended_at), end_reason, engaged_seconds });
+      return true;
+    },
+  };
+
+  const syncedEvents = {
+    async add({ student_id, event_id, event_type, occurred_at, received_at }) {
+      const s = state();
+      const id = Number(student_id);
+      if (s.synced_events.some((e) => e.student_id === id && e.event_id === event_id)) return false;
+      s.synced_events.push({
+        student_id: id,
+        event_id,
+        event_type,
+        occurred_at: new Date(occurred_at),
+        received_at: new Date(received_at),
+      });
+      return true;
+    },
+
+    // When the student's first event of this type after `after` happened, or null
+    async nextAfter(studentId, eventType, after) {
+      const times = state()
+        .synced_events.filter(
+          (e) => e.student_id === Number(studentId) && e.event_type === eventType && e.occurred_at > after
+        )
+        .map((e) => e.occurred_at);
+      return times.length ? new Date(Math.min(...times)) : null;
+    },
+  };
+
+  const reviewCardColumns = [
+    "student_id",
+    "content_id",
+    "question_index",
+    "repetitions",
+    "interval_days",
+    "ease",
+    "lapses",
+    "due_date",
+    "last_answered_at",
+    "reviewed_on",
+  ];
+
+  const findCard = (studentId, contentId, questionIndex) =>
+    state().review_cards.find(
+      (c) =>
+        c.student_id === Number(studentId) &&
+        c.content_id === Number(contentId) &&
+        c.question_index === Number(questionIndex)
+    );
+
+  const reviewCards = {
+    async get(studentId, contentId, questionIndex) {
+      const card = findCard(studentId, contentId, questionIndex);
+      return card ? pickColumns(card, reviewCardColumns) : null;
+    },
+
+    async save(card) {
+      const fields = {
+        repetitions: card.repetitions,
+        interval_days: card.interval_days,
+        ease: card.ease,
+        lapses: card.lapses,
+        due_date: card.due_date,
+        last_answered_at: new Date(card.last_answered_at),
+        reviewed_on: card.reviewed_on ?? null,
+      };
+      const existing = findCard(card.student_id, card.content_id, card.question_index);
+      if (existing) {
+        Object.assign(existing, fields);
+        return;
+      }
+      state().review_cards.push({
+        student_id: Number(card.student_id),
+        content_id: Number(card.content_id),
+        question_index: Number(card.question_index),
+        ...fields,
+        created_at: clock.now(),
+      });
+    },
+
+    async listDue(studentId, today) {
+      return state()
+        .review_cards.filter(
+          (c) =>
+            c.student_id === Number(studentId) &&
+            c.due_date <= today &&
+            (!c.reviewed_on || c.reviewed_on < today)
+        )
+        .sort(
+          (a, b) =>
+            (a.repetitions === 0 ? 0 : 1) - (b.repetitions === 0 ? 0 : 1) ||
+            a.due_date.localeCompare(b.due_date) ||
+            a.content_id - b.content_id ||
+            a.question_index - b.question_index
+        )
+        .map((c) => pickColumns(c, reviewCardColumns));
+    },
+
+    async countReviewedOn(studentId, date) {
+      return state().review_cards.filter(
+        (c) => c.student_id === Number(studentId) && c.reviewed_on === date
+      ).length;
+    },
+  };
+
+  const notificationColumns = ["id", "parent_id", "student_id", "type", "message", "details", "created_at", "read_at"];
+  const notificationRow = (n) => ({
+    ...pickColumns(n, notificationColumns),
+    details: n.details && structuredClone(n.details),
+  });
+
+  const notifications = {
+    async add({ parent_id, student_id, type, message, details, dedupe_key, created_at }) {
+      const parentId = Number(parent_id);
+      const taken = dedupe_key && state().notifications.some(
+        (n) => n.parent_id === parentId && n.dedupe_key === dedupe_key
+      );
+      if (taken) return null;
+      return insert("notifications", {
+        parent_id: parentId,
+        student_id: Number(student_id),
+        type,
+        message,
+        details: details ? structuredClone(details) : null,
+        dedupe_key: dedupe_key ?? null,
+        created_at: new Date(created_at),
+        read_at: null,
+      });
+    },
+
+    async findById(id) {
+      const row = state().notifications.find((n) => n.id === Number(id));
+      return row ? notificationRow(row) : null;
+    },
+
+    async list(parentId, { unreadOnly = false, beforeId = null, limit }) {
+      return state()
+        .notifications.filter(
+          (n) =>
+            n.parent_id === Number(parentId) &&
+            (!unreadOnly || !n.read_at) &&
+            (!beforeId || n.id < Number(beforeId))
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(notificationRow);
+    },
+
+    async listAfter(parentId, afterId, limit) {
+      return state()
+        .notifications.filter((n) => n.parent_id === Number(parentId) && n.id > Number(afterId))
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit)
+        .map(notificationRow);
+    },
+
+    async countUnread(parentId) {
+      return state().notifications.filter((n) => n.parent_id === Number(parentId) && !n.read_at).length;
+    },
+
+    async markRead(parentId, ids, at) {
+      const wanted = ids && new Set(ids.map(Number));
+      let changed = 0;
+      for (const n of state().notifications) {
+        if (n.parent_id !== Number(parentId) || n.read_at) continue;
+        if (wanted && !wanted.has(n.id)) continue;
+        n.read_at = new Date(at);
+        changed++;
+      }
+      return changed;
+    },
+
+    async deleteAbout(studentId, parentId = null) {
+      const s = state();
+      s.notifications = s.notifications.filter(
+        (n) => !(n.student_id === Number(studentId) && (!parentId || n.parent_id === Number(parentId)))
+      );
+    },
+
+    async deleteBefore(before) {
+      const s = state();
+      const kept = s.notifications.filter((n) => n.created_at >= before);
+      const removed = s.notifications.length - kept.length;
+      s.notifications = kept;
+      return removed;
+    },
+  };
+
+  const privacy = {
+    async studentRecords(studentId) {
+      return Object.fromEntries(
+        STUDENT_TABLES.map((table) => [
+          table,
+          state()[table].filter((r) => r.student_id === Number(studentId)).map(copy),
+        ])
+      );
+    },
+
+    async listRetention() {
+      return state().students.map((s) => ({
+        student_id: s.id,
+        activity_retention_days: s.activity_retention_days ?? null,
+      }));
+    },
+
+    async purgeActivity(studentId, before, beforeDate) {
+      const s = state();
+      const id = Number(studentId);
+      const old = {
+        student_activities: (r) => r.created_at < before,
+        daily_sessions: (r) => r.session_date < beforeDate,
+        activity_sessions: (r) => r.ended_at && r.started_at < before,
+        quiz_attempts: (r) => r.created_at < before,
+        synced_events: (r) => r.occurred_at < before,
+      };
+      const counts = {};
+      for (const [table, isOld] of Object.entries(old)) {
+        const kept = s[table].filter((r) => r.student_id !== id || !isOld(r));
+        counts[table] = s[table].length - kept.length;
+        s[table] = kept;
+      }
+      return counts;
+    },
+  };
+
+  const deletionRequests = {
+    async create({ subject_role, subject_id, requested_by, delete_after }) {
+      return insert("deletion_requests", {
+        subject_role,
+        subject_id: Number(subject_id),
+        requested_by: Number(requested_by),
+        status: "pending",
+        requested_at: clock.now(),
+        delete_after: new Date(delete_after),
+        closed_at: null,
+      });
+    },
+
+    async findPending(role, id) {
+      return copy(
+        state().deletion_requests.find(
+          (r) => r.subject_role === role && r.subject_id === Number(id) && r.status === "pending"
+        )
+      );
+    },
+
+    async listDue(now) {
+      return state()
+        .deletion_requests.filter((r) => r.status === "pending" && r.delete_after <= now)
+        .sort((a, b) => a.id - b.id)
+        .map(copy);
+    },
+
+    async cancel(id) {
+      return closeDeletionRequest(id, "cancelled");
+    },
+
+    async complete(id) {
+      return closeDeletionRequest(id, "completed");
+    },
+  };
+
+  function closeDeletionRequest(id, status) {
+    const row = state().deletion_requests.find((r) => r.id === Number(id) && r.status === "pending");
+    if (!row) return false;
+    Object.assign(row, { status, closed_at: clock.now() });
+    return true;
+  }
+
+  const auditLog = {
+    async add({ action, actor_role, actor_id, subject_role, subject_id, details }) {
+      insert("audit_log", {
+        action,
+        actor_role,
+        actor_id: actor_id ?? null,
+        subject_role,
+        subject_id: Number(subject_id),
+        details: details ? structuredClone(details) : null,
+        created_at: clock.now(),
+      });
+    },
+
+    async list({ subject_role, subject_id, limit }) {
+      return state()
+        .audit_log.filter(
+          (e) => !subject_role || (e.subject_role === subject_role && e.subject_id === Number(subject_id))
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map((e) => ({ ...e, details: e.details && structuredClone(e.details) }));
+    },
+  };
+
+  return {
+    parents,
+    students,
+    guardians,
+    invitations,
+    streaks,
+    activities,
+    dailySessions,
+    sessions,
+    loginThrottles,
+    passwordResets,
+    quizAttempts,
+    admins,
+    teachers,
+    classrooms,
+    assignments,
+    subjects,
+    contentItems,
+    learningPaths,
+    xp,
+    badges,
+    controls,
+    goals,
+    reportDeliveries,
+    activitySessions,
+    syncedEvents,
+    reviewCards,
+    notifications,
+    privacy,
+    deletionRequests,
+    auditLog,
+  };
+}
+
+// -------------------- STORAGE --------------------
+
+function createMemoryStorage() {
+  const store = { state: emptyState() };
+  // Transactions run one at a time so a rollback can't undo another
+  // transaction's writes.
+  let queue = Promise.resolve();
+
+  return {
+    driver: "memory",
+    ...repositories(store),
+
+    /**
+     * Runs fn against the live state and restores a snapshot if it throws —
+     * enough to exercise rollback paths the way MySQL would.
+     */
+    transaction(fn) {
+      const run = async () => {
+        const snapshot = structuredClone(store.state);
+        try {
+          return await fn(repositories(store));
+        } catch (err) {
+          store.state = snapshot;
+          throw err;
+        }
+      };
+      const result = queue.then(run, run);
+      queue = result.catch(() => {});
+      return result;
+    },
+
+    // Drops every row; handy between tests.
+    reset() {
+      store.state = emptyState();
+    },
+
+    async ping() {},
+
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,1759 @@
+const mysql = require("mysql2/promise");
+const clock = require("../../lib/clock");
+const { contentFields, searchTerms } = require("./content-fields");
+
+// -------------------- REPOSITORIES --------------------
+// Each factory takes anything with execute()/query(): the pool for one-off
+// calls, or a single connection inside transaction().
+
+function setClause(fields) {
+  const columns = Object.keys(fields);
+  return {
+    sql: columns.map((c) => `${c} = ?`).join(", "),
+    values: columns.map((c) => fields[c]),
+  };
+}
+
+function parentsRepo(db) {
+  return {
+    async findByEmail(email) {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, email, timezone, weekly_report, password_hash FROM parents WHERE email = ?",
+        [email]
+      );
+      return rows[0] || null;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, email, timezone, weekly_report, password_hash FROM parents WHERE id = ?",
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    async create({ full_name, email, password_hash, timezone }) {
+      const [result] = await db.execute(
+        "INSERT INTO parents (full_name, email, password_hash, timezone) VALUES (?, ?, ?, ?)",
+        [full_name, email, password_hash, timezone ?? null]
+      );
+      return result.insertId;
+    },
+
+    async update(id, fields) {
+      if (!Object.keys(fields).length) return;
+      const set = setClause(fields);
+      await db.execute(`UPDATE parents SET ${set.sql} WHERE id = ?`, [
+        ...set.values,
+        id,
+      ]);
+    },
+
+    async deleteByEmails(emails) {
+      if (!emails.length) return;
+      await db.query("DELETE FROM parents WHERE email IN (?)", [emails]);
+    },
+
+    // Their children's parent_id becomes NULL; guardian links and report
+    // deliveries go with them
+    async delete(id) {
+      await db.execute("DELETE FROM parents WHERE id = ?", [id]);
+    },
+
+    // Parents who opted in to the weekly report email
+    async listReportRecipients() {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, email, timezone FROM parents WHERE weekly_report = TRUE ORDER BY id ASC"
+      );
+      return rows;
+    },
+  };
+}
+
+const STUDENT_COLUMNS =
+  "id, full_name, email, password_hash, age, interest, timezone, language, activity_retention_days, parent_id, streak_days, last_streak_date";
+
+function studentsRepo(db) {
+  return {
+    async findByEmail(email) {
+      const [rows] = await db.execute(
+        `SELECT ${STUDENT_COLUMNS} FROM students WHERE email = ?`,
+        [email]
+      );
+      return rows[0] || null;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(
+        `SELECT ${STUDENT_COLUMNS} FROM students WHERE id = ?`,
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    // Every child the parent is a guardian of, not only their primary ones
+    async listByParent(parentId) {
+      const [rows] = await db.execute(
+        `SELECT s.id, s.full_name, s.email, s.age, s.interest, s.timezone, s.language, s.activity_retention_days,
+                s.parent_id, s.streak_days, s.last_streak_date
+         FROM student_guardians g
+         JOIN students s ON s.id = g.student_id
+         WHERE g.parent_id = ?
+         ORDER BY s.id ASC`,
+        [parentId]
+      );
+      return rows;
+    },
+
+    // parent_id also becomes the child's first student_guardians row
+    async create({ full_name, email, password_hash, age, interest, timezone, parent_id }) {
+      const [result] = await db.execute(
+        "INSERT INTO students (full_name, email, password_hash, age, interest, timezone, parent_id, streak_days, last_streak_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [full_name, email, password_hash, age, interest ?? null, timezone ?? null, parent_id ?? null, 0, null]
+      );
+      if (parent_id) {
+        await db.execute(
+          "INSERT INTO student_guardians (student_id, parent_id) VALUES (?, ?)",
+          [result.insertId, parent_id]
+        );
+      }
+      return result.insertId;
+    },
+
+    // The student's own timezone, else their parent's; null when neither is set
+    async timeZone(id) {
+      const [rows] = await db.execute(
+        `SELECT COALESCE(s.timezone, p.timezone) AS timezone
+         FROM students s
+         LEFT JOIN parents p ON p.id = s.parent_id
+         WHERE s.id = ?`,
+        [id]
+      );
+      return rows[0] ? rows[0].timezone : null;
+    },
+
+    // null when the student hasn't picked one
+    async language(id) {
+      const [rows] = await db.execute("SELECT language FROM students WHERE id = ?", [id]);
+      return rows[0] ? rows[0].language : null;
+    },
+
+    async update(id, fields) {
+      if (!Object.keys(fields).length) return;
+      const set = setClause(fields);
+      await db.execute(`UPDATE students SET ${set.sql} WHERE id = ?`, [
+        ...set.values,
+        id,
+      ]);
+    },
+
+    async deleteByEmails(emails) {
+      if (!emails.length) return;
+      await db.query("DELETE FROM students WHERE email IN (?)", [emails]);
+    },
+
+    // Everything in STUDENT_TABLES goes with it (ON DELETE CASCADE)
+    async delete(id) {
+      await db.execute("DELETE FROM students WHERE id = ?", [id]);
+    },
+  };
+}
+
+function streaksRepo(db) {
+  return {
+    async get(studentId) {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, streak_days, last_streak_date, streak_freezes FROM students WHERE id = ?",
+        [studentId]
+      );
+      return rows[0] || null;
+    },
+
+    // Locks the row until the surrounding transaction ends, so two requests
+    // can't both advance the same streak or spend the same freeze
+    async getForUpdate(studentId) {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, streak_days, last_streak_date, streak_freezes FROM students WHERE id = ? FOR UPDATE",
+        [studentId]
+      );
+      return rows[0] || null;
+    },
+
+    async save(studentId, { streak_days, last_streak_date, streak_freezes }) {
+      await db.execute(
+        "UPDATE students SET streak_days = ?, last_streak_date = ?, streak_freezes = ? WHERE id = ?",
+        [streak_days, last_streak_date, streak_freezes, studentId]
+      );
+    },
+
+    async addFrozenDays(studentId, dates) {
+      for (const date of dates) {
+        await db.execute(
+          "INSERT IGNORE INTO streak_freeze_days (student_id, covered_date) VALUES (?, ?)",
+          [studentId, date]
+        );
+      }
+    },
+
+    // False when the day was already credited
+    async addCreditedDay(studentId, date) {
+      const [result] = await db.execute(
+        "INSERT IGNORE INTO streak_credited_days (student_id, credited_date) VALUES (?, ?)",
+        [studentId, date]
+      );
+      return result.affectedRows === 1;
+    },
+
+    // Most recent first
+    async creditedDays(studentId) {
+      const [rows] = await db.execute(
+        `SELECT credited_date FROM streak_credited_days
+         WHERE student_id = ?
+         ORDER BY credited_date DESC`,
+        [studentId]
+      );
+      return rows.map((r) => r.credited_date);
+    },
+
+    // Students with a streak still going whose last counted day is on or
+    // after `since`, for the streak-ending warning
+    async listActive(since) {
+      const [rows] = await db.execute(
+        `SELECT id, full_name, streak_days, last_streak_date, streak_freezes FROM students
+         WHERE streak_days > 0 AND last_streak_date >= ? ORDER BY id ASC`,
+        [since]
+      );
+      return rows;
+    },
+
+    // Most recent first; every one without a limit
+    async frozenDays(studentId, limit) {
+      const [rows] = await db.execute(
+        `SELECT covered_date FROM streak_freeze_days
+         WHERE student_id = ?
+         ORDER BY covered_date DESC
+         ${limit === undefined ? "" : `LIMIT ${Number(limit)}`}`,
+        [studentId]
+      );
+      return rows.map((r) => r.covered_date);
+    },
+  };
+}
+
+function activitiesRepo(db) {
+  return {
+    async log({ student_id, activity_type, subject, content_id, content_title, duration_minutes, completed = true, created_at }) {
+      const [result] = await db.execute(
+        `INSERT INTO student_activities
+         (student_id, activity_type, subject, content_id, content_title, duration_minutes, completed, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          student_id,
+          activity_type,
+          subject,
+          content_id ?? null,
+          content_title ?? null,
+          duration_minutes,
+          Boolean(completed),
+          created_at || clock.now(),
+        ]
+      );
+      return result.insertId;
+    },
+
+    async recent(studentId, limit) {
+      const [rows] = await db.execute(
+        `SELECT activity_type, subject, content_id, content_title, created_at
+         FROM student_activities
+         WHERE student_id = ?
+         ORDER BY created_at DESC
+         LIMIT ${Number(limit)}`,
+        [studentId]
+      );
+      return rows;
+    },
+
+    // Finished activities only
+    async count(studentId) {
+      const [[row]] = await db.execute(
+        "SELECT COUNT(*) AS total FROM student_activities WHERE student_id = ? AND completed = TRUE",
+        [studentId]
+      );
+      return Number(row.total);
+    },
+
+    // Every content item the student has finished an activity for
+    async contentIds(studentId) {
+      const [rows] = await db.execute(
+        `SELECT DISTINCT content_id
+         FROM student_activities
+         WHERE student_id = ? AND content_id IS NOT NULL AND completed = TRUE`,
+        [studentId]
+      );
+      return rows.map((r) => r.content_id);
+    },
+
+    // Each activity since an instant, oldest first; used for weekly goals
+    async listSince(studentId, since) {
+      const [rows] = await db.execute(
+        `SELECT activity_type, subject, duration_minutes, completed, created_at
+         FROM student_activities
+         WHERE student_id = ? AND created_at >= ?
+         ORDER BY created_at ASC, id ASC`,
+        [studentId, since]
+      );
+      return rows;
+    },
+
+    // Each activity in [from, to), oldest first; used for analytics and reports
+    async listBetween(studentId, from, to) {
+      const [rows] = await db.execute(
+        `SELECT activity_type, subject, duration_minutes, created_at
+         FROM student_activities
+         WHERE student_id = ? AND created_at >= ? AND created_at < ?
+         ORDER BY created_at ASC, id ASC`,
+        [studentId, from, to]
+      );
+      return rows;
+    },
+  
+    // When each student first completed each item: [{ student_id, content_id, completed_at }]
+    async completions(studentIds, contentIds) {
+      if (!studentIds.length || !contentIds.length) return [];
+      const [rows] = await db.query(
+        `SELECT student_id, content_id, MIN(created_at) AS completed_at
+         FROM student_activities
+         WHERE student_id IN (?) AND content_id IN (?) AND completed = TRUE
+         GROUP BY student_id, content_id`,
+        [studentIds, contentIds]
+      );
+      return rows;
+    },
+  };
+}
+
+function dailySessionsRepo(db) {
+  return {
+    async addActivity(studentId, sessionDate, { minutes, lessons, videos, games }) {
+      await db.execute(
+        `INSERT INTO daily_sessions
+         (student_id, session_date, total_minutes, lessons_count, videos_count, games_count)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           total_minutes = total_minutes + VALUES(total_minutes),
+           lessons_count = lessons_count + VALUES(lessons_count),
+           videos_count = videos_count + VALUES(videos_count),
+           games_count = games_count + VALUES(games_count),
+           updated_at = CURRENT_TIMESTAMP`,
+        [studentId, sessionDate, minutes, lessons, videos, games]
+      );
+    },
+
+    // sinceDate is a "YYYY-MM-DD" day in the student's timezone, as session_date is
+    async listSince(studentId, sinceDate) {
+      const [rows] = await db.execute(
+        `SELECT session_date, total_minutes, lessons_count, videos_count, games_count
+         FROM daily_sessions
+         WHERE student_id = ? AND session_date >= ?
+         ORDER BY session_date ASC`,
+        [studentId, sinceDate]
+      );
+      return rows;
+    },
+
+    async get(studentId, sessionDate) {
+      const [rows] = await db.execute(
+        `SELECT session_date, total_minutes, lessons_count, videos_count, games_count
+         FROM daily_sessions
+         WHERE student_id = ? AND session_date = ?`,
+        [studentId, sessionDate]
+      );
+      return rows[0] || null;
+    },
+  };
+}
+
+function sessionsRepo(db) {
+  return {
+    async create({ token_hash, role, user_id, expires_at }) {
+      await db.execute(
+        "INSERT INTO sessions (token_hash, role, user_id, expires_at) VALUES (?, ?, ?, ?)",
+        [token_hash, role, user_id, expires_at]
+      );
+    },
+
+    async findActive(tokenHash) {
+      const [rows] = await db.execute(
+        "SELECT role, user_id, expires_at FROM sessions WHERE token_hash = ? AND expires_at > ?",
+        [tokenHash, clock.now()]
+      );
+      return rows[0] || null;
+    },
+
+    async delete(tokenHash) {
+      await db.execute("DELETE FROM sessions WHERE token_hash = ?", [tokenHash]);
+    },
+
+    async deleteForUser(role, userId) {
+      await db.execute("DELETE FROM sessions WHERE role = ? AND user_id = ?", [
+        role,
+        userId,
+      ]);
+    },
+  };
+}
+
+// See lib/throttle.js
+function loginThrottlesRepo(db) {
+  return {
+    async get(key) {
+      const [rows] = await db.execute(
+        "SELECT failures, window_started_at, locked_until FROM login_throttles WHERE throttle_key = ?",
+        [key]
+      );
+      return rows[0] || null;
+    },
+
+    // Counts one failure in a single statement, starting a new window when
+    // the last began at or before windowStart, and returns the count this
+    // call made. LAST_INSERT_ID(expr) hands the updated count back in
+    // insertId; a new row leaves it 0.
+    async addFailure(key, { now, windowStart }) {
+      const [result] = await db.execute(
+        `INSERT INTO login_throttles (throttle_key, failures, window_started_at)
+         VALUES (?, 1, ?)
+         ON DUPLICATE KEY UPDATE
+           failures = LAST_INSERT_ID(IF(window_started_at <= ?, 1, failures + 1)),
+           window_started_at = IF(window_started_at <= ?, VALUES(window_started_at), window_started_at)`,
+        [key, now, windowStart, windowStart]
+      );
+      return result.insertId || 1;
+    },
+
+    async removeFailure(key) {
+      await db.execute(
+        "UPDATE login_throttles SET failures = failures - 1 WHERE throttle_key = ? AND failures > 0",
+        [key]
+      );
+    },
+
+    async lock(key, until) {
+      await db.execute("UPDATE login_throttles SET locked_until = ? WHERE throttle_key = ?", [until, key]);
+    },
+
+    async clear(key) {
+      await db.execute("DELETE FROM login_throttles WHERE throttle_key = ?", [key]);
+    },
+  };
+}
+
+function passwordResetsRepo(db) {
+  return {
+    async create({ token_hash, role, user_id, expires_at }) {
+      await db.execute(
+        "INSERT INTO password_resets (token_hash, role, user_id, expires_at) VALUES (?, ?, ?, ?)",
+        [token_hash, role, user_id, expires_at]
+      );
+    },
+
+    // Unused and unexpired
+    async findActive(tokenHash) {
+      const [rows] = await db.execute(
+        `SELECT role, user_id, expires_at FROM password_resets
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?`,
+        [tokenHash, clock.now()]
+      );
+      return rows[0] || null;
+    },
+
+    // Marks the token used; false if it already was (or has expired), so
+    // only one request can spend it
+    async use(tokenHash) {
+      const now = clock.now();
+      const [result] = await db.execute(
+        `UPDATE password_resets SET used_at = ?
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?`,
+        [now, tokenHash, now]
+      );
+      return result.affectedRows === 1;
+    },
+
+    async deleteForUser(role, userId) {
+      await db.execute("DELETE FROM password_resets WHERE role = ? AND user_id = ?", [
+        role,
+        userId,
+      ]);
+    },
+  };
+}
+
+function quizAttemptsRepo(db) {
+  return {
+    async add({ student_id, subject, content_id, lesson_index, lesson_title, question_index, answer_index, is_correct, created_at }) {
+      await db.execute(
+        `INSERT INTO quiz_attempts
+         (student_id, subject, content_id, lesson_index, lesson_title, question_index, answer_index, is_correct, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          student_id,
+          subject,
+          content_id ?? null,
+          lesson_index,
+          lesson_title ?? null,
+          question_index,
+          answer_index,
+          is_correct,
+          created_at || clock.now(),
+        ]
+      );
+    },
+
+    // Oldest first, which is what lib/quiz.js computeMastery expects
+    async listForStudent(studentId) {
+      const [rows] = await db.execute(
+        `SELECT subject, content_id, lesson_index, question_index, is_correct
+         FROM quiz_attempts
+         WHERE student_id = ?
+         ORDER BY id ASC`,
+        [studentId]
+      );
+      return rows;
+    },
+
+    // Answers given in [from, to), oldest first
+    async listBetween(studentId, from, to) {
+      const [rows] = await db.execute(
+        `SELECT content_id, is_correct, created_at
+         FROM quiz_attempts
+         WHERE student_id = ? AND created_at >= ? AND created_at < ?
+         ORDER BY id ASC`,
+        [studentId, from, to]
+      );
+      return rows;
+    },
+  };
+}
+
+function adminsRepo(db) {
+  return {
+    async findByEmail(email) {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, email, password_hash FROM admins WHERE email = ?",
+        [email]
+      );
+      return rows[0] || null;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, email, password_hash FROM admins WHERE id = ?",
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    async create({ full_name, email, password_hash }) {
+      const [result] = await db.execute(
+        "INSERT INTO admins (full_name, email, password_hash) VALUES (?, ?, ?)",
+        [full_name, email, password_hash]
+      );
+      return result.insertId;
+    },
+
+    async update(id, fields) {
+      if (!Object.keys(fields).length) return;
+      const set = setClause(fields);
+      await db.execute(`UPDATE admins SET ${set.sql} WHERE id = ?`, [
+        ...set.values,
+        id,
+      ]);
+    },
+  };
+}
+
+const TEACHER_COLUMNS = "id, full_name, email, password_hash, school, created_at";
+
+function teachersRepo(db) {
+  return {
+    async findByEmail(email) {
+      const [rows] = await db.execute(`SELECT ${TEACHER_COLUMNS} FROM teachers WHERE email = ?`, [email]);
+      return rows[0] || null;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(`SELECT ${TEACHER_COLUMNS} FROM teachers WHERE id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async list() {
+      const [rows] = await db.execute(
+        "SELECT id, full_name, email, school, created_at FROM teachers ORDER BY full_name ASC, id ASC"
+      );
+      return rows;
+    },
+
+    async create({ full_name, email, password_hash, school }) {
+      const [result] = await db.execute(
+        "INSERT INTO teachers (full_name, email, password_hash, school) VALUES (?, ?, ?, ?)",
+        [full_name, email, password_hash, school ?? null]
+      );
+      return result.insertId;
+    },
+
+    async update(id, fields) {
+      if (!Object.keys(fields).length) return;
+      const set = setClause(fields);
+      await db.execute(`UPDATE teachers SET ${set.sql} WHERE id = ?`, [...set.values, id]);
+    },
+  };
+}
+
+function subjectsRepo(db) {
+  return {
+    async list() {
+      const [rows] = await db.execute(
+        "SELECT id, name, position FROM subjects ORDER BY position ASC, id ASC"
+      );
+      return rows;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(
+        "SELECT id, name, position FROM subjects WHERE id = ?",
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    // Case-insensitive, like the table's default collation
+    async findByName(name) {
+      const [rows] = await db.execute(
+        "SELECT id, name, position FROM subjects WHERE name = ?",
+        [name]
+      );
+      return rows[0] || null;
+    },
+
+    async create({ name, position }) {
+      const [result] = await db.execute(
+        "INSERT INTO subjects (name, position) VALUES (?, ?)",
+        [name, position]
+      );
+      return result.insertId;
+    },
+  };
+}
+
+const CONTENT_COLUMNS =
+  "c.id, c.subject_id, c.format, c.position, c.published, c.data, c.created_at, c.updated_at";
+
+function contentItemsRepo(db) {
+  // Keeps the derived search columns and content_tags in step with data
+  async function writeDerived(id, data) {
+    const f = contentFields(data);
+    await db.execute(
+      "UPDATE content_items SET title = ?, age_min = ?, age_max = ?, search_text = ? WHERE id = ?",
+      [f.title, f.age_min, f.age_max, f.search_text, id]
+    );
+    await db.execute("DELETE FROM content_tags WHERE content_id = ?", [id]);
+    for (const tag of f.tags) {
+      await db.execute("INSERT INTO content_tags (content_id, tag) VALUES (?, ?)", [id, tag]);
+    }
+  }
+
+  return {
+    async findById(id) {
+      const [rows] = await db.execute(
+        `SELECT ${CONTENT_COLUMNS} FROM content_items c WHERE c.id = ?`,
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    // Items of one format in a subject, in display order
+    async list(subjectId, format, { publishedOnly = false } = {}) {
+      const [rows] = await db.execute(
+        `SELECT ${CONTENT_COLUMNS}
+         FROM content_items c
+         WHERE c.subject_id = ? AND c.format = ? ${publishedOnly ? "AND c.published = TRUE" : ""}
+         ORDER BY c.position ASC, c.id ASC`,
+        [subjectId, format]
+      );
+      return rows;
+    },
+
+    /**
+     * Filtered, paged listing across subjects. Every filter is optional:
+     * { subjectId, format, ageFrom, ageTo, tag, q, publishedOnly, limit, offset }
+     * Items with no age range match any age. With q, every search word must
+     * appear (as a word prefix) and results are ordered by relevance.
+     * Returns { rows, total }.
+     */
+    async search(filters = {}) {
+      const where = [];
+      const params = [];
+
+      if (filters.publishedOnly) where.push("c.published = TRUE");
+      if (filters.subjectId) {
+        where.push("c.subject_id = ?");
+        params.push(filters.subjectId);
+      }
+      if (filters.format) {
+        where.push("c.format = ?");
+        params.push(filters.format);
+      }
+      // Parent controls: subjects and formats the student may not see
+      if (filters.excludeSubjectIds && filters.excludeSubjectIds.length) {
+        where.push("c.subject_id NOT IN (?)");
+        params.push(filters.excludeSubjectIds);
+      }
+      if (filters.excludeFormats && filters.excludeFormats.length) {
+        where.push("c.format NOT IN (?)");
+        params.push(filters.excludeFormats);
+      }
+      if (filters.ageFrom != null) {
+        where.push("(c.age_min IS NULL OR c.age_min <= ?) AND (c.age_max IS NULL OR c.age_max >= ?)");
+        params.push(filters.ageTo, filters.ageFrom);
+      }
+      if (filters.tag) {
+        where.push("EXISTS (SELECT 1 FROM content_tags t WHERE t.content_id = c.id AND t.tag = ?)");
+        params.push(String(filters.tag).toLowerCase());
+      }
+
+      const terms = searchTerms(filters.q);
+      const match = "MATCH(c.title, c.search_text) AGAINST (? IN BOOLEAN MODE)";
+      const boolean = terms.map((t) => `+${t}*`).join(" ");
+      if (terms.length) {
+        where.push(match);
+        params.push(boolean);
+      }
+
+      const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+      const [[{ total }]] = await db.query(
+        `SELECT COUNT(*) AS total FROM content_items c ${whereSql}`,
+        params
+      );
+
+      const [rows] = await db.query(
+        `SELECT ${CONTENT_COLUMNS}
+         FROM content_items c
+         JOIN subjects s ON s.id = c.subject_id
+         ${whereSql}
+         ORDER BY ${terms.length ? `${match} DESC, ` : ""}s.position, s.id, c.format, c.position, c.id
+         LIMIT ? OFFSET ?`,
+        [
+          ...params,
+          ...(terms.length ? [boolean] : []),
+          Number(filters.limit) || 20,
+          Number(filters.offset) || 0,
+        ]
+      );
+      return { rows, total: Number(total) };
+    },
+
+    async create({ subject_id, format, position, published, data }) {
+      const [result] = await db.execute(
+        "INSERT INTO content_items (subject_id, format, position, published, data) VALUES (?, ?, ?, ?, ?)",
+        [subject_id, format, position, Boolean(published), JSON.stringify(data)]
+      );
+      await writeDerived(result.insertId, data);
+      return result.insertId;
+    },
+
+    async update(id, fields) {
+      const values = { ...fields };
+      if (values.data !== undefined) values.data = JSON.stringify(values.data);
+      if (values.published !== undefined) values.published = Boolean(values.published);
+      if (!Object.keys(values).length) return;
+      const set = setClause(values);
+      await db.execute(`UPDATE content_items SET ${set.sql} WHERE id = ?`, [
+        ...set.values,
+        id,
+      ]);
+      if (fields.data !== undefined) await writeDerived(id, fields.data);
+    },
+
+    async delete(id) {
+      await db.execute("DELETE FROM content_items WHERE id = ?", [id]);
+    },
+  };
+}
+
+function xpRepo(db) {
+  return {
+    async add({ student_id, source, amount, reason, content_id, created_at }) {
+      const [result] = await db.execute(
+        `INSERT INTO xp_events (student_id, source, amount, reason, content_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [student_id, source, amount, reason, content_id ?? null, created_at || clock.now()]
+      );
+      return result.insertId;
+    },
+
+    async total(studentId) {
+      const [[row]] = await db.execute(
+        "SELECT COALESCE(SUM(amount), 0) AS total FROM xp_events WHERE student_id = ?",
+        [studentId]
+      );
+      return Number(row.total);
+    },
+
+    /**
+     * How many ledger rows match. Filters are optional:
+     * { source, contentId (null matches rows without one), since }
+     */
+    async count(studentId, { source, contentId, since } = {}) {
+      const where = ["student_id = ?"];
+      const params = [studentId];
+      if (source !== undefined) {
+        where.push("source = ?");
+        params.push(source);
+      }
+      if (contentId !== undefined) {
+        where.push("content_id <=> ?");
+        params.push(contentId);
+      }
+      if (since !== undefined) {
+        where.push("created_at >= ?");
+        params.push(since);
+      }
+      const [[row]] = await db.execute(
+        `SELECT COUNT(*) AS total FROM xp_events WHERE ${where.join(" AND ")}`,
+        params
+      );
+      return Number(row.total);
+    },
+
+    async recent(studentId, limit) {
+      const [rows] = await db.execute(
+        `SELECT source, amount, reason, content_id, created_at
+         FROM xp_events
+         WHERE student_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT ${Number(limit)}`,
+        [studentId]
+      );
+      return rows;
+    },
+  };
+}
+
+function badgesRepo(db) {
+  return {
+    async listForStudent(studentId) {
+      const [rows] = await db.execute(
+        "SELECT badge_key, awarded_at FROM student_badges WHERE student_id = ? ORDER BY awarded_at ASC",
+        [studentId]
+      );
+      return rows;
+    },
+
+    // Returns false when the student already had it
+    async award(studentId, badgeKey) {
+      const [result] = await db.execute(
+        "INSERT IGNORE INTO student_badges (student_id, badge_key, awarded_at) VALUES (?, ?, ?)",
+        [studentId, badgeKey, clock.now()]
+      );
+      return result.affectedRows === 1;
+    },
+  };
+}
+
+const PATH_COLUMNS =
+  "p.id, p.subject_id, p.title, p.position, p.published, p.data, p.created_at, p.updated_at";
+
+function learningPathsRepo(db) {
+  return {
+    async findById(id) {
+      const [rows] = await db.execute(
+        `SELECT ${PATH_COLUMNS} FROM learning_paths p WHERE p.id = ?`,
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    // Paths in display order: by subject, then position within the subject
+    async list({ subjectId, publishedOnly = false } = {}) {
+      const where = [];
+      const params = [];
+      if (subjectId) {
+        where.push("p.subject_id = ?");
+        params.push(subjectId);
+      }
+      if (publishedOnly) where.push("p.published = TRUE");
+
+      const [rows] = await db.execute(
+        `SELECT ${PATH_COLUMNS}
+         FROM learning_paths p
+         JOIN subjects s ON s.id = p.subject_id
+         ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+         ORDER BY s.position, s.id, p.position, p.id`,
+        params
+      );
+      return rows;
+    },
+
+    async create({ subject_id, title, position, published, data }) {
+      const [result] = await db.execute(
+        "INSERT INTO learning_paths (subject_id, title, position, published, data) VALUES (?, ?, ?, ?, ?)",
+        [subject_id, title, position, Boolean(published), JSON.stringify(data)]
+      );
+      return result.insertId;
+    },
+
+    async update(id, fields) {
+      const values = { ...fields };
+      if (values.data !== undefined) values.data = JSON.stringify(values.data);
+      if (values.published !== undefined) values.published = Boolean(values.published);
+      if (!Object.keys(values).length) return;
+      const set = setClause(values);
+      await db.execute(`UPDATE learning_paths SET ${set.sql} WHERE id = ?`, [
+        ...set.values,
+        id,
+      ]);
+    },
+
+    async delete(id) {
+      await db.execute("DELETE FROM learning_paths WHERE id = ?", [id]);
+    },
+  };
+}
+
+function controlsRepo(db) {
+  return {
+    async get(studentId) {
+      const [rows] = await db.execute(
+        "SELECT student_id, daily_minute_limit, rules, updated_at FROM student_controls WHERE student_id = ?",
+        [studentId]
+      );
+      return rows[0] || null;
+    },
+
+    async save(studentId, { daily_minute_limit, rules }) {
+      await db.execute(
+        `INSERT INTO student_controls (student_id, daily_minute_limit, rules)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           daily_minute_limit = VALUES(daily_minute_limit),
+           rules = VALUES(rules)`,
+        [studentId, daily_minute_limit ?? null, JSON.stringify(rules)]
+      );
+    },
+  };
+}
+
+const GOAL_COLUMNS = "id, student_id, subject, format, metric, target, created_at";
+
+function goalsRepo(db) {
+  return {
+    async findById(id) {
+      const [rows] = await db.execute(`SELECT ${GOAL_COLUMNS} FROM weekly_goals WHERE id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async listForStudent(studentId) {
+      const [rows] = await db.execute(
+        `SELECT ${GOAL_COLUMNS} FROM weekly_goals WHERE student_id = ? ORDER BY id ASC`,
+        [studentId]
+      );
+      return rows;
+    },
+
+    async create({ student_id, subject, format, metric, target }) {
+      const [result] = await db.execute(
+        "INSERT INTO weekly_goals (student_id, subject, format, metric, target) VALUES (?, ?, ?, ?, ?)",
+        [student_id, subject ?? null, format ?? null, metric, target]
+      );
+      return result.insertId;
+    },
+
+    async delete(id) {
+      await db.execute("DELETE FROM weekly_goals WHERE id = ?", [id]);
+    },
+  };
+}
+
+// See db/migrations/013_create_families.js
+function guardiansRepo(db) {
+  return {
+    async add(studentId, parentId) {
+      await db.execute(
+        "INSERT IGNORE INTO student_guardians (student_id, parent_id) VALUES (?, ?)",
+        [studentId, parentId]
+      );
+    },
+
+    async remove(studentId, parentId) {
+      await db.execute(
+        "DELETE FROM student_guardians WHERE student_id = ? AND parent_id = ?",
+        [studentId, parentId]
+      );
+    },
+
+    async removeAll(studentId) {
+      await db.execute("DELETE FROM student_guardians WHERE student_id = ?", [studentId]);
+    },
+
+    async isGuardian(studentId, parentId) {
+      const [rows] = await db.execute(
+        "SELECT 1 FROM student_guardians WHERE student_id = ? AND parent_id = ?",
+        [studentId, parentId]
+      );
+      return rows.length > 0;
+    },
+
+    // Oldest link first, so the primary guardian usually leads
+    async listForStudent(studentId) {
+      const [rows] = await db.execute(
+        `SELECT p.id, p.full_name, p.email
+         FROM student_guardians g
+         JOIN parents p ON p.id = g.parent_id
+         WHERE g.student_id = ?
+         ORDER BY g.created_at ASC, p.id ASC`,
+        [studentId]
+      );
+      return rows;
+    },
+
+    // Other parents who share at least one child with parentId
+    async listCoGuardians(parentId) {
+      const [rows] = await db.execute(
+        `SELECT DISTINCT p.id, p.full_name, p.email
+         FROM student_guardians mine
+         JOIN student_guardians other ON other.student_id = mine.student_id
+         JOIN parents p ON p.id = other.parent_id
+         WHERE mine.parent_id = ? AND other.parent_id <> ?
+         ORDER BY p.id ASC`,
+        [parentId, parentId]
+      );
+      return rows;
+    },
+  };
+}
+
+const INVITATION_COLUMNS =
+  "id, kind, from_role, from_id, student_id, email, status, created_at, expires_at, responded_at";
+
+function invitationsRepo(db) {
+  return {
+    async create({ kind, from_role, from_id, student_id, email, expires_at }) {
+      const [result] = await db.execute(
+        `INSERT INTO family_invitations (kind, from_role, from_id, student_id, email, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [kind, from_role, from_id, student_id ?? null, email, clock.now(), expires_at]
+      );
+      return result.insertId;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(
+        `SELECT ${INVITATION_COLUMNS} FROM family_invitations WHERE id = ?`,
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    // A pending, unexpired invitation identical to this one, if any
+    async findPending({ kind, from_role, from_id, student_id, email }) {
+      const [rows] = await db.execute(
+        `SELECT ${INVITATION_COLUMNS} FROM family_invitations
+         WHERE kind = ? AND from_role = ? AND from_id = ? AND student_id <=> ? AND email = ?
+           AND status = 'pending' AND expires_at > ?`,
+        [kind, from_role, from_id, student_id ?? null, email, clock.now()]
+      );
+      return rows[0] || null;
+    },
+
+    async listPendingTo(email, kinds) {
+      const [rows] = await db.query(
+        `SELECT ${INVITATION_COLUMNS} FROM family_invitations
+         WHERE email = ? AND kind IN (?) AND status = 'pending' AND expires_at > ?
+         ORDER BY id ASC`,
+        [email, kinds, clock.now()]
+      );
+      return rows;
+    },
+
+    async listPendingFrom(role, id) {
+      const [rows] = await db.execute(
+        `SELECT ${INVITATION_COLUMNS} FROM family_invitations
+         WHERE from_role = ? AND from_id = ? AND status = 'pending' AND expires_at > ?
+         ORDER BY id ASC`,
+        [role, id, clock.now()]
+      );
+      return rows;
+    },
+
+    // Only a pending invitation can be answered, so it's answered once
+    async respond(id, status) {
+      const [result] = await db.execute(
+        `UPDATE family_invitations SET status = ?, responded_at = ?
+         WHERE id = ? AND status = 'pending'`,
+        [status, clock.now(), id]
+      );
+      return result.affectedRows === 1;
+    },
+
+    // Invitations an account sent or was sent, answered or not; for
+    // deleting the account. from_id has no foreign key, so nothing cascades.
+    async deleteInvolving(role, id, email) {
+      await db.execute(
+        "DELETE FROM family_invitations WHERE (from_role = ? AND from_id = ?) OR email = ?",
+        [role, id, email]
+      );
+    },
+  };
+}
+
+function reportDeliveriesRepo(db) {
+  return {
+    // Marks a report as sent before sending it; false if it already was
+    async claim(parentId, studentId, weekStart) {
+      const [result] = await db.execute(
+        "INSERT IGNORE INTO report_deliveries (parent_id, student_id, week_start, sent_at) VALUES (?, ?, ?, ?)",
+        [parentId, studentId, weekStart, clock.now()]
+      );
+      return result.affectedRows === 1;
+    },
+
+    // Undoes claim() when sending failed, so the next run tries again
+    async release(parentId, studentId, weekStart) {
+      await db.execute(
+        "DELETE FROM report_deliveries WHERE parent_id = ? AND student_id = ? AND week_start = ?",
+        [parentId, studentId, weekStart]
+      );
+    },
+  };
+}
+
+const CLASSROOM_COLUMNS = "c.id, c.teacher_id, c.name, c.join_code, c.created_at";
+
+function classroomsRepo(db) {
+  return {
+    async create({ teacher_id, name, join_code }) {
+      const [result] = await db.execute(
+        "INSERT INTO classrooms (teacher_id, name, join_code) VALUES (?, ?, ?)",
+        [teacher_id, name, join_code]
+      );
+      return result.insertId;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(`SELECT ${CLASSROOM_COLUMNS} FROM classrooms c WHERE c.id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    async findByJoinCode(code) {
+      const [rows] = await db.execute(`SELECT ${CLASSROOM_COLUMNS} FROM classrooms c WHERE c.join_code = ?`, [
+        code,
+      ]);
+      return rows[0] || null;
+    },
+
+    // A teacher's classrooms, oldest first, with how many students each has
+    async listByTeacher(teacherId) {
+      const [rows] = await db.execute(
+        `SELECT ${CLASSROOM_COLUMNS}, COUNT(m.student_id) AS student_count
+         FROM classrooms c
+         LEFT JOIN classroom_students m ON m.classroom_id = c.id
+         WHERE c.teacher_id = ?
+         GROUP BY c.id
+         ORDER BY c.created_at ASC, c.id ASC`,
+        [teacherId]
+      );
+      return rows.map((r) => ({ ...r, student_count: Number(r.student_count) }));
+    },
+
+    // The classrooms a student is in, with their teacher's name
+    async listForStudent(studentId) {
+      const [rows] = await db.execute(
+        `SELECT ${CLASSROOM_COLUMNS}, t.full_name AS teacher_name, m.joined_at
+         FROM classroom_students m
+         JOIN classrooms c ON c.id = m.classroom_id
+         JOIN teachers t ON t.id = c.teacher_id
+         WHERE m.student_id = ?
+         ORDER BY m.joined_at ASC, c.id ASC`,
+        [studentId]
+      );
+      return rows;
+    },
+
+    async update(id, fields) {
+      if (!Object.keys(fields).length) return;
+      const set = setClause(fields);
+      await db.execute(`UPDATE classrooms SET ${set.sql} WHERE id = ?`, [...set.values, id]);
+    },
+
+    // Members and assignments go with it (ON DELETE CASCADE)
+    async delete(id) {
+      await db.execute("DELETE FROM classrooms WHERE id = ?", [id]);
+    },
+
+    // False when the student was already in the classroom
+    async addStudent(classroomId, studentId) {
+      const [result] = await db.execute(
+        "INSERT IGNORE INTO classroom_students (classroom_id, student_id, joined_at) VALUES (?, ?, ?)",
+        [classroomId, studentId, clock.now()]
+      );
+      return result.affectedRows === 1;
+    },
+
+    async removeStudent(classroomId, studentId) {
+      const [result] = await db.execute(
+        "DELETE FROM classroom_students WHERE classroom_id = ? AND student_id = ?",
+        [classroomId, studentId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    async isMember(classroomId, studentId) {
+      const [rows] = await db.execute(
+        "SELECT 1 FROM classroom_students WHERE classroom_id = ? AND student_id = ?",
+        [classroomId, studentId]
+      );
+      return rows.length > 0;
+    },
+
+    // Names only: teachers don't get students' emails
+    async listStudents(classroomId) {
+      const [rows] = await db.execute(
+        `SELECT s.id, s.full_name, m.joined_at
+         FROM classroom_students m
+         JOIN students s ON s.id = m.student_id
+         WHERE m.classroom_id = ?
+         ORDER BY s.full_name ASC, s.id ASC`,
+        [classroomId]
+      );
+      return rows;
+    },
+  };
+}
+
+const ASSIGNMENT_COLUMNS = "id, classroom_id, content_id, due_date, created_at";
+
+function assignmentsRepo(db) {
+  return {
+    async create({ classroom_id, content_id, due_date }) {
+      const [result] = await db.execute(
+        "INSERT INTO assignments (classroom_id, content_id, due_date, created_at) VALUES (?, ?, ?, ?)",
+        [classroom_id, content_id, due_date, clock.now()]
+      );
+      return result.insertId;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(`SELECT ${ASSIGNMENT_COLUMNS} FROM assignments WHERE id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    // Soonest due first
+    async listForClassroom(classroomId) {
+      const [rows] = await db.execute(
+        `SELECT ${ASSIGNMENT_COLUMNS} FROM assignments
+         WHERE classroom_id = ?
+         ORDER BY due_date ASC, id ASC`,
+        [classroomId]
+      );
+      return rows;
+    },
+
+    async update(id, fields) {
+      if (!Object.keys(fields).length) return;
+      const set = setClause(fields);
+      await db.execute(`UPDATE assignments SET ${set.sql} WHERE id = ?`, [...set.values, id]);
+    },
+
+    async delete(id) {
+      await db.execute("DELETE FROM assignments WHERE id = ?", [id]);
+    },
+  };
+}
+
+const ACTIVITY_SESSION_COLUMNS =
+  "id, student_id, content_id, activity_type, subject, content_title, started_at, last_seen_at, engaged_seconds, ended_at, end_reason";
+
+function activitySessionsRepo(db) {
+  return {
+    async create({ student_id, activity_type, subject, content_id, content_title, started_at }) {
+      const [result] = await db.execute(
+        `INSERT INTO activity_sessions
+         (student_id, content_id, activity_type, subject, content_title, started_at, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [student_id, content_id ?? null, activity_type, subject, content_title ?? null, started_at, started_at]
+      );
+      return result.insertId;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(
+        `SELECT ${ACTIVITY_SESSION_COLUMNS} FROM activity_sessions WHERE id = ?`,
+        [id]
+      );
+      return rows[0] || null;
+    },
+
+    async listOpen(studentId) {
+      const [rows] = await db.execute(
+        `SELECT ${ACTIVITY_SESSION_COLUMNS} FROM activity_sessions
+         WHERE student_id = ? AND ended_at IS NULL ORDER BY id ASC`,
+        [studentId]
+      );
+      return rows;
+    },
+
+    // Open sessions with no heartbeat since `before`, for closing
+    async listStale(before) {
+      const [rows] = await db.execute(
+        `SELECT ${ACTIVITY_SESSION_COLUMNS} FROM activity_sessions
+         WHERE ended_at IS NULL AND last_seen_at < ? ORDER BY id ASC`,
+        [before]
+      );
+      return rows;
+    },
+
+    // When the student's first session after `after` started, or null
+    async nextStartAfter(studentId, after) {
+      const [rows] = await db.execute(
+        "SELECT MIN(started_at) AS started_at FROM activity_sessions WHERE student_id = ? AND started_at > ?",
+        [studentId, after]
+      );
+      return rows[0].started_at;
+    },
+
+    // Both return false when the session had already ended, so only one
+    // request or sweep can close it
+    async beat(id, { last_seen_at, engaged_seconds }) {
+      const [result] = await db.execute(
+        "UPDATE activity_sessions SET last_seen_at = ?, engaged_seconds = ? WHERE id = ? AND ended_at IS NULL",
+        [last_seen_at, engaged_seconds, id]
+      );
+      return result.affectedRows === 1;
+    },
+
+    async close(id, { ended_at, end_reason, engaged_seconds }) {
+      const [result] = await db.execute(
+        "UPDATE activity_sessions SET ended_at = ?, end_reason = ?, engaged_seconds = ? WHERE id = ? AND ended_at IS NULL",
+        [ended_at, end_reason, engaged_seconds, id]
+      );
+      return result.affectedRows === 1;
+    },
+  };
+}
+
+function syncedEventsRepo(db) {
+  return {
+    // False when the student already sent an event with this id
+    async add({ student_id, event_id, event_type, occurred_at, received_at }) {
+      const [result] = await db.execute(
+        `INSERT IGNORE INTO synced_events (student_id, event_id, event_type, occurred_at, received_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [student_id, event_id, event_type, occurred_at, received_at]
+      );
+      return result.affectedRows === 1;
+    },
+
+    // When the student's first event of this type after `after` happened, or null
+    async nextAfter(studentId, eventType, after) {
+      const [rows] = await db.execute(
+        `SELECT MIN(occurred_at) AS occurred_at FROM synced_events
+         WHERE student_id = ? AND event_type = ? AND occurred_at > ?`,
+        [studentId, eventType, after]
+      );
+      return rows[0].occurred_at;
+    },
+  };
+}
+
+const REVIEW_CARD_COLUMNS =
+  "student_id, content_id, question_index, repetitions, interval_days, ease, lapses, due_date, last_answered_at, reviewed_on";
+
+function reviewCardsRepo(db) {
+  return {
+    async get(studentId, contentId, questionIndex) {
+      const [rows] = await db.execute(
+        `SELECT ${REVIEW_CARD_COLUMNS} FROM review_cards
+         WHERE student_id = ? AND content_id = ? AND question_index = ?`,
+        [studentId, contentId, questionIndex]
+      );
+      return rows[0] || null;
+    },
+
+    // Creates the card or replaces its schedule
+    async save({ student_id, content_id, question_index, repetitions, interval_days, ease, lapses, due_date, last_answered_at, reviewed_on }) {
+      await db.execute(
+        `INSERT INTO review_cards
+         (student_id, content_id, question_index, repetitions, interval_days, ease, lapses,
+          due_date, last_answered_at, reviewed_on, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           repetitions = VALUES(repetitions),
+           interval_days = VALUES(interval_days),
+           ease = VALUES(ease),
+           lapses = VALUES(lapses),
+           due_date = VALUES(due_date),
+           last_answered_at = VALUES(last_answered_at),
+           reviewed_on = VALUES(reviewed_on)`,
+        [
+          student_id,
+          content_id,
+          question_index,
+          repetitions,
+          interval_days,
+          ease,
+          lapses,
+          due_date,
+          last_answered_at,
+          reviewed_on ?? null,
+          clock.now(),
+        ]
+      );
+    },
+
+    // Cards due by `today` that haven't been reviewed on it: ones currently
+    // missed first, then the longest overdue
+    async listDue(studentId, today) {
+      const [rows] = await db.execute(
+        `SELECT ${REVIEW_CARD_COLUMNS} FROM review_cards
+         WHERE student_id = ? AND due_date <= ? AND (reviewed_on IS NULL OR reviewed_on < ?)
+         ORDER BY repetitions = 0 DESC, due_date ASC, content_id ASC, question_index ASC`,
+        [studentId, today, today]
+      );
+      return rows;
+    },
+
+    async countReviewedOn(studentId, date) {
+      const [rows] = await db.execute(
+        "SELECT COUNT(*) AS n FROM review_cards WHERE student_id = ? AND reviewed_on = ?",
+        [studentId, date]
+      );
+      return Number(rows[0].n);
+    },
+  };
+}
+
+// Every table with a student_id that cascades from students: what a data
+// export contains and what deleting a student removes
+const STUDENT_TABLES = [
+  "student_activities",
+  "daily_sessions",
+  "activity_sessions",
+  "quiz_attempts",
+  "xp_events",
+  "student_badges",
+  "streak_freeze_days",
+  "streak_credited_days",
+  "student_controls",
+  "weekly_goals",
+  "report_deliveries",
+  "student_guardians",
+  "family_invitations",
+  "classroom_students",
+  "synced_events",
+  "review_cards",
+  "notifications",
+];
+
+function privacyRepo(db) {
+  return {
+    // { table: rows } for every table in STUDENT_TABLES
+    async studentRecords(studentId) {
+      const records = {};
+      for (const table of STUDENT_TABLES) {
+        const [rows] = await db.execute(`SELECT * FROM ${table} WHERE student_id = ?`, [studentId]);
+        records[table] = rows;
+      }
+      return records;
+    },
+
+    // Every student's activity_retention_days, for the retention job
+    async listRetention() {
+      const [rows] = await db.execute(
+        "SELECT id AS student_id, activity_retention_days FROM students ORDER BY id ASC"
+      );
+      return rows;
+    },
+
+    /**
+     * Deletes activity history older than `before` (an instant) and daily
+     * sessions before `beforeDate` ("YYYY-MM-DD"). Open activity sessions
+     * are left alone. Returns how many rows went from each table.
+     */
+    async purgeActivity(studentId, before, beforeDate) {
+      const statements = {
+        student_activities: ["DELETE FROM student_activities WHERE student_id = ? AND created_at < ?", before],
+        daily_sessions: ["DELETE FROM daily_sessions WHERE student_id = ? AND session_date < ?", beforeDate],
+        activity_sessions: [
+          "DELETE FROM activity_sessions WHERE student_id = ? AND ended_at IS NOT NULL AND started_at < ?",
+          before,
+        ],
+        quiz_attempts: ["DELETE FROM quiz_attempts WHERE student_id = ? AND created_at < ?", before],
+        synced_events: ["DELETE FROM synced_events WHERE student_id = ? AND occurred_at < ?", before],
+      };
+      const counts = {};
+      for (const [table, [sql, cutoff]] of Object.entries(statements)) {
+        const [result] = await db.execute(sql, [studentId, cutoff]);
+        counts[table] = result.affectedRows;
+      }
+      return counts;
+    },
+  };
+}
+
+const DELETION_REQUEST_COLUMNS =
+  "id, subject_role, subject_id, requested_by, status, requested_at, delete_after, closed_at";
+
+function deletionRequestsRepo(db) {
+  return {
+    async create({ subject_role, subject_id, requested_by, delete_after }) {
+      const [result] = await db.execute(
+        `INSERT INTO deletion_requests (subject_role, subject_id, requested_by, requested_at, delete_after)
+         VALUES (?, ?, ?, ?, ?)`,
+        [subject_role, subject_id, requested_by, clock.now(), delete_after]
+      );
+      return result.insertId;
+    },
+
+    async findPending(role, id) {
+      const [rows] = await db.execute(
+        `SELECT ${DELETION_REQUEST_COLUMNS} FROM deletion_requests
+         WHERE subject_role = ? AND subject_id = ? AND status = 'pending'`,
+        [role, id]
+      );
+      return rows[0] || null;
+    },
+
+    // Pending requests whose grace period is over
+    async listDue(now) {
+      const [rows] = await db.execute(
+        `SELECT ${DELETION_REQUEST_COLUMNS} FROM deletion_requests
+         WHERE status = 'pending' AND delete_after <= ? ORDER BY id ASC`,
+        [now]
+      );
+      return rows;
+    },
+
+    // Both return false unless the request was still pending
+    async cancel(id) {
+      const [result] = await db.execute(
+        "UPDATE deletion_requests SET status = 'cancelled', closed_at = ? WHERE id = ? AND status = 'pending'",
+        [clock.now(), id]
+      );
+      return result.affectedRows === 1;
+    },
+
+    async complete(id) {
+      const [result] = await db.execute(
+        "UPDATE deletion_requests SET status = 'completed', closed_at = ? WHERE id = ? AND status = 'pending'",
+        [clock.now(), id]
+      );
+      return result.affectedRows === 1;
+    },
+  };
+}
+
+function auditLogRepo(db) {
+  return {
+    async add({ action, actor_role, actor_id, subject_role, subject_id, details }) {
+      await db.execute(
+        `INSERT INTO audit_log (action, actor_role, actor_id, subject_role, subject_id, details, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          action,
+          actor_role,
+          actor_id ?? null,
+          subject_role,
+          subject_id,
+          details ? JSON.stringify(details) : null,
+          clock.now(),
+        ]
+      );
+    },
+
+    // Newest first; subject_role and subject_id narrow it to one account
+    async list({ subject_role, subject_id, limit }) {
+      const where = subject_role ? "WHERE subject_role = ? AND subject_id = ?" : "";
+      const params = subject_role ? [subject_role, subject_id] : [];
+      const [rows] = await db.query(
+        `SELECT id, action, actor_role, actor_id, subject_role, subject_id, details, created_at
+         FROM audit_log ${where} ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+      );
+      return rows;
+    },
+  };
+}
+
+const NOTIFICATION_COLUMNS =
+  "id, parent_id, student_id, type, message, details, created_at, read_at";
+
+function notificationsRepo(db) {
+  return {
+    // The new id, or null when the parent already has one with this dedupe_key
+    async add({ parent_id, student_id, type, message, details, dedupe_key, created_at }) {
+      const [result] = await db.execute(
+        `INSERT IGNORE INTO notifications
+         (parent_id, student_id, type, message, details, dedupe_key, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          parent_id,
+          student_id,
+          type,
+          message,
+          details ? JSON.stringify(details) : null,
+          dedupe_key ?? null,
+          created_at,
+        ]
+      );
+      return result.affectedRows === 1 ? result.insertId : null;
+    },
+
+    async findById(id) {
+      const [rows] = await db.execute(`SELECT ${NOTIFICATION_COLUMNS} FROM notifications WHERE id = ?`, [id]);
+      return rows[0] || null;
+    },
+
+    // Newest first; beforeId pages back through older ones
+    async list(parentId, { unreadOnly = false, beforeId = null, limit }) {
+      const [rows] = await db.query(
+        `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+         WHERE parent_id = ? ${unreadOnly ? "AND read_at IS NULL" : ""} ${beforeId ? "AND id < ?" : ""}
+         ORDER BY id DESC LIMIT ?`,
+        [parentId, ...(beforeId ? [beforeId] : []), limit]
+      );
+      return rows;
+    },
+
+    // Oldest first, for a stream catching up after a reconnect
+    async listAfter(parentId, afterId, limit) {
+      const [rows] = await db.query(
+        `SELECT ${NOTIFICATION_COLUMNS} FROM notifications
+         WHERE parent_id = ? AND id > ? ORDER BY id ASC LIMIT ?`,
+        [parentId, afterId, limit]
+      );
+      return rows;
+    },
+
+    async countUnread(parentId) {
+      const [rows] = await db.execute(
+        "SELECT COUNT(*) AS n FROM notifications WHERE parent_id = ? AND read_at IS NULL",
+        [parentId]
+      );
+      return Number(rows[0].n);
+    },
+
+    // ids null marks every unread one. Returns how many changed.
+    async markRead(parentId, ids, at) {
+      if (ids && !ids.length) return 0;
+      const [result] = await db.query(
+        `UPDATE notifications SET read_at = ?
+         WHERE parent_id = ? AND read_at IS NULL ${ids ? "AND id IN (?)" : ""}`,
+        [at, parentId, ...(ids ? [ids] : [])]
+      );
+      return result.affectedRows;
+    },
+
+    // A student's notifications, or only parentId's when given
+    async deleteAbout(studentId, parentId = null) {
+      await db.execute(
+        `DELETE FROM notifications WHERE student_id = ? ${parentId ? "AND parent_id = ?" : ""}`,
+        [studentId, ...(parentId ? [parentId] : [])]
+      );
+    },
+
+    async deleteBefore(before) {
+      const [result] = await db.execute("DELETE FROM notifications WHERE created_at < ?", [before]);
+      return result.affectedRows;
+    },
+  };
+}
+
+function repositories(db) {
+  return {
+    parents: parentsRepo(db),
+    students: studentsRepo(db),
+    guardians: guardiansRepo(db),
+    invitations: invitationsRepo(db),
+    streaks: streaksRepo(db),
+    activities: activitiesRepo(db),
+    dailySessions: dailySessionsRepo(db),
+    sessions: sessionsRepo(db),
+    loginThrottles: loginThrottlesRepo(db),
+    passwordResets: passwordResetsRepo(db),
+    quizAttempts: quizAttemptsRepo(db),
+    admins: adminsRepo(db),
+    teachers: teachersRepo(db),
+    classrooms: classroomsRepo(db),
+    assignments: assignmentsRepo(db),
+    subjects: subjectsRepo(db),
+    contentItems: contentItemsRepo(db),
+    learningPaths: learningPathsRepo(db),
+    xp: xpRepo(db),
+    badges: badgesRepo(db),
+    controls: controlsRepo(db),
+    goals: goalsRepo(db),
+    reportDeliveries: reportDeliveriesRepo(db),
+    activitySessions: activitySessionsRepo(db),
+    syncedEvents: syncedEventsRepo(db),
+    reviewCards: reviewCardsRepo(db),
+    notifications: notificationsRepo(db),
+    privacy: privacyRepo(db),
+    deletionRequests: deletionRequestsRepo(db),
+    auditLog: auditLogRepo(db),
+  };
+}
+
+// -------------------- STORAGE --------------------
+
+function createMysqlStorage(options = {}) {
+  const pool =
+    options.pool ||
+    mysql.createPool({
+      host: process.env.DB_HOST || "localhost",
+      user: process.env.DB_USER || "root",
+      password: process.env.DB_PASSWORD || "",
+      database: process.env.DB_NAME || "education_platform",
+      waitForConnections: true,
+      connectionLimit: 10,
+      queueLimit: 0,
+      // Streak code compares last_streak_date / session_date as "YYYY-MM-DD"
+      // strings, so DATE columns must not come back as JS Dates.
+      dateStrings: ["DATE"],
+    });
+
+  return {
+    driver: "mysql",
+    ...repositories(pool),
+
+    /**
+     * Runs fn with repositories bound to one connection inside a transaction.
+     * Commits when fn resolves, rolls back and rethrows when it throws.
+     */
+    async transaction(fn) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const result = await fn(repositories(conn));
+        await conn.commit();
+        return result;
+      } catch (err) {
+        try {
+          await conn.rollback();
+        } catch {}
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+
+    // One round trip to the database; the readiness check uses it
+    async ping() {
+      await pool.query("SELECT 1");
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = { createMysqlStorage };
@@ -0,0 +1,47 @@
+// Shows the API's field errors ({ errors: [{ field, message }] }) next to
+// the inputs they belong to, with Bootstrap's .is-invalid and the input's
+// .invalid-feedback. Fields are matched to inputs by name. See
+// lib/validation.js for where the errors come from.
+
+function clearFieldErrors(form) {
+    form.querySelectorAll('.is-invalid').forEach((input) => input.classList.remove('is-invalid'));
+    form.querySelectorAll('.invalid-feedback[data-default]').forEach((feedback) => {
+        feedback.textContent = feedback.dataset.default;
+    });
+}
+
+// Returns the errors that no input matched, for the page to show elsewhere
+function showFieldErrors(form, errors) {
+    clearFieldErrors(form);
+    // Server messages replace the browser's checks for this attempt
+    form.classList.remove('was-validated');
+
+    const byField = new Map();
+    const unmatched = [];
+    (errors || []).forEach((error) => {
+        const input = form.elements.namedItem(error.field);
+        if (!input || !input.classList) {
+            unmatched.push(error);
+            return;
+        }
+        if (!byField.has(input)) byField.set(input, []);
+        byField.get(input).push(error.message);
+    });
+
+    byField.forEach((messages, input) => {
+        input.classList.add('is-invalid');
+        const feedback = input.parentElement.querySelector('.invalid-feedback');
+        if (!feedback) return;
+        if (!('default' in feedback.dataset)) feedback.dataset.default = feedback.textContent;
+        const text = messages.join(', ');
+        feedback.textContent = `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    });
+
+    // The first bad field gets focus; typing in one clears its error
+    const first = byField.keys().next().value;
+    if (first) first.focus();
+    byField.forEach((messages, input) => {
+        input.addEventListener('input', () => input.classList.remove('is-invalid'), { once: true });
+    });
+    return unmatched;
+}
@@ -0,0 +1,47 @@
+// The pages' strings in the student's language, from GET /api/i18n (the
+// catalogs are locales/*.json; see lib/i18n.js). Elements name their string
+// with data-i18n="key" for the text, or data-i18n-placeholder /
+// data-i18n-title for those attributes. The English in the markup stays
+// until the strings arrive, and wherever a key is missing.
+
+const i18n = {
+    locale: 'en',
+    languages: [],
+    strings: {},
+
+    // locale is optional: without it the server picks (the student's
+    // language, then the browser's)
+    async load(locale) {
+        const query = locale ? `?locale=${encodeURIComponent(locale)}` : '';
+        try {
+            const res = await fetch(`http://localhost:3000/api/i18n${query}`, { credentials: 'include' });
+            const data = await res.json();
+            if (!data.success) return;
+            i18n.locale = data.locale;
+            i18n.languages = data.languages;
+            i18n.strings = data.strings;
+            document.documentElement.lang = data.locale;
+            i18n.apply();
+        } catch (err) {
+            console.error('Could not load translations', err);
+        }
+    },
+
+    // t('review.left', { count: 3 }) -> "3 left"; fallback when the key is unknown
+    t(key, params = {}, fallback = key) {
+        const text = i18n.strings[key] || fallback;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
+            if (i18n.strings[el.dataset.i18n]) el.textContent = i18n.strings[el.dataset.i18n];
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+            if (i18n.strings[el.dataset.i18nPlaceholder]) el.placeholder = i18n.strings[el.dataset.i18nPlaceholder];
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+            if (i18n.strings[el.dataset.i18nTitle]) el.title = i18n.strings[el.dataset.i18nTitle];
+        });
+    },
+};
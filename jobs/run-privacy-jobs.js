@@ -0,0 +1,26 @@
+/**
+ * Deletes accounts whose grace period is over and purges activity history
+ * older than each child's retention setting. The server already does this
+ * hourly; run it by hand (or from cron with PRIVACY_JOBS=off on the server)
+ * to do it now.
+ *
+ *   npm run privacy-jobs
+ */
+require("dotenv").config();
+
+const { storage } = require("../db/storage");
+const { runPrivacyJobs } = require("../lib/privacy");
+
+async function main() {
+  try {
+    const { deleted, purged } = await runPrivacyJobs();
+    console.log(`✅ Privacy jobs done: ${deleted} accounts deleted, ${purged} activity rows purged.`);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ privacy-jobs failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+/**
+ * Sends last week's progress report to every parent who has opted in, once
+ * per child per week. The server already does this hourly; run it by hand
+ * (or from cron with WEEKLY_REPORTS=off on the server) to send them now.
+ *
+ *   npm run send-reports
+ */
+require("dotenv").config();
+
+const { storage } = require("../db/storage");
+const { mailer } = require("../lib/mail");
+const { sendWeeklyReports } = require("../lib/reports");
+
+async function main() {
+  try {
+    const { sent, failed } = await sendWeeklyReports(mailer);
+    console.log(`✅ Weekly reports sent: ${sent}, failed: ${failed} (transport: ${mailer.transport}).`);
+    if (failed) process.exitCode = 1;
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ send-reports failed:", err.message);
+  process.exit(1);
+});
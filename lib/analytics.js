@@ -0,0 +1,235 @@
+const { storage } = require("../db/storage");
+const { allowedFormats, activityTypeFor } = require("./content");
+const { getStudentMastery } = require("./quiz");
+const { dayInfo, dateString, isValidDate, addDays, daysBetween, startOfDay, weekStart } = require("./dates");
+
+// -------------------- RANGES --------------------
+// A range is two calendar dates (inclusive) in the student's timezone, split
+// into day, week (Monday to Sunday) or month buckets. Buckets at either end
+// are cut to the range, so a range starting on a Wednesday has a first
+// "week" of Wednesday to Sunday.
+
+const GRANULARITIES = ["day", "week", "month"];
+const DEFAULT_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Reads start, end, days and granularity from a query string. end defaults
+ * to today and start to `days` (default 7) days before it.
+ * Returns { range: { start, end, granularity }, errors }.
+ */
+function parseRange(query, today) {
+  const errors = [];
+  const granularity = query.granularity || "day";
+  if (!GRANULARITIES.includes(granularity)) {
+    errors.push({ field: "granularity", message: `must be one of: ${GRANULARITIES.join(", ")}` });
+  }
+
+  const end = query.end === undefined ? today : query.end;
+  if (!isValidDate(end)) errors.push({ field: "end", message: "must be a date like 2026-03-02" });
+
+  let start = query.start;
+  if (start === undefined) {
+    const days = query.days === undefined ? DEFAULT_DAYS : Number(query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_RANGE_DAYS) {
+      errors.push({ field: "days", message: `must be a whole number from 1 to ${MAX_RANGE_DAYS}` });
+    } else if (isValidDate(end)) {
+      start = addDays(end, 1 - days);
+    }
+  } else if (!isValidDate(start)) {
+    errors.push({ field: "start", message: "must be a date like 2026-03-02" });
+  }
+
+  if (isValidDate(start) && isValidDate(end)) {
+    const length = daysBetween(start, end) + 1;
+    if (length < 1) {
+      errors.push({ field: "end", message: "must not be before start" });
+    } else if (length > MAX_RANGE_DAYS) {
+      errors.push({ field: "start", message: `ranges can cover at most ${MAX_RANGE_DAYS} days` });
+    }
+  }
+  return { range: { start, end, granularity }, errors };
+}
+
+function nextBucket(date, granularity) {
+  if (granularity === "day") return addDays(date, 1);
+  if (granularity === "week") return addDays(weekStart(date), 7);
+  const [y, m] = date.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 1)).toISOString().slice(0, 10);
+}
+
+/** The range's buckets, oldest first: [{ start, end }]. */
+function buckets({ start, end, granularity }) {
+  const result = [];
+  for (let from = start; from <= end; ) {
+    const next = nextBucket(from, granularity);
+    const last = addDays(next, -1);
+    result.push({ start: from, end: last < end ? last : end });
+    from = next;
+  }
+  return result;
+}
+
+// Every date in the range, oldest first
+function datesIn({ start, end }) {
+  return Array.from({ length: daysBetween(start, end) + 1 }, (_, i) => addDays(start, i));
+}
+
+// -------------------- TOTALS --------------------
+
+const formatOf = (activityType) => allowedFormats.find((f) => activityTypeFor(f) === activityType);
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// A "session" is a day with any activity, as in daily_sessions
+function tally(rows) {
+  const minutes = rows.reduce((sum, a) => sum + a.duration_minutes, 0);
+  const activeDays = new Set(rows.map((a) => a.date)).size;
+  const count = (format) => rows.filter((a) => a.format === format).length;
+  return {
+    minutes,
+    activities: rows.length,
+    lessons: count("lessons"),
+    videos: count("videos"),
+    games: count("games"),
+    activeDays,
+    averageSessionMinutes: activeDays ? round1(minutes / activeDays) : 0,
+  };
+}
+
+function change(current, previous) {
+  return {
+    difference: current - previous,
+    percent: previous ? Math.round(((current - previous) / previous) * 100) : null,
+  };
+}
+
+// Activity rows with their calendar date and format, for [first, last] dates
+async function loadActivity(studentId, timeZone, first, last) {
+  const rows = await storage.activities.listBetween(
+    studentId,
+    startOfDay(first, timeZone),
+    startOfDay(addDays(last, 1), timeZone)
+  );
+  return rows.map((a) => ({
+    ...a,
+    date: dateString(new Date(a.created_at), timeZone),
+    format: formatOf(a.activity_type),
+  }));
+}
+
+const within = (rows, { start, end }) => rows.filter((a) => a.date >= start && a.date <= end);
+
+// The 7 days ending `end` against the 7 days before them
+function weekOverWeek(rows, end) {
+  const current = { start: addDays(end, -6), end };
+  const previous = { start: addDays(end, -13), end: addDays(end, -7) };
+  const now = tally(within(rows, current));
+  const before = tally(within(rows, previous));
+  return {
+    current: { ...current, ...now },
+    previous: { ...previous, ...before },
+    change: {
+      minutes: change(now.minutes, before.minutes),
+      activities: change(now.activities, before.activities),
+      activeDays: change(now.activeDays, before.activeDays),
+    },
+  };
+}
+
+// -------------------- STUDENT ANALYTICS --------------------
+
+/**
+ * Analytics for one student over a range from parseRange():
+ * - totals: tally of the whole range (minutes, activities, lessons, videos,
+ *   games, activeDays, averageSessionMinutes)
+ * - series: one tally per bucket, each with its start and end
+ * - subjects / formats: per-subject and per-format { minutes, activities }
+ *   arrays, one entry per bucket, in the same order as series
+ * - comparison: the last 7 days of the range against the 7 before
+ */
+async function studentAnalytics(studentId, range) {
+  const { timeZone } = dayInfo(await storage.students.timeZone(studentId));
+  const firstDate = [range.start, addDays(range.end, -13)].sort()[0];
+  const [all, subjectRows] = await Promise.all([
+    loadActivity(studentId, timeZone, firstDate, range.end),
+    storage.subjects.list(),
+  ]);
+  const rows = within(all, range);
+  const periods = buckets(range);
+  const perBucket = periods.map((b) => within(rows, b));
+
+  // Known subjects first, then any no longer in the catalogue
+  const subjectNames = subjectRows.map((s) => s.name);
+  for (const a of rows) if (!subjectNames.includes(a.subject)) subjectNames.push(a.subject);
+
+  const breakdown = (key, values) =>
+    values.map((value) => {
+      const matching = perBucket.map((bucket) => bucket.filter((a) => a[key] === value));
+      return {
+        [key]: value,
+        minutes: matching.map((m) => m.reduce((sum, a) => sum + a.duration_minutes, 0)),
+        activities: matching.map((m) => m.length),
+      };
+    });
+
+  return {
+    timeZone,
+    range,
+    totals: tally(rows),
+    series: periods.map((b, i) => ({ ...b, ...tally(perBucket[i]) })),
+    subjects: breakdown("subject", subjectNames),
+    formats: breakdown("format", allowedFormats),
+    comparison: weekOverWeek(all, range.end),
+  };
+}
+
+// -------------------- SIBLINGS --------------------
+
+/**
+ * Side-by-side totals for each of a parent's children over the same dates.
+ * Each child's days are in their own timezone.
+ */
+async function siblingComparison(parentId, range) {
+  const children = await storage.students.listByParent(parentId);
+  const subjectNames = (await storage.subjects.list()).map((s) => s.name);
+
+  return Promise.all(
+    children.map(async (child) => {
+      const { timeZone } = dayInfo(await storage.students.timeZone(child.id));
+      const [rows, mastery] = await Promise.all([
+        loadActivity(child.id, timeZone, range.start, range.end),
+        getStudentMastery(child.id),
+      ]);
+      const mastered = mastery.subjects.reduce((n, s) => n + s.questionsMastered, 0);
+      const questions = mastery.subjects.reduce((n, s) => n + s.questionsTotal, 0);
+
+      return {
+        studentId: child.id,
+        name: child.full_name,
+        timeZone,
+        streakDays: child.streak_days || 0,
+        mastery: questions ? Math.round((mastered / questions) * 100) : 0,
+        ...tally(rows),
+        subjects: subjectNames.map((subject) => {
+          const matching = rows.filter((a) => a.subject === subject);
+          return {
+            subject,
+            minutes: matching.reduce((sum, a) => sum + a.duration_minutes, 0),
+            activities: matching.length,
+          };
+        }),
+      };
+    })
+  );
+}
+
+module.exports = {
+  GRANULARITIES,
+  MAX_RANGE_DAYS,
+  parseRange,
+  buckets,
+  datesIn,
+  studentAnalytics,
+  siblingComparison,
+};
@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const { storage } = require("../db/storage");
+const clock = require("./clock");
+const { logger } = require("./logger");
+const { closeStreamsFor } = require("./notifications");
+const { check, optional, id } = require("./validation");
+
+const SESSION_COOKIE = "sid";
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+  // Fine for local dev, but every restart signs everyone out.
+  SESSION_SECRET = crypto.randomBytes(32).toString("hex");
+  logger.warn("SESSION_SECRET not set, using a random per-process secret.");
+}
+
+// -------------------- TOKENS --------------------
+// A token is "<session id>.<HMAC of session id>". The signature lets us reject
+// forged tokens without a DB round trip; the DB row is what makes logout and
+// expiry work. Only a hash of the session id is stored.
+
+function sign(value) {
+  return crypto
+    .createHmac("sha256", SESSION_SECRET)
+    .update(value)
+    .digest("base64url");
+}
+
+function hashSessionId(sessionId) {
+  return crypto.createHash("sha256").update(sessionId).digest("hex");
+}
+
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const dot = token.lastIndexOf(".");
+  if (dot <= 0) return null;
+
+  const sessionId = token.slice(0, dot);
+  const given = Buffer.from(token.slice(dot + 1));
+  const expected = Buffer.from(sign(sessionId));
+  if (given.length !== expected.length) return null;
+  if (!crypto.timingSafeEqual(given, expected)) return null;
+  return sessionId;
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    if (part.slice(0, eq).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(eq + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function tokenFromRequest(req) {
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("Bearer ")) return authHeader.slice(7).trim();
+  return readCookie(req, SESSION_COOKIE);
+}
+
+// -------------------- SESSIONS --------------------
+
+/**
+ * Creates a session row and sets the session cookie on the response.
+ * Returns { token, expiresAt } so API clients can use a Bearer header instead.
+ */
+async function startSession(res, role, userId) {
+  const sessionId = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(clock.now().getTime() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+  await storage.sessions.create({
+    token_hash: hashSessionId(sessionId),
+    role,
+    user_id: userId,
+    expires_at: expiresAt,
+  });
+
+  const token = `${sessionId}.${sign(sessionId)}`;
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    expires: expiresAt,
+  });
+
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+// Notification streams opened with the session end with it
+async function endSession(req, res) {
+  const sessionId = verifyToken(tokenFromRequest(req));
+  if (sessionId) {
+    const tokenHash = hashSessionId(sessionId);
+    await storage.sessions.delete(tokenHash);
+    if (req.auth && req.auth.role === "parent") closeStreamsFor(req.auth.id, tokenHash);
+  }
+  res.clearCookie(SESSION_COOKIE);
+}
+
+// Signs a user out everywhere, e.g. after a password change.
+async function endAllSessions(role, userId) {
+  await storage.sessions.deleteForUser(role, userId);
+  if (role === "parent") closeStreamsFor(userId);
+}
+
+// -------------------- MIDDLEWARE --------------------
+
+/**
+ * Resolves the caller from the session cookie or Bearer token and sets
+ * req.auth = { role, id, expiresAt, tokenHash }. Anonymous callers get
+ * req.auth = null; use requireAuth() to reject them.
+ */
+async function authenticate(req, res, next) {
+  req.auth = null;
+
+  const sessionId = verifyToken(tokenFromRequest(req));
+  if (!sessionId) return next();
+
+  try {
+    const tokenHash = hashSessionId(sessionId);
+    const session = await storage.sessions.findActive(tokenHash);
+    if (session) {
+      req.auth = {
+        role: session.role,
+        id: session.user_id,
+        expiresAt: session.expires_at,
+        tokenHash,
+      };
+    }
+    return next();
+  } catch (err) {
+    logger.error("Error resolving session", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error checking session." });
+  }
+}
+
+function unauthorized(res) {
+  return res
+    .status(401)
+    .json({ success: false, message: "Please sign in to continue." });
+}
+
+function forbidden(res, message = "You do not have access to this resource.") {
+  return res.status(403).json({ success: false, message });
+}
+
+/**
+ * requireAuth() lets any signed-in user through;
+ * requireAuth("parent") / requireAuth("student", "parent") restrict by role.
+ */
+function requireAuth(...roles) {
+  return (req, res, next) => {
+    if (!req.auth) return unauthorized(res);
+    if (roles.length && !roles.includes(req.auth.role)) return forbidden(res);
+    return next();
+  };
+}
+
+async function canAccessStudent(auth, studentId) {
+  if (!auth || !studentId) return false;
+  if (auth.role === "student") return auth.id === studentId;
+  // Any of the child's guardians, not only the primary one
+  if (auth.role === "parent") return storage.guardians.isGuardian(studentId, auth.id);
+  return false;
+}
+
+/**
+ * Resolves which student a request is about and checks the caller may see them.
+ * Students default to themselves; parents must name one of their own children
+ * via ?studentId= or body.studentId. Sets req.studentId on success. A bad or
+ * missing studentId gets validate()'s 400 with errors[].
+ */
+async function requireStudentAccess(req, res, next) {
+  if (!req.auth) return unauthorized(res);
+
+  try {
+    const raw = req.query.studentId ?? (req.body && req.body.studentId);
+    const { value, errors } = await check({ studentId: optional(id()) }, { studentId: raw });
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Request is invalid.", errors });
+    }
+
+    const studentId = value.studentId ?? (req.auth.role === "student" ? req.auth.id : undefined);
+    if (!studentId) {
+      return res.status(400).json({
+        success: false,
+        message: "studentId is required.",
+        errors: [{ field: "studentId", message: "is required" }],
+      });
+    }
+
+    const ok = await canAccessStudent(req.auth, studentId);
+    if (!ok) return forbidden(res, "You do not have access to this student.");
+    req.studentId = studentId;
+    return next();
+  } catch (err) {
+    logger.error("Error checking student access", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error checking access." });
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireStudentAccess,
+  canAccessStudent,
+  startSession,
+  endSession,
+  endAllSessions,
+};
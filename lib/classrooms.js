@@ -0,0 +1,301 @@
+const crypto = require("crypto");
+const { storage } = require("../db/storage");
+const { findPublishedItem } = require("./content");
+const { audit } = require("./privacy");
+const { dayInfo, dateString, addDays, startOfDay } = require("./dates");
+
+// -------------------- MODEL --------------------
+// A teacher's classroom has a join code. Students join by entering it, or a
+// guardian enters it for them; teachers never add students themselves, so
+// nobody's data reaches a teacher without the family choosing it. Teachers
+// see their students' names and class-level numbers (assignment completion,
+// minutes, quiz scores), never emails or the per-child pages parents get.
+//
+// An assignment is one published lesson, video or game with a due date. A
+// student has done it once they've logged a completed activity for that
+// item; a due date is a calendar date in the student's own timezone.
+
+// No 0/O or 1/I, so codes read out in class are typed right
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const JOIN_CODE_LENGTH = 8;
+
+function newJoinCode() {
+  return Array.from(
+    { length: JOIN_CODE_LENGTH },
+    () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+  ).join("");
+}
+
+/** A code as typed ("abcd-2345 ") in its stored form ("ABCD2345"). */
+function normalizeJoinCode(input) {
+  return String(input).toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// Codes are random, so a clash is rare; try a few before giving up
+async function withFreshCode(write) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await write(newJoinCode());
+    } catch (err) {
+      if (err.code !== "ER_DUP_ENTRY" || attempt >= 4) throw err;
+    }
+  }
+}
+
+function describeClassroom(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    joinCode: row.join_code,
+    studentCount: row.student_count,
+    createdAt: row.created_at,
+  };
+}
+
+// -------------------- CLASSROOMS --------------------
+
+async function createClassroom(teacherId, name) {
+  const id = await withFreshCode((code) =>
+    storage.classrooms.create({ teacher_id: teacherId, name, join_code: code })
+  );
+  return storage.classrooms.findById(id);
+}
+
+/** Replaces a classroom's join code; the old one stops working. */
+async function replaceJoinCode(classroomId) {
+  await withFreshCode((code) => storage.classrooms.update(classroomId, { join_code: code }));
+  return storage.classrooms.findById(classroomId);
+}
+
+/** The classroom if teacherId teaches it, else null. */
+async function findTeacherClassroom(teacherId, classroomId) {
+  const classroom = await storage.classrooms.findById(classroomId);
+  return classroom && classroom.teacher_id === teacherId ? classroom : null;
+}
+
+/**
+ * Puts a student in the classroom using code. auth is the student or one of
+ * their guardians (the route has checked which). Returns { classroom,
+ * joined } (joined is false if they were already in it) or { status,
+ * message }.
+ */
+async function joinClassroom(auth, studentId, code) {
+  const classroom = await storage.classrooms.findByJoinCode(normalizeJoinCode(code));
+  if (!classroom) {
+    return { status: 404, message: "No class uses that join code. Check it with your teacher." };
+  }
+  const joined = await storage.classrooms.addStudent(classroom.id, studentId);
+  if (joined) {
+    await audit(storage, "classroom_joined", auth, { role: "student", id: studentId }, { classroomId: classroom.id });
+  }
+  return { classroom, joined };
+}
+
+/** Takes a student out of a classroom; by them, a guardian or the teacher. */
+async function leaveClassroom(auth, studentId, classroomId) {
+  const left = await storage.classrooms.removeStudent(classroomId, studentId);
+  if (left) {
+    await audit(storage, "classroom_left", auth, { role: "student", id: studentId }, { classroomId });
+  }
+  return left;
+}
+
+// -------------------- ASSIGNMENTS --------------------
+
+// Assignments with what each item is; items deleted since are already gone
+// (ON DELETE CASCADE), unpublished ones show as unavailable
+async function describeAssignments(rows) {
+  const subjects = new Map((await storage.subjects.list()).map((s) => [s.id, s.name]));
+  return Promise.all(
+    rows.map(async (a) => {
+      const item = await storage.contentItems.findById(a.content_id);
+      return {
+        id: a.id,
+        contentId: a.content_id,
+        title: item ? item.data.title : null,
+        format: item ? item.format : null,
+        subject: item ? subjects.get(item.subject_id) ?? null : null,
+        available: Boolean(item && item.published),
+        dueDate: a.due_date,
+        assignedAt: a.created_at,
+      };
+    })
+  );
+}
+
+/**
+ * Sets a published item for the class, due on dueDate. Returns { assignment }
+ * or { status, message, errors? }.
+ */
+async function assignContent(classroom, { contentId, dueDate }) {
+  const found = await findPublishedItem(contentId);
+  if (!found) {
+    return {
+      status: 400,
+      message: "Assignment is invalid.",
+      errors: [{ field: "contentId", message: "must be a published lesson, video or game" }],
+    };
+  }
+  try {
+    const id = await storage.assignments.create({
+      classroom_id: classroom.id,
+      content_id: contentId,
+      due_date: dueDate,
+    });
+    const [assignment] = await describeAssignments([await storage.assignments.findById(id)]);
+    return { assignment };
+  } catch (err) {
+    if (err.code !== "ER_DUP_ENTRY") throw err;
+    return { status: 409, message: "That item is already assigned to this class. Change its due date instead." };
+  }
+}
+
+/**
+ * Where a student is with an assignment: "done" (on or before the due
+ * date), "late" (done after it), "overdue" or "assigned" (not done yet).
+ */
+function assignmentStatus(dueDate, completedAt, timeZone, today) {
+  if (completedAt) return dateString(new Date(completedAt), timeZone) <= dueDate ? "done" : "late";
+  return today > dueDate ? "overdue" : "assigned";
+}
+
+/**
+ * A student's classrooms with their assignments and where the student is
+ * with each. Nothing about classmates.
+ */
+async function studentClassrooms(studentId) {
+  const { timeZone, today } = dayInfo(await storage.students.timeZone(studentId));
+  const rows = await storage.classrooms.listForStudent(studentId);
+
+  return Promise.all(
+    rows.map(async (c) => {
+      const assignments = await describeAssignments(await storage.assignments.listForClassroom(c.id));
+      const completions = await storage.activities.completions(
+        [studentId],
+        assignments.map((a) => a.contentId)
+      );
+      const completedAt = new Map(completions.map((r) => [r.content_id, r.completed_at]));
+      return {
+        id: c.id,
+        name: c.name,
+        teacher: c.teacher_name,
+        joinedAt: c.joined_at,
+        assignments: assignments.map((a) => ({
+          ...a,
+          completedAt: completedAt.get(a.contentId) ?? null,
+          status: assignmentStatus(a.dueDate, completedAt.get(a.contentId), timeZone, today),
+        })),
+      };
+    })
+  );
+}
+
+// -------------------- CLASS VIEW --------------------
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : null);
+
+/**
+ * The teacher's view of a class over a date range from parseRange() (only
+ * start and end are used). Each student's days are in their own timezone.
+ * - students: per student, minutes and activities in the range, quiz
+ *   answers in the range and the share right, and how many assignments
+ *   they've done / done late / have overdue
+ * - assignments: per assignment, how many students are done (on time or
+ *   late) or overdue, and the class's quiz score on that item in the range
+ * - totals: class-wide minutes, average minutes per student, completion and
+ *   quiz percentages
+ */
+async function classOverview(classroom, range) {
+  const [members, assignmentRows] = await Promise.all([
+    storage.classrooms.listStudents(classroom.id),
+    storage.assignments.listForClassroom(classroom.id),
+  ]);
+  const assignments = await describeAssignments(assignmentRows);
+  const completions = await storage.activities.completions(
+    members.map((m) => m.id),
+    assignments.map((a) => a.contentId)
+  );
+  const completedAt = new Map(completions.map((r) => [`${r.student_id}:${r.content_id}`, r.completed_at]));
+
+  const perAssignment = assignments.map(() => ({ done: 0, late: 0, overdue: 0, answers: 0, correct: 0 }));
+
+  const students = await Promise.all(
+    members.map(async (member) => {
+      const { timeZone, today } = dayInfo(await storage.students.timeZone(member.id));
+      const from = startOfDay(range.start, timeZone);
+      const to = startOfDay(addDays(range.end, 1), timeZone);
+      const [activity, answers] = await Promise.all([
+        storage.activities.listBetween(member.id, from, to),
+        storage.quizAttempts.listBetween(member.id, from, to),
+      ]);
+
+      const counts = { done: 0, late: 0, overdue: 0 };
+      assignments.forEach((a, i) => {
+        const status = assignmentStatus(a.dueDate, completedAt.get(`${member.id}:${a.contentId}`), timeZone, today);
+        if (status in counts) {
+          counts[status]++;
+          perAssignment[i][status]++;
+        }
+        for (const answer of answers.filter((q) => q.content_id === a.contentId)) {
+          perAssignment[i].answers++;
+          if (answer.is_correct) perAssignment[i].correct++;
+        }
+      });
+      const correct = answers.filter((q) => q.is_correct).length;
+
+      return {
+        studentId: member.id,
+        name: member.full_name,
+        joinedAt: member.joined_at,
+        minutes: activity.reduce((sum, a) => sum + a.duration_minutes, 0),
+        activities: activity.length,
+        quiz: { answers: answers.length, correct, percent: percent(correct, answers.length) },
+        assignments: { total: assignments.length, ...counts },
+      };
+    })
+  );
+
+  const minutes = students.reduce((sum, s) => sum + s.minutes, 0);
+  const completed = students.reduce((sum, s) => sum + s.assignments.done + s.assignments.late, 0);
+  const answers = students.reduce((sum, s) => sum + s.quiz.answers, 0);
+  const correct = students.reduce((sum, s) => sum + s.quiz.correct, 0);
+
+  return {
+    classroom: { ...describeClassroom(classroom), studentCount: members.length },
+    range: { start: range.start, end: range.end },
+    totals: {
+      students: members.length,
+      minutes,
+      averageMinutes: members.length ? Math.round(minutes / members.length) : 0,
+      completionPercent: percent(completed, members.length * assignments.length),
+      quizPercent: percent(correct, answers),
+    },
+    students,
+    assignments: assignments.map((a, i) => {
+      const { done, late, overdue, answers: given, correct: right } = perAssignment[i];
+      return {
+        ...a,
+        done,
+        late,
+        overdue,
+        completionPercent: percent(done + late, members.length),
+        quizPercent: percent(right, given),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  JOIN_CODE_LENGTH,
+  normalizeJoinCode,
+  describeClassroom,
+  createClassroom,
+  replaceJoinCode,
+  findTeacherClassroom,
+  joinClassroom,
+  leaveClassroom,
+  describeAssignments,
+  assignContent,
+  studentClassrooms,
+  classOverview,
+};
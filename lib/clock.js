@@ -0,0 +1,18 @@
+// Single source of "now" for the server. Tests freeze or move it with
+// setNow() to check NZ midnight and DST boundaries deterministically.
+
+let frozen = null;
+
+function now() {
+  return frozen ? new Date(frozen.getTime()) : new Date();
+}
+
+function setNow(date) {
+  frozen = new Date(date);
+}
+
+function resetNow() {
+  frozen = null;
+}
+
+module.exports = { now, setNow, resetNow };
@@ -0,0 +1,354 @@
+const { storage } = require("../db/storage");
+const { DEFAULT_LOCALE, LOCALES } = require("./i18n");
+
+// -------------------- SCHEMA --------------------
+// Subjects live in the database (see /api/admin/subjects). Formats are fixed
+// here because each one has its own item shape and dashboard renderer.
+
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+
+// `path` is how the field is reported, e.g. "quiz[1].question"
+function checkText(errors, item, field, { required = true, max = 255, path = field } = {}) {
+  const value = item[field];
+  if (value === undefined || value === null) {
+    if (required) errors.push({ field: path, message: "is required" });
+    return;
+  }
+  if (!isText(value)) {
+    errors.push({ field: path, message: "must be a non-empty string" });
+  } else if (max && value.length > max) {
+    errors.push({ field: path, message: `must be at most ${max} characters` });
+  }
+}
+
+function checkKnownFields(errors, item, fields) {
+  for (const key of Object.keys(item)) {
+    if (!fields.includes(key)) errors.push({ field: key, message: "is not a known field" });
+  }
+}
+
+// Optional on every format; tags and ages are used by the /api/content/list
+// filters, translations by localizeItem()
+const COMMON_FIELDS = ["tags", "ageMin", "ageMax", "translations"];
+
+function checkMetadata(errors, item) {
+  if (item.tags !== undefined) {
+    const ok =
+      Array.isArray(item.tags) &&
+      item.tags.length <= 10 &&
+      item.tags.every((t) => isText(t) && t.length <= 30);
+    if (!ok) {
+      errors.push({ field: "tags", message: "must be up to 10 strings of at most 30 characters" });
+    }
+  }
+
+  const ages = ["ageMin", "ageMax"].filter((f) => item[f] !== undefined);
+  for (const field of ages) {
+    const age = item[field];
+    if (!Number.isInteger(age) || age < 3 || age > 19) {
+      errors.push({ field, message: "must be a whole number from 3 to 19" });
+    }
+  }
+  if (ages.length === 2 && item.ageMin > item.ageMax) {
+    errors.push({ field: "ageMax", message: "must not be below ageMin" });
+  }
+}
+
+function checkQuestion(errors, q, field) {
+  if (!q || typeof q !== "object" || Array.isArray(q)) {
+    errors.push({ field, message: "must be an object" });
+    return;
+  }
+  checkText(errors, q, "question", { max: 1000, path: `${field}.question` });
+  if (!Array.isArray(q.answers) || q.answers.length < 2) {
+    errors.push({ field: `${field}.answers`, message: "must have at least 2 answers" });
+  } else {
+    q.answers.forEach((a, i) => {
+      if (!isText(a)) {
+        errors.push({ field: `${field}.answers[${i}]`, message: "must be a non-empty string" });
+      }
+    });
+    const ok =
+      Number.isInteger(q.correctIndex) &&
+      q.correctIndex >= 0 &&
+      q.correctIndex < q.answers.length;
+    if (!ok) {
+      errors.push({ field: `${field}.correctIndex`, message: "must point at one of the answers" });
+    }
+  }
+}
+
+function validateLesson(item, errors) {
+  checkKnownFields(errors, item, ["title", "overview", "blocks", "quiz", ...COMMON_FIELDS]);
+  checkText(errors, item, "title");
+  checkText(errors, item, "overview", { required: false, max: 2000 });
+
+  if (!Array.isArray(item.blocks) || !item.blocks.length) {
+    errors.push({ field: "blocks", message: "must have at least one block" });
+  } else {
+    item.blocks.forEach((block, i) => {
+      if (!block || !isText(block.heading)) {
+        errors.push({ field: `blocks[${i}].heading`, message: "is required" });
+      }
+      if (!block || !isText(block.content)) {
+        errors.push({ field: `blocks[${i}].content`, message: "is required" });
+      }
+    });
+  }
+
+  // A single question object or an array of them, as lessonQuestions() reads it
+  if (item.quiz !== undefined) {
+    if (Array.isArray(item.quiz)) {
+      item.quiz.forEach((q, i) => checkQuestion(errors, q, `quiz[${i}]`));
+    } else {
+      checkQuestion(errors, item.quiz, "quiz");
+    }
+  }
+}
+
+function validateVideo(item, errors) {
+  checkKnownFields(errors, item, ["title", "youtubeId", "description", ...COMMON_FIELDS]);
+  checkText(errors, item, "title");
+  checkText(errors, item, "description", { required: false, max: 2000 });
+  // The video ID only — the dashboard builds the embed URL
+  if (!isText(item.youtubeId) || !/^[A-Za-z0-9_-]+$/.test(item.youtubeId)) {
+    errors.push({ field: "youtubeId", message: "must be a YouTube video ID, not a URL" });
+  }
+}
+
+function validateGame(item, errors) {
+  checkKnownFields(errors, item, ["title", "url", "description", ...COMMON_FIELDS]);
+  checkText(errors, item, "title");
+  checkText(errors, item, "description", { required: false, max: 2000 });
+  let url = null;
+  try {
+    url = new URL(item.url);
+  } catch {}
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    errors.push({ field: "url", message: "must be an http(s) URL" });
+  }
+}
+
+const formats = {
+  lessons: { activity: "lesson", validate: validateLesson, translatable: ["title", "overview", "blocks", "quiz"] },
+  videos: { activity: "video", validate: validateVideo, translatable: ["title", "description"] },
+  games: { activity: "game", validate: validateGame, translatable: ["title", "description"] },
+};
+
+// -------------------- TRANSLATIONS --------------------
+// An item's text can be translated field by field:
+//   "translations": { "mi": { "title": "...", "blocks": [{ "heading": "..." }],
+//                             "quiz": [{ "question": "...", "answers": [...] }] } }
+// Anything left out stays in English. blocks and quiz line up with the
+// English ones by position, and a question's answers must be translated all
+// together since correctIndex is shared.
+
+function checkTranslatedList(errors, list, english, path, check) {
+  if (!Array.isArray(list)) {
+    errors.push({ field: path, message: "must be a list" });
+  } else if (list.length > english.length) {
+    errors.push({ field: path, message: `must have at most ${english.length} entries, like the English` });
+  } else {
+    list.forEach((entry, i) => {
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        errors.push({ field: `${path}[${i}]`, message: "must be an object" });
+      } else {
+        check(entry, english[i], `${path}[${i}]`);
+      }
+    });
+  }
+}
+
+function checkTranslation(errors, format, item, translation, path) {
+  for (const key of Object.keys(translation)) {
+    if (!formats[format].translatable.includes(key)) {
+      errors.push({ field: `${path}.${key}`, message: "is not a field that can be translated" });
+    }
+  }
+  for (const field of ["title", "overview", "description"]) {
+    checkText(errors, translation, field, { required: false, max: field === "title" ? 255 : 2000, path: `${path}.${field}` });
+  }
+
+  if (translation.blocks !== undefined) {
+    const english = Array.isArray(item.blocks) ? item.blocks : [];
+    checkTranslatedList(errors, translation.blocks, english, `${path}.blocks`, (block, _, at) => {
+      checkText(errors, block, "heading", { required: false, max: null, path: `${at}.heading` });
+      checkText(errors, block, "content", { required: false, max: null, path: `${at}.content` });
+    });
+  }
+
+  if (translation.quiz !== undefined) {
+    checkTranslatedList(errors, translation.quiz, lessonQuestions(item), `${path}.quiz`, (q, english, at) => {
+      checkText(errors, q, "question", { required: false, max: 1000, path: `${at}.question` });
+      if (q.answers === undefined) return;
+      const ok =
+        Array.isArray(q.answers) && q.answers.length === english.answers.length && q.answers.every(isText);
+      if (!ok) {
+        errors.push({ field: `${at}.answers`, message: `must be ${english.answers.length} answers, like the English` });
+      }
+    });
+  }
+}
+
+function checkTranslations(errors, format, item) {
+  const { translations } = item;
+  if (translations === undefined) return;
+  if (!translations || typeof translations !== "object" || Array.isArray(translations)) {
+    errors.push({ field: "translations", message: "must be an object of language code -> fields" });
+    return;
+  }
+  for (const [locale, translation] of Object.entries(translations)) {
+    const path = `translations.${locale}`;
+    if (locale === DEFAULT_LOCALE || !LOCALES.includes(locale)) {
+      const others = LOCALES.filter((l) => l !== DEFAULT_LOCALE);
+      errors.push({ field: path, message: `must be one of: ${others.join(", ")}` });
+    } else if (!translation || typeof translation !== "object" || Array.isArray(translation)) {
+      errors.push({ field: path, message: "must be an object" });
+    } else {
+      checkTranslation(errors, format, item, translation, path);
+    }
+  }
+}
+
+const textFields = (entry, fields) =>
+  Object.fromEntries(fields.filter((f) => entry && isText(entry[f])).map((f) => [f, entry[f]]));
+
+/**
+ * An item's data in `locale`: translated fields where there are
+ * translations, English everywhere else. translations itself is dropped.
+ */
+function localizeItem(item, locale = DEFAULT_LOCALE) {
+  if (!item) return item;
+  const { translations, ...english } = item;
+  const translation = translations && translations[locale];
+  if (!translation) return english;
+
+  const out = { ...english, ...textFields(translation, ["title", "overview", "description"]) };
+  if (Array.isArray(translation.blocks) && Array.isArray(english.blocks)) {
+    out.blocks = english.blocks.map((b, i) => ({ ...b, ...textFields(translation.blocks[i], ["heading", "content"]) }));
+  }
+  if (Array.isArray(translation.quiz) && english.quiz) {
+    out.quiz = lessonQuestions(english).map((q, i) => {
+      const t = translation.quiz[i];
+      const answers = t && Array.isArray(t.answers) && t.answers.length === q.answers.length ? { answers: t.answers } : {};
+      return { ...q, ...textFields(t, ["question"]), ...answers };
+    });
+  }
+  return out;
+}
+
+const allowedFormats = Object.keys(formats);
+
+/**
+ * Checks a content item against its format's schema.
+ * Returns [{ field, message }]; empty when the item is valid.
+ */
+function validateItem(format, item) {
+  if (!formats[format]) return [{ field: "format", message: "is not a known format" }];
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return [{ field: "item", message: "must be an object" }];
+  }
+  const errors = [];
+  formats[format].validate(item, errors);
+  checkMetadata(errors, item);
+  checkTranslations(errors, format, item);
+  return errors;
+}
+
+// "lessons" -> "lesson", the activity_type stored for student activity
+function activityTypeFor(format) {
+  return formats[format] ? formats[format].activity : null;
+}
+
+// -------------------- LOADING --------------------
+
+async function listSubjects() {
+  return (await storage.subjects.list()).map((s) => s.name);
+}
+
+/**
+ * Published items for a subject, keyed by format, in display order:
+ * { lessons: [{ id, title, ... }], videos: [...], games: [...] }.
+ * Returns null for an unknown subject.
+ */
+async function loadSubject(subject) {
+  const row = await storage.subjects.findByName(subject);
+  if (!row) return null;
+
+  const data = {};
+  for (const format of allowedFormats) {
+    const items = await storage.contentItems.list(row.id, format, { publishedOnly: true });
+    data[format] = items.map((c) => ({ id: c.id, ...c.data }));
+  }
+  return data;
+}
+
+/**
+ * A published item by ID with its subject name: { row, subject }, or null
+ * when it doesn't exist or is unpublished.
+ */
+async function findPublishedItem(id) {
+  const row = await storage.contentItems.findById(Number(id));
+  if (!row || !row.published) return null;
+  const subject = await storage.subjects.findById(row.subject_id);
+  return { row, subject: subject ? subject.name : null };
+}
+
+// Listing entry: enough to show a card, without lesson bodies or quizzes
+function contentSummary(row, subject, locale = DEFAULT_LOCALE) {
+  const d = localizeItem(row.data, locale);
+  return {
+    id: row.id,
+    subject,
+    format: row.format,
+    title: d.title,
+    summary: d.overview || d.description || null,
+    tags: d.tags || [],
+    ageMin: d.ageMin ?? null,
+    ageMax: d.ageMax ?? null,
+  };
+}
+
+/**
+ * A lesson's quiz may be a single { question, answers, correctIndex } object
+ * or an array of them. Always returns an array (possibly empty).
+ */
+function lessonQuestions(lesson) {
+  if (!lesson || !lesson.quiz) return [];
+  const list = Array.isArray(lesson.quiz) ? lesson.quiz : [lesson.quiz];
+  return list.filter((q) => q && q.question && Array.isArray(q.answers));
+}
+
+/**
+ * Copy of a content item that is safe to send to the browser, in `locale`:
+ * lesson quizzes lose their correctIndex and are always exposed as a
+ * `questions` array.
+ */
+function publicItem(format, item, locale = DEFAULT_LOCALE) {
+  if (!item) return item;
+  const localized = localizeItem(item, locale);
+  if (format !== "lessons") return localized;
+
+  const { quiz, ...rest } = localized;
+  return {
+    ...rest,
+    questions: lessonQuestions(localized).map((q, index) => ({
+      index,
+      question: q.question,
+      answers: q.answers,
+    })),
+  };
+}
+
+module.exports = {
+  allowedFormats,
+  validateItem,
+  activityTypeFor,
+  listSubjects,
+  loadSubject,
+  findPublishedItem,
+  contentSummary,
+  lessonQuestions,
+  localizeItem,
+  publicItem,
+};
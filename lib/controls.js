@@ -0,0 +1,253 @@
+const { storage } = require("../db/storage");
+const { allowedFormats, activityTypeFor } = require("./content");
+const { addDays, startOfDay, weekStart } = require("./dates");
+
+// -------------------- RULES --------------------
+// Parents set, per student: a daily minute limit (checked against today's
+// daily_sessions.total_minutes) and which subjects and formats are on.
+// A rule is { mode, list }: "all" allows everything, "allow" only what is
+// listed, "block" everything except what is listed.
+
+const RULE_MODES = ["all", "allow", "block"];
+const MIN_DAILY_MINUTES = 5;
+const MAX_DAILY_MINUTES = 24 * 60;
+
+const openRule = () => ({ mode: "all", list: [] });
+
+function permits(rule, value) {
+  if (!rule || rule.mode === "all") return true;
+  const listed = rule.list.includes(value);
+  return rule.mode === "allow" ? listed : !listed;
+}
+
+/** A student's controls: { dailyMinuteLimit, subjects, formats }. */
+async function loadControls(studentId) {
+  const row = await storage.controls.get(studentId);
+  const rules = row ? row.rules : {};
+  return {
+    dailyMinuteLimit: row ? row.daily_minute_limit : null,
+    subjects: rules.subjects || openRule(),
+    formats: rules.formats || openRule(),
+  };
+}
+
+// Returns the rule, or undefined after pushing an error
+function checkRule(errors, field, raw, known) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push({ field, message: "must be an object like { mode, list }" });
+    return undefined;
+  }
+  if (!RULE_MODES.includes(raw.mode)) {
+    errors.push({ field: `${field}.mode`, message: `must be one of: ${RULE_MODES.join(", ")}` });
+    return undefined;
+  }
+  if (raw.mode === "all") return openRule();
+
+  if (!Array.isArray(raw.list) || !raw.list.length) {
+    errors.push({ field: `${field}.list`, message: `must name at least one for "${raw.mode}"` });
+    return undefined;
+  }
+  const list = [];
+  raw.list.forEach((value, i) => {
+    // Match case-insensitively but store the canonical spelling
+    const match = known.find((k) => k.toLowerCase() === String(value).trim().toLowerCase());
+    if (!match) {
+      errors.push({ field: `${field}.list[${i}]`, message: `must be one of: ${known.join(", ")}` });
+    } else if (!list.includes(match)) {
+      list.push(match);
+    }
+  });
+  return { mode: raw.mode, list };
+}
+
+/**
+ * Applies a PUT /api/controls body to the current controls; fields that
+ * aren't sent keep their value and dailyMinuteLimit null removes the limit.
+ * Returns { controls, errors } where errors is [{ field, message }].
+ */
+function applyControlChanges(current, body, subjectNames) {
+  const errors = [];
+  const controls = { ...current };
+
+  if (body.dailyMinuteLimit !== undefined) {
+    const raw = body.dailyMinuteLimit;
+    const limit = raw === null || raw === "" ? null : Number(raw);
+    if (limit !== null && (!Number.isInteger(limit) || limit < MIN_DAILY_MINUTES || limit > MAX_DAILY_MINUTES)) {
+      errors.push({
+        field: "dailyMinuteLimit",
+        message: `must be a whole number of minutes from ${MIN_DAILY_MINUTES} to ${MAX_DAILY_MINUTES}, or null`,
+      });
+    } else {
+      controls.dailyMinuteLimit = limit;
+    }
+  }
+  if (body.subjects !== undefined) {
+    const rule = checkRule(errors, "subjects", body.subjects, subjectNames);
+    if (rule) controls.subjects = rule;
+  }
+  if (body.formats !== undefined) {
+    const rule = checkRule(errors, "formats", body.formats, allowedFormats);
+    if (rule) controls.formats = rule;
+  }
+  return { controls, errors };
+}
+
+async function saveControls(studentId, controls) {
+  await storage.controls.save(studentId, {
+    daily_minute_limit: controls.dailyMinuteLimit,
+    rules: { subjects: controls.subjects, formats: controls.formats },
+  });
+}
+
+// -------------------- DAILY LIMIT --------------------
+
+/**
+ * Today's minutes against the limit. day is dayInfo() for the student.
+ * { limit, minutesToday, minutesLeft, reached, resetsInSeconds }; limit and
+ * minutesLeft are null when there is no limit.
+ */
+async function dailyUsage(studentId, controls, day) {
+  const session = await storage.dailySessions.get(studentId, day.today);
+  const minutesToday = session ? session.total_minutes : 0;
+  const limit = controls.dailyMinuteLimit;
+  return {
+    limit,
+    minutesToday,
+    minutesLeft: limit === null ? null : Math.max(0, limit - minutesToday),
+    reached: limit !== null && minutesToday >= limit,
+    resetsInSeconds: day.secondsUntilTomorrow,
+  };
+}
+
+/**
+ * Why a student can't open something right now, or null if they can.
+ * Pass subject and/or format for a specific item; checkLimit false skips the
+ * daily limit (e.g. when recording time that was already spent).
+ * Returns { blockedBy: "dailyLimit" | "subject" | "format", message, ... }.
+ */
+function blockFor({ controls, usage }, { subject, format, checkLimit = true } = {}) {
+  if (checkLimit && usage.reached) {
+    return {
+      blockedBy: "dailyLimit",
+      message: `You've used all ${usage.limit} minutes for today. Come back tomorrow!`,
+      dailyLimit: usage,
+    };
+  }
+  if (subject && !permits(controls.subjects, subject)) {
+    return { blockedBy: "subject", message: `${subject} is switched off by your parent.` };
+  }
+  if (format && !permits(controls.formats, format)) {
+    return { blockedBy: "format", message: `${format[0].toUpperCase()}${format.slice(1)} are switched off by your parent.` };
+  }
+  return null;
+}
+
+/** Controls plus today's usage, as blockFor() wants them. */
+async function loadRestrictions(studentId, day) {
+  const controls = await loadControls(studentId);
+  return { controls, usage: await dailyUsage(studentId, controls, day) };
+}
+
+// -------------------- WEEKLY GOALS --------------------
+// A goal is a target for the current week (Monday to Sunday in the student's
+// timezone): a number of activities ("count") or minutes, optionally only in
+// one subject and/or format. "3 Maths lessons" is
+// { subject: "Maths", format: "lessons", metric: "count", target: 3 }.
+
+const GOAL_METRICS = ["count", "minutes"];
+const MAX_GOALS = 10;
+const MAX_TARGET = { count: 200, minutes: 3000 };
+
+/**
+ * Checks a POST /api/goals body.
+ * Returns { goal, errors } where errors is [{ field, message }].
+ */
+function validateGoal(body, subjectNames) {
+  const errors = [];
+  const goal = { subject: null, format: null, metric: body.metric || "count", target: Number(body.target) };
+
+  if (body.subject !== undefined && body.subject !== null && body.subject !== "") {
+    const match = subjectNames.find((s) => s.toLowerCase() === String(body.subject).trim().toLowerCase());
+    if (!match) errors.push({ field: "subject", message: `must be one of: ${subjectNames.join(", ")}` });
+    goal.subject = match || null;
+  }
+  if (body.format !== undefined && body.format !== null && body.format !== "") {
+    if (!allowedFormats.includes(body.format)) {
+      errors.push({ field: "format", message: `must be one of: ${allowedFormats.join(", ")}` });
+    }
+    goal.format = body.format;
+  }
+  if (!GOAL_METRICS.includes(goal.metric)) {
+    errors.push({ field: "metric", message: `must be one of: ${GOAL_METRICS.join(", ")}` });
+  } else {
+    const max = MAX_TARGET[goal.metric];
+    if (!Number.isInteger(goal.target) || goal.target < 1 || goal.target > max) {
+      errors.push({ field: "target", message: `must be a whole number from 1 to ${max}` });
+    }
+  }
+  return { goal, errors };
+}
+
+// "3 Maths lessons", "1 activity", "60 minutes of Physics games"
+function goalLabel({ subject, format, metric, target }) {
+  if (metric === "minutes") {
+    return `${target} minutes of ${[subject, format].filter(Boolean).join(" ") || "learning"}`;
+  }
+  const noun = format
+    ? target === 1 ? format.slice(0, -1) : format
+    : target === 1 ? "activity" : "activities";
+  return [target, subject, noun].filter(Boolean).join(" ");
+}
+
+/**
+ * This week's progress on each of a student's goals. day is dayInfo().
+ * { week: { start, end }, goals: [{ id, label, subject, format, metric,
+ * target, progress, percent, done }] }
+ */
+async function goalProgress(studentId, day) {
+  const start = weekStart(day.today);
+  const [goals, activities] = await Promise.all([
+    storage.goals.listForStudent(studentId),
+    storage.activities.listSince(studentId, startOfDay(start, day.timeZone)),
+  ]);
+
+  return {
+    week: { start, end: addDays(start, 6) },
+    goals: goals.map((g) => {
+      const type = g.format ? activityTypeFor(g.format) : null;
+      const matching = activities.filter(
+        (a) => (!g.subject || a.subject === g.subject) && (!type || a.activity_type === type)
+      );
+      const progress =
+        g.metric === "minutes"
+          ? matching.reduce((sum, a) => sum + a.duration_minutes, 0)
+          : matching.filter((a) => a.completed).length;
+      return {
+        id: g.id,
+        label: goalLabel(g),
+        subject: g.subject,
+        format: g.format,
+        metric: g.metric,
+        target: g.target,
+        progress,
+        percent: Math.min(100, Math.round((progress / g.target) * 100)),
+        done: progress >= g.target,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  RULE_MODES,
+  MAX_GOALS,
+  permits,
+  loadControls,
+  applyControlChanges,
+  saveControls,
+  dailyUsage,
+  blockFor,
+  loadRestrictions,
+  validateGoal,
+  goalLabel,
+  goalProgress,
+};
@@ -0,0 +1,147 @@
+const clock = require("./clock");
+
+// Every "what day is it" question (streaks, daily sessions, analytics, XP
+// limits) goes through this module, in the student's timezone. Students
+// without one use their family's, and families without one use DEFAULT_TIMEZONE.
+
+const NZ_TZ = "Pacific/Auckland";
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || NZ_TZ;
+
+// True for IANA zone names Intl knows, e.g. "Pacific/Auckland", "Europe/London"
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-CA", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+// Calendar date (YYYY-MM-DD) in a timezone
+function dateString(date = clock.now(), timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// NZ date string (YYYY-MM-DD) based on Pacific/Auckland
+function nzDateString(date = clock.now()) {
+  return dateString(date, NZ_TZ);
+}
+
+// True for a real calendar date written "YYYY-MM-DD"
+function isValidDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  return addDays(value, 0) === value;
+}
+
+// Calendar arithmetic on "YYYY-MM-DD" strings, independent of any timezone
+function addDays(dateString, days) {
+  const [y, m, d] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// Whole calendar days from one "YYYY-MM-DD" string to another (negative if to is earlier)
+function daysBetween(from, to) {
+  const utc = (s) => {
+    const [y, m, d] = s.split("-").map(Number);
+    return Date.UTC(y, m - 1, d);
+  };
+  return Math.round((utc(to) - utc(from)) / 86400000);
+}
+
+// How far ahead of UTC the zone's wall clock is at `date`, in ms
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a calendar day starts in a zone. Two passes settle the offset
+// when the guess lands on the other side of a DST change.
+function startOfDay(dateString, timeZone) {
+  const [y, m, d] = dateString.split("-").map(Number);
+  const wallMidnight = Date.UTC(y, m - 1, d);
+  let instant = wallMidnight - zoneOffsetMs(new Date(wallMidnight), timeZone);
+  instant = wallMidnight - zoneOffsetMs(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+// Seconds until the next midnight in a timezone. Uses real elapsed time, so
+// the 23- and 25-hour days at DST changes come out right.
+function secondsUntilNextMidnight(now = clock.now(), timeZone = DEFAULT_TIMEZONE) {
+  const next = startOfDay(addDays(dateString(now, timeZone), 1), timeZone);
+  return Math.max(0, Math.floor((next.getTime() - now.getTime()) / 1000));
+}
+
+function secondsUntilNextNZMidnight(now = clock.now()) {
+  return secondsUntilNextMidnight(now, NZ_TZ);
+}
+
+/**
+ * "Today" for someone in timeZone (falling back to DEFAULT_TIMEZONE when it
+ * is missing or unknown):
+ * { timeZone, today, yesterday, startOfToday, secondsUntilTomorrow }
+ */
+function dayInfo(timeZone, now = clock.now()) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const today = dateString(now, zone);
+  return {
+    timeZone: zone,
+    today,
+    yesterday: addDays(today, -1),
+    startOfToday: startOfDay(today, zone),
+    secondsUntilTomorrow: secondsUntilNextMidnight(now, zone),
+  };
+}
+
+// The last n calendar dates up to and including `today`, oldest first
+function lastDays(today, n) {
+  return Array.from({ length: n }, (_, i) => addDays(today, i - n + 1));
+}
+
+// The Monday on or before a "YYYY-MM-DD" date; weeks run Monday to Sunday
+function weekStart(dateString) {
+  const weekday = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  return addDays(dateString, -((weekday + 6) % 7));
+}
+
+module.exports = {
+  NZ_TZ,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  isValidDate,
+  dateString,
+  nzDateString,
+  secondsUntilNextMidnight,
+  secondsUntilNextNZMidnight,
+  dayInfo,
+  lastDays,
+  weekStart,
+  addDays,
+  daysBetween,
+  startOfDay,
+};
@@ -0,0 +1,379 @@
+const { storage } = require("../db/storage");
+const { appUrl } = require("./mail");
+const clock = require("./clock");
+const { isEmail } = require("./validation");
+
+// -------------------- MODEL --------------------
+// A parent's family is the children they're a guardian of (student_guardians)
+// and the other guardians of those children. Each child has one primary
+// guardian (students.parent_id): the child follows their timezone, and only
+// they can unlink the child or hand them to another parent. Nobody is added
+// to a family without saying yes, so every link starts as an invitation
+// addressed to an email:
+//   guardian — a parent asks another parent to co-parent all their children
+//   child    — a parent asks an existing student account to join as their child
+//   link     — a student without a family asks a parent to approve them
+//   transfer — a primary guardian hands one child over to another parent
+// Parents can still create a child's account outright (/api/register-student
+// while signed in); that child joins their family straight away.
+
+const INVITATION_KINDS = ["guardian", "child", "link", "transfer"];
+const INVITATION_DAYS = 14;
+
+// Who sends and who answers each kind
+const SENDER_ROLE = { guardian: "parent", child: "parent", link: "student", transfer: "parent" };
+const ADDRESSEE_ROLE = { guardian: "parent", child: "student", link: "parent", transfer: "parent" };
+
+const sameEmail = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+const accountsOf = (store, role) => (role === "parent" ? store.parents : store.students);
+
+// -------------------- LINKS --------------------
+
+/**
+ * Makes parentId a child's primary guardian and links everyone who
+ * co-parents with them. store is storage or a transaction's repositories.
+ */
+async function joinFamily(store, studentId, parentId) {
+  const others = await store.guardians.listCoGuardians(parentId);
+  await store.students.update(studentId, { parent_id: parentId });
+  await store.guardians.add(studentId, parentId);
+  for (const other of others) {
+    await store.guardians.add(studentId, other.id);
+  }
+}
+
+/**
+ * Takes a child out of their family; their account and history stay, but
+ * their former guardians' notifications about them go.
+ */
+async function leaveFamily(store, studentId) {
+  await store.guardians.removeAll(studentId);
+  await store.notifications.deleteAbout(studentId);
+  await store.students.update(studentId, { parent_id: null });
+}
+
+/**
+ * Unlinks a child. Only their primary guardian may. Returns { student } or
+ * { status, message }.
+ */
+async function unlinkChild(parentId, studentId) {
+  const student = await storage.students.findById(studentId);
+  if (!student || !(await storage.guardians.isGuardian(studentId, parentId))) {
+    return { status: 404, message: "Child not found in your family." };
+  }
+  if (student.parent_id !== parentId) {
+    return { status: 403, message: "Only the child's primary guardian can unlink them." };
+  }
+  await storage.transaction((tx) => leaveFamily(tx, studentId));
+  return { student };
+}
+
+/**
+ * Removes a guardian from the children parentId is primary guardian of, or,
+ * when guardianId is parentId, takes parentId off every child they aren't
+ * primary guardian of. Returns { removed } (how many children) or
+ * { status, message }.
+ */
+async function removeGuardian(parentId, guardianId) {
+  const leaving = guardianId === parentId;
+  const children = (await storage.students.listByParent(parentId)).filter((child) =>
+    leaving ? child.parent_id !== parentId : child.parent_id === parentId
+  );
+
+  let removed = 0;
+  await storage.transaction(async (tx) => {
+    for (const child of children) {
+      if (await tx.guardians.isGuardian(child.id, guardianId)) {
+        await tx.guardians.remove(child.id, guardianId);
+        await tx.notifications.deleteAbout(child.id, guardianId);
+        removed++;
+      }
+    }
+  });
+
+  if (!removed) {
+    return {
+      status: 404,
+      message: leaving
+        ? "You aren't a second guardian of any child."
+        : "They aren't a guardian of any child you're the primary guardian of.",
+    };
+  }
+  return { removed };
+}
+
+// -------------------- INVITATIONS --------------------
+
+/**
+ * Creates an invitation from `from` ({ role, id }): { kind, email,
+ * studentId? }, where studentId is the child being transferred. Doesn't
+ * email it; call sendInvitationEmail() once it's committed. Returns
+ * { invitation } or { status, message, errors? }.
+ */
+async function createInvitation(store, from, { kind, email, studentId }) {
+  if (!INVITATION_KINDS.includes(kind) || SENDER_ROLE[kind] !== from.role) {
+    const allowed = INVITATION_KINDS.filter((k) => SENDER_ROLE[k] === from.role);
+    return {
+      status: 400,
+      message: "Invitation is invalid.",
+      errors: [{ field: "kind", message: `must be one of: ${allowed.join(", ")}` }],
+    };
+  }
+  const address = typeof email === "string" ? email.trim() : "";
+  if (!isEmail(address)) {
+    return {
+      status: 400,
+      message: "Invitation is invalid.",
+      errors: [{ field: "email", message: "must be an email address" }],
+    };
+  }
+
+  const sender = await accountsOf(store, from.role).findById(from.id);
+  if (sameEmail(sender.email, address)) {
+    return { status: 400, message: "You can't invite yourself." };
+  }
+
+  let child = null;
+  if (kind === "link") {
+    child = sender;
+    if (child.parent_id) {
+      return {
+        status: 409,
+        message: "You're already linked to a parent. Ask them to transfer you instead.",
+      };
+    }
+  }
+  if (kind === "transfer") {
+    child = studentId ? await store.students.findById(studentId) : null;
+    if (!child || !(await store.guardians.isGuardian(child.id, from.id))) {
+      return { status: 404, message: "Child not found in your family." };
+    }
+    if (child.parent_id !== from.id) {
+      return { status: 403, message: "Only the child's primary guardian can transfer them." };
+    }
+  }
+
+  // Already where the invitation would put them?
+  if (kind === "guardian") {
+    if (!(await store.students.listByParent(from.id)).length) {
+      return { status: 409, message: "Add a child before inviting another guardian." };
+    }
+    const family = await store.guardians.listCoGuardians(from.id);
+    if (family.some((p) => sameEmail(p.email, address))) {
+      return { status: 409, message: "They're already a guardian in your family." };
+    }
+  }
+  if (kind === "child") {
+    const existing = await store.students.findByEmail(address);
+    if (existing && (await store.guardians.isGuardian(existing.id, from.id))) {
+      return { status: 409, message: "They're already in your family." };
+    }
+  }
+
+  const fields = {
+    kind,
+    from_role: from.role,
+    from_id: from.id,
+    student_id: child ? child.id : null,
+    email: address,
+  };
+  if (await store.invitations.findPending(fields)) {
+    return { status: 409, message: "That invitation is already waiting for an answer." };
+  }
+
+  const expires = new Date(clock.now().getTime() + INVITATION_DAYS * 24 * 60 * 60 * 1000);
+  const id = await store.invitations.create({ ...fields, expires_at: expires });
+  return { invitation: await store.invitations.findById(id) };
+}
+
+/** An invitation as the API shows it, with names for the sender and child. */
+async function describeInvitation(invitation) {
+  const sender = await accountsOf(storage, invitation.from_role).findById(invitation.from_id);
+  const child = invitation.student_id ? await storage.students.findById(invitation.student_id) : null;
+  return {
+    id: invitation.id,
+    kind: invitation.kind,
+    email: invitation.email,
+    status: invitation.status,
+    from: {
+      role: invitation.from_role,
+      id: invitation.from_id,
+      name: sender ? sender.full_name : null,
+    },
+    student: child ? { id: child.id, name: child.full_name } : null,
+    createdAt: invitation.created_at,
+    expiresAt: invitation.expires_at,
+  };
+}
+
+function invitationEmail(invitation) {
+  const from = invitation.from.name;
+  const child = invitation.student && invitation.student.name;
+  const page =
+    ADDRESSEE_ROLE[invitation.kind] === "parent" ? "your parent dashboard" : "your student dashboard";
+  const account = ADDRESSEE_ROLE[invitation.kind] === "parent" ? "a parent account" : "a student account";
+
+  const ask = {
+    guardian: [
+      `${from} invited you to join their family on STEM Learning`,
+      `${from} would like you to be a guardian of their children, so you can follow their learning too.`,
+    ],
+    child: [
+      `${from} invited you to join their family on STEM Learning`,
+      `${from} would like to add you to their family, so they can follow your learning.`,
+    ],
+    link: [
+      `${from} asked to join your family on STEM Learning`,
+      `${from} would like you to approve them as your child, so you can follow their learning. Nothing is shared until you approve.`,
+    ],
+    transfer: [
+      `${from} would like to hand ${child} over to you on STEM Learning`,
+      `${from} would like you to become ${child}'s primary guardian. ${from} will no longer see ${child}'s progress once you accept.`,
+    ],
+  }[invitation.kind];
+
+  return {
+    to: invitation.email,
+    subject: ask[0],
+    text: [
+      "Hi,",
+      "",
+      ask[1],
+      "",
+      `To answer, sign in (or create ${account}) with this email address and open ${page}:`,
+      "",
+      appUrl("signin.html"),
+      "",
+      `The invitation expires on ${new Date(invitation.expiresAt).toISOString().slice(0, 10)}. If you weren't expecting it, you can ignore this email.`,
+      "",
+    ].join("\n"),
+  };
+}
+
+/** Emails a described invitation to its address. */
+function sendInvitationEmail(mailer, invitation) {
+  return mailer.send(invitationEmail(invitation));
+}
+
+/**
+ * Accepts or declines an invitation addressed to auth ({ role, id }), or
+ * cancels one auth sent (answer "cancel"). Returns { invitation } (the row
+ * after answering) or { status, message }.
+ */
+async function answerInvitation(auth, invitationId, answer) {
+  const invitation = await storage.invitations.findById(invitationId);
+  const me = invitation && (await accountsOf(storage, auth.role).findById(auth.id));
+  const mine =
+    answer === "cancel"
+      ? invitation && invitation.from_role === auth.role && invitation.from_id === auth.id
+      : me && ADDRESSEE_ROLE[invitation.kind] === auth.role && sameEmail(invitation.email, me.email);
+  if (!mine) return { status: 404, message: "Invitation not found." };
+
+  const closed = { status: 409, message: "This invitation has already been answered or has expired." };
+  if (invitation.status !== "pending" || new Date(invitation.expires_at) <= clock.now()) return closed;
+
+  if (answer !== "accept") {
+    const done = await storage.invitations.respond(invitation.id, answer === "cancel" ? "cancelled" : "declined");
+    return done ? { invitation: await storage.invitations.findById(invitation.id) } : closed;
+  }
+
+  const result = await storage.transaction(async (tx) => {
+    if (invitation.kind === "guardian") {
+      if (!(await tx.invitations.respond(invitation.id, "accepted"))) return closed;
+      for (const child of await tx.students.listByParent(invitation.from_id)) {
+        await tx.guardians.add(child.id, auth.id);
+      }
+      return {};
+    }
+
+    // child and link put a student without a family into one; transfer moves
+    // a child whose primary guardian hasn't changed since they asked
+    const studentId = invitation.kind === "child" ? auth.id : invitation.student_id;
+    const parentId = invitation.kind === "child" ? invitation.from_id : auth.id;
+    const student = await tx.students.findById(studentId);
+    if (invitation.kind === "transfer") {
+      if (!student || student.parent_id !== invitation.from_id) {
+        return { status: 409, message: "This transfer is no longer valid." };
+      }
+    } else if (!student || student.parent_id) {
+      return {
+        status: 409,
+        message:
+          invitation.kind === "child"
+            ? "You're already in a family. Ask your parent to transfer you instead."
+            : "They've already joined another family.",
+      };
+    }
+
+    if (!(await tx.invitations.respond(invitation.id, "accepted"))) return closed;
+    await leaveFamily(tx, studentId);
+    await joinFamily(tx, studentId, parentId);
+    return {};
+  });
+
+  return result.status ? result : { invitation: await storage.invitations.findById(invitation.id) };
+}
+
+// -------------------- OVERVIEW --------------------
+
+/**
+ * What a parent or student sees of their family: children (parents) or
+ * guardians (students), plus invitations waiting on them (incoming) and
+ * ones they sent that are still open (outgoing).
+ */
+async function familyOverview(auth) {
+  const me = await accountsOf(storage, auth.role).findById(auth.id);
+  const incomingKinds = INVITATION_KINDS.filter((k) => ADDRESSEE_ROLE[k] === auth.role);
+  const [incoming, outgoing] = await Promise.all([
+    storage.invitations.listPendingTo(me.email, incomingKinds),
+    storage.invitations.listPendingFrom(auth.role, auth.id),
+  ]);
+  const invitations = {
+    incoming: await Promise.all(incoming.map(describeInvitation)),
+    outgoing: await Promise.all(outgoing.map(describeInvitation)),
+  };
+
+  if (auth.role === "student") {
+    const guardians = await storage.guardians.listForStudent(auth.id);
+    return {
+      guardians: guardians.map((p) => ({
+        id: p.id,
+        name: p.full_name,
+        email: p.email,
+        primary: p.id === me.parent_id,
+      })),
+      invitations,
+    };
+  }
+
+  const [children, guardians] = await Promise.all([
+    storage.students.listByParent(auth.id),
+    storage.guardians.listCoGuardians(auth.id),
+  ]);
+  return {
+    children: children.map((c) => ({
+      id: c.id,
+      name: c.full_name,
+      email: c.email,
+      primaryGuardianId: c.parent_id,
+      primary: c.parent_id === auth.id,
+    })),
+    guardians: guardians.map((p) => ({ id: p.id, name: p.full_name, email: p.email })),
+    invitations,
+  };
+}
+
+module.exports = {
+  INVITATION_KINDS,
+  INVITATION_DAYS,
+  joinFamily,
+  leaveFamily,
+  unlinkChild,
+  removeGuardian,
+  createInvitation,
+  describeInvitation,
+  sendInvitationEmail,
+  answerInvitation,
+  familyOverview,
+};
@@ -0,0 +1,222 @@
+const { storage } = require("../db/storage");
+const { lessonQuestions } = require("./content");
+const { loadStudentProgress, itemComplete } = require("./paths");
+const { MAX_FREEZES } = require("./streaks");
+
+// -------------------- XP --------------------
+// Every award is a row in the xp_events ledger; totals and levels are sums
+// over it. Repeats are limited so logging the same thing again can't farm XP.
+
+const XP_RULES = {
+  // Per activity type, once per content item per day (student's timezone)
+  activity: { lesson: 20, video: 10, game: 15 },
+  // Per quiz question, the first time it is answered correctly
+  correctAnswer: 5,
+  // Whole quiz right in one submission, once per lesson
+  perfectQuiz: 25,
+};
+
+// Reaching level n takes 50 * n * (n - 1) XP: 100 for level 2, 300 for 3, 600 for 4...
+const xpForLevel = (level) => 50 * level * (level - 1);
+
+function levelFor(totalXp) {
+  let level = 1;
+  while (totalXp >= xpForLevel(level + 1)) level++;
+  return {
+    total: totalXp,
+    level,
+    levelStartXp: xpForLevel(level),
+    nextLevelXp: xpForLevel(level + 1),
+  };
+}
+
+async function awardXp(store, studentId, { source, amount, reason, contentId = null }) {
+  if (!amount) return 0;
+  await store.xp.add({
+    student_id: studentId,
+    source,
+    amount,
+    reason,
+    content_id: contentId,
+  });
+  return amount;
+}
+
+/**
+ * XP for a logged activity. store is storage or a transaction's repositories;
+ * since is when the student's day started (dayInfo().startOfToday).
+ * Returns the XP awarded (0 for a repeat today).
+ */
+async function awardActivityXp(store, studentId, { since, activityType, contentId = null, title }) {
+  if (await store.xp.count(studentId, { source: "activity", contentId, since })) return 0;
+
+  return awardXp(store, studentId, {
+    source: "activity",
+    amount: XP_RULES.activity[activityType] || 0,
+    reason: title ? `Finished "${title}"` : `Finished a ${activityType}`,
+    contentId,
+  });
+}
+
+/**
+ * XP for a graded quiz submission. previous is the student's quiz_attempts
+ * rows from before this submission; results is gradeAnswers() output.
+ * Returns the XP awarded.
+ */
+async function awardQuizXp(store, studentId, lesson, results, previous) {
+  const answeredRight = new Set(
+    previous
+      .filter((a) => a.content_id === lesson.id && a.is_correct)
+      .map((a) => a.question_index)
+  );
+  const firstTimeRight = new Set(
+    results.filter((r) => r.correct && !answeredRight.has(r.questionIndex)).map((r) => r.questionIndex)
+  );
+
+  let awarded = await awardXp(store, studentId, {
+    source: "quiz",
+    amount: firstTimeRight.size * XP_RULES.correctAnswer,
+    reason: `${firstTimeRight.size} new correct answer${firstTimeRight.size === 1 ? "" : "s"} in "${lesson.title}"`,
+    contentId: lesson.id,
+  });
+
+  const total = lessonQuestions(lesson).length;
+  const rightNow = new Set(results.filter((r) => r.correct).map((r) => r.questionIndex));
+  const perfect = total > 0 && rightNow.size === total && results.every((r) => r.correct);
+  if (perfect && !(await store.xp.count(studentId, { source: "perfect-quiz", contentId: lesson.id }))) {
+    awarded += await awardXp(store, studentId, {
+      source: "perfect-quiz",
+      amount: XP_RULES.perfectQuiz,
+      reason: `Perfect quiz: "${lesson.title}"`,
+      contentId: lesson.id,
+    });
+  }
+  return awarded;
+}
+
+// -------------------- BADGES --------------------
+// Badges are data: each has a rule { type, ...options } checked by the
+// matching function in RULES. Adding a badge means adding an entry here (and
+// a rule type only if none of the existing ones fit).
+
+const BADGES = [
+  { key: "first-steps", name: "First Steps", description: "Log your first activity.", rule: { type: "activities", atLeast: 1 } },
+  { key: "busy-learner", name: "Busy Learner", description: "Log 50 activities.", rule: { type: "activities", atLeast: 50 } },
+  { key: "streak-3", name: "On a Roll", description: "Reach a 3-day streak.", rule: { type: "streak", atLeast: 3 } },
+  { key: "streak-7", name: "Week Warrior", description: "Reach a 7-day streak.", rule: { type: "streak", atLeast: 7 } },
+  { key: "streak-30", name: "Unstoppable", description: "Reach a 30-day streak.", rule: { type: "streak", atLeast: 30 } },
+  { key: "first-perfect-quiz", name: "Perfect Score", description: "Get every question in a quiz right first go.", rule: { type: "perfectQuizzes", atLeast: 1 } },
+  { key: "engineering-lessons", name: "Engineering Ace", description: "Finish every Engineering lesson.", rule: { type: "subjectLessons", subject: "Engineering" } },
+  { key: "physics-lessons", name: "Physics Whiz", description: "Finish every Physics lesson.", rule: { type: "subjectLessons", subject: "Physics" } },
+  { key: "maths-lessons", name: "Maths Master", description: "Finish every Maths lesson.", rule: { type: "subjectLessons", subject: "Maths" } },
+  { key: "level-5", name: "Rising Star", description: "Reach level 5.", rule: { type: "level", atLeast: 5 } },
+];
+
+// What rules look at, each loaded at most once per check
+function badgeFacts(studentId) {
+  const cache = new Map();
+  const once = (name, load) => () => {
+    if (!cache.has(name)) cache.set(name, load());
+    return cache.get(name);
+  };
+  return {
+    activities: once("activities", () => storage.activities.count(studentId)),
+    streak: once("streak", async () => {
+      const row = await storage.streaks.get(studentId);
+      return row ? row.streak_days || 0 : 0;
+    }),
+    perfectQuizzes: once("perfectQuizzes", () => storage.xp.count(studentId, { source: "perfect-quiz" })),
+    level: once("level", async () => levelFor(await storage.xp.total(studentId)).level),
+    progress: once("progress", () => loadStudentProgress(studentId)),
+  };
+}
+
+const RULES = {
+  activities: async (facts, rule) => (await facts.activities()) >= rule.atLeast,
+  streak: async (facts, rule) => (await facts.streak()) >= rule.atLeast,
+  perfectQuizzes: async (facts, rule) => (await facts.perfectQuizzes()) >= rule.atLeast,
+  level: async (facts, rule) => (await facts.level()) >= rule.atLeast,
+
+  // Every published lesson in the subject complete, as learning paths count it
+  subjectLessons: async (facts, rule) => {
+    const subject = await storage.subjects.findByName(rule.subject);
+    if (!subject) return false;
+    const lessons = await storage.contentItems.list(subject.id, "lessons", { publishedOnly: true });
+    if (!lessons.length) return false;
+    const progress = await facts.progress();
+    return lessons.every((row) => itemComplete(row, progress));
+  },
+};
+
+for (const badge of BADGES) {
+  if (!RULES[badge.rule.type]) {
+    throw new Error(`Badge "${badge.key}" uses unknown rule type "${badge.rule.type}".`);
+  }
+}
+
+const badgeInfo = ({ key, name, description }) => ({ key, name, description });
+
+/**
+ * Awards every badge whose rule the student now meets.
+ * Returns the newly earned badges as [{ key, name, description }].
+ */
+async function checkBadges(studentId) {
+  const earned = new Set((await storage.badges.listForStudent(studentId)).map((b) => b.badge_key));
+  const facts = badgeFacts(studentId);
+
+  const awarded = [];
+  for (const badge of BADGES) {
+    if (earned.has(badge.key)) continue;
+    if (!(await RULES[badge.rule.type](facts, badge.rule))) continue;
+    if (await storage.badges.award(studentId, badge.key)) awarded.push(badgeInfo(badge));
+  }
+  return awarded;
+}
+
+/**
+ * Everything the dashboard's star/streak area shows: XP and level, streak
+ * freezes, every badge (earned or not) and the latest XP awards.
+ */
+async function getRewards(studentId) {
+  const [total, earned, streak, frozenDays, recent] = await Promise.all([
+    storage.xp.total(studentId),
+    storage.badges.listForStudent(studentId),
+    storage.streaks.get(studentId),
+    storage.streaks.frozenDays(studentId, 10),
+    storage.xp.recent(studentId, 10),
+  ]);
+  const awardedAt = new Map(earned.map((b) => [b.badge_key, b.awarded_at]));
+
+  return {
+    xp: levelFor(total),
+    streak: {
+      days: streak ? streak.streak_days || 0 : 0,
+      lastStreakDate: streak ? streak.last_streak_date : null,
+      freezes: streak ? streak.streak_freezes || 0 : 0,
+      maxFreezes: MAX_FREEZES,
+      frozenDays,
+    },
+    badges: BADGES.map((badge) => ({
+      ...badgeInfo(badge),
+      earned: awardedAt.has(badge.key),
+      awardedAt: awardedAt.get(badge.key) || null,
+    })),
+    recentXp: recent.map((e) => ({
+      source: e.source,
+      amount: e.amount,
+      reason: e.reason,
+      contentId: e.content_id,
+      createdAt: e.created_at,
+    })),
+  };
+}
+
+module.exports = {
+  XP_RULES,
+  BADGES,
+  levelFor,
+  awardActivityXp,
+  awardQuizXp,
+  checkBadges,
+  getRewards,
+};
@@ -0,0 +1,94 @@
+const fs = require("fs");
+const { storage } = require("../db/storage");
+const { bundledContentFiles } = require("../db/bundled-content");
+const { logger } = require("./logger");
+
+// -------------------- CHECKS --------------------
+// Liveness: the process is up and answering. Readiness: it can do its job,
+// i.e. the database answers and the content files can be read. A load
+// balancer should stop sending traffic while readiness fails, and does so
+// as soon as shutdown starts (see drainAndClose).
+
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+let draining = false;
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// { ok, ms }. Why a check failed goes to the log, not to whoever asked.
+async function timed(name, check) {
+  const started = Date.now();
+  try {
+    await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { ok: true, ms: Date.now() - started };
+  } catch (err) {
+    logger.warn(`Readiness check "${name}" failed`, err);
+    return { ok: false, ms: Date.now() - started };
+  }
+}
+
+const checks = {
+  database: () => storage.ping(),
+  content: () =>
+    Promise.all(bundledContentFiles().map((file) => fs.promises.access(file, fs.constants.R_OK))),
+};
+
+function liveness() {
+  return { ok: true, status: "live", uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/** Runs every check; { ok, status: "ready" | "unavailable" | "draining", checks }. */
+async function readiness() {
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    results[name] = await timed(name, check);
+  }
+  const healthy = Object.values(results).every((result) => result.ok);
+  const status = draining ? "draining" : healthy ? "ready" : "unavailable";
+  return { ok: status === "ready", status, checks: results };
+}
+
+// -------------------- SHUTDOWN --------------------
+
+/**
+ * Graceful shutdown: readiness starts failing, the schedulers stop, the
+ * server stops accepting connections and waits for requests in flight, then
+ * the storage pool is drained. After timeoutMs whatever is still open is cut
+ * off. Resolves true when everything closed in time.
+ */
+async function drainAndClose({ server, stops = [], timeoutMs = 10000 }) {
+  draining = true;
+  stops.forEach((stop) => stop());
+
+  const closed = new Promise((resolve) => {
+    server.close(() => resolve(true));
+    // Keep-alive sockets with no request on them would hold close() open
+    server.closeIdleConnections();
+  });
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      server.closeAllConnections();
+      resolve(false);
+    }, timeoutMs);
+    timer.unref();
+  });
+  const drained = await Promise.race([closed, deadline]);
+  clearTimeout(timer);
+
+  try {
+    await storage.close();
+  } catch (err) {
+    logger.error("Closing storage failed", err);
+    return false;
+  }
+  return drained;
+}
+
+module.exports = { liveness, readiness, drainAndClose };
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const { storage } = require("../db/storage");
+const { logger } = require("./logger");
+
+// -------------------- CATALOGS --------------------
+// One file per language in locales/: { name, ui, messages }.
+// - ui: the pages' strings by key (data-i18n="key" in the HTML; see i18n.js)
+// - messages: API `message` values, and validation errors[].message, keyed
+//   by the English text the code writes. {name} in a key stands for any
+//   text, e.g. "{subject} is switched off by your parent."
+// English is the fallback: a ui key or message a catalog doesn't have stays
+// in English.
+
+const DEFAULT_LOCALE = "en";
+const LOCALES = ["en", "mi"];
+const LOCALES_DIR = path.join(__dirname, "..", "locales");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function compileMessages(messages) {
+  const exact = new Map();
+  const patterns = [];
+  for (const [source, text] of Object.entries(messages)) {
+    const names = [...source.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+    if (!names.length) {
+      exact.set(source, text);
+      continue;
+    }
+    const parts = source.split(/\{\w+\}/).map(escapeRegExp);
+    patterns.push({ regex: new RegExp(`^${parts.join("(.+?)")}$`), names, text });
+  }
+  return { exact, patterns };
+}
+
+function loadCatalog(locale) {
+  const raw = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), "utf-8"));
+  return { name: raw.name, ui: raw.ui || {}, messages: compileMessages(raw.messages || {}) };
+}
+
+const catalogs = Object.fromEntries(LOCALES.map((locale) => [locale, loadCatalog(locale)]));
+
+const isLocale = (value) => LOCALES.includes(value);
+
+/** An English API message in `locale`, or unchanged when there's no translation. */
+function translate(message, locale) {
+  if (locale === DEFAULT_LOCALE || !isLocale(locale) || typeof message !== "string") return message;
+  const { exact, patterns } = catalogs[locale].messages;
+  if (exact.has(message)) return exact.get(message);
+  for (const { regex, names, text } of patterns) {
+    const match = regex.exec(message);
+    if (match) return names.reduce((out, name, i) => out.replaceAll(`{${name}}`, match[i + 1]), text);
+  }
+  return message;
+}
+
+/** Every UI string for a locale, English where it has no translation. */
+function uiStrings(locale) {
+  return { ...catalogs[DEFAULT_LOCALE].ui, ...catalogs[locale].ui };
+}
+
+/** [{ code, name }] for a language picker */
+function languages() {
+  return LOCALES.map((code) => ({ code, name: catalogs[code].name }));
+}
+
+// -------------------- REQUESTS --------------------
+
+// The best supported language in an Accept-Language header, e.g.
+// "mi-NZ,mi;q=0.9,en;q=0.8" -> "mi"; null when none is supported
+function fromAcceptLanguage(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { locale: tag.trim().toLowerCase().split("-")[0], q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter((r) => r.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  const found = ranked.find((r) => isLocale(r.locale));
+  return found ? found.locale : null;
+}
+
+// ?locale= first, then the signed-in student's language, then the browser's
+async function requestLocale(req) {
+  if (isLocale(req.query.locale)) return req.query.locale;
+  if (req.auth && req.auth.role === "student") {
+    const language = await storage.students.language(req.auth.id);
+    if (isLocale(language)) return language;
+  }
+  return fromAcceptLanguage(req.get("accept-language")) || DEFAULT_LOCALE;
+}
+
+function translateBody(body, locale) {
+  if (locale === DEFAULT_LOCALE || !body || typeof body !== "object" || Array.isArray(body)) return body;
+  const out = { ...body };
+  if (typeof body.message === "string") out.message = translate(body.message, locale);
+  if (Array.isArray(body.errors)) {
+    out.errors = body.errors.map((e) =>
+      e && typeof e.message === "string" ? { ...e, message: translate(e.message, locale) } : e
+    );
+  }
+  return out;
+}
+
+/**
+ * Middleware for /api, after authenticate: sets req.locale (and the
+ * Content-Language header) and translates `message` and errors[].message in
+ * every JSON response.
+ */
+function localize() {
+  return async (req, res, next) => {
+    try {
+      req.locale = await requestLocale(req);
+    } catch (err) {
+      logger.error("Error resolving locale", err);
+      req.locale = DEFAULT_LOCALE;
+    }
+    res.set("Content-Language", req.locale);
+    const json = res.json.bind(res);
+    res.json = (body) => json(translateBody(body, req.locale));
+    return next();
+  };
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  isLocale,
+  translate,
+  uiStrings,
+  languages,
+  fromAcceptLanguage,
+  localize,
+};
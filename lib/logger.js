@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// -------------------- LOGGER --------------------
+// One JSON object per line: { time, level, msg, ...fields }. LOG_LEVEL picks
+// the quietest level written (debug, info, warn, error or silent; default
+// info). Anything logged while handling a request carries its requestId,
+// including lines from lib/ modules that never see req.
+//
+// Logs leave the process, so personal details don't go in them: fields named
+// like a password, token, cookie, email or name are replaced with
+// "[redacted]", and anything shaped like an email address inside a string
+// (error messages quote values) becomes "[email]". Log ids, not records.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED_KEY = /pass(word)?|token|secret|authorization|cookie|e-?mail|name$/i;
+const EMAIL_IN_TEXT = /[^\s@"'<>()]+@[^\s@"'<>()]+\.[^\s@"'<>()]+/g;
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function serializeError(err) {
+  const out = { type: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+/** A copy of value that is safe to log; see the note at the top. */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") return value.replace(EMAIL_IN_TEXT, "[email]");
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return redact(serializeError(value), depth, seen);
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (seen.has(value) || depth >= MAX_DEPTH) return "[…]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1, seen));
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = REDACTED_KEY.test(key) ? "[redacted]" : redact(item, depth + 1, seen);
+  }
+  return out;
+}
+
+/**
+ * Builds a logger. write(line, level) gets each finished line; by default
+ * debug/info go to stdout and warn/error to stderr. fields are merged into
+ * every line (see child()).
+ */
+function createLogger({ level = process.env.LOG_LEVEL || "info", write, fields = {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const output =
+    write ||
+    ((line, lineLevel) => (LEVELS[lineLevel] >= LEVELS.warn ? console.error(line) : console.log(line)));
+
+  function log(lineLevel, msg, extra) {
+    if (LEVELS[lineLevel] < threshold) return;
+    // logger.error("...", err) is shorthand for { err }
+    const own = extra instanceof Error ? { err: extra } : extra;
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg,
+      ...context.getStore(),
+      ...redact({ ...fields, ...own }),
+    };
+    try {
+      output(JSON.stringify(entry), lineLevel);
+    } catch {
+      // A log line must never take a request down with it
+    }
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    /** A logger that adds fields to every line. */
+    child: (more) => createLogger({ level, write: output, fields: { ...fields, ...more } }),
+  };
+}
+
+const logger = createLogger();
+
+// -------------------- REQUESTS --------------------
+
+// Only ids a proxy could reasonably have made; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/** The route a request matched, e.g. "/api/goals/:id", for logs and metrics. */
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.path.startsWith("/api/") ? "unmatched" : "static";
+}
+
+// Probes and scrapes arrive every few seconds; they only log at debug
+const QUIET_PATHS = new Set(["/metrics", "/api/health", "/api/health/live", "/api/health/ready"]);
+
+/**
+ * Gives each request an id (the caller's X-Request-Id, or a new one), echoes
+ * it back in X-Request-Id, runs the rest of the request with it in the log
+ * context and logs one line when the response is done.
+ */
+function requestLogging() {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+      const line = {
+        requestId,
+        method: req.method,
+        route: routeLabel(req),
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+      };
+      if (res.statusCode >= 500) logger.warn("Request failed", line);
+      else if (QUIET_PATHS.has(req.path)) logger.debug("Request completed", line);
+      else logger.info("Request completed", line);
+    });
+
+    context.run({ requestId }, next);
+  };
+}
+
+module.exports = { logger, createLogger, redact, requestLogging, routeLabel };
@@ -0,0 +1,21 @@
+// Prints each message's headers and plain-text body instead of sending it
+function createConsoleTransport() {
+  async function send(message) {
+    console.log(
+      [
+        "📧 ---------- email (not sent) ----------",
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        "",
+        message.text,
+        "📧 --------------------------------------",
+      ].join("\n")
+    );
+    return { messageId: message.messageId };
+  }
+
+  return { name: "console", send };
+}
+
+module.exports = { createConsoleTransport };
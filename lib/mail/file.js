@@ -0,0 +1,23 @@
+const fs = require("fs/promises");
+const path = require("path");
+const clock = require("../clock");
+const { buildMessage } = require("./message");
+
+// Writes each message to dir as an .eml file, which most mail clients can
+// open. Nothing leaves the machine.
+function createFileTransport({ dir = "mail-outbox" } = {}) {
+  const outbox = path.resolve(dir);
+
+  async function send(message) {
+    await fs.mkdir(outbox, { recursive: true });
+    const stamp = clock.now().toISOString().replace(/[:.]/g, "-");
+    const id = message.messageId.replace(/[<>]/g, "").split("@")[0];
+    const file = path.join(outbox, `${stamp}-${id}.eml`);
+    await fs.writeFile(file, buildMessage(message));
+    return { messageId: message.messageId, file };
+  }
+
+  return { name: "file", send };
+}
+
+module.exports = { createFileTransport };
@@ -0,0 +1,75 @@
+/**
+ * Outgoing email, sent through the transport picked by MAIL_TRANSPORT:
+ *   console (default) — prints each message; nothing is sent
+ *   file              — writes .eml files to MAIL_DIR (default mail-outbox/)
+ *   smtp              — a real server, configured by SMTP_* in .env
+ *   memory            — keeps messages in mailer.sent; used by the tests
+ *
+ * mailer.send({ to, subject, text, html? }) resolves to { messageId } once the
+ * transport has accepted the message. From is MAIL_FROM unless given.
+ */
+const { newMessageId } = require("./message");
+const { createSmtpTransport } = require("./smtp");
+const { createFileTransport } = require("./file");
+const { createConsoleTransport } = require("./console");
+const { createMemoryTransport } = require("./memory");
+
+const DEFAULT_FROM = "STEM Learning <no-reply@localhost>";
+
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: process.env.MAIL_DIR || "mail-outbox" }),
+  memory: () => createMemoryTransport(),
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : undefined,
+      requireTLS: process.env.SMTP_REQUIRE_TLS
+        ? process.env.SMTP_REQUIRE_TLS === "true"
+        : undefined,
+      user: process.env.SMTP_USER || undefined,
+      pass: process.env.SMTP_PASS || undefined,
+    }),
+};
+
+function createMailer(transport = process.env.MAIL_TRANSPORT || "console") {
+  const factory = transports[transport];
+  if (!factory) {
+    throw new Error(
+      `Unknown MAIL_TRANSPORT "${transport}". Use one of: ${Object.keys(transports).join(", ")}.`
+    );
+  }
+  const impl = factory();
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    ...impl,
+    transport: impl.name,
+
+    async send({ to, subject, text, html, from: sender = from }) {
+      if (!to || !subject || !text) {
+        throw new Error("mailer.send needs to, subject and text.");
+      }
+      return impl.send({
+        from: sender,
+        to,
+        subject,
+        text,
+        html: html || null,
+        messageId: newMessageId(sender),
+      });
+    },
+  };
+}
+
+// The app-wide instance; tests and scripts can build their own with createMailer()
+const mailer = createMailer();
+
+/** Absolute link to one of the app's pages, for emails: APP_URL + path. */
+function appUrl(path = "") {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+}
+
+module.exports = { mailer, createMailer, appUrl };
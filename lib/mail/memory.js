@@ -0,0 +1,20 @@
+// Keeps every message in `sent`, newest last; for the test suite
+function createMemoryTransport() {
+  const sent = [];
+
+  async function send(message) {
+    sent.push({ ...message });
+    return { messageId: message.messageId };
+  }
+
+  return {
+    name: "memory",
+    send,
+    sent,
+    reset() {
+      sent.length = 0;
+    },
+  };
+}
+
+module.exports = { createMemoryTransport };
@@ -0,0 +1,69 @@
+const crypto = require("crypto");
+const clock = require("../clock");
+
+// Builds the raw RFC 5322 text of a message: multipart/alternative when it
+// has both text and HTML. Bodies are base64 so long lines and leading dots
+// need no special care.
+
+const nonAscii = /[^\x20-\x7e]/;
+
+// Non-ASCII header values as RFC 2047 encoded-words
+function encodeHeader(value) {
+  const text = String(value).replace(/[\r\n]+/g, " ");
+  return nonAscii.test(text) ? `=?UTF-8?B?${Buffer.from(text, "utf8").toString("base64")}?=` : text;
+}
+
+function base64Body(text) {
+  return Buffer.from(text, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+}
+
+function part(type, body) {
+  return [
+    `Content-Type: ${type}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Body(body),
+  ].join("\r\n");
+}
+
+// The address part of "Name <address>", or the whole string
+function addressOf(value) {
+  const match = /<([^>]+)>\s*$/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+function newMessageId(from) {
+  const domain = addressOf(from).split("@")[1] || "localhost";
+  return `<${crypto.randomBytes(12).toString("hex")}@${domain}>`;
+}
+
+/** message: { from, to, subject, text, html?, messageId } → raw message text */
+function buildMessage({ from, to, subject, text, html, messageId }) {
+  const headers = [
+    `From: ${encodeHeader(from)}`,
+    `To: ${encodeHeader(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${clock.now().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ];
+
+  if (!html) {
+    return `${headers.join("\r\n")}\r\n${part("text/plain", text)}\r\n`;
+  }
+
+  const boundary = `=_${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    part("text/plain", text),
+    `--${boundary}`,
+    part("text/html", html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+module.exports = { buildMessage, addressOf, newMessageId };
@@ -0,0 +1,188 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const { buildMessage, addressOf } = require("./message");
+
+// A small SMTP client: one connection per message, EHLO, STARTTLS when the
+// server offers it (or implicit TLS with secure: true, usually port 465),
+// AUTH PLAIN or LOGIN when a user is set, then MAIL FROM / RCPT TO / DATA.
+// With requireTLS (the default when a user is set) it gives up before AUTH
+// if the connection isn't encrypted, so the password never goes out in clear.
+
+class SmtpError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+  }
+}
+
+// Reads multi-line replies ("250-..." continues, "250 ..." ends) off a
+// socket, one read() per reply. attach() moves it to a socket after STARTTLS.
+function replyReader() {
+  let socket = null;
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  function settle() {
+    while (waiting.length && (replies.length || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length) resolve(replies.shift());
+      else reject(failure);
+    }
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, end).replace(/\r$/, "");
+      buffer = buffer.slice(end + 1);
+      lines.push(line.slice(4));
+      if (line[3] !== "-") {
+        replies.push({ code: Number(line.slice(0, 3)), text: lines.join("\n") });
+        lines = [];
+      }
+    }
+    settle();
+  }
+
+  function onError(err) {
+    failure = err;
+    settle();
+  }
+
+  function onClose() {
+    onError(failure || new SmtpError("SMTP connection closed unexpectedly."));
+  }
+
+  return {
+    attach(next) {
+      if (socket) {
+        socket.off("data", onData);
+        socket.off("error", onError);
+        socket.off("close", onClose);
+      }
+      socket = next;
+      socket.on("data", onData);
+      socket.on("error", onError);
+      socket.on("close", onClose);
+    },
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      });
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError("SMTP connection timed out.")));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+// Lines starting with "." get another one; the message ends with CRLF.CRLF
+function dataBlock(raw) {
+  const body = raw.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+  return `${body.endsWith("\r\n") ? body : `${body}\r\n`}.\r\n`;
+}
+
+/**
+ * options: { host, port, secure, requireTLS, user, pass, name, timeoutMs }
+ * name is what we call ourselves in EHLO (defaults to the machine's hostname).
+ * requireTLS defaults to true when user is set.
+ */
+function createSmtpTransport(options = {}) {
+  const {
+    host = "localhost",
+    port = 587,
+    secure = Number(port) === 465,
+    user,
+    pass,
+    requireTLS = Boolean(user),
+    name = os.hostname(),
+    timeoutMs = 30000,
+  } = options;
+
+  async function send(message) {
+    let socket = await connect({ host, port: Number(port), secure, timeoutMs });
+    let encrypted = secure;
+    const reader = replyReader();
+    reader.attach(socket);
+
+    const write = (line) => socket.write(`${line}\r\n`);
+    async function expect(codes, what) {
+      const reply = await reader.read();
+      if (!codes.includes(reply.code)) {
+        throw new SmtpError(`SMTP ${what} failed: ${reply.code} ${reply.text}`, reply.code);
+      }
+      return reply;
+    }
+    async function command(line, codes, what) {
+      write(line);
+      return expect(codes, what);
+    }
+
+    try {
+      await expect([220], "greeting");
+      let ehlo = await command(`EHLO ${name}`, [250], "EHLO");
+
+      if (!secure && /^STARTTLS\b/im.test(ehlo.text)) {
+        await command("STARTTLS", [220], "STARTTLS");
+        socket = await upgrade(socket, host);
+        reader.attach(socket);
+        encrypted = true;
+        ehlo = await command(`EHLO ${name}`, [250], "EHLO");
+      }
+
+      if (requireTLS && !encrypted) {
+        throw new SmtpError("SMTP server doesn't offer STARTTLS; refusing to continue without TLS.");
+      }
+
+      if (user) {
+        const mechanisms = (/^AUTH\s+(.*)$/im.exec(ehlo.text) || [])[1] || "";
+        if (/\bPLAIN\b/i.test(mechanisms) || !/\bLOGIN\b/i.test(mechanisms)) {
+          const token = Buffer.from(`\0${user}\0${pass || ""}`).toString("base64");
+          await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+        } else {
+          await command("AUTH LOGIN", [334], "AUTH");
+          await command(Buffer.from(user).toString("base64"), [334], "AUTH");
+          await command(Buffer.from(pass || "").toString("base64"), [235], "AUTH");
+        }
+      }
+
+      await command(`MAIL FROM:<${addressOf(message.from)}>`, [250], "MAIL FROM");
+      await command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251], "RCPT TO");
+      await command("DATA", [354], "DATA");
+      socket.write(dataBlock(buildMessage(message)));
+      await expect([250], "sending the message");
+
+      write("QUIT");
+      await reader.read().catch(() => {});
+      return { messageId: message.messageId };
+    } finally {
+      socket.destroy();
+    }
+  }
+
+  return { name: "smtp", send };
+}
+
+module.exports = { createSmtpTransport, SmtpError };
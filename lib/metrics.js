@@ -0,0 +1,139 @@
+const { routeLabel } = require("./logger");
+
+// -------------------- METRICS --------------------
+// A small registry rendered in the Prometheus text format at GET /metrics.
+// Labels are kept to values we control (method, route pattern, status) so
+// the number of series stays small: URLs with ids in them are reported by
+// their route, e.g. "/api/goals/:id".
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  /** A count that only goes up. */
+  function counter(name, help) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "counter",
+      inc(labels = {}, by = 1) {
+        const key = labelText(labels);
+        series.set(key, (series.get(key) || 0) + by);
+      },
+      lines: () => [...series].map(([labels, value]) => `${name}${labels} ${value}`),
+      reset: () => series.clear(),
+    });
+  }
+
+  /** A value read when /metrics is scraped. */
+  function gauge(name, help, read) {
+    return register({
+      name,
+      help,
+      type: "gauge",
+      lines: () => [`${name} ${read()}`],
+      reset() {},
+    });
+  }
+
+  /** Observations counted into cumulative buckets, plus their sum and count. */
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const series = new Map();
+    return register({
+      name,
+      help,
+      type: "histogram",
+      observe(labels, value) {
+        const key = JSON.stringify(labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      lines() {
+        const out = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, i) => {
+            out.push(`${name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}`);
+          });
+          out.push(`${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`);
+          out.push(`${name}_sum${labelText(labels)} ${sum}`);
+          out.push(`${name}_count${labelText(labels)} ${count}`);
+        }
+        return out;
+      },
+      reset: () => series.clear(),
+    });
+  }
+
+  /** Every metric in the text exposition format (version 0.0.4). */
+  function render() {
+    const out = [];
+    for (const metric of metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      out.push(...metric.lines());
+    }
+    return `${out.join("\n")}\n`;
+  }
+
+  // Clears recorded series; tests use it between cases
+  function reset() {
+    metrics.forEach((metric) => metric.reset());
+  }
+
+  return { counter, gauge, histogram, render, reset };
+}
+
+// The app-wide registry and what the app records in it
+const registry = createRegistry();
+
+const httpRequests = registry.counter("http_requests_total", "HTTP requests answered, by route and status.");
+const httpDuration = registry.histogram(
+  "http_request_duration_seconds",
+  "Time from a request arriving to its response being sent, by route."
+);
+registry.gauge("process_uptime_seconds", "Seconds since the server process started.", () =>
+  Math.round(process.uptime())
+);
+registry.gauge("process_resident_memory_bytes", "Resident memory of the server process.", () =>
+  process.memoryUsage().rss
+);
+
+/** Records every request's status and timing once its response is sent. */
+function httpMetrics() {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      const route = routeLabel(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
+
+module.exports = { registry, createRegistry, httpMetrics };
@@ -0,0 +1,309 @@
+const { storage } = require("../db/storage");
+const { registry } = require("./metrics");
+const { dayInfo, addDays } = require("./dates");
+const clock = require("./clock");
+const { logger } = require("./logger");
+
+// -------------------- EVENTS --------------------
+// Parents hear about their children as it happens. Each event about a
+// student is stored once per guardian (notifications, their inbox) and
+// pushed to any stream that guardian has open (see STREAMS):
+// - activity: a lesson, video or game finished, or time spent on one
+// - quiz: a lesson quiz submitted, with the score
+// - streak-milestone: the streak reached one of STREAK_MILESTONES
+// - streak-at-risk: in the last STREAK_WARNING_HOURS of the student's day,
+//   their streak ends at midnight unless they do something, and there's no
+//   freeze to cover the day. Once a day at most.
+// Notifying never fails what the student was doing: errors are only logged.
+
+const NOTIFICATION_TYPES = ["activity", "quiz", "streak-milestone", "streak-at-risk"];
+const STREAK_MILESTONES = [3, 7, 14, 30, 50, 100, 200, 365];
+const STREAK_WARNING_HOURS = 2;
+const KEEP_DAYS = 90;
+
+/** A notifications row as the API returns it */
+function describeNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    studentId: row.student_id,
+    message: row.message,
+    details: row.details || {},
+    createdAt: row.created_at,
+    read: Boolean(row.read_at),
+  };
+}
+
+/**
+ * Stores a notification for every guardian of a student and pushes it to
+ * their open streams. message(name) writes it for the student's name.
+ * dedupeKey makes it once per guardian. Returns what was sent.
+ */
+async function notifyParents(studentId, { type, message, details = null, dedupeKey = null }, now = clock.now()) {
+  try {
+    const student = await storage.students.findById(studentId);
+    if (!student) return [];
+    const sent = [];
+    for (const parent of await storage.guardians.listForStudent(studentId)) {
+      const id = await storage.notifications.add({
+        parent_id: parent.id,
+        student_id: studentId,
+        type,
+        message: message(student.full_name).slice(0, 255),
+        details: { studentName: student.full_name, ...details },
+        dedupe_key: dedupeKey,
+        created_at: now,
+      });
+      if (!id) continue;
+      const notification = describeNotification(await storage.notifications.findById(id));
+      publish(parent.id, notification);
+      sent.push(notification);
+    }
+    return sent;
+  } catch (err) {
+    logger.error("Notifying parents failed", { studentId, type, err });
+    return [];
+  }
+}
+
+// "the Maths lesson "Fractions"", or "a Maths game" for one not tied to an item
+const describeActivity = ({ activityType, subject, title }) =>
+  title ? `the ${subject} ${activityType} "${title}"` : `a ${subject} ${activityType}`;
+
+/**
+ * After an activity is recorded (see recordActivity()). An activity that
+ * wasn't finished is only worth telling when time was spent on it.
+ */
+async function notifyActivity(studentId, activity, now) {
+  const { activityType, subject, contentId = null, title = null, minutes = 0, completed = true } = activity;
+  if (!completed && !minutes) return [];
+  const what = describeActivity({ activityType, subject, title });
+  return notifyParents(
+    studentId,
+    {
+      type: "activity",
+      message: (name) =>
+        completed
+          ? `${name} finished ${what}${minutes ? ` (${minutes} min)` : ""}.`
+          : `${name} spent ${minutes} min on ${what}.`,
+      details: { activityType, subject, contentId, title, minutes, completed },
+    },
+    now
+  );
+}
+
+/** After a lesson quiz is graded; score is { correct, total } */
+async function notifyQuiz(studentId, { subject, contentId, title }, score) {
+  return notifyParents(studentId, {
+    type: "quiz",
+    message: (name) => `${name} scored ${score.correct}/${score.total} on the ${subject} quiz "${title}".`,
+    details: { subject, contentId, title, correct: score.correct, total: score.total },
+  });
+}
+
+/** After creditStreakDay(); tells parents when the streak hits a milestone */
+async function notifyStreak(studentId, result) {
+  if (!result || !result.changed || !STREAK_MILESTONES.includes(result.streak_days)) return [];
+  const days = result.streak_days;
+  return notifyParents(studentId, {
+    type: "streak-milestone",
+    message: (name) => `${name} reached a ${days}-day streak!`,
+    details: { streakDays: days, date: result.last_streak_date },
+    dedupeKey: `streak-milestone:${studentId}:${result.last_streak_date}`,
+  });
+}
+
+/**
+ * Warns the parents of every student whose streak is about to end (see the
+ * rules above). Safe to run as often as you like. Returns how many
+ * notifications went out.
+ */
+async function warnStreaksAtRisk(now = clock.now()) {
+  // A streak that's still alive was counted yesterday or today in the
+  // student's timezone; two days before UTC's today covers every timezone
+  const since = addDays(now.toISOString().slice(0, 10), -2);
+  let sent = 0;
+
+  for (const row of await storage.streaks.listActive(since)) {
+    if (row.streak_freezes > 0) continue;
+    const day = dayInfo(await storage.students.timeZone(row.id), now);
+    if (row.last_streak_date !== day.yesterday) continue;
+    if (day.secondsUntilTomorrow > STREAK_WARNING_HOURS * 60 * 60) continue;
+
+    const notified = await notifyParents(
+      row.id,
+      {
+        type: "streak-at-risk",
+        message: (name) => `${name}'s ${row.streak_days}-day streak ends at midnight unless they do something today.`,
+        details: { streakDays: row.streak_days, date: day.today },
+        dedupeKey: `streak-at-risk:${row.id}:${day.today}`,
+      },
+      now
+    );
+    sent += notified.length;
+  }
+  return sent;
+}
+
+/** Deletes notifications older than KEEP_DAYS; returns how many went. */
+function pruneNotifications(now = clock.now()) {
+  return storage.notifications.deleteBefore(new Date(now.getTime() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+}
+
+const CHECK_MS = 15 * 60 * 1000;
+
+/** Runs the streak warnings and pruning now and then every 15 minutes; returns a stop function. */
+function startNotificationScheduler() {
+  const run = async () => {
+    try {
+      const warned = await warnStreaksAtRisk();
+      const pruned = await pruneNotifications();
+      if (warned || pruned) logger.info("Notification jobs ran", { warned, pruned });
+    } catch (err) {
+      logger.error("Notification job failed", err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+// -------------------- STREAMS --------------------
+// GET /api/notifications/stream is a Server-Sent Events stream of the
+// signed-in parent's new notifications (event "notification", id = its id).
+// A browser that reconnects sends Last-Event-ID and is sent what it missed
+// first. A comment line every HEARTBEAT_MS keeps proxies from timing the
+// connection out, and the stream ends when the session expires, so the
+// browser reconnects and signs in again if it has to.
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+const REPLAY_LIMIT = 50;
+const MAX_STREAMS_PER_PARENT = 5;
+
+// parentId -> Set of { res, buffer, tokenHash, close }
+const streams = new Map();
+
+registry.gauge("notification_streams_open", "Parents' notification streams currently open.", () =>
+  openStreamCount()
+);
+
+function openStreamCount() {
+  let count = 0;
+  for (const set of streams.values()) count += set.size;
+  return count;
+}
+
+function send(res, notification) {
+  res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+}
+
+function publish(parentId, notification) {
+  for (const stream of streams.get(Number(parentId)) || []) {
+    if (stream.buffer) stream.buffer.push(notification);
+    else send(stream.res, notification);
+  }
+}
+
+/**
+ * Serves a parent's stream on an Express response; lastEventId is the last
+ * notification the browser saw (0 for none) and tokenHash the session it was
+ * opened with. Returns once the stream is open; it stays open until the
+ * browser goes, the session expires or is signed out (closeStreamsFor()) or
+ * closeStreams().
+ */
+async function openStream(req, res, { parentId, lastEventId = 0, expiresAt = null, tokenHash = null }) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // nginx would otherwise hold events back
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Anything published while catching up waits in buffer, so events go out
+  // once each and in order
+  const stream = { res, buffer: [], tokenHash };
+  const set = streams.get(parentId) || new Set();
+  streams.set(parentId, set);
+  set.add(stream);
+  if (set.size > MAX_STREAMS_PER_PARENT) set.values().next().value.close();
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  heartbeat.unref();
+  const expiry = expiresAt
+    ? setTimeout(() => stream.close(), Math.min(new Date(expiresAt) - clock.now(), 2 ** 31 - 1))
+    : null;
+  if (expiry) expiry.unref();
+
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    set.delete(stream);
+    if (!set.size && streams.get(parentId) === set) streams.delete(parentId);
+  };
+  stream.close = () => {
+    cleanup();
+    res.end();
+  };
+  res.on("close", cleanup);
+
+  let last = lastEventId;
+  try {
+    if (lastEventId) {
+      for (const row of await storage.notifications.listAfter(parentId, lastEventId, REPLAY_LIMIT)) {
+        send(res, describeNotification(row));
+        last = row.id;
+      }
+    }
+  } catch (err) {
+    logger.error("Catching up a notification stream failed", { parentId, err });
+  }
+  for (const notification of stream.buffer) {
+    if (notification.id > last) send(res, notification);
+  }
+  stream.buffer = null;
+}
+
+/**
+ * Ends a parent's open streams when they sign out: only those opened with
+ * tokenHash's session when it's given, otherwise all of them.
+ */
+function closeStreamsFor(parentId, tokenHash = null) {
+  for (const stream of [...(streams.get(Number(parentId)) || [])]) {
+    if (!tokenHash || stream.tokenHash === tokenHash) stream.close();
+  }
+}
+
+/** Ends every open stream; used when the server shuts down. */
+function closeStreams() {
+  for (const set of [...streams.values()]) {
+    for (const stream of [...set]) stream.close();
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  STREAK_MILESTONES,
+  STREAK_WARNING_HOURS,
+  KEEP_DAYS,
+  describeNotification,
+  notifyParents,
+  notifyActivity,
+  notifyQuiz,
+  notifyStreak,
+  warnStreaksAtRisk,
+  pruneNotifications,
+  startNotificationScheduler,
+  openStream,
+  openStreamCount,
+  closeStreamsFor,
+  closeStreams,
+};
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { storage } = require("../db/storage");
+const { endAllSessions } = require("./auth");
+const { appUrl } = require("./mail");
+const clock = require("./clock");
+
+// -------------------- RULES --------------------
+// Checked wherever a password is chosen: both sign-up forms, change-password
+// and password reset. Existing passwords aren't re-checked at sign-in.
+
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt ignores everything after the first 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+
+const COMMON_PASSWORDS = new Set([
+  "password",
+  "password1",
+  "password123",
+  "passw0rd",
+  "12345678",
+  "123456789",
+  "1234567890",
+  "87654321",
+  "11111111",
+  "qwerty123",
+  "qwertyuiop",
+  "1q2w3e4r",
+  "abc12345",
+  "abcd1234",
+  "iloveyou1",
+  "letmein1",
+  "welcome1",
+  "sunshine1",
+  "football1",
+  "baseball1",
+  "trustno1",
+]);
+
+/**
+ * Why a password isn't good enough, as [{ field, message }] in the same shape
+ * as other validation errors. Empty when it's fine. email is the account's,
+ * so the password can't just repeat it.
+ */
+function passwordErrors(field, password, email = "") {
+  if (typeof password !== "string") return [{ field, message: "is required" }];
+
+  const messages = [];
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    messages.push(`must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_BYTES) {
+    messages.push(`must be at most ${MAX_PASSWORD_BYTES} bytes`);
+  }
+  if (!/\p{L}/u.test(password) || !/[^\p{L}]/u.test(password)) {
+    messages.push("must mix letters with numbers or symbols");
+  }
+
+  const lower = password.toLowerCase();
+  const localPart = String(email).toLowerCase().split("@")[0];
+  if (COMMON_PASSWORDS.has(lower)) {
+    messages.push("is too common");
+  } else if (localPart.length >= 4 && lower.includes(localPart)) {
+    messages.push("must not contain your email address");
+  }
+  return messages.map((message) => ({ field, message }));
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+// -------------------- ACCOUNTS --------------------
+// Students, parents, teachers and admins sign in through the same form, so an
+// email is looked up in that order.
+
+const ROLES = ["student", "parent", "teacher", "admin"];
+
+function accountsFor(role) {
+  return {
+    student: storage.students,
+    parent: storage.parents,
+    teacher: storage.teachers,
+    admin: storage.admins,
+  }[role];
+}
+
+/** { role, account } for the account using email, or null. */
+async function findAccountByEmail(email) {
+  for (const role of ROLES) {
+    const account = await accountsFor(role).findByEmail(email);
+    if (account) return { role, account };
+  }
+  return null;
+}
+
+// Compared against when there's no account, so an unknown email takes as
+// long to reject as a wrong password
+let dummyHash = null;
+
+/** bcrypt.compare that also spends the time when hash is missing. */
+async function verifyPassword(password, hash) {
+  if (!hash) {
+    dummyHash = dummyHash || (await hashPassword(crypto.randomBytes(16).toString("hex")));
+    await bcrypt.compare(password, dummyHash);
+    return false;
+  }
+  return bcrypt.compare(password, hash);
+}
+
+// -------------------- RESET --------------------
+// A reset link carries a random token; only its SHA-256 is stored. Tokens
+// expire after RESET_TOKEN_MINUTES, work once, and asking again replaces any
+// earlier one.
+
+const RESET_TOKEN_MINUTES = 60;
+// Accounts someone else creates (teachers) start with a link to choose a password
+const SETUP_TOKEN_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+function resetEmail(account, link) {
+  const name = account.full_name || "there";
+  return {
+    to: account.email,
+    subject: "Reset your STEM Learning password",
+    text: [
+      `Hi ${name},`,
+      "",
+      "Someone asked to reset the password for your STEM Learning account.",
+      `Open this link within ${RESET_TOKEN_MINUTES} minutes to choose a new one:`,
+      "",
+      link,
+      "",
+      "The link works once. If you didn't ask for this, you can ignore this email; your password hasn't changed.",
+      "",
+    ].join("\n"),
+  };
+}
+
+function setupEmail(account, link) {
+  return {
+    to: account.email,
+    subject: "Your STEM Learning teacher account",
+    text: [
+      `Hi ${account.full_name},`,
+      "",
+      "A STEM Learning teacher account has been set up for you.",
+      `Open this link within ${SETUP_TOKEN_DAYS} days to choose your password:`,
+      "",
+      link,
+      "",
+      "After that, sign in with this email address and your new password.",
+      "",
+    ].join("\n"),
+  };
+}
+
+// Replaces any earlier token for the account; returns the reset page link
+async function issueResetLink(role, accountId, expiresAt) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await storage.passwordResets.deleteForUser(role, accountId);
+  await storage.passwordResets.create({
+    token_hash: hashToken(token),
+    role,
+    user_id: accountId,
+    expires_at: expiresAt,
+  });
+  return appUrl(`reset-password.html?token=${encodeURIComponent(token)}`);
+}
+
+/**
+ * Emails a reset link if an account uses email. Returns whether one was
+ * sent; callers must not tell the requester either way.
+ */
+async function requestPasswordReset(email, mailer, now = clock.now()) {
+  const found = await findAccountByEmail(email);
+  if (!found) return false;
+
+  const { role, account } = found;
+  const expiresAt = new Date(now.getTime() + RESET_TOKEN_MINUTES * 60 * 1000);
+  const link = await issueResetLink(role, account.id, expiresAt);
+  await mailer.send(resetEmail(account, link));
+  return true;
+}
+
+/** Emails a new account a link to choose its first password. */
+async function sendAccountSetup(role, account, mailer, now = clock.now()) {
+  const expiresAt = new Date(now.getTime() + SETUP_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  const link = await issueResetLink(role, account.id, expiresAt);
+  await mailer.send(setupEmail(account, link));
+}
+
+/**
+ * Sets a new password with a reset token and signs the account out
+ * everywhere. Returns { role, account } on success, { errors } when the
+ * password breaks the rules (the token stays usable), or { invalid: true }
+ * for an unknown, used or expired token.
+ */
+async function resetPassword(token, newPassword) {
+  const tokenHash = hashToken(token);
+  const reset = await storage.passwordResets.findActive(tokenHash);
+  const account = reset && (await accountsFor(reset.role).findById(reset.user_id));
+  if (!account) return { invalid: true };
+
+  const errors = passwordErrors("newPassword", newPassword, account.email);
+  if (errors.length) return { errors };
+
+  if (!(await storage.passwordResets.use(tokenHash))) return { invalid: true };
+  await accountsFor(reset.role).update(account.id, { password_hash: await hashPassword(newPassword) });
+  await storage.passwordResets.deleteForUser(reset.role, account.id);
+  await endAllSessions(reset.role, account.id);
+  return { role: reset.role, account };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  RESET_TOKEN_MINUTES,
+  passwordErrors,
+  hashPassword,
+  accountsFor,
+  findAccountByEmail,
+  verifyPassword,
+  requestPasswordReset,
+  sendAccountSetup,
+  resetPassword,
+};
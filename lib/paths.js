@@ -0,0 +1,256 @@
+const { storage } = require("../db/storage");
+const { lessonQuestions } = require("./content");
+const { getStudentMastery } = require("./quiz");
+
+// -------------------- SCHEMA --------------------
+// A path is { title, description?, units: [{ key, title, items, requires? }] }.
+// items are content IDs from the path's subject; requires lists the keys of
+// earlier units that must be finished first, so prerequisites can't loop.
+
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+const UNIT_KEY = /^[a-z0-9-]{1,40}$/;
+const MAX_UNITS = 50;
+
+/**
+ * Checks a path definition, including that every item exists in the given
+ * subject (drafts are allowed; they are skipped until published).
+ * Returns [{ field, message }]; empty when the path is valid.
+ */
+async function validatePath(def, subjectId) {
+  if (!def || typeof def !== "object" || Array.isArray(def)) {
+    return [{ field: "path", message: "must be an object" }];
+  }
+  const errors = [];
+
+  if (!isText(def.title) || def.title.length > 255) {
+    errors.push({ field: "title", message: "must be 1-255 characters" });
+  }
+  if (def.description !== undefined && (typeof def.description !== "string" || def.description.length > 2000)) {
+    errors.push({ field: "description", message: "must be a string of at most 2000 characters" });
+  }
+  if (!Array.isArray(def.units) || !def.units.length || def.units.length > MAX_UNITS) {
+    errors.push({ field: "units", message: `must have 1-${MAX_UNITS} units` });
+    return errors;
+  }
+
+  const seenKeys = new Set();
+  const seenItems = new Set();
+  for (let i = 0; i < def.units.length; i++) {
+    const unit = def.units[i];
+    const field = `units[${i}]`;
+    if (!unit || typeof unit !== "object" || Array.isArray(unit)) {
+      errors.push({ field, message: "must be an object" });
+      continue;
+    }
+
+    if (typeof unit.key !== "string" || !UNIT_KEY.test(unit.key)) {
+      errors.push({ field: `${field}.key`, message: "must be 1-40 lowercase letters, digits or dashes" });
+    } else if (seenKeys.has(unit.key)) {
+      errors.push({ field: `${field}.key`, message: "is used by another unit" });
+    }
+    if (!isText(unit.title) || unit.title.length > 255) {
+      errors.push({ field: `${field}.title`, message: "must be 1-255 characters" });
+    }
+
+    if (unit.requires !== undefined) {
+      if (!Array.isArray(unit.requires)) {
+        errors.push({ field: `${field}.requires`, message: "must be an array of unit keys" });
+      } else {
+        unit.requires.forEach((key, j) => {
+          if (!seenKeys.has(key)) {
+            errors.push({ field: `${field}.requires[${j}]`, message: "must be the key of an earlier unit" });
+          }
+        });
+      }
+    }
+
+    if (!Array.isArray(unit.items) || !unit.items.length) {
+      errors.push({ field: `${field}.items`, message: "must list at least one content ID" });
+    } else {
+      for (let j = 0; j < unit.items.length; j++) {
+        const id = unit.items[j];
+        const itemField = `${field}.items[${j}]`;
+        if (!Number.isInteger(id) || id <= 0) {
+          errors.push({ field: itemField, message: "must be a content ID" });
+        } else if (seenItems.has(id)) {
+          errors.push({ field: itemField, message: "appears more than once in this path" });
+        } else {
+          seenItems.add(id);
+          const row = await storage.contentItems.findById(id);
+          if (!row || row.subject_id !== Number(subjectId)) {
+            errors.push({ field: itemField, message: "is not a content item in this subject" });
+          }
+        }
+      }
+    }
+
+    if (typeof unit.key === "string") seenKeys.add(unit.key);
+  }
+  return errors;
+}
+
+// What learning_paths.data stores, without any extra fields the client sent
+function pathData(def) {
+  return {
+    description: def.description || "",
+    units: def.units.map((unit) => ({
+      key: unit.key,
+      title: unit.title.trim(),
+      requires: unit.requires || [],
+      items: unit.items,
+    })),
+  };
+}
+
+// -------------------- PROGRESS --------------------
+// An item is complete once the student has finished an activity for it, except
+// lessons with a quiz, which need every question mastered. A unit is complete
+// when all its items are, and unlocked when all its required units are.
+
+const percent = (n, d) => (d ? Math.round((n / d) * 100) : 0);
+
+async function loadStudentProgress(studentId) {
+  const [done, mastery] = await Promise.all([
+    storage.activities.contentIds(studentId),
+    getStudentMastery(studentId),
+  ]);
+  return {
+    done: new Set(done),
+    mastered: new Set(mastery.lessons.filter((l) => l.mastery === 100).map((l) => l.contentId)),
+  };
+}
+
+function itemComplete(row, progress) {
+  if (row.format === "lessons" && lessonQuestions(row.data).length) {
+    return progress.mastered.has(row.id);
+  }
+  return progress.done.has(row.id);
+}
+
+/**
+ * One path with the student's progress through it. Deleted and unpublished
+ * items are left out, so they neither count toward nor block completion.
+ * rows caches content rows across calls.
+ */
+async function pathProgress(path, subject, progress, rows = new Map()) {
+  const units = [];
+  const completeKeys = new Set();
+  let completedItems = 0;
+  let totalItems = 0;
+
+  for (const unit of path.data.units) {
+    const items = [];
+    for (const id of unit.items) {
+      if (!rows.has(id)) rows.set(id, await storage.contentItems.findById(id));
+      const row = rows.get(id);
+      if (!row || !row.published) continue;
+      items.push({
+        id: row.id,
+        format: row.format,
+        title: row.data.title,
+        ageMin: row.data.ageMin ?? null,
+        ageMax: row.data.ageMax ?? null,
+        complete: itemComplete(row, progress),
+      });
+    }
+
+    const done = items.filter((i) => i.complete).length;
+    const complete = done === items.length;
+    if (complete) completeKeys.add(unit.key);
+    completedItems += done;
+    totalItems += items.length;
+
+    units.push({
+      key: unit.key,
+      title: unit.title,
+      requires: unit.requires,
+      unlocked: unit.requires.every((key) => completeKeys.has(key)),
+      complete,
+      items,
+    });
+  }
+
+  return {
+    id: path.id,
+    subject,
+    title: path.title,
+    description: path.data.description,
+    completedItems,
+    totalItems,
+    percent: percent(completedItems, totalItems),
+    complete: completedItems === totalItems,
+    units,
+  };
+}
+
+/** Every published path, in display order, with the student's progress. */
+async function getStudentPaths(studentId) {
+  const [paths, subjects, progress] = await Promise.all([
+    storage.learningPaths.list({ publishedOnly: true }),
+    storage.subjects.list(),
+    loadStudentProgress(studentId),
+  ]);
+  const subjectNames = new Map(subjects.map((s) => [s.id, s.name]));
+  const rows = new Map();
+
+  const result = [];
+  for (const path of paths) {
+    result.push(await pathProgress(path, subjectNames.get(path.subject_id), progress, rows));
+  }
+  return result;
+}
+
+// Items without an age range suit everyone; so does a student with no age set
+function suitsAge(item, age) {
+  if (!Number.isInteger(age)) return true;
+  if (item.ageMin !== null && age < item.ageMin) return false;
+  if (item.ageMax !== null && age > item.ageMax) return false;
+  return true;
+}
+
+/**
+ * The item a student should do next: the first unfinished, age-appropriate
+ * item in an unlocked unit, looking at paths in the student's interest
+ * subject before the rest. allows({ subject, format }) can rule items out
+ * (parent controls). Returns { path, unit, itemId, reason } where reason is
+ * "interest" or "path"; or { itemId: null, reason } when there's nothing to
+ * recommend, reason "complete" when every path is done and "filtered" when
+ * what's left is outside the student's age or not allowed.
+ */
+async function recommendNext(student, allows = () => true) {
+  const paths = await getStudentPaths(student.id);
+  const interest = String(student.interest || "").toLowerCase();
+  const matches = (p) => Boolean(interest) && String(p.subject).toLowerCase() === interest;
+  const ordered = [...paths.filter(matches), ...paths.filter((p) => !matches(p))];
+  let filtered = false;
+
+  for (const path of ordered) {
+    if (path.complete) continue;
+    for (const unit of path.units) {
+      if (!unit.unlocked || unit.complete) continue;
+      const left = unit.items.filter((i) => !i.complete);
+      const item = left.find(
+        (i) => suitsAge(i, student.age) && allows({ subject: path.subject, format: i.format })
+      );
+      if (item) {
+        return {
+          path,
+          unit,
+          itemId: item.id,
+          reason: matches(path) ? "interest" : "path",
+        };
+      }
+      if (left.length) filtered = true;
+    }
+  }
+  return { itemId: null, reason: filtered ? "filtered" : "complete" };
+}
+
+module.exports = {
+  validatePath,
+  pathData,
+  loadStudentProgress,
+  itemComplete,
+  getStudentPaths,
+  recommendNext,
+};
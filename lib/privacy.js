@@ -0,0 +1,390 @@
+const { storage } = require("../db/storage");
+const { loginKeys, resetKeys } = require("./throttle");
+const { dayInfo, addDays, startOfDay } = require("./dates");
+const clock = require("./clock");
+const { logger } = require("./logger");
+const { closeStreamsFor } = require("./notifications");
+
+// -------------------- POLICY --------------------
+// Parents can download everything we hold about a child, and ask for a child
+// (or their own account) to be deleted. Deletion waits DELETION_GRACE_DAYS so
+// a guardian can change their mind, then removes the account and every row
+// that refers to it. Activity history older than a child's retention setting
+// (or ACTIVITY_RETENTION_DAYS) is purged. Each of these leaves an audit_log
+// entry with ids and counts only, never names or emails.
+
+const DELETION_GRACE_DAYS = 7;
+const MIN_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isRetentionDays(value) {
+  return Number.isInteger(value) && value >= MIN_RETENTION_DAYS && value <= MAX_RETENTION_DAYS;
+}
+
+// ACTIVITY_RETENTION_DAYS, or null (keep forever) when unset or out of range
+function defaultRetentionDays() {
+  const days = Number(process.env.ACTIVITY_RETENTION_DAYS);
+  return isRetentionDays(days) ? days : null;
+}
+
+/**
+ * Adds an audit_log entry. actor is req.auth ({ role, id }) or null for the
+ * scheduled jobs; subject is { role, id }.
+ */
+function audit(store, action, actor, subject, details = null) {
+  return store.auditLog.add({
+    action,
+    actor_role: actor ? actor.role : "system",
+    actor_id: actor ? actor.id : null,
+    subject_role: subject.role,
+    subject_id: subject.id,
+    details,
+  });
+}
+
+// -------------------- EXPORT --------------------
+
+/**
+ * Everything stored about a student: their profile (without the password
+ * hash), their guardians and every row in the tables keyed by student_id.
+ * Returns null when the student doesn't exist.
+ */
+async function exportStudent(studentId) {
+  const student = await storage.students.findById(studentId);
+  if (!student) return null;
+
+  const { password_hash, ...profile } = student;
+  return {
+    exportedAt: clock.now().toISOString(),
+    student: { ...profile, ...(await storage.streaks.get(studentId)) },
+    guardians: await storage.guardians.listForStudent(studentId),
+    records: await storage.privacy.studentRecords(studentId),
+  };
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+function csvCell(value) {
+  let text = csvValue(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One header row with every column any row has, then the rows
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+  return lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * The files in an export archive: export.json with everything, plus one CSV
+ * per table for spreadsheets.
+ */
+function exportFiles(archive) {
+  return [
+    { name: "export.json", data: JSON.stringify(archive, null, 2) },
+    { name: "student.csv", data: toCsv([archive.student]) },
+    { name: "guardians.csv", data: toCsv(archive.guardians) },
+    ...Object.entries(archive.records).map(([table, rows]) => ({
+      name: `${table}.csv`,
+      data: toCsv(rows),
+    })),
+  ];
+}
+
+// -------------------- DELETION --------------------
+
+function describeDeletion(request) {
+  if (!request) return null;
+  return {
+    id: request.id,
+    subject: { role: request.subject_role, id: request.subject_id },
+    status: request.status,
+    requestedAt: request.requested_at,
+    deleteAfter: request.delete_after,
+  };
+}
+
+async function isDeletionPending(role, id) {
+  return Boolean(await storage.deletionRequests.findPending(role, id));
+}
+
+/**
+ * Schedules a child's deletion. Only their primary guardian can ask. The
+ * child is signed out and can't sign in again unless it's cancelled.
+ * Returns { deletion } or { status, message }.
+ */
+async function requestStudentDeletion(auth, studentId) {
+  const student = await storage.students.findById(studentId);
+  if (!student || !(await storage.guardians.isGuardian(studentId, auth.id))) {
+    return { status: 404, message: "Child not found in your family." };
+  }
+  if (student.parent_id !== auth.id) {
+    return { status: 403, message: "Only the child's primary guardian can delete their account." };
+  }
+  return scheduleDeletion(auth, { role: "student", id: student.id });
+}
+
+/**
+ * Schedules the signed-in parent's own account for deletion. Children they
+ * are primary guardian of go to their next guardian, or are deleted with
+ * the account when there's nobody else; `children` says which.
+ */
+async function requestAccountDeletion(auth) {
+  const result = await scheduleDeletion(auth, { role: "parent", id: auth.id });
+  if (!result.deletion) return result;
+  return { ...result, children: await accountDeletionPlan(auth.id) };
+}
+
+async function scheduleDeletion(auth, subject) {
+  const deleteAfter = new Date(clock.now().getTime() + DELETION_GRACE_DAYS * DAY_MS);
+  const id = await storage.transaction(async (tx) => {
+    if (await tx.deletionRequests.findPending(subject.role, subject.id)) return null;
+    const created = await tx.deletionRequests.create({
+      subject_role: subject.role,
+      subject_id: subject.id,
+      requested_by: auth.id,
+      delete_after: deleteAfter,
+    });
+    await audit(tx, "deletion_requested", auth, subject, { requestId: created, deleteAfter });
+    if (subject.role === "student") await tx.sessions.deleteForUser("student", subject.id);
+    return created;
+  });
+  if (!id) return { status: 409, message: "Deletion has already been requested." };
+
+  return { deletion: describeDeletion(await storage.deletionRequests.findPending(subject.role, subject.id)) };
+}
+
+// [{ id, name, outcome: "deleted" | "handedOver", to? }] for the children a
+// parent is primary guardian of
+async function accountDeletionPlan(parentId) {
+  const children = (await storage.students.listByParent(parentId)).filter((c) => c.parent_id === parentId);
+  const plan = [];
+  for (const child of children) {
+    const next = await nextGuardian(storage, child.id, parentId);
+    plan.push(
+      next
+        ? { id: child.id, name: child.full_name, outcome: "handedOver", to: { id: next.id, name: next.full_name } }
+        : { id: child.id, name: child.full_name, outcome: "deleted" }
+    );
+  }
+  return plan;
+}
+
+// The longest-standing guardian other than parentId
+async function nextGuardian(store, studentId, parentId) {
+  const guardians = await store.guardians.listForStudent(studentId);
+  return guardians.find((g) => g.id !== parentId) || null;
+}
+
+/**
+ * Cancels a pending deletion: any guardian can for a child, a parent for
+ * their own account. Returns { deletion } or { status, message }.
+ */
+async function cancelDeletion(auth, subject) {
+  if (subject.role === "student" && !(await storage.guardians.isGuardian(subject.id, auth.id))) {
+    return { status: 404, message: "Child not found in your family." };
+  }
+  const request = await storage.deletionRequests.findPending(subject.role, subject.id);
+  if (!request || !(await storage.deletionRequests.cancel(request.id))) {
+    return { status: 404, message: "No deletion is pending." };
+  }
+  await audit(storage, "deletion_cancelled", auth, subject, { requestId: request.id });
+  return { deletion: { ...describeDeletion(request), status: "cancelled" } };
+}
+
+// Rows that refer to an account without a foreign key: sign-in sessions,
+// reset tokens, throttles on its email and invitations it sent or was sent
+async function eraseLooseEnds(tx, role, account) {
+  await tx.sessions.deleteForUser(role, account.id);
+  await tx.passwordResets.deleteForUser(role, account.id);
+  await tx.invitations.deleteInvolving(role, account.id, account.email);
+  await tx.loginThrottles.clear(loginKeys(account.email).account);
+  await tx.loginThrottles.clear(resetKeys(account.email).account);
+}
+
+async function eraseStudent(tx, studentId) {
+  const student = await tx.students.findById(studentId);
+  if (!student) return false;
+  await eraseLooseEnds(tx, "student", student);
+  await tx.students.delete(student.id);
+  return true;
+}
+
+// Hands each child the parent is primary guardian of to their next
+// guardian, or deletes them when there isn't one. Returns what happened.
+async function eraseParent(tx, parentId) {
+  const parent = await tx.parents.findById(parentId);
+  if (!parent) return null;
+
+  const summary = { deletedStudents: [], handedOver: [] };
+  const children = (await tx.students.listByParent(parentId)).filter((c) => c.parent_id === parent.id);
+  for (const child of children) {
+    const next = await nextGuardian(tx, child.id, parent.id);
+    if (next) {
+      await tx.students.update(child.id, { parent_id: next.id });
+      summary.handedOver.push({ studentId: child.id, parentId: next.id });
+    } else {
+      await eraseStudent(tx, child.id);
+      summary.deletedStudents.push(child.id);
+    }
+  }
+
+  await eraseLooseEnds(tx, "parent", parent);
+  await tx.parents.delete(parent.id);
+  return summary;
+}
+
+/**
+ * Carries out every deletion whose grace period has ended. Returns how many
+ * requests were completed.
+ */
+async function processDueDeletions(now = clock.now()) {
+  let completed = 0;
+  for (const request of await storage.deletionRequests.listDue(now)) {
+    const done = await storage.transaction(async (tx) => {
+      if (!(await tx.deletionRequests.complete(request.id))) return false;
+      const subject = { role: request.subject_role, id: request.subject_id };
+      const details =
+        subject.role === "student"
+          ? { requestId: request.id, deleted: await eraseStudent(tx, subject.id) }
+          : { requestId: request.id, ...(await eraseParent(tx, subject.id)) };
+      await audit(tx, "deletion_completed", null, subject, details);
+      return true;
+    });
+    if (!done) continue;
+    completed++;
+    if (request.subject_role === "parent") closeStreamsFor(request.subject_id);
+  }
+  return completed;
+}
+
+// -------------------- RETENTION --------------------
+
+/**
+ * Sets how many days of activity history to keep for a child (null: the
+ * server default). Primary guardian only. Returns { retentionDays } or
+ * { status, message, errors? }.
+ */
+async function setRetention(auth, studentId, days) {
+  if (days !== null && !isRetentionDays(days)) {
+    return {
+      status: 400,
+      message: "Retention setting is invalid.",
+      errors: [
+        {
+          field: "days",
+          message: `must be a whole number from ${MIN_RETENTION_DAYS} to ${MAX_RETENTION_DAYS}, or null`,
+        },
+      ],
+    };
+  }
+  const student = await storage.students.findById(studentId);
+  if (!student || student.parent_id !== auth.id) {
+    return { status: 403, message: "Only the child's primary guardian can change how long history is kept." };
+  }
+
+  await storage.students.update(student.id, { activity_retention_days: days });
+  await audit(storage, "retention_changed", auth, { role: "student", id: student.id }, { days });
+  return { retentionDays: days };
+}
+
+/**
+ * Deletes activity history (activities, daily sessions, finished activity
+ * sessions and quiz attempts) from before each child's retention window,
+ * counted in whole days in their timezone. Returns the number of rows.
+ */
+async function purgeExpiredActivity(now = clock.now()) {
+  const fallback = defaultRetentionDays();
+  let purged = 0;
+
+  for (const { student_id: studentId, activity_retention_days: own } of await storage.privacy.listRetention()) {
+    const days = own ?? fallback;
+    if (!days) continue;
+
+    const { today, timeZone } = dayInfo(await storage.students.timeZone(studentId), now);
+    const beforeDate = addDays(today, -days);
+    const counts = await storage.privacy.purgeActivity(studentId, startOfDay(beforeDate, timeZone), beforeDate);
+    const rows = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    if (rows) {
+      await audit(storage, "activity_purged", null, { role: "student", id: studentId }, { days, beforeDate, counts });
+      purged += rows;
+    }
+  }
+  return purged;
+}
+
+// -------------------- OVERVIEW & JOBS --------------------
+
+/** The privacy settings a parent sees for themselves and each child. */
+async function privacyOverview(parentId) {
+  const children = await storage.students.listByParent(parentId);
+  return {
+    graceDays: DELETION_GRACE_DAYS,
+    defaultRetentionDays: defaultRetentionDays(),
+    account: {
+      deletion: describeDeletion(await storage.deletionRequests.findPending("parent", parentId)),
+    },
+    children: await Promise.all(
+      children.map(async (c) => ({
+        id: c.id,
+        name: c.full_name,
+        primary: c.parent_id === parentId,
+        retentionDays: c.activity_retention_days ?? null,
+        deletion: describeDeletion(await storage.deletionRequests.findPending("student", c.id)),
+      }))
+    ),
+  };
+}
+
+async function runPrivacyJobs(now = clock.now()) {
+  const deleted = await processDueDeletions(now);
+  const purged = await purgeExpiredActivity(now);
+  return { deleted, purged };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Runs the deletion and retention jobs now and then hourly; returns a stop function. */
+function startPrivacyScheduler() {
+  const run = () =>
+    runPrivacyJobs()
+      .then(({ deleted, purged }) => {
+        if (deleted || purged) logger.info("Privacy jobs ran", { deleted, purged });
+      })
+      .catch((err) => logger.error("Privacy job failed", err));
+
+  run();
+  const timer = setInterval(run, HOUR_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  defaultRetentionDays,
+  audit,
+  exportStudent,
+  exportFiles,
+  toCsv,
+  isDeletionPending,
+  requestStudentDeletion,
+  requestAccountDeletion,
+  cancelDeletion,
+  processDueDeletions,
+  setRetention,
+  purgeExpiredActivity,
+  privacyOverview,
+  runPrivacyJobs,
+  startPrivacyScheduler,
+};
@@ -0,0 +1,136 @@
+const { storage } = require("../db/storage");
+const { listSubjects, loadSubject, findPublishedItem, lessonQuestions } = require("./content");
+
+/**
+ * Finds the lesson a quiz submission is about, by contentId or by
+ * subject + lessonIndex (its position among published lessons).
+ * Returns { lesson, subject, lessonIndex } or { status, message }.
+ */
+async function resolveLesson(body) {
+  let subject;
+  let lessonIndex;
+
+  if (body.contentId !== undefined) {
+    const found = await findPublishedItem(body.contentId);
+    if (!found || found.row.format !== "lessons") {
+      return { status: 404, message: "Lesson not found." };
+    }
+    subject = found.subject;
+    lessonIndex = null;
+  } else {
+    subject = body.subject;
+    lessonIndex = body.lessonIndex;
+  }
+
+  const data = await loadSubject(subject);
+  if (!data) return { status: 400, message: "Invalid subject." };
+
+  if (lessonIndex === null) {
+    lessonIndex = data.lessons.findIndex((l) => l.id === body.contentId);
+  }
+  const lesson = data.lessons[lessonIndex];
+  if (!lesson) return { status: 404, message: "Lesson not found." };
+
+  return { lesson, subject, lessonIndex };
+}
+
+/**
+ * Grades submitted answers against a lesson's quiz.
+ * answers: [{ questionIndex, answerIndex }]
+ * Returns [{ questionIndex, answerIndex, correct }] or null when an answer
+ * points at a question that doesn't exist.
+ */
+function gradeAnswers(lesson, answers) {
+  const questions = lessonQuestions(lesson);
+  const results = [];
+
+  for (const a of answers) {
+    const questionIndex = Number(a.questionIndex);
+    const answerIndex = Number(a.answerIndex);
+    const q = questions[questionIndex];
+    if (!Number.isInteger(questionIndex) || !q || !Number.isInteger(answerIndex)) {
+      return null;
+    }
+    results.push({
+      questionIndex,
+      answerIndex,
+      correct: answerIndex === q.correctIndex,
+    });
+  }
+  return results;
+}
+
+const percent = (n, d) => (d ? Math.round((n / d) * 100) : 0);
+
+/**
+ * Mastery from quiz_attempts rows (oldest first). A question counts as
+ * mastered when the student's most recent answer to it was correct.
+ * Attempts are matched to lessons by content ID, so reordering lessons keeps
+ * history attached; attempts on deleted lessons drop out.
+ * - lessons: one entry per lesson the student has attempted
+ * - subjects: mastered questions over every question in that subject, so
+ *   lessons not yet tried pull the score down
+ */
+async function computeMastery(attempts) {
+  const latest = new Map();
+  for (const a of attempts) {
+    if (a.content_id == null) continue;
+    latest.set(`${a.content_id}|${a.question_index}`, Boolean(a.is_correct));
+  }
+
+  const lessons = [];
+  const subjects = [];
+
+  for (const subject of await listSubjects()) {
+    const data = await loadSubject(subject);
+    const list = Array.isArray(data.lessons) ? data.lessons : [];
+
+    let subjectMastered = 0;
+    let subjectTotal = 0;
+
+    list.forEach((lesson, lessonIndex) => {
+      const total = lessonQuestions(lesson).length;
+      if (!total) return;
+
+      let attempted = 0;
+      let mastered = 0;
+      for (let q = 0; q < total; q++) {
+        const key = `${lesson.id}|${q}`;
+        if (latest.has(key)) {
+          attempted++;
+          if (latest.get(key)) mastered++;
+        }
+      }
+
+      subjectMastered += mastered;
+      subjectTotal += total;
+
+      if (attempted) {
+        lessons.push({
+          subject,
+          contentId: lesson.id,
+          lessonIndex,
+          title: lesson.title,
+          questionsMastered: mastered,
+          questionsTotal: total,
+          mastery: percent(mastered, total),
+        });
+      }
+    });
+
+    subjects.push({
+      subject,
+      questionsMastered: subjectMastered,
+      questionsTotal: subjectTotal,
+      mastery: percent(subjectMastered, subjectTotal),
+    });
+  }
+
+  return { lessons, subjects };
+}
+
+async function getStudentMastery(studentId) {
+  return computeMastery(await storage.quizAttempts.listForStudent(studentId));
+}
+
+module.exports = { resolveLesson, gradeAnswers, computeMastery, getStudentMastery };
@@ -0,0 +1,242 @@
+const { storage } = require("../db/storage");
+const { getStudentMastery } = require("./quiz");
+const { dayInfo, weekStart, addDays, lastDays, startOfDay } = require("./dates");
+const clock = require("./clock");
+const { logger } = require("./logger");
+
+// -------------------- BUILDING --------------------
+// A weekly report covers Monday to Sunday in the student's timezone and uses
+// the same sources as /api/activity/analytics: daily_sessions for minutes and
+// counts, student_activities for subjects, plus the streak and quiz mastery.
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : 0);
+
+// The Monday starting the last full week before `today`
+const lastWeekStart = (today) => addDays(weekStart(today), -7);
+
+/**
+ * Report data for the week containing `date` ("YYYY-MM-DD"), or null when
+ * the student doesn't exist.
+ */
+async function buildWeeklyReport(studentId, date) {
+  const student = await storage.students.findById(studentId);
+  if (!student) return null;
+
+  const { timeZone } = dayInfo(await storage.students.timeZone(studentId));
+  const start = weekStart(date);
+  const end = addDays(start, 6);
+  const endInstant = startOfDay(addDays(end, 1), timeZone);
+
+  const [sessions, activities, streak, mastery] = await Promise.all([
+    storage.dailySessions.listSince(studentId, start),
+    storage.activities.listBetween(studentId, startOfDay(start, timeZone), endInstant),
+    storage.streaks.get(studentId),
+    getStudentMastery(studentId),
+  ]);
+
+  const week = sessions.filter((s) => s.session_date <= end);
+  const byDate = new Map(week.map((s) => [s.session_date, s]));
+  const days = lastDays(end, 7).map((d) => {
+    const s = byDate.get(d);
+    return {
+      date: d,
+      minutes: s ? s.total_minutes : 0,
+      activities: s ? s.lessons_count + s.videos_count + s.games_count : 0,
+    };
+  });
+  const sum = (field) => week.reduce((total, s) => total + s[field], 0);
+
+  const subjects = new Map();
+  for (const a of activities) {
+    const entry = subjects.get(a.subject) || { subject: a.subject, count: 0, minutes: 0 };
+    entry.count += 1;
+    entry.minutes += a.duration_minutes;
+    subjects.set(a.subject, entry);
+  }
+
+  const mastered = mastery.subjects.reduce((n, s) => n + s.questionsMastered, 0);
+  const questions = mastery.subjects.reduce((n, s) => n + s.questionsTotal, 0);
+
+  return {
+    student: { id: student.id, name: student.full_name },
+    week: { start, end, timeZone },
+    minutes: days.reduce((n, d) => n + d.minutes, 0),
+    activeDays: days.filter((d) => d.activities > 0).length,
+    activities: {
+      total: days.reduce((n, d) => n + d.activities, 0),
+      lessons: sum("lessons_count"),
+      videos: sum("videos_count"),
+      games: sum("games_count"),
+    },
+    days,
+    subjects: [...subjects.values()].sort((a, b) => b.count - a.count || a.subject.localeCompare(b.subject)),
+    streak: {
+      days: streak ? streak.streak_days || 0 : 0,
+      lastStreakDate: streak ? streak.last_streak_date : null,
+    },
+    mastery: {
+      overall: percent(mastered, questions),
+      subjects: mastery.subjects.map((s) => ({ subject: s.subject, mastery: s.mastery })),
+    },
+  };
+}
+
+// -------------------- RENDERING --------------------
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const weekday = (date) =>
+  ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+function reportSubject(report) {
+  return `${report.student.name}'s week (${report.week.start} to ${report.week.end}): ${report.minutes} minutes of learning`;
+}
+
+function renderReportText(report) {
+  const { student, week, activities } = report;
+  const lines = [
+    `Weekly report for ${student.name}`,
+    `${week.start} to ${week.end}`,
+    "",
+    `Time learning: ${report.minutes} minutes over ${report.activeDays} day${report.activeDays === 1 ? "" : "s"}`,
+    `Activities: ${activities.total} (${activities.lessons} lessons, ${activities.videos} videos, ${activities.games} games)`,
+    `Current streak: ${report.streak.days} day${report.streak.days === 1 ? "" : "s"}`,
+    `Quiz mastery: ${report.mastery.overall}%`,
+    "",
+    "Day by day:",
+    ...report.days.map((d) => `  ${weekday(d.date)} ${d.date}: ${d.minutes} min, ${d.activities} activities`),
+    "",
+    "Subjects:",
+    ...(report.subjects.length
+      ? report.subjects.map((s) => `  ${s.subject}: ${s.count} activities, ${s.minutes} min`)
+      : ["  No activity this week."]),
+    "",
+    "Mastery by subject:",
+    ...report.mastery.subjects.map((s) => `  ${s.subject}: ${s.mastery}%`),
+    "",
+    "You're receiving this because weekly reports are switched on in your parent dashboard.",
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+function renderReportHtml(report) {
+  const { student, week, activities } = report;
+  const most = Math.max(1, ...report.days.map((d) => d.minutes));
+  const stat = (value, label) => `
+        <td style="padding: 12px; text-align: center; background: #f4fbfa; border-radius: 8px;">
+          <div style="font-size: 24px; font-weight: 700; color: #4ECDC4;">${escapeHtml(value)}</div>
+          <div style="font-size: 12px; color: #666; text-transform: uppercase;">${escapeHtml(label)}</div>
+        </td>`;
+  const row = (cells) => `<tr>${cells.map((c) => `<td style="padding: 4px 8px;">${escapeHtml(c)}</td>`).join("")}</tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(reportSubject(report))}</title></head>
+<body style="margin: 0; padding: 24px; background: #f7f7f7; font-family: Arial, sans-serif; color: #333;">
+  <div style="max-width: 600px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 24px;">
+    <h1 style="font-size: 22px; margin: 0 0 4px;">Weekly report for ${escapeHtml(student.name)}</h1>
+    <div style="color: #888; margin-bottom: 20px;">${escapeHtml(week.start)} to ${escapeHtml(week.end)}</div>
+
+    <table style="width: 100%; border-spacing: 8px;">
+      <tr>${stat(report.minutes, "minutes")}${stat(activities.total, "activities")}${stat(`${report.streak.days} 🔥`, "day streak")}${stat(`${report.mastery.overall}%`, "quiz mastery")}</tr>
+    </table>
+
+    <h2 style="font-size: 16px; margin: 24px 0 8px;">Day by day</h2>
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+      ${report.days
+        .map(
+          (d) => `<tr>
+        <td style="padding: 4px 8px; width: 40px;">${weekday(d.date)}</td>
+        <td style="padding: 4px 8px;"><div style="height: 12px; width: ${Math.round((d.minutes / most) * 100)}%; min-width: 2px; background: #4ECDC4; border-radius: 6px;"></div></td>
+        <td style="padding: 4px 8px; width: 60px; text-align: right;">${d.minutes} min</td>
+      </tr>`
+        )
+        .join("\n      ")}
+    </table>
+
+    <h2 style="font-size: 16px; margin: 24px 0 8px;">Subjects</h2>
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+      ${report.subjects.length
+        ? report.subjects.map((s) => row([s.subject, `${s.count} activities`, `${s.minutes} min`])).join("\n      ")
+        : row(["No activity this week."])}
+    </table>
+    <p style="font-size: 14px;">${activities.lessons} lessons, ${activities.videos} videos and ${activities.games} games.</p>
+
+    <h2 style="font-size: 16px; margin: 24px 0 8px;">Quiz mastery</h2>
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+      ${report.mastery.subjects.map((s) => row([s.subject, `${s.mastery}%`])).join("\n      ")}
+    </table>
+
+    <p style="font-size: 12px; color: #999; margin-top: 24px;">You're receiving this because weekly reports are switched on in your parent dashboard.</p>
+  </div>
+</body>
+</html>
+`;
+}
+
+// -------------------- SENDING --------------------
+
+/**
+ * Emails last week's report for each child of every opted-in parent, where
+ * "last week" is in the parent's timezone. Safe to run as often as you like:
+ * report_deliveries makes each report go out once, and a failed send is
+ * retried next run. Returns { sent, failed }.
+ */
+async function sendWeeklyReports(mailer, now = clock.now()) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const parent of await storage.parents.listReportRecipients()) {
+    const week = lastWeekStart(dayInfo(parent.timezone, now).today);
+
+    for (const child of await storage.students.listByParent(parent.id)) {
+      if (!(await storage.reportDeliveries.claim(parent.id, child.id, week))) continue;
+      try {
+        const report = await buildWeeklyReport(child.id, week);
+        await mailer.send({
+          to: parent.email,
+          subject: reportSubject(report),
+          text: renderReportText(report),
+          html: renderReportHtml(report),
+        });
+        sent++;
+      } catch (err) {
+        logger.error("Weekly report failed", { studentId: child.id, err });
+        await storage.reportDeliveries.release(parent.id, child.id, week);
+        failed++;
+      }
+    }
+  }
+  return { sent, failed };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Runs sendWeeklyReports now and then hourly, so each family gets its report
+ * soon after their Monday starts. Returns a function that stops it.
+ */
+function startReportScheduler(mailer) {
+  const run = () =>
+    sendWeeklyReports(mailer)
+      .then(({ sent, failed }) => {
+        if (sent || failed) logger.info("Weekly reports sent", { sent, failed });
+      })
+      .catch((err) => logger.error("Weekly report job failed", err));
+
+  run();
+  const timer = setInterval(run, HOUR_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  lastWeekStart,
+  buildWeeklyReport,
+  reportSubject,
+  renderReportText,
+  renderReportHtml,
+  sendWeeklyReports,
+  startReportScheduler,
+};
@@ -0,0 +1,190 @@
+const { storage } = require("../db/storage");
+const { findPublishedItem, lessonQuestions, localizeItem } = require("./content");
+const { blockFor, loadRestrictions } = require("./controls");
+const { resolveLesson, gradeAnswers } = require("./quiz");
+const { addDays } = require("./dates");
+const { DEFAULT_LOCALE } = require("./i18n");
+
+// -------------------- SCHEDULE --------------------
+// Every lesson quiz question a student gets wrong becomes a review card
+// (review_cards), scheduled with SM-2:
+// - a wrong answer starts the card again: due tomorrow, and it counts as a lapse
+// - a right answer makes the gap 1 day, then 6, then the last gap times the
+//   card's ease; how easy it felt (hard / good / easy) nudges the ease
+// Answering a question again in its lesson moves the card too: a wrong
+// answer resets it, a right one only counts once the card is due.
+//
+// Each day the student gets the cards that are due, up to DAILY_REVIEW_LIMIT,
+// ones they're currently getting wrong first. Finishing them counts towards
+// the streak (POST /api/streak/increment with activity "review").
+
+const DAILY_REVIEW_LIMIT = 20;
+const RATINGS = ["hard", "good", "easy"];
+const MIN_EASE = 130;
+const NEW_CARD = { repetitions: 0, interval_days: 1, ease: 250, lapses: 0 };
+
+// SM-2 answer quality (0-5): a wrong answer is 1, a right one 3-5 by rating
+const quality = (correct, rating = "good") => (correct ? 3 + RATINGS.indexOf(rating) : 1);
+
+/**
+ * A card's schedule after an answer of quality q given on `today`:
+ * { repetitions, interval_days, ease, lapses, due_date }. ease is the SM-2
+ * ease factor times 100.
+ */
+function schedule(card, q, today) {
+  if (q < 3) {
+    return {
+      repetitions: 0,
+      interval_days: 1,
+      ease: card.ease,
+      lapses: card.lapses + 1,
+      due_date: addDays(today, 1),
+    };
+  }
+  const repetitions = card.repetitions + 1;
+  const interval =
+    repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round((card.interval_days * card.ease) / 100);
+  const ease = Math.max(MIN_EASE, card.ease + Math.round(100 * (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))));
+  return { repetitions, interval_days: interval, ease, lapses: card.lapses, due_date: addDays(today, interval) };
+}
+
+/**
+ * Updates review cards from graded lesson quiz answers (gradeAnswers()
+ * results), inside the quiz submission's transaction.
+ */
+async function recordLessonAnswers(tx, studentId, contentId, results, today, at) {
+  for (const r of results) {
+    const card = await tx.reviewCards.get(studentId, contentId, r.questionIndex);
+    if (r.correct && (!card || card.due_date > today)) continue;
+
+    await tx.reviewCards.save({
+      ...(card || NEW_CARD),
+      ...schedule(card || NEW_CARD, quality(r.correct), today),
+      student_id: studentId,
+      content_id: contentId,
+      question_index: r.questionIndex,
+      last_answered_at: at,
+      reviewed_on: card ? card.reviewed_on : null,
+    });
+  }
+}
+
+// -------------------- DAILY QUEUE --------------------
+
+/**
+ * The question a card is about in `locale`, if the student can see it:
+ * { subject, lesson, question }, or null when the lesson is gone,
+ * unpublished or switched off, or no longer has that question. items caches
+ * lookups.
+ */
+async function cardQuestion(card, restrictions, items, locale) {
+  if (!items.has(card.content_id)) items.set(card.content_id, await findPublishedItem(card.content_id));
+  const found = items.get(card.content_id);
+  if (!found || found.row.format !== "lessons") return null;
+  if (blockFor(restrictions, { subject: found.subject, format: "lessons", checkLimit: false })) return null;
+
+  const lesson = localizeItem(found.row.data, locale);
+  const question = lessonQuestions(lesson)[card.question_index];
+  return question ? { subject: found.subject, lesson, question } : null;
+}
+
+/**
+ * Today's review for a student (day from dayInfo()): { today, reviewedToday,
+ * remaining, complete, cards }. complete means they've reviewed something
+ * today and nothing is left. Cards carry the question, in `locale`, without
+ * its answer.
+ */
+async function reviewQueue(studentId, day, locale = DEFAULT_LOCALE) {
+  const reviewedToday = await storage.reviewCards.countReviewedOn(studentId, day.today);
+  const restrictions = await loadRestrictions(studentId, day);
+  const items = new Map();
+
+  const cards = [];
+  for (const card of await storage.reviewCards.listDue(studentId, day.today)) {
+    if (cards.length >= DAILY_REVIEW_LIMIT - reviewedToday) break;
+    const found = await cardQuestion(card, restrictions, items, locale);
+    if (!found) continue;
+    cards.push({
+      contentId: card.content_id,
+      questionIndex: card.question_index,
+      subject: found.subject,
+      lessonTitle: found.lesson.title,
+      question: found.question.question,
+      answers: found.question.answers,
+      dueDate: card.due_date,
+      lapses: card.lapses,
+    });
+  }
+
+  return {
+    today: day.today,
+    reviewedToday,
+    remaining: cards.length,
+    complete: reviewedToday > 0 && cards.length === 0,
+    cards,
+  };
+}
+
+/**
+ * Grades a review answer and reschedules the card. The answer is also
+ * recorded as a quiz attempt, so mastery follows it.
+ * answer: { contentId, questionIndex, answerIndex, rating? }; locale is the
+ * student's.
+ * Returns { correct, correctIndex, correctAnswer, card } with the new
+ * schedule, correctAnswer in `locale` as the card showed it; or
+ * { status, message } (plus blockFor()'s fields on a 403).
+ */
+async function answerReview(studentId, day, answer, now, locale = DEFAULT_LOCALE) {
+  const { contentId, questionIndex } = answer;
+  const card = await storage.reviewCards.get(studentId, contentId, questionIndex);
+  if (!card) return { status: 404, message: "That question isn't in your review." };
+
+  const found = await resolveLesson({ contentId });
+  const question = found.lesson && lessonQuestions(found.lesson)[questionIndex];
+  if (!question) return { status: 404, message: "That question no longer exists." };
+
+  const block = blockFor(await loadRestrictions(studentId, day), {
+    subject: found.subject,
+    format: "lessons",
+    checkLimit: false,
+  });
+  if (block) return { status: 403, ...block };
+
+  const queue = await reviewQueue(studentId, day, locale);
+  const due = queue.cards.find((c) => c.contentId === contentId && c.questionIndex === questionIndex);
+  if (!due) return { status: 409, message: "That question isn't due for review today." };
+
+  const [result] = gradeAnswers(found.lesson, [{ questionIndex, answerIndex: answer.answerIndex }]);
+  const next = schedule(card, quality(result.correct, answer.rating), day.today);
+
+  await storage.transaction(async (tx) => {
+    await tx.quizAttempts.add({
+      student_id: studentId,
+      subject: found.subject,
+      content_id: contentId,
+      lesson_index: found.lessonIndex,
+      lesson_title: found.lesson.title,
+      question_index: questionIndex,
+      answer_index: result.answerIndex,
+      is_correct: result.correct,
+      created_at: now,
+    });
+    await tx.reviewCards.save({ ...card, ...next, last_answered_at: now, reviewed_on: day.today });
+  });
+
+  return {
+    correct: result.correct,
+    correctIndex: question.correctIndex,
+    correctAnswer: due.answers[question.correctIndex],
+    card: next,
+  };
+}
+
+module.exports = {
+  DAILY_REVIEW_LIMIT,
+  RATINGS,
+  schedule,
+  recordLessonAnswers,
+  reviewQueue,
+  answerReview,
+};
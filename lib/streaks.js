@@ -0,0 +1,124 @@
+const { addDays, daysBetween } = require("./dates");
+
+// A freeze is earned every FREEZE_EVERY_DAYS of streak, holding at most
+// MAX_FREEZES. Each one covers a single missed day.
+//
+// Every credited day is kept (streak_credited_days), so a day that arrives
+// late, say an offline event synced after a later day was counted, can still
+// fill a gap: the streak is then recounted as the credited days in the
+// unbroken run of credited or frozen days ending on last_streak_date.
+const FREEZE_EVERY_DAYS = 7;
+const MAX_FREEZES = 2;
+
+/**
+ * Works out a student's streak after activity on `today` (a "YYYY-MM-DD"
+ * string in the streak's timezone), from their streaks row
+ * { streak_days, last_streak_date, streak_freezes }:
+ * - already counted today, or `today` is before the last day counted ->
+ *   unchanged (creditStreakDay() recounts late days with recountStreak())
+ * - last counted yesterday -> +1
+ * - missed days, with enough freezes to cover every one -> freezes spent, +1
+ * - otherwise -> back to 1
+ * Returns { changed, streak_days, last_streak_date, streak_freezes,
+ * freezesUsed: [dates covered], freezeEarned }.
+ */
+function advanceStreak(row, today) {
+  const days = row.streak_days || 0;
+  const freezes = row.streak_freezes || 0;
+  const last = row.last_streak_date;
+
+  if (last && today <= last) {
+    return {
+      changed: false,
+      streak_days: days,
+      last_streak_date: last,
+      streak_freezes: freezes,
+      freezesUsed: [],
+      freezeEarned: false,
+    };
+  }
+
+  const missed = last ? daysBetween(last, today) - 1 : null;
+  let next = 1;
+  let freezesUsed = [];
+  if (missed === 0) {
+    next = days + 1;
+  } else if (missed > 0 && days > 0 && missed <= freezes) {
+    freezesUsed = Array.from({ length: missed }, (_, i) => addDays(last, i + 1));
+    next = days + 1;
+  }
+
+  let remaining = freezes - freezesUsed.length;
+  const freezeEarned = next % FREEZE_EVERY_DAYS === 0 && remaining < MAX_FREEZES;
+  if (freezeEarned) remaining++;
+
+  return {
+    changed: true,
+    streak_days: next,
+    last_streak_date: today,
+    streak_freezes: remaining,
+    freezesUsed,
+    freezeEarned,
+  };
+}
+
+/**
+ * Works out a student's streak once a day before their last counted day has
+ * been credited late. credited and frozen are every credited and
+ * freeze-covered date, the late day included. The streak becomes the number of
+ * credited days in the run ending on last_streak_date with no day missing;
+ * crossing a multiple of FREEZE_EVERY_DAYS earns a freeze as usual. Spent
+ * freezes stay spent. Returns the same shape as advanceStreak().
+ */
+function recountStreak(row, { credited, frozen }) {
+  const days = row.streak_days || 0;
+  const freezes = row.streak_freezes || 0;
+  const last = row.last_streak_date;
+  const creditedDays = new Set(credited);
+  const frozenDays = new Set(frozen);
+
+  let next = 0;
+  for (let date = last; creditedDays.has(date) || frozenDays.has(date); date = addDays(date, -1)) {
+    if (creditedDays.has(date)) next++;
+  }
+
+  const freezeEarned =
+    Math.floor(next / FREEZE_EVERY_DAYS) > Math.floor(days / FREEZE_EVERY_DAYS) && freezes < MAX_FREEZES;
+
+  return {
+    changed: next !== days,
+    streak_days: next,
+    last_streak_date: last,
+    streak_freezes: freezeEarned ? freezes + 1 : freezes,
+    freezesUsed: [],
+    freezeEarned,
+  };
+}
+
+/**
+ * Counts `today` towards a student's streak, inside a transaction: store is
+ * the transaction's repositories, so two requests can't both advance the
+ * streak or spend the same freeze. A day before the last one counted is
+ * recounted with recountStreak(). Returns advanceStreak()'s result, or null
+ * if there's no such student.
+ */
+async function creditStreakDay(store, studentId, today) {
+  const before = await store.streaks.getForUpdate(studentId);
+  if (!before) return null;
+
+  const added = await store.streaks.addCreditedDay(studentId, today);
+  const late = added && before.last_streak_date && today < before.last_streak_date;
+  const result = late
+    ? recountStreak(before, {
+        credited: await store.streaks.creditedDays(studentId),
+        frozen: await store.streaks.frozenDays(studentId),
+      })
+    : advanceStreak(before, today);
+  if (result.changed) {
+    await store.streaks.save(studentId, result);
+    await store.streaks.addFrozenDays(studentId, result.freezesUsed);
+  }
+  return result;
+}
+
+module.exports = { advanceStreak, recountStreak, creditStreakDay, FREEZE_EVERY_DAYS, MAX_FREEZES };
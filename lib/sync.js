@@ -0,0 +1,169 @@
+const { storage } = require("../db/storage");
+const { allowedFormats, activityTypeFor } = require("./content");
+const { blockFor, loadRestrictions } = require("./controls");
+const { checkBadges } = require("./gamification");
+const { creditStreakDay } = require("./streaks");
+const { resolveActivity, recordActivity } = require("./tracking");
+const { notifyActivity, notifyStreak } = require("./notifications");
+const { dayInfo, addDays, startOfDay } = require("./dates");
+const clock = require("./clock");
+
+// -------------------- RULES --------------------
+// The dashboard keeps working offline. What the student does meanwhile is
+// queued on the device as events, each with an id the device made up and the
+// time it happened, and sent in a batch once it's back online:
+//   { id, type: "activity", occurredAt, contentId | activityType + subject,
+//     durationMinutes, completed }   (occurredAt is when it started)
+//   { id, type: "streak", occurredAt, activity }
+// An event counts towards the day it happened in the student's timezone, not
+// the day it arrived. Each id is applied once (synced_events), so a batch can
+// be sent again safely when the reply got lost.
+//
+// Device clocks can't be fully trusted: events more than MAX_EVENT_AGE_DAYS
+// old are turned away, times a little in the future (CLOCK_SKEW_MS) are
+// taken as now and later ones are turned away, and a streak event only counts
+// a day the student has activity recorded on.
+//
+// Nor can the device's minutes. The student does one thing at a time, so an
+// activity can't have run past the start of the next one the server knows
+// about (a later event, in this batch or an earlier one, or an online
+// activity session) or past the time the batch arrived. Minutes beyond that
+// are cut off.
+
+const MAX_BATCH_EVENTS = 100;
+const MAX_EVENT_AGE_DAYS = 7;
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_EVENT_MINUTES = 120;
+const EVENT_TYPES = ["activity", "streak"];
+
+// When the event counts as having happened, or { message } if it can't count
+function eventTime(occurredAt, now) {
+  if (occurredAt - now > CLOCK_SKEW_MS) return { message: "occurredAt is in the future." };
+  if (now - occurredAt > MAX_EVENT_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { message: `Events more than ${MAX_EVENT_AGE_DAYS} days old can't be synced.` };
+  }
+  return { at: occurredAt > now ? now : occurredAt };
+}
+
+const rejected = (message) => ({ status: "rejected", message });
+
+// The most minutes an activity that started at `at` can have taken, given
+// that the next known activity started at nextInBatch (or null)
+async function availableMinutes(studentId, at, nextInBatch, now) {
+  const [nextEvent, nextSession] = await Promise.all([
+    storage.syncedEvents.nextAfter(studentId, "activity", at),
+    storage.activitySessions.nextStartAfter(studentId, at),
+  ]);
+  const until = Math.min(
+    ...[now, nextInBatch, nextEvent, nextSession].filter(Boolean).map((t) => new Date(t).getTime())
+  );
+  return Math.max(0, Math.floor((until - at) / 60000));
+}
+
+async function applyActivity(studentId, event, day, at, record, maxMinutes) {
+  const resolved = await resolveActivity(event);
+  if (!resolved.activity) return rejected(resolved.message);
+  const { activity } = resolved;
+
+  // The time was already spent, so the daily limit doesn't apply; switched
+  // off subjects and formats do
+  const block = blockFor(await loadRestrictions(studentId, day), {
+    subject: activity.subject,
+    format: allowedFormats.find((f) => activityTypeFor(f) === activity.activityType),
+    checkLimit: false,
+  });
+  if (block) return rejected(block.message);
+
+  const minutes = Math.min(event.durationMinutes, maxMinutes);
+  const recorded = { ...activity, minutes, completed: event.completed };
+  const applied = await storage.transaction(async (tx) => {
+    if (!(await tx.syncedEvents.add(record))) return null;
+    const xpAwarded = await recordActivity(tx, studentId, day, { ...recorded, at });
+    return { xpAwarded };
+  });
+  if (!applied) return { status: "duplicate" };
+  await notifyActivity(studentId, recorded);
+  return { status: "applied", day: day.today, minutes, ...applied };
+}
+
+async function applyStreak(studentId, day, record) {
+  const activity = await storage.activities.listBetween(
+    studentId,
+    day.startOfToday,
+    startOfDay(addDays(day.today, 1), day.timeZone)
+  );
+  if (!activity.length) return rejected(`No activity was recorded on ${day.today}.`);
+
+  const result = await storage.transaction(async (tx) => {
+    if (!(await tx.syncedEvents.add(record))) return null;
+    return creditStreakDay(tx, studentId, day.today);
+  });
+  if (!result) return { status: "duplicate" };
+  await notifyStreak(studentId, result);
+  return { status: "applied", day: day.today, counted: result.changed };
+}
+
+/**
+ * Applies a batch of validated events for a student, oldest first, so streak
+ * days are counted in the order they happened. Returns { results, streak,
+ * newBadges } where results line up with events:
+ * { id, status: "applied" | "duplicate" | "rejected", message?, day?,
+ * minutes?, xpAwarded?, counted? }. The device can forget every event that
+ * has a result; only a failed request means it should try again.
+ */
+async function ingestEvents(studentId, events, now = clock.now()) {
+  const timeZone = await storage.students.timeZone(studentId);
+  const ordered = events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => a.event.occurredAt - b.event.occurredAt || a.index - b.index);
+  const activityTimes = ordered
+    .filter(({ event }) => event.type === "activity")
+    .map(({ event }) => event.occurredAt);
+
+  const results = [];
+  for (const { event, index } of ordered) {
+    const time = eventTime(event.occurredAt, now);
+    let result;
+    if (!time.at) {
+      result = rejected(time.message);
+    } else {
+      const day = dayInfo(timeZone, time.at);
+      const record = {
+        student_id: studentId,
+        event_id: event.id,
+        event_type: event.type,
+        occurred_at: time.at,
+        received_at: now,
+      };
+      if (event.type === "activity") {
+        const nextInBatch = activityTimes.find((t) => t > time.at) || null;
+        const maxMinutes = await availableMinutes(studentId, time.at, nextInBatch, now);
+        result = await applyActivity(studentId, event, day, time.at, record, maxMinutes);
+      } else {
+        result = await applyStreak(studentId, day, record);
+      }
+    }
+    results[index] = { id: event.id, ...result };
+  }
+
+  const applied = results.some((r) => r.status === "applied");
+  const streak = await storage.streaks.get(studentId);
+  return {
+    results,
+    streak: {
+      streakDays: streak.streak_days || 0,
+      lastStreakDate: streak.last_streak_date,
+      streakFreezes: streak.streak_freezes || 0,
+    },
+    newBadges: applied ? await checkBadges(studentId) : [],
+  };
+}
+
+module.exports = {
+  MAX_BATCH_EVENTS,
+  MAX_EVENT_AGE_DAYS,
+  CLOCK_SKEW_MS,
+  MAX_EVENT_MINUTES,
+  EVENT_TYPES,
+  ingestEvents,
+};
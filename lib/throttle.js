@@ -0,0 +1,84 @@
+const { storage } = require("../db/storage");
+const clock = require("./clock");
+
+// -------------------- RULES --------------------
+// Failed sign-ins are counted per account and per client IP. The account key
+// is the email typed, whether or not an account uses it, so a lockout says
+// nothing about which emails exist. Reaching `max` failures within
+// `windowMinutes` locks the key for `lockMinutes`; while it's locked even the
+// right password is refused. Password reset requests are counted the same
+// way, whatever their outcome.
+//
+// A sign-in is counted before its password is checked, in one atomic step,
+// so a burst of parallel guesses can't all get in under the limit; a
+// successful one is taken back off.
+
+const LIMITS = {
+  account: { max: 5, windowMinutes: 15, lockMinutes: 15 },
+  ip: { max: 20, windowMinutes: 15, lockMinutes: 15 },
+  resetAccount: { max: 3, windowMinutes: 60, lockMinutes: 60 },
+  resetIp: { max: 10, windowMinutes: 60, lockMinutes: 60 },
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/** login_throttles keys for a sign-in attempt: { account, ip } */
+function loginKeys(email, ip) {
+  return { account: `login:email:${normalizeEmail(email)}`, ip: `login:ip:${ip}` };
+}
+
+/** login_throttles keys for a password reset request: { account, ip } */
+function resetKeys(email, ip) {
+  return { account: `reset:email:${normalizeEmail(email)}`, ip: `reset:ip:${ip}` };
+}
+
+// -------------------- COUNTING --------------------
+
+/** Seconds until the last of `keys` unlocks, or 0 if none is locked. */
+async function lockedFor(keys, now = clock.now()) {
+  let wait = 0;
+  for (const key of keys) {
+    const row = await storage.loginThrottles.get(key);
+    if (row && row.locked_until && new Date(row.locked_until) > now) {
+      wait = Math.max(wait, Math.ceil((new Date(row.locked_until) - now) / 1000));
+    }
+  }
+  return wait;
+}
+
+/**
+ * Counts one attempt (a sign-in or a reset request) against key, starting a
+ * new window if the last one has passed; reaching the limit locks the key.
+ * Returns the lock in seconds if this attempt is past the limit and must be
+ * refused, otherwise 0.
+ */
+async function recordAttempt(key, limit, now = clock.now()) {
+  const windowStart = new Date(now.getTime() - limit.windowMinutes * MINUTE_MS);
+  const failures = await storage.loginThrottles.addFailure(key, { now, windowStart });
+  if (failures >= limit.max) {
+    await storage.loginThrottles.lock(key, new Date(now.getTime() + limit.lockMinutes * MINUTE_MS));
+  }
+  return failures > limit.max ? limit.lockMinutes * 60 : 0;
+}
+
+/** Takes back an attempt that turned out fine, e.g. a successful sign-in. */
+async function forgiveAttempt(key) {
+  await storage.loginThrottles.removeFailure(key);
+}
+
+/** Forgets a key's failures, e.g. after a successful sign-in. */
+async function clearFailures(key) {
+  await storage.loginThrottles.clear(key);
+}
+
+module.exports = {
+  LIMITS,
+  loginKeys,
+  resetKeys,
+  lockedFor,
+  recordAttempt,
+  forgiveAttempt,
+  clearFailures,
+};
@@ -0,0 +1,219 @@
+const { storage } = require("../db/storage");
+const { awardActivityXp } = require("./gamification");
+const { findPublishedItem, activityTypeFor } = require("./content");
+const { dayInfo } = require("./dates");
+const { notifyActivity } = require("./notifications");
+const clock = require("./clock");
+const { logger } = require("./logger");
+
+// -------------------- RULES --------------------
+// Time on a lesson, video or game is measured on the server. The dashboard
+// opens an activity session, sends a heartbeat every HEARTBEAT_SECONDS while
+// the item is on screen, and ends it when the student is done. Each heartbeat
+// credits the time since the last one, but never more than MAX_GAP_SECONDS:
+// a laptop left asleep for an hour earns a minute and a half, not an hour.
+// Sessions that stop beating are closed by closeAbandonedSessions().
+
+const HEARTBEAT_SECONDS = 30;
+const MAX_GAP_SECONDS = 90;
+const ABANDON_AFTER_SECONDS = 5 * 60;
+const MAX_SESSION_SECONDS = 3 * 60 * 60;
+
+/**
+ * engaged_seconds after crediting the time from the session's last heartbeat
+ * to `now`. resume means the student was away (e.g. the tab was hidden), so
+ * that gap doesn't count.
+ */
+function creditedSeconds(session, now, { resume = false } = {}) {
+  const gap = Math.max(0, Math.floor((now - new Date(session.last_seen_at)) / 1000));
+  const credit = resume ? 0 : Math.min(gap, MAX_GAP_SECONDS);
+  return Math.min(session.engaged_seconds + credit, MAX_SESSION_SECONDS);
+}
+
+const toMinutes = (seconds) => Math.round(seconds / 60);
+
+// -------------------- RECORDING --------------------
+
+/**
+ * Works out what a validated activity body ({ contentId } or { activityType,
+ * subject }) refers to. Returns { activity: { activityType, subject,
+ * contentId, title } } or { status, message } to send back.
+ */
+async function resolveActivity(body) {
+  let { activityType, subject } = body;
+
+  let content = null;
+  if (body.contentId !== undefined) {
+    content = await findPublishedItem(body.contentId);
+    if (!content) return { status: 404, message: "Content item not found." };
+    activityType = activityTypeFor(content.row.format);
+    subject = content.subject;
+  }
+
+  return {
+    activity: {
+      activityType,
+      subject,
+      contentId: content ? content.row.id : null,
+      title: content ? content.row.data.title : null,
+    },
+  };
+}
+
+/**
+ * Records one finished activity: a student_activities row, the day's
+ * daily_sessions totals and, for completed activity, XP. store is storage or
+ * a transaction's repositories; day is dayInfo() for the day it counts
+ * towards. Returns the XP awarded.
+ */
+async function recordActivity(store, studentId, day, activity) {
+  const { activityType, subject, contentId = null, title = null, minutes, completed = true, at } = activity;
+
+  await store.activities.log({
+    student_id: studentId,
+    activity_type: activityType,
+    subject,
+    content_id: contentId,
+    content_title: title,
+    duration_minutes: minutes,
+    completed,
+    created_at: at,
+  });
+
+  await store.dailySessions.addActivity(studentId, day.today, {
+    minutes,
+    lessons: activityType === "lesson" ? 1 : 0,
+    videos: activityType === "video" ? 1 : 0,
+    games: activityType === "game" ? 1 : 0,
+  });
+
+  if (!completed) return 0;
+  return awardActivityXp(store, studentId, {
+    since: day.startOfToday,
+    activityType,
+    contentId,
+    title,
+  });
+}
+
+// -------------------- SESSIONS --------------------
+
+/**
+ * Closes a session and records its measured time; the activity counts
+ * towards the day the session started on. Sessions closed by the student
+ * ("ended", "replaced") get the time since their last heartbeat; ones that
+ * went quiet don't. Only "ended" with completed counts as finishing the item.
+ * Returns { engagedSeconds, minutes, xpAwarded }, or null if the session had
+ * already been closed.
+ */
+async function closeSession(session, reason, { now = clock.now(), completed = true } = {}) {
+  const engagedSeconds =
+    reason === "abandoned" ? session.engaged_seconds : creditedSeconds(session, now);
+  const minutes = toMinutes(engagedSeconds);
+  const startedAt = new Date(session.started_at);
+  const day = dayInfo(await storage.students.timeZone(session.student_id), startedAt);
+  const activity = {
+    activityType: session.activity_type,
+    subject: session.subject,
+    contentId: session.content_id,
+    title: session.content_title,
+    minutes,
+    completed: reason === "ended" && completed,
+  };
+
+  const result = await storage.transaction(async (tx) => {
+    const closed = await tx.activitySessions.close(session.id, {
+      ended_at: now,
+      end_reason: reason,
+      engaged_seconds: engagedSeconds,
+    });
+    if (!closed) return null;
+
+    const xpAwarded = await recordActivity(tx, session.student_id, day, { ...activity, at: startedAt });
+    return { engagedSeconds, minutes, xpAwarded };
+  });
+  if (result) await notifyActivity(session.student_id, activity, now);
+  return result;
+}
+
+/**
+ * Opens a session for a student, closing any they left open: a student can
+ * only be on one thing at a time. activity is { activityType, subject,
+ * contentId?, title? }. Returns the new session row.
+ */
+async function openSession(studentId, activity, now = clock.now()) {
+  for (const open of await storage.activitySessions.listOpen(studentId)) {
+    const quiet = now - new Date(open.last_seen_at) > ABANDON_AFTER_SECONDS * 1000;
+    await closeSession(open, quiet ? "abandoned" : "replaced", { now });
+  }
+
+  const id = await storage.activitySessions.create({
+    student_id: studentId,
+    activity_type: activity.activityType,
+    subject: activity.subject,
+    content_id: activity.contentId ?? null,
+    content_title: activity.title ?? null,
+    started_at: now,
+  });
+  return storage.activitySessions.findById(id);
+}
+
+/**
+ * Credits a heartbeat. A session that reaches MAX_SESSION_SECONDS is closed
+ * ("timeout"). Returns { engagedSeconds, ended, closed? }, or null if the
+ * session had already been closed.
+ */
+async function recordHeartbeat(session, { resume = false, now = clock.now() } = {}) {
+  const engagedSeconds = creditedSeconds(session, now, { resume });
+  if (engagedSeconds >= MAX_SESSION_SECONDS) {
+    const closed = await closeSession(session, "timeout", { now });
+    return closed && { engagedSeconds, ended: true, closed };
+  }
+
+  const ok = await storage.activitySessions.beat(session.id, {
+    last_seen_at: now,
+    engaged_seconds: engagedSeconds,
+  });
+  return ok ? { engagedSeconds, ended: false } : null;
+}
+
+/**
+ * Closes every session with no heartbeat for ABANDON_AFTER_SECONDS, keeping
+ * the time measured up to its last heartbeat. Returns how many it closed.
+ */
+async function closeAbandonedSessions(now = clock.now()) {
+  const stale = await storage.activitySessions.listStale(
+    new Date(now.getTime() - ABANDON_AFTER_SECONDS * 1000)
+  );
+  let closed = 0;
+  for (const session of stale) {
+    if (await closeSession(session, "abandoned", { now })) closed++;
+  }
+  return closed;
+}
+
+/** Runs closeAbandonedSessions every minute. Returns a function that stops it. */
+function startSessionSweeper() {
+  const timer = setInterval(() => {
+    closeAbandonedSessions().catch((err) =>
+      logger.error("Closing abandoned activity sessions failed", err)
+    );
+  }, 60 * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  HEARTBEAT_SECONDS,
+  MAX_GAP_SECONDS,
+  ABANDON_AFTER_SECONDS,
+  MAX_SESSION_SECONDS,
+  creditedSeconds,
+  resolveActivity,
+  recordActivity,
+  openSession,
+  recordHeartbeat,
+  closeSession,
+  closeAbandonedSessions,
+  startSessionSweeper,
+};
@@ -0,0 +1,313 @@
+const { storage } = require("../db/storage");
+const { isValidDate, isValidTimeZone } = require("./dates");
+const { logger } = require("./logger");
+
+// -------------------- RULES --------------------
+// Every route describes its body, query string and route params as schemas:
+// an object of field name -> rule. A rule is (value, field, errors) => cleaned
+// value (or a promise of one); it pushes { field, message } onto errors when
+// the value is no good. Fields are reported the way the client sent them, e.g.
+// "children[1].email", so forms can put the message next to the input.
+//
+// Blank values (undefined, null, "" or only spaces) are "not sent": required
+// unless wrapped in optional() or nullable(). Domain rules that need more
+// than one field or the database (passwordErrors, validateGoal, ...) still
+// run in the handler, after the schema has passed.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+const isEmail = (value) => typeof value === "string" && EMAIL_PATTERN.test(value.trim());
+
+// A required rule from a test that only sees values that were sent
+function required(test) {
+  return (value, field, errors) => {
+    if (isBlank(value)) {
+      errors.push({ field, message: "is required" });
+      return undefined;
+    }
+    return test(value, field, errors);
+  };
+}
+
+/** Leaves the field out (or uses fallback) when it isn't sent. */
+function optional(rule, fallback = undefined) {
+  return (value, field, errors) => (isBlank(value) ? fallback : rule(value, field, errors));
+}
+
+/** Like optional(), but an explicit null or "" comes through as null ("clear it"). */
+function nullable(rule) {
+  return (value, field, errors) => {
+    if (value === undefined) return undefined;
+    return isBlank(value) ? null : rule(value, field, errors);
+  };
+}
+
+/**
+ * Text, trimmed, of at most max characters. pattern (a RegExp) is a shape
+ * it must have, described by patternMessage.
+ */
+function string({ max = 255, pattern, patternMessage = "is not in the right format" } = {}) {
+  return required((value, field, errors) => {
+    if (typeof value !== "string") {
+      errors.push({ field, message: "must be text" });
+      return undefined;
+    }
+    const text = value.trim();
+    if (text.length > max) {
+      errors.push({ field, message: `must be at most ${max} characters` });
+      return undefined;
+    }
+    if (pattern && !pattern.test(text)) {
+      errors.push({ field, message: patternMessage });
+      return undefined;
+    }
+    return text;
+  });
+}
+
+/** An email address, trimmed. */
+function email() {
+  return required((value, field, errors) => {
+    if (!isEmail(value) || value.trim().length > 255) {
+      errors.push({ field, message: "must be an email address" });
+      return undefined;
+    }
+    return value.trim();
+  });
+}
+
+/** A password as typed (not trimmed). How strong it is is passwordErrors()'s job. */
+function password() {
+  return required((value, field, errors) => {
+    if (typeof value !== "string" || value.length > 255) {
+      errors.push({ field, message: "must be text of at most 255 characters" });
+      return undefined;
+    }
+    return value;
+  });
+}
+
+function rangeMessage(min, max) {
+  if (min !== undefined && max !== undefined) return `must be a whole number from ${min} to ${max}`;
+  if (min !== undefined) return `must be a whole number of at least ${min}`;
+  return "must be a whole number";
+}
+
+/** A whole number; numeric strings ("12", from forms and query strings) count. */
+function integer({ min, max } = {}) {
+  return required((value, field, errors) => {
+    const number =
+      typeof value === "string" && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+    const ok =
+      Number.isInteger(number) &&
+      (min === undefined || number >= min) &&
+      (max === undefined || number <= max);
+    if (!ok) {
+      errors.push({ field, message: rangeMessage(min, max) });
+      return undefined;
+    }
+    return number;
+  });
+}
+
+/** A row id. */
+const id = () => integer({ min: 1 });
+
+/** true or false ("true" / "false" in query strings). */
+function boolean() {
+  return required((value, field, errors) => {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    errors.push({ field, message: "must be true or false" });
+    return undefined;
+  });
+}
+
+/** One of a fixed list of strings. */
+function oneOf(values) {
+  return required((value, field, errors) => {
+    if (!values.includes(value)) {
+      errors.push({ field, message: `must be one of: ${values.join(", ")}` });
+      return undefined;
+    }
+    return value;
+  });
+}
+
+/** A calendar date, "YYYY-MM-DD". */
+function date() {
+  return required((value, field, errors) => {
+    if (!isValidDate(value)) {
+      errors.push({ field, message: "must be a date like 2026-03-02" });
+      return undefined;
+    }
+    return value;
+  });
+}
+
+// ISO 8601 with a time and a UTC offset, e.g. from Date.prototype.toISOString()
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/** An instant like "2026-03-02T09:30:00.000Z" (an offset instead of Z is fine); cleaned to a Date. */
+function timestamp() {
+  return required((value, field, errors) => {
+    const parsed = typeof value === "string" && TIMESTAMP_PATTERN.test(value) ? new Date(value) : null;
+    if (!parsed || Number.isNaN(parsed.getTime())) {
+      errors.push({ field, message: "must be a time like 2026-03-02T09:30:00Z" });
+      return undefined;
+    }
+    return parsed;
+  });
+}
+
+/** An IANA timezone name ("Pacific/Auckland"). */
+function timeZone() {
+  return required((value, field, errors) => {
+    if (!isValidTimeZone(value)) {
+      errors.push({ field, message: "must be a timezone like Pacific/Auckland" });
+      return undefined;
+    }
+    return value;
+  });
+}
+
+/** One of the subjects in the database, in any case; cleaned to its stored name. */
+function subject() {
+  return required(async (value, field, errors) => {
+    const names = (await storage.subjects.list()).map((s) => s.name);
+    const text = typeof value === "string" ? value.trim().toLowerCase() : null;
+    const match = names.find((name) => name.toLowerCase() === text);
+    if (!match) {
+      errors.push({ field, message: `must be one of: ${names.join(", ")}` });
+      return undefined;
+    }
+    return match;
+  });
+}
+
+/** A list of at most max values, each checked by rule. */
+function array(rule, { min = 0, max = 100 } = {}) {
+  return required(async (value, field, errors) => {
+    if (!Array.isArray(value)) {
+      errors.push({ field, message: "must be a list" });
+      return undefined;
+    }
+    if (value.length < min || value.length > max) {
+      errors.push({
+        field,
+        message: min ? `must have ${min}-${max} items` : `must have at most ${max} items`,
+      });
+      return undefined;
+    }
+    const cleaned = [];
+    for (let i = 0; i < value.length; i++) {
+      cleaned.push(await rule(value[i], `${field}[${i}]`, errors));
+    }
+    return cleaned;
+  });
+}
+
+/**
+ * A nested object with its own schema; like validate(), the schema can be a
+ * function of the object, e.g. for list items of more than one kind.
+ */
+function object(schema) {
+  return required(async (value, field, errors) => {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      errors.push({ field, message: "must be an object" });
+      return undefined;
+    }
+    const shape = typeof schema === "function" ? schema(value) : schema;
+    return checkInto(shape, value, errors, `${field}.`);
+  });
+}
+
+/** Anything that was sent, as it was sent; for fields a domain validator checks. */
+const any = () => required((value) => value);
+
+// -------------------- CHECKING --------------------
+
+async function checkInto(schema, input, errors, prefix = "") {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  for (const [key, rule] of Object.entries(schema)) {
+    const cleaned = await rule(source[key], prefix + key, errors);
+    if (cleaned !== undefined) value[key] = cleaned;
+  }
+  return value;
+}
+
+/**
+ * Checks input against a schema. Returns { value, errors }: value has the
+ * cleaned fields (unknown ones are dropped), errors is [{ field, message }].
+ * schema can also be a function of the input, for bodies with more than
+ * one shape.
+ */
+async function check(schema, input) {
+  const errors = [];
+  const shape = typeof schema === "function" ? schema(input || {}) : schema;
+  const value = await checkInto(shape, input, errors);
+  return { value, errors };
+}
+
+/**
+ * Route middleware: validate({ body, query, params }, message?). Answers 400
+ * { success: false, message, errors: [{ field, message }] } with every bad
+ * field at once; otherwise replaces req.body / req.query / req.params with
+ * the cleaned values. Put it after requireAuth / requireStudentAccess so
+ * callers who can't use the route don't learn anything from its errors.
+ */
+function validate(schemas, message = "Request is invalid.") {
+  const parts = ["params", "query", "body"].filter((part) => schemas[part]);
+
+  return async (req, res, next) => {
+    try {
+      const errors = [];
+      const cleaned = {};
+      for (const part of parts) {
+        const result = await check(schemas[part], req[part]);
+        errors.push(...result.errors);
+        cleaned[part] = result.value;
+      }
+      if (errors.length) {
+        return res.status(400).json({ success: false, message, errors });
+      }
+
+      for (const part of parts) {
+        // Express 5 makes req.query a getter that re-parses the URL
+        Object.defineProperty(req, part, { value: cleaned[part], writable: true, configurable: true });
+      }
+      return next();
+    } catch (err) {
+      logger.error("Error validating request", err);
+      return res
+        .status(500)
+        .json({ success: false, message: "Server error checking the request." });
+    }
+  };
+}
+
+module.exports = {
+  isEmail,
+  optional,
+  nullable,
+  string,
+  email,
+  password,
+  integer,
+  id,
+  boolean,
+  oneOf,
+  date,
+  timestamp,
+  timeZone,
+  subject,
+  array,
+  object,
+  any,
+  check,
+  validate,
+};
@@ -3,81 +3,294 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
-const mysql = require("mysql2/promise");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt");
-const fs = require("fs/promises");
+const { storage } = require("./db/storage");
+const {
+  authenticate,
+  requireAuth,
+  requireStudentAccess,
+  startSession,
+  endSession,
+  endAllSessions,
+} = require("./lib/auth");
+const {
+  allowedFormats,
+  validateItem,
+  activityTypeFor,
+  loadSubject,
+  findPublishedItem,
+  contentSummary,
+  publicItem,
+} = require("./lib/content");
+const { importBundledContent } = require("./db/bundled-content");
+const { resolveLesson, gradeAnswers, getStudentMastery } = require("./lib/quiz");
+const { validatePath, pathData, getStudentPaths, recommendNext } = require("./lib/paths");
+const { awardQuizXp, checkBadges, getRewards } = require("./lib/gamification");
+const { creditStreakDay } = require("./lib/streaks");
+const { RATINGS, recordLessonAnswers, reviewQueue, answerReview } = require("./lib/review");
+const {
+  MAX_GOALS,
+  permits,
+  loadControls,
+  applyControlChanges,
+  saveControls,
+  dailyUsage,
+  blockFor,
+  loadRestrictions,
+  validateGoal,
+  goalProgress,
+} = require("./lib/controls");
+const { dayInfo } = require("./lib/dates");
+const {
+  lastWeekStart,
+  buildWeeklyReport,
+  renderReportText,
+  renderReportHtml,
+  startReportScheduler,
+} = require("./lib/reports");
+const { mailer } = require("./lib/mail");
+const { parseRange, datesIn, studentAnalytics, siblingComparison } = require("./lib/analytics");
+const {
+  HEARTBEAT_SECONDS,
+  recordActivity,
+  openSession,
+  recordHeartbeat,
+  closeSession,
+  startSessionSweeper,
+  resolveActivity,
+} = require("./lib/tracking");
+const {
+  passwordErrors,
+  accountsFor,
+  findAccountByEmail,
+  verifyPassword,
+  requestPasswordReset,
+  sendAccountSetup,
+  resetPassword,
+} = require("./lib/passwords");
+const {
+  LIMITS,
+  loginKeys,
+  resetKeys,
+  lockedFor,
+  recordAttempt,
+  forgiveAttempt,
+  clearFailures,
+} = require("./lib/throttle");
+const {
+  joinFamily,
+  unlinkChild,
+  removeGuardian,
+  createInvitation,
+  describeInvitation,
+  sendInvitationEmail,
+  answerInvitation,
+  familyOverview,
+  INVITATION_KINDS,
+} = require("./lib/family");
+const {
+  audit,
+  exportStudent,
+  exportFiles,
+  isDeletionPending,
+  requestStudentDeletion,
+  requestAccountDeletion,
+  cancelDeletion,
+  setRetention,
+  privacyOverview,
+  startPrivacyScheduler,
+} = require("./lib/privacy");
+const { createZip } = require("./lib/zip");
+const { LOCALES, localize, uiStrings, languages } = require("./lib/i18n");
+const {
+  describeClassroom,
+  createClassroom,
+  replaceJoinCode,
+  findTeacherClassroom,
+  joinClassroom,
+  leaveClassroom,
+  describeAssignments,
+  assignContent,
+  studentClassrooms,
+  classOverview,
+} = require("./lib/classrooms");
+const { MAX_BATCH_EVENTS, MAX_EVENT_MINUTES, EVENT_TYPES, ingestEvents } = require("./lib/sync");
+const {
+  describeNotification,
+  notifyActivity,
+  notifyQuiz,
+  notifyStreak,
+  startNotificationScheduler,
+  openStream,
+  closeStreams,
+} = require("./lib/notifications");
+const {
+  optional,
+  nullable,
+  string,
+  email,
+  password,
+  integer,
+  id,
+  boolean,
+  oneOf,
+  date,
+  timestamp,
+  timeZone,
+  subject,
+  array,
+  object,
+  any,
+  validate,
+} = require("./lib/validation");
+const clock = require("./lib/clock");
+const { logger, requestLogging } = require("./lib/logger");
+const { registry, httpMetrics } = require("./lib/metrics");
+const { liveness, readiness, drainAndClose } = require("./lib/health");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the
+// client's address rather than the proxy's; sign-in throttling relies on it.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// First, so every later line (and the metrics) can tell requests apart
+app.use(requestLogging());
+app.use(httpMetrics());
+// Pages are served from this app, so the API is same-origin only unless
+// CORS_ORIGINS lists others (comma-separated, e.g. "https://app.example.com")
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+app.use(cors({ origin: corsOrigins, credentials: true }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+/**
+ * GET /metrics (Prometheus text format). When METRICS_TOKEN is set, scrapers
+ * send it as "Authorization: Bearer <token>".
+ */
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    return res.status(401).end();
+  }
+  res.type("text/plain; version=0.0.4").send(registry.render());
+});
+// content/*.json holds quiz answers; it is only reachable through /api/content
+app.use("/content", (req, res) => res.status(404).end());
 app.use(express.static(path.join(__dirname)));
+app.use("/api", authenticate);
+app.use("/api", localize());
 
 process.on("unhandledRejection", (err) => {
-  console.error("UNHANDLED REJECTION:", err);
-});
-
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || "localhost",
-  user: process.env.DB_USER || "root",
-  password: process.env.DB_PASSWORD || "",
-  database: process.env.DB_NAME || "education_platform",
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-});
-
-// -------------------- HELPERS --------------------
-async function getParentByEmail(conn, email) {
-  const [rows] = await conn.execute(
-    "SELECT id, full_name, email, password_hash FROM parents WHERE email = ?",
-    [email]
-  );
-  return rows[0] || null;
-}
+  logger.error("Unhandled rejection", err);
+});
 
-async function getStudentByEmail(conn, email) {
-  const [rows] = await conn.execute(
-    "SELECT id, full_name, email, password_hash, age, interest, parent_id, streak_days, last_streak_date FROM students WHERE email = ?",
-    [email]
-  );
-  return rows[0] || null;
-}
+// -------------------- HEALTH --------------------
+// No session needed. /live says the process answers; /ready (and plain
+// /api/health) also checks the database and content files, and answers 503
+// while they fail or the server is shutting down.
+
+/** GET /api/health/live */
+app.get("/api/health/live", (req, res) => res.json(liveness()));
 
-// NZ date string (YYYY-MM-DD) based on Pacific/Auckland
-function nzDateString(date = new Date()) {
-  const parts = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Pacific/Auckland",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-  }).formatToParts(date);
-
-  const y = parts.find((p) => p.type === "year")?.value;
-  const m = parts.find((p) => p.type === "month")?.value;
-  const d = parts.find((p) => p.type === "day")?.value;
-  return `${y}-${m}-${d}`;
+/** GET /api/health/ready and GET /api/health */
+async function readinessRoute(req, res) {
+  const result = await readiness();
+  return res.status(result.ok ? 200 : 503).json(result);
 }
+app.get("/api/health/ready", readinessRoute);
+app.get("/api/health", readinessRoute);
 
-// Seconds until next midnight (NZ time)
-function secondsUntilNextNZMidnight(now = new Date()) {
-  const nzNow = new Date(
-    now.toLocaleString("en-US", { timeZone: "Pacific/Auckland" })
-  );
+// -------------------- LANGUAGES --------------------
+// Content, API messages and the pages' strings come in each of LOCALES
+// (lib/i18n.js), picked per request by localize() above.
 
-  const next = new Date(nzNow);
-  next.setHours(24, 0, 0, 0);
+/**
+ * GET /api/i18n
+ * The pages' strings in the request's language (?locale=, the student's
+ * language or Accept-Language), English where there's no translation.
+ * No sign-in needed.
+ */
+app.get("/api/i18n", (req, res) => {
+  return res.json({
+    success: true,
+    locale: req.locale,
+    languages: languages(),
+    strings: uiStrings(req.locale),
+  });
+});
 
-  const diffMs = next.getTime() - nzNow.getTime();
-  return Math.max(0, Math.floor(diffMs / 1000));
-}
+// Request schemas sit next to their routes; see lib/validation.js.
+// Routes that name a row by :id share this one.
+const idParam = validate({ params: { id: id() } });
 
-app.get("/api/health", (req, res) => res.json({ ok: true }));
+// "lesson", "video" and "game": one per content format
+const ACTIVITY_TYPES = allowedFormats.map(activityTypeFor);
+// What can count a streak day: any of those, or finishing the day's review
+const STREAK_ACTIVITIES = [...ACTIVITY_TYPES, "review"];
 
 // -------------------- AUTH / REGISTER --------------------
-app.post("/api/register-parent", async (req, res) => {
+
+// "Today" in the student's timezone (or their family's); see lib/dates.js
+async function studentDay(studentId) {
+  return dayInfo(await storage.students.timeZone(studentId), clock.now());
+}
+
+// 400 with passwordErrors() for the sign-up and password forms
+function sendWeakPassword(res, errors) {
+  return res
+    .status(400)
+    .json({ success: false, message: "Password is too weak.", errors });
+}
+
+// Ages match the content age bands (see lib/content.js)
+const studentAge = () => integer({ min: 3, max: 19 });
+
+// One child on the sign-up forms; register-parent also takes a list of them
+const childSchema = {
+  name: string(),
+  email: email(),
+  password: password(),
+  age: studentAge(),
+  interests: optional(subject()),
+};
+
+const registerParentRequest = validate({
+  body: (body) => ({
+    parentName: string(),
+    parentEmail: email(),
+    parentPassword: password(),
+    timezone: nullable(timeZone()),
+    signInAs: optional(oneOf(["parent", "student"])),
+    ...(Array.isArray(body.children)
+      ? { children: array(object(childSchema), { max: 10 }) }
+      : {
+          studentName: childSchema.name,
+          studentEmail: childSchema.email,
+          studentPassword: childSchema.password,
+          studentAge: childSchema.age,
+          studentInterests: childSchema.interests,
+        }),
+  }),
+}, "Sign-up details are invalid.");
+
+/**
+ * POST /api/register-parent
+ * Creates a parent and their children. timezone (optional, usually the
+ * browser's) becomes the family's timezone.
+ * - studentName, studentEmail, studentPassword, studentAge, studentInterests:
+ *   one child, as the sign-up forms send it
+ * - or children: [{ name, email, password, age, interests }] for any number,
+ *   including none (e.g. a second guardian who was invited by email)
+ */
+app.post("/api/register-parent", registerParentRequest, async (req, res) => {
   const {
     parentName,
     parentEmail,
@@ -87,88 +300,104 @@ app.post("/api/register-parent", async (req, res) => {
     studentPassword,
     studentAge,
     studentInterests,
+    signInAs,
+    timezone,
   } = req.body;
 
-  if (
-    !parentName ||
-    !parentEmail ||
-    !parentPassword ||
-    !studentName ||
-    !studentEmail ||
-    !studentPassword ||
-    !studentAge
-  ) {
+  const listed = Array.isArray(req.body.children);
+  const children = listed
+    ? req.body.children
+    : [
+        {
+          name: studentName,
+          email: studentEmail,
+          password: studentPassword,
+          age: studentAge,
+          interests: studentInterests,
+        },
+      ];
+  const passwordField = (i) => (listed ? `children[${i}].password` : "studentPassword");
+
+  const weak = [
+    ...passwordErrors("parentPassword", parentPassword, parentEmail),
+    ...children.flatMap((c, i) => passwordErrors(passwordField(i), c.password, c.email)),
+  ];
+  if (weak.length) return sendWeakPassword(res, weak);
+  if (signInAs === "student" && !children.length) {
     return res
       .status(400)
-      .json({ success: false, message: "Missing required fields." });
+      .json({ success: false, message: "Add a child to sign in as them." });
   }
 
-  let conn;
   try {
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
+    const result = await storage.transaction(async (tx) => {
+      // Sign-in looks every email up across all kinds of account
+      if (await findAccountByEmail(parentEmail)) return { conflict: "Parent email already exists." };
+
+      const emails = new Set([String(parentEmail).toLowerCase()]);
+      for (const child of children) {
+        const key = String(child.email).toLowerCase();
+        if (emails.has(key) || (await findAccountByEmail(child.email))) {
+          return { conflict: "Student email already exists." };
+        }
+        emails.add(key);
+      }
 
-    const existingParent = await getParentByEmail(conn, parentEmail);
-    if (existingParent) {
-      await conn.rollback();
-      conn.release();
-      return res
-        .status(409)
-        .json({ success: false, message: "Parent email already exists." });
-    }
+      const parentHash = await bcrypt.hash(parentPassword, 10);
+      const parentId = await tx.parents.create({
+        full_name: parentName,
+        email: parentEmail,
+        password_hash: parentHash,
+        timezone: timezone ?? null,
+      });
 
-    const existingStudent = await getStudentByEmail(conn, studentEmail);
-    if (existingStudent) {
-      await conn.rollback();
-      conn.release();
-      return res
-        .status(409)
-        .json({ success: false, message: "Student email already exists." });
+      const studentIds = [];
+      for (const child of children) {
+        const studentHash = await bcrypt.hash(child.password, 10);
+        studentIds.push(
+          await tx.students.create({
+            full_name: child.name,
+            email: child.email,
+            password_hash: studentHash,
+            age: child.age,
+            interest: child.interests ?? null,
+            parent_id: parentId,
+          })
+        );
+      }
+
+      return { parentId, studentIds };
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({ success: false, message: result.conflict });
     }
 
-    const parentHash = await bcrypt.hash(parentPassword, 10);
+    const { parentId, studentIds } = result;
+    const studentId = studentIds[0] ?? null;
 
-    const [parentInsert] = await conn.execute(
-      "INSERT INTO parents (full_name, email, password_hash) VALUES (?, ?, ?)",
-      [parentName, parentEmail, parentHash]
-    );
-    const parentId = parentInsert.insertId;
-
-    const studentHash = await bcrypt.hash(studentPassword, 10);
-
-    const [studentInsert] = await conn.execute(
-      "INSERT INTO students (full_name, email, password_hash, age, interest, parent_id, streak_days, last_streak_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-      [
-        studentName,
-        studentEmail,
-        studentHash,
-        Number(studentAge),
-        studentInterests,
-        parentId,
-        0,
-        null,
-      ]
+    // studentsignup.html creates both accounts but signs in as the student
+    const sessionRole = signInAs === "student" ? "student" : "parent";
+    const session = await startSession(
+      res,
+      sessionRole,
+      sessionRole === "student" ? studentId : parentId
     );
-    const studentId = studentInsert.insertId;
-
-    await conn.commit();
-    conn.release();
 
     return res.json({
       success: true,
-      role: "parent",
+      role: sessionRole,
       parentId,
       studentId,
-      message: "Parent + student created successfully.",
+      studentIds,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      message: listed
+        ? `Parent and ${studentIds.length} ${studentIds.length === 1 ? "child" : "children"} created successfully.`
+        : "Parent + student created successfully.",
     });
   } catch (err) {
-    if (conn) {
-      try {
-        await conn.rollback();
-      } catch {}
-      conn.release();
-    }
-    console.error("❌ Error in /api/register-parent:", err);
+    logger.error("Error in /api/register-parent", err);
 
     if (err.code === "ER_DUP_ENTRY") {
       return res
@@ -182,36 +411,40 @@ app.post("/api/register-parent", async (req, res) => {
   }
 });
 
-app.post("/api/register-student", async (req, res) => {
+const registerStudentRequest = validate({
+  body: {
+    studentName: string(),
+    studentEmail: email(),
+    studentPassword: password(),
+    studentAge: studentAge(),
+    studentInterests: subject(),
+    parentEmail: optional(email()),
+    timezone: nullable(timeZone()),
+  },
+}, "Sign-up details are invalid.");
+
+/**
+ * POST /api/register-student
+ * timezone (optional) is only kept for students without a linked parent;
+ * linked students follow their family's timezone. parentEmail (optional)
+ * asks that parent to approve the link.
+ */
+app.post("/api/register-student", registerStudentRequest, async (req, res) => {
   const {
     studentName,
     studentEmail,
     studentPassword,
     studentAge,
     studentInterests,
-    parentName,
     parentEmail,
+    timezone,
   } = req.body;
 
-  if (
-    !studentName ||
-    !studentEmail ||
-    !studentPassword ||
-    !studentAge ||
-    !studentInterests
-  ) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Missing required fields." });
-  }
+  const weak = passwordErrors("studentPassword", studentPassword, studentEmail);
+  if (weak.length) return sendWeakPassword(res, weak);
 
-  let conn;
   try {
-    conn = await pool.getConnection();
-
-    const existingStudent = await getStudentByEmail(conn, studentEmail);
-    if (existingStudent) {
-      conn.release();
+    if (await findAccountByEmail(studentEmail)) {
       return res
         .status(409)
         .json({ success: false, message: "Email already exists." });
@@ -219,41 +452,58 @@ app.post("/api/register-student", async (req, res) => {
 
     const hash = await bcrypt.hash(studentPassword, 10);
 
-    // Try to find parent by email if provided
-    let parentId = null;
-    if (parentEmail) {
-      const parent = await getParentByEmail(conn, parentEmail);
-      if (parent) {
-        parentId = parent.id;
+    // A signed-in parent adding a child (addstudent.html) joins them to their
+    // family straight away. A parentEmail from anyone else only asks: the
+    // parent approves the link from their dashboard (see lib/family.js).
+    const parentId = req.auth && req.auth.role === "parent" ? req.auth.id : null;
+
+    const created = await storage.transaction(async (tx) => {
+      const studentId = await tx.students.create({
+        full_name: studentName,
+        email: studentEmail,
+        password_hash: hash,
+        age: studentAge,
+        interest: studentInterests,
+        timezone: parentId ? null : timezone ?? null,
+        parent_id: null,
+      });
+      if (parentId) {
+        await joinFamily(tx, studentId, parentId);
+        return { studentId };
       }
-    }
-
-    const [sRes] = await conn.execute(
-      "INSERT INTO students (full_name, email, password_hash, age, interest, parent_id, streak_days, last_streak_date) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-      [
-        studentName,
-        studentEmail,
-        hash,
-        Number(studentAge),
-        studentInterests,
-        parentId,
-        0,
-        null,
-      ]
-    );
+      if (!parentEmail) return { studentId };
 
-    conn.release();
+      const asked = await createInvitation(
+        tx,
+        { role: "student", id: studentId },
+        { kind: "link", email: parentEmail }
+      );
+      return { studentId, invitation: asked.invitation };
+    });
+    const { studentId } = created;
+    const invitation = created.invitation ? await describeInvitation(created.invitation) : null;
+    if (invitation) await emailInvitation(invitation);
+
+    // Don't replace a parent's session with their child's
+    let session = null;
+    if (!req.auth) {
+      session = await startSession(res, "student", studentId);
+    }
 
     return res.json({
       success: true,
       role: "student",
-      studentId: sRes.insertId,
+      studentId,
       parentId,
-      message: "Student registered successfully.",
+      invitation,
+      token: session ? session.token : undefined,
+      expiresAt: session ? session.expiresAt : undefined,
+      message: invitation
+        ? "Student registered. We've asked your parent to approve the link."
+        : "Student registered successfully.",
     });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/register-student:", err);
+    logger.error("Error in /api/register-student", err);
 
     if (err.code === "ER_DUP_ENTRY") {
       return res
@@ -267,120 +517,218 @@ app.post("/api/register-student", async (req, res) => {
   }
 });
 
-app.post("/api/login", async (req, res) => {
+// 429 with Retry-After for a locked sign-in or reset; see lib/throttle.js
+function sendTooManyAttempts(res, seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+    retryAfter: seconds,
+  });
+}
+
+// Not email(): a malformed address gets the same 401 as any other miss
+const loginRequest = validate(
+  { body: { email: string(), password: password() } },
+  "Email and password required."
+);
+
+/**
+ * POST /api/login
+ * Every failure gets the same 401, whether or not the email has an account.
+ * Repeated failures lock the email and the client IP for a while (429).
+ */
+app.post("/api/login", loginRequest, async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) {
-    return res
-      .status(400)
-      .json({ success: false, message: "Email and password required." });
-  }
 
-  let conn;
   try {
-    conn = await pool.getConnection();
-
-    const student = await getStudentByEmail(conn, email);
-    if (student) {
-      const ok = await bcrypt.compare(password, student.password_hash);
-      conn.release();
+    const keys = loginKeys(email, req.ip);
+    const wait = await lockedFor([keys.account, keys.ip]);
+    if (wait) return sendTooManyAttempts(res, wait);
+    const over = Math.max(
+      await recordAttempt(keys.account, LIMITS.account),
+      await recordAttempt(keys.ip, LIMITS.ip)
+    );
+    if (over) return sendTooManyAttempts(res, over);
 
-      if (!ok)
-        return res
-          .status(401)
-          .json({ success: false, message: "Invalid password." });
+    const found = await findAccountByEmail(email);
+    const ok = await verifyPassword(password, found && found.account.password_hash);
+    if (!ok) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Invalid email or password." });
+    }
+    await clearFailures(keys.account);
+    await forgiveAttempt(keys.ip);
+
+    const { role, account } = found;
+    if (role === "student" && (await isDeletionPending("student", account.id))) {
+      return res.status(403).json({
+        success: false,
+        message: "This account is being deleted. A parent can cancel that from their dashboard.",
+      });
+    }
+    const session = await startSession(res, role, account.id);
+    const signedIn = {
+      success: true,
+      role,
+      token: session.token,
+      expiresAt: session.expiresAt,
+    };
 
+    if (role === "student") {
       return res.json({
-        success: true,
-        role: "student",
-        studentId: student.id,
-        name: student.full_name,
-        email: student.email,
-        interests: student.interest,
-        parentId: student.parent_id,
-        streakDays: student.streak_days || 0,
-        lastStreakDate: student.last_streak_date,
+        ...signedIn,
+        studentId: account.id,
+        name: account.full_name,
+        email: account.email,
+        interests: account.interest,
+        parentId: account.parent_id,
+        streakDays: account.streak_days || 0,
+        lastStreakDate: account.last_streak_date,
+      });
+    }
+    if (role === "parent") {
+      return res.json({
+        ...signedIn,
+        parentId: account.id,
+        name: account.full_name,
+        email: account.email,
+      });
+    }
+    if (role === "teacher") {
+      return res.json({
+        ...signedIn,
+        teacherId: account.id,
+        name: account.full_name,
+        email: account.email,
       });
     }
+    return res.json({
+      ...signedIn,
+      adminId: account.id,
+      name: account.full_name,
+      email: account.email,
+    });
+  } catch (err) {
+    logger.error("Error in /api/login", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error during login." });
+  }
+});
 
-    const parent = await getParentByEmail(conn, email);
-    if (parent) {
-      const ok = await bcrypt.compare(password, parent.password_hash || "");
-      conn.release();
+/**
+ * POST /api/password-reset/request
+ * Body: { email }. Emails a reset link if an account uses the address. The
+ * answer is the same either way, so it can't be used to find accounts.
+ */
+app.post("/api/password-reset/request", validate({ body: { email: email() } }), async (req, res) => {
+  const { email } = req.body;
 
-      if (!ok)
-        return res
-          .status(401)
-          .json({ success: false, message: "Invalid password." });
+  try {
+    const keys = resetKeys(email, req.ip);
+    const wait = await lockedFor([keys.account, keys.ip]);
+    if (wait) return sendTooManyAttempts(res, wait);
+    const over = Math.max(
+      await recordAttempt(keys.account, LIMITS.resetAccount),
+      await recordAttempt(keys.ip, LIMITS.resetIp)
+    );
+    if (over) return sendTooManyAttempts(res, over);
 
-      return res.json({
-        success: true,
-        role: "parent",
-        parentId: parent.id,
-        name: parent.full_name,
-        email: parent.email,
-      });
+    try {
+      await requestPasswordReset(email, mailer);
+    } catch (err) {
+      // Still answer as usual: an error here would reveal the account exists
+      logger.error("Sending a password reset email failed", err);
     }
 
-    conn.release();
-    return res
-      .status(404)
-      .json({ success: false, message: "No account found for that email." });
+    return res.json({
+      success: true,
+      message: "If an account uses that email, we've sent it a link to reset the password.",
+    });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/login:", err);
+    logger.error("Error in /api/password-reset/request", err);
     return res
       .status(500)
-      .json({ success: false, message: "Server error during login." });
+      .json({ success: false, message: "Server error requesting a password reset." });
   }
 });
 
-// ✅ NEW ENDPOINT: Get student dashboard data by studentId
-app.get("/api/student-dashboard-data", async (req, res) => {
-  const studentId = Number(req.query.studentId);
-  console.log("📍 Received request for studentId:", req.query.studentId, "→ Parsed as:", studentId);
-  
-  if (!studentId) {
-    console.log("❌ Invalid studentId");
+const resetConfirmRequest = validate(
+  { body: { token: string(), newPassword: password() } },
+  "Reset token and new password are required."
+);
+
+/**
+ * POST /api/password-reset/confirm
+ * Body: { token, newPassword }. Sets the password, spends the token, signs
+ * the account out everywhere and lifts any sign-in lockout on it.
+ */
+app.post("/api/password-reset/confirm", resetConfirmRequest, async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  try {
+    const result = await resetPassword(token, newPassword);
+    if (result.invalid) {
+      return res.status(400).json({
+        success: false,
+        message: "This reset link is invalid or has expired. Please ask for a new one.",
+      });
+    }
+    if (result.errors) return sendWeakPassword(res, result.errors);
+
+    await clearFailures(loginKeys(result.account.email, req.ip).account);
+    return res.json({ success: true, message: "Password reset. You can now sign in." });
+  } catch (err) {
+    logger.error("Error in /api/password-reset/confirm", err);
     return res
-      .status(400)
-      .json({ success: false, message: "studentId is required." });
+      .status(500)
+      .json({ success: false, message: "Server error resetting password." });
   }
+});
 
-  let conn;
+app.post("/api/logout", async (req, res) => {
   try {
-    conn = await pool.getConnection();
+    await endSession(req, res);
+    return res.json({ success: true, message: "Signed out." });
+  } catch (err) {
+    logger.error("Error in /api/logout", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error during logout." });
+  }
+});
 
-    const [sRows] = await conn.execute(
-      "SELECT id, full_name, email, age, interest, parent_id, streak_days, last_streak_date FROM students WHERE id = ?",
-      [studentId]
-    );
-    
-    console.log("📦 Query result:", sRows);
-    
-    const student = sRows[0];
+// Who am I? Lets pages check the session instead of trusting localStorage.
+app.get("/api/session", requireAuth(), (req, res) => {
+  return res.json({
+    success: true,
+    role: req.auth.role,
+    id: req.auth.id,
+    expiresAt: req.auth.expiresAt,
+  });
+});
+
+// ✅ NEW ENDPOINT: Get student dashboard data by studentId
+app.get("/api/student-dashboard-data", requireStudentAccess, async (req, res) => {
+  const studentId = req.studentId;
+
+  try {
+    const student = await storage.students.findById(studentId);
     if (!student) {
-      conn.release();
-      console.log("❌ Student not found for ID:", studentId);
       return res
         .status(404)
         .json({ success: false, message: "Student not found." });
     }
 
-    console.log("✅ Found student:", student.full_name);
-
     // Get parent info if parent_id exists
     let parent = null;
     if (student.parent_id) {
-      const [pRows] = await conn.execute(
-        "SELECT id, full_name, email FROM parents WHERE id = ?",
-        [student.parent_id]
-      );
-      parent = pRows[0] || null;
-      console.log("✅ Found parent:", parent ? parent.full_name : "None");
+      parent = await storage.parents.findById(student.parent_id);
     }
 
-    conn.release();
-
     const responseData = {
       success: true,
       student: {
@@ -391,396 +739,2567 @@ app.get("/api/student-dashboard-data", async (req, res) => {
         interests: student.interest,
         streakDays: student.streak_days || 0,
         lastStreakDate: student.last_streak_date,
+        // Their own setting (null = follow the family's) and the one in effect
+        timezone: student.timezone,
+        effectiveTimezone: (await studentDay(student.id)).timeZone,
+        // null until they pick one
+        language: student.language,
       },
       parent: parent ? {
         id: parent.id,
         name: parent.full_name,
         email: parent.email,
+        timezone: parent.timezone,
       } : null,
     };
-    
-    console.log("✅ Sending response:", responseData);
+
     return res.json(responseData);
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/student-dashboard-data:", err);
+    logger.error("Error in /api/student-dashboard-data", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.get("/api/parent-dashboard-data", async (req, res) => {
-  const parentId = Number(req.query.parentId);
-  if (!parentId) {
+app.get("/api/parent-dashboard-data", requireAuth("parent"), validate({ query: { parentId: optional(id()) } }), async (req, res) => {
+  const parentId = req.auth.id;
+  if (req.query.parentId && req.query.parentId !== parentId) {
     return res
-      .status(400)
-      .json({ success: false, message: "parentId is required." });
+      .status(403)
+      .json({ success: false, message: "You do not have access to this parent." });
   }
 
-  let conn;
   try {
-    conn = await pool.getConnection();
-
-    const [pRows] = await conn.execute(
-      "SELECT id, full_name, email FROM parents WHERE id = ?",
-      [parentId]
-    );
-    const parent = pRows[0];
+    const parent = await storage.parents.findById(parentId);
     if (!parent) {
-      conn.release();
       return res
         .status(404)
         .json({ success: false, message: "Parent not found." });
     }
 
-    const [sRows] = await conn.execute(
-      "SELECT id, full_name, email, age, interest, streak_days, last_streak_date FROM students WHERE parent_id = ? ORDER BY id ASC",
-      [parentId]
-    );
-
-    conn.release();
+    const students = await storage.students.listByParent(parentId);
 
     return res.json({
       success: true,
-      parent,
-      students: sRows,
+      parent: {
+        id: parent.id,
+        full_name: parent.full_name,
+        email: parent.email,
+        timezone: parent.timezone,
+        weekly_report: Boolean(parent.weekly_report),
+      },
+      students,
     });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/parent-dashboard-data:", err);
+    logger.error("Error in /api/parent-dashboard-data", err);
     return res.status(500).json({ success: false, message: "Server error" });
   }
 });
 
-app.get("/api/content", async (req, res) => {
-  try {
-    const subject = String(req.query.subject || "").trim();
-    const format = String(req.query.format || "").trim();
-    const index = Number(req.query.index ?? 0);
+// -------------------- PROFILE / PASSWORD --------------------
+
+const studentProfileRequest = validate({
+  body: {
+    studentId: optional(id()),
+    studentName: optional(string()),
+    studentEmail: optional(email()),
+    studentAge: optional(studentAge()),
+    studentInterests: optional(subject()),
+    parentEmail: optional(email()),
+    timezone: nullable(timeZone()),
+    language: nullable(oneOf(LOCALES)),
+  },
+}, "Profile is invalid.");
 
-    const allowedSubjects = ["Engineering", "Physics", "Maths"];
-    const allowedFormats = ["lessons", "videos", "games"];
+/**
+ * POST /api/update-student-profile
+ * Students update themselves; parents update one of their linked children.
+ * Only fields that are sent are changed.
+ * Body: { studentId?, studentName?, studentEmail?, studentAge?, studentInterests?, parentEmail?, timezone?, language? }
+ * - studentEmail must not be used by any other account, of any role (409)
+ * - parentEmail, if it isn't already one of the student's guardians, asks
+ *   that parent to take the student: a link request from a student without
+ *   a family, or a transfer from their primary guardian (see lib/family.js)
+ * - timezone "" (or null) goes back to following the family's timezone
+ * - language is one of LOCALES; "" (or null) goes back to the browser's
+ */
+app.post("/api/update-student-profile", requireStudentAccess, studentProfileRequest, async (req, res) => {
+  const studentId = req.studentId;
+  const { studentName, studentEmail, studentAge, studentInterests, parentEmail, timezone, language } =
+    req.body;
+
+  const updates = {};
+  if (studentName !== undefined) updates.full_name = studentName;
+  if (studentAge !== undefined) updates.age = studentAge;
+  if (studentInterests !== undefined) updates.interest = studentInterests;
+  if (timezone !== undefined) updates.timezone = timezone;
+  if (language !== undefined) updates.language = language;
 
-    if (!allowedSubjects.includes(subject)) {
-      return res.status(400).json({ success: false, message: "Invalid subject." });
-    }
-    if (!allowedFormats.includes(format)) {
-      return res.status(400).json({ success: false, message: "Invalid format." });
-    }
+  try {
+    const result = await storage.transaction(async (tx) => {
+      const student = await tx.students.findById(studentId);
+      if (!student) {
+        return { status: 404, message: "Student not found." };
+      }
 
-    const fileMap = {
-      Engineering: "engineering.json",
-      Physics: "physics.json",
-      Maths: "maths.json",
-    };
+      if (studentEmail && studentEmail !== student.email) {
+        // Sign-in looks the email up across every kind of account
+        const existing = await findAccountByEmail(studentEmail);
+        if (existing && !(existing.role === "student" && existing.account.id === studentId)) {
+          return { status: 409, message: "Email already exists." };
+        }
+        updates.email = studentEmail;
+      }
 
-    const contentPath = path.join(__dirname, "content", fileMap[subject]);
+      let invitation = null;
+      if (parentEmail) {
+        const guardians = await tx.guardians.listForStudent(studentId);
+        if (!guardians.some((p) => p.email.toLowerCase() === parentEmail.toLowerCase())) {
+          const asked = await createInvitation(tx, req.auth, {
+            kind: req.auth.role === "student" ? "link" : "transfer",
+            email: parentEmail,
+            studentId,
+          });
+          if (!asked.invitation) return asked;
+          invitation = asked.invitation;
+        }
+      }
 
-    const raw = await fs.readFile(contentPath, "utf-8");
-    const data = JSON.parse(raw);
+      await tx.students.update(studentId, updates);
+      return { student: await tx.students.findById(studentId), invitation };
+    });
 
-    const list = Array.isArray(data[format]) ? data[format] : [];
-    if (!list.length) {
-      return res.json({ success: true, subject, format, item: null });
+    if (!result.student) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message, errors: result.errors });
     }
+    const invitation = result.invitation ? await describeInvitation(result.invitation) : null;
+    if (invitation) await emailInvitation(invitation);
 
-    const safeIndex = Number.isFinite(index)
-      ? Math.max(0, Math.min(index, list.length - 1))
-      : 0;
-
-    return res.json({ success: true, subject, format, item: list[safeIndex] });
+    const after = result.student;
+    return res.json({
+      success: true,
+      message: invitation
+        ? "Profile updated. The new parent needs to accept before anything changes."
+        : "Profile updated successfully.",
+      invitation,
+      student: {
+        id: after.id,
+        name: after.full_name,
+        email: after.email,
+        age: after.age,
+        interests: after.interest,
+        timezone: after.timezone,
+        language: after.language,
+        parentId: after.parent_id,
+        streakDays: after.streak_days || 0,
+        lastStreakDate: after.last_streak_date,
+      },
+    });
   } catch (err) {
-    console.error("❌ Error in /api/content:", err);
+    logger.error("Error in /api/update-student-profile", err);
+
+    if (err.code === "ER_DUP_ENTRY") {
+      return res
+        .status(409)
+        .json({ success: false, message: "Email already exists." });
+    }
     return res
       .status(500)
-      .json({ success: false, message: "Server error loading content." });
+      .json({ success: false, message: "Server error updating profile." });
   }
 });
 
-// -------------------- STREAK ENDPOINTS (ONCE PER DAY + RESET IF MISSED DAY + COUNTDOWN) --------------------
+const parentProfileRequest = validate({
+  body: {
+    parentName: optional(string()),
+    parentEmail: optional(email()),
+    timezone: nullable(timeZone()),
+    weeklyReport: optional(boolean()),
+  },
+}, "Profile is invalid.");
 
-app.get("/api/streak", async (req, res) => {
-  const studentId = Number(req.query.studentId);
-  if (!studentId) {
-    return res
-      .status(400)
-      .json({ success: false, message: "studentId is required." });
-  }
+/**
+ * POST /api/update-parent-profile
+ * Body: { parentName?, parentEmail?, timezone?, weeklyReport? } — applies to
+ * the signed-in parent. timezone is the family's, used by every child without
+ * their own. weeklyReport switches the Monday progress email on or off.
+ */
+app.post("/api/update-parent-profile", requireAuth("parent"), parentProfileRequest, async (req, res) => {
+  const parentId = req.auth.id;
+  const { parentName, parentEmail, timezone, weeklyReport } = req.body;
+
+  const updates = {};
+  if (parentName !== undefined) updates.full_name = parentName;
+  if (timezone !== undefined) updates.timezone = timezone;
+  if (weeklyReport !== undefined) updates.weekly_report = weeklyReport;
 
-  let conn;
   try {
-    conn = await pool.getConnection();
-    const [rows] = await conn.execute(
-      "SELECT id, full_name, streak_days, last_streak_date FROM students WHERE id = ?",
-      [studentId]
-    );
-    conn.release();
+    if (parentEmail) {
+      // Sign-in looks the email up across every kind of account
+      const existing = await findAccountByEmail(parentEmail);
+      if (existing && !(existing.role === "parent" && existing.account.id === parentId)) {
+        return res
+          .status(409)
+          .json({ success: false, message: "Email already exists." });
+      }
+      updates.email = parentEmail;
+    }
 
-    const s = rows[0];
-    if (!s) return res.status(404).json({ success: false, message: "Student not found." });
+    await storage.parents.update(parentId, updates);
+    const parent = await storage.parents.findById(parentId);
 
     return res.json({
       success: true,
-      studentId: s.id,
-      name: s.full_name,
-      streakDays: s.streak_days || 0,
-      lastStreakDate: s.last_streak_date,
-      secondsUntilNextIncrement: secondsUntilNextNZMidnight(new Date()),
-      nzToday: nzDateString(new Date()),
+      message: "Profile updated successfully.",
+      parent: {
+        id: parent.id,
+        full_name: parent.full_name,
+        email: parent.email,
+        timezone: parent.timezone,
+        weekly_report: Boolean(parent.weekly_report),
+      },
     });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/streak:", err);
+    logger.error("Error in /api/update-parent-profile", err);
+
+    if (err.code === "ER_DUP_ENTRY") {
+      return res
+        .status(409)
+        .json({ success: false, message: "Email already exists." });
+    }
     return res
       .status(500)
-      .json({ success: false, message: "Server error loading streak." });
+      .json({ success: false, message: "Server error updating profile." });
   }
 });
 
+const changePasswordRequest = validate(
+  { body: { currentPassword: password(), newPassword: password() } },
+  "Current and new password are required."
+);
+
 /**
- * POST /api/streak/increment
- * - Only increments ONCE per NZ calendar day
- * - If user misses a full day (i.e. last_streak_date is older than yesterday), streak resets to 1
- * Body: { studentId: 123, activity: "lesson"|"video"|"game" }
+ * POST /api/change-password
+ * Body: { currentPassword, newPassword } — applies to the signed-in user.
+ * Signs out every other session for the account and starts a fresh one.
  */
-app.post("/api/streak/increment", async (req, res) => {
-  const studentId = Number(req.body.studentId);
-  const activity = String(req.body.activity || "").trim().toLowerCase();
-
-  if (!studentId) {
-    return res
-      .status(400)
-      .json({ success: false, message: "studentId is required." });
-  }
-
-  const allowed = ["lesson", "video", "game"];
-  if (activity && !allowed.includes(activity)) {
-    return res.status(400).json({ success: false, message: "Invalid activity." });
-  }
-
-  // NZ today & yesterday strings
-  const now = new Date();
-  const nzNow = new Date(now.toLocaleString("en-US", { timeZone: "Pacific/Auckland" }));
-  const todayNZ = nzDateString(nzNow);
+app.post("/api/change-password", requireAuth(), changePasswordRequest, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-  const y = new Date(nzNow);
-  y.setDate(y.getDate() - 1);
-  const yesterdayNZ = nzDateString(y);
+  const { role, id } = req.auth;
+  const accounts = accountsFor(role);
 
-  let conn;
   try {
-    conn = await pool.getConnection();
-
-    // Read current state (for incremented flag)
-    const [beforeRows] = await conn.execute(
-      "SELECT streak_days, last_streak_date FROM students WHERE id = ?",
-      [studentId]
-    );
-
-    if (!beforeRows[0]) {
-      conn.release();
-      return res.status(404).json({ success: false, message: "Student not found." });
+    const account = await accounts.findById(id);
+    const ok =
+      account &&
+      (await bcrypt.compare(currentPassword, account.password_hash || ""));
+    if (!ok) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Current password is incorrect." });
     }
+    const weak = passwordErrors("newPassword", newPassword, account.email);
+    if (weak.length) return sendWeakPassword(res, weak);
 
-    // Atomic update inside MySQL:
-    // - last_streak_date == todayNZ -> do nothing
-    // - last_streak_date == yesterdayNZ -> streak_days + 1
-    // - else (null/older) -> reset streak_days to 1
-    await conn.execute(
-      `
-      UPDATE students
-      SET
-        streak_days = CASE
-          WHEN last_streak_date = ? THEN COALESCE(streak_days, 0)
-          WHEN last_streak_date = ? THEN COALESCE(streak_days, 0) + 1
-          ELSE 1
-        END,
-        last_streak_date = CASE
-          WHEN last_streak_date = ? THEN last_streak_date
-          ELSE ?
-        END
-      WHERE id = ?
-      `,
-      [todayNZ, yesterdayNZ, todayNZ, todayNZ, studentId]
-    );
-
-    // Fetch after
-    const [afterRows] = await conn.execute(
-      "SELECT streak_days, last_streak_date FROM students WHERE id = ?",
-      [studentId]
-    );
-
-    conn.release();
-
-    const beforeLast = beforeRows[0].last_streak_date;
-    const afterLast = afterRows[0].last_streak_date;
-
-    // If the last date changed to today, we incremented (either +1 or reset->1)
-    const incremented = (afterLast === todayNZ) && (beforeLast !== todayNZ);
+    const hash = await bcrypt.hash(newPassword, 10);
+    await accounts.update(id, { password_hash: hash });
+    await endAllSessions(role, id);
+    const session = await startSession(res, role, id);
 
     return res.json({
       success: true,
-      studentId,
-      streakDays: afterRows[0].streak_days || 0,
-      lastStreakDate: afterRows[0].last_streak_date,
-      incremented,
-      secondsUntilNextIncrement: secondsUntilNextNZMidnight(new Date()),
-      nzToday: todayNZ,
+      message: "Password changed.",
+      token: session.token,
+      expiresAt: session.expiresAt,
     });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/streak/increment:", err);
+    logger.error("Error in /api/change-password", err);
     return res
       .status(500)
-      .json({ success: false, message: "Server error updating streak." });
+      .json({ success: false, message: "Server error changing password." });
   }
 });
 
-// -------------------- ACTIVITY TRACKING ENDPOINTS --------------------
+// -------------------- FAMILY --------------------
+// Guardians, children and the invitations that link them; see lib/family.js.
+
+// A failed email is only logged: the invitation still shows on the
+// recipient's dashboard
+async function emailInvitation(invitation) {
+  try {
+    await sendInvitationEmail(mailer, invitation);
+  } catch (err) {
+    logger.error("Emailing a family invitation failed", { invitationId: invitation.id, err });
+  }
+}
 
 /**
- * POST /api/activity/log
- * Log a student activity (lesson, video, or game)
- * Body: { studentId, activityType, subject, contentTitle, durationMinutes }
+ * GET /api/family
+ * Parents: { children, guardians, invitations }; students: { guardians,
+ * invitations }. invitations has incoming (waiting on the caller) and
+ * outgoing (sent by the caller, not yet answered).
  */
-app.post("/api/activity/log", async (req, res) => {
-  const { studentId, activityType, subject, contentTitle, durationMinutes } = req.body;
-
-  if (!studentId || !activityType || !subject) {
-    return res
-      .status(400)
-      .json({ success: false, message: "studentId, activityType, and subject are required." });
+app.get("/api/family", requireAuth("parent", "student"), async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await familyOverview(req.auth)) });
+  } catch (err) {
+    logger.error("Error in /api/family", err);
+    return res.status(500).json({ success: false, message: "Server error loading family." });
   }
+});
+
+const invitationRequest = validate({
+  body: { kind: oneOf(INVITATION_KINDS), email: email(), studentId: optional(id(), null) },
+}, "Invitation is invalid.");
+
+/**
+ * POST /api/family/invitations
+ * Body: { kind, email, studentId? }. Parents send "guardian", "child" or
+ * "transfer" (with the studentId of a child they're primary guardian of);
+ * students without a family send "link". The invitation is emailed, and the
+ * recipient answers it from their dashboard.
+ */
+app.post("/api/family/invitations", requireAuth("parent", "student"), invitationRequest, async (req, res) => {
+  try {
+    const result = await storage.transaction((tx) => createInvitation(tx, req.auth, req.body));
+    if (!result.invitation) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message, errors: result.errors });
+    }
 
-  const allowed = ["lesson", "video", "game"];
-  if (!allowed.includes(activityType)) {
-    return res.status(400).json({ success: false, message: "Invalid activityType." });
+    const invitation = await describeInvitation(result.invitation);
+    await emailInvitation(invitation);
+    return res.status(201).json({ success: true, invitation });
+  } catch (err) {
+    logger.error("Error in /api/family/invitations", err);
+    return res.status(500).json({ success: false, message: "Server error sending invitation." });
   }
+});
 
-  let conn;
+// accept / decline (by the recipient) and cancel (by the sender)
+async function sendInvitationAnswer(req, res, answer) {
   try {
-    conn = await pool.getConnection();
+    const result = await answerInvitation(req.auth, req.params.id, answer);
+    if (!result.invitation) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    return res.json({ success: true, invitation: await describeInvitation(result.invitation) });
+  } catch (err) {
+    logger.error("Error answering a family invitation", { invitationId: req.params.id, err });
+    return res.status(500).json({ success: false, message: "Server error answering invitation." });
+  }
+}
 
-    // Insert activity log
-    await conn.execute(
-      `INSERT INTO student_activities 
-       (student_id, activity_type, subject, content_title, duration_minutes, completed) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [studentId, activityType, subject, contentTitle || null, durationMinutes || 5, true]
-    );
+/** POST /api/family/invitations/:id/accept */
+app.post("/api/family/invitations/:id/accept", requireAuth("parent", "student"), idParam, (req, res) =>
+  sendInvitationAnswer(req, res, "accept")
+);
 
-    // Update or create daily session
-    const today = new Date().toISOString().split('T')[0];
-    
-    await conn.execute(
-      `INSERT INTO daily_sessions 
-       (student_id, session_date, total_minutes, lessons_count, videos_count, games_count)
-       VALUES (?, ?, ?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE
-         total_minutes = total_minutes + VALUES(total_minutes),
-         lessons_count = lessons_count + VALUES(lessons_count),
-         videos_count = videos_count + VALUES(videos_count),
-         games_count = games_count + VALUES(games_count),
-         updated_at = CURRENT_TIMESTAMP`,
-      [
-        studentId,
-        today,
-        durationMinutes || 5,
-        activityType === 'lesson' ? 1 : 0,
-        activityType === 'video' ? 1 : 0,
-        activityType === 'game' ? 1 : 0
-      ]
-    );
+/** POST /api/family/invitations/:id/decline */
+app.post("/api/family/invitations/:id/decline", requireAuth("parent", "student"), idParam, (req, res) =>
+  sendInvitationAnswer(req, res, "decline")
+);
 
-    conn.release();
+/** DELETE /api/family/invitations/:id — the sender withdraws it */
+app.delete("/api/family/invitations/:id", requireAuth("parent", "student"), idParam, (req, res) =>
+  sendInvitationAnswer(req, res, "cancel")
+);
 
-    return res.json({
-      success: true,
-      message: "Activity logged successfully"
-    });
+/**
+ * DELETE /api/family/children/:studentId
+ * The child's primary guardian takes them out of the family. The account
+ * and its history stay; every guardian loses access.
+ */
+app.delete("/api/family/children/:studentId", requireAuth("parent"), validate({ params: { studentId: id() } }), async (req, res) => {
+  try {
+    const result = await unlinkChild(req.auth.id, req.params.studentId);
+    if (!result.student) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    return res.json({ success: true, message: `${result.student.full_name} is no longer linked to your family.` });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/activity/log:", err);
-    return res
-      .status(500)
-      .json({ success: false, message: "Server error logging activity." });
+    logger.error("Error in /api/family/children", err);
+    return res.status(500).json({ success: false, message: "Server error unlinking child." });
   }
 });
 
 /**
- * GET /api/activity/analytics
- * Get analytics data for a student
- * Query params: studentId, days (optional, default 7)
+ * DELETE /api/family/guardians/:parentId
+ * A primary guardian removes another guardian from their children, or a
+ * guardian passes their own id to leave the children they aren't primary
+ * guardian of.
  */
-app.get("/api/activity/analytics", async (req, res) => {
-  const studentId = Number(req.query.studentId);
-  const days = Number(req.query.days) || 7;
-
-  if (!studentId) {
-    return res
-      .status(400)
-      .json({ success: false, message: "studentId is required." });
+app.delete("/api/family/guardians/:parentId", requireAuth("parent"), validate({ params: { parentId: id() } }), async (req, res) => {
+  try {
+    const result = await removeGuardian(req.auth.id, req.params.parentId);
+    if (!result.removed) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    return res.json({ success: true, removed: result.removed });
+  } catch (err) {
+    logger.error("Error in /api/family/guardians", err);
+    return res.status(500).json({ success: false, message: "Server error removing guardian." });
+  }
+});
+
+// -------------------- CONTENT --------------------
+
+// Parent controls for a signed-in student, or null for parents and admins,
+// who can always browse. See lib/controls.js.
+async function studentRestrictions(req) {
+  if (req.auth.role !== "student") return null;
+  return loadRestrictions(req.auth.id, await studentDay(req.auth.id));
+}
+
+// 403 with blockFor()'s reason, so the dashboard can say why
+function sendBlocked(res, block) {
+  return res.status(403).json({ success: false, ...block });
+}
+
+const contentRequest = validate({
+  query: {
+    subject: subject(),
+    format: oneOf(allowedFormats),
+    index: optional(integer({ min: 0 }), 0),
+  },
+});
+
+/**
+ * GET /api/content
+ * One published item by position: ?subject=&format=&index= (default 0).
+ * Kept for older pages; prefer /api/content/list and /api/content/:id.
+ */
+app.get("/api/content", requireAuth(), contentRequest, async (req, res) => {
+  try {
+    const { subject, format, index } = req.query;
+    const data = await loadSubject(subject);
+
+    const restrictions = await studentRestrictions(req);
+    const block = restrictions && blockFor(restrictions, { subject, format });
+    if (block) return sendBlocked(res, block);
+
+    const list = data[format];
+    if (index >= list.length) {
+      return res.status(404).json({
+        success: false,
+        message: "No content at that index.",
+        total: list.length,
+      });
+    }
+
+    return res.json({
+      success: true,
+      subject,
+      format,
+      index,
+      total: list.length,
+      item: publicItem(format, list[index], req.locale),
+    });
+  } catch (err) {
+    logger.error("Error in /api/content", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading content." });
+  }
+});
+
+const AGE_BAND = /^(\d{1,2})(?:-(\d{1,2}))?$/;
+
+const contentListRequest = validate({
+  query: {
+    subject: optional(subject()),
+    format: optional(oneOf(allowedFormats)),
+    tag: optional(string({ max: 30 })),
+    age: optional(string({ pattern: AGE_BAND, patternMessage: "must look like 12 or 9-12" })),
+    q: optional(string({ max: 200 })),
+    page: optional(integer({ min: 1 }), 1),
+    pageSize: optional(integer({ min: 1, max: 50 }), 20),
+  },
+});
+
+/**
+ * GET /api/content/list
+ * Published items in display order (by relevance when searching), paged.
+ * Students only see subjects and formats their parent allows.
+ * Query params (all optional):
+ *   subject, format, tag
+ *   age       — "12" or a band like "9-12"; items with no age range always match
+ *   q         — search titles, overviews/descriptions and lesson text
+ *   page      — from 1 (default 1)
+ *   pageSize  — 1-50 (default 20)
+ */
+app.get("/api/content/list", requireAuth(), contentListRequest, async (req, res) => {
+  const { format, page, pageSize } = req.query;
+
+  let ageFrom = null;
+  let ageTo = null;
+  if (req.query.age) {
+    const match = AGE_BAND.exec(req.query.age);
+    ageFrom = Number(match[1]);
+    ageTo = match[2] ? Number(match[2]) : ageFrom;
+    if (ageFrom > ageTo) [ageFrom, ageTo] = [ageTo, ageFrom];
+  }
+
+  try {
+    const subjects = await storage.subjects.list();
+    const subject = req.query.subject
+      ? subjects.find((s) => s.name === req.query.subject)
+      : null;
+
+    // Asking for something switched off is an error; otherwise it is left out
+    const restrictions = await studentRestrictions(req);
+    const block =
+      restrictions &&
+      blockFor(restrictions, { subject: subject && subject.name, format: format || null });
+    if (block) return sendBlocked(res, block);
+
+    const { rows, total } = await storage.contentItems.search({
+      subjectId: subject ? subject.id : null,
+      format: format || null,
+      excludeSubjectIds: restrictions
+        ? subjects.filter((s) => !permits(restrictions.controls.subjects, s.name)).map((s) => s.id)
+        : [],
+      excludeFormats: restrictions
+        ? allowedFormats.filter((f) => !permits(restrictions.controls.formats, f))
+        : [],
+      ageFrom,
+      ageTo,
+      tag: req.query.tag || null,
+      q: req.query.q,
+      publishedOnly: true,
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+    });
+
+    const subjectNames = new Map(subjects.map((s) => [s.id, s.name]));
+    return res.json({
+      success: true,
+      items: rows.map((row) => contentSummary(row, subjectNames.get(row.subject_id), req.locale)),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    });
+  } catch (err) {
+    logger.error("Error in /api/content/list", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error listing content." });
+  }
+});
+
+/**
+ * GET /api/content/:id
+ * One published item by its stable ID, quiz answers stripped.
+ */
+app.get("/api/content/:id", requireAuth(), idParam, async (req, res) => {
+  try {
+    const found = await findPublishedItem(req.params.id);
+    if (!found) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Content item not found." });
+    }
+
+    const { row, subject } = found;
+    const restrictions = await studentRestrictions(req);
+    const block = restrictions && blockFor(restrictions, { subject, format: row.format });
+    if (block) return sendBlocked(res, block);
+
+    return res.json({
+      success: true,
+      subject,
+      format: row.format,
+      item: publicItem(row.format, { id: row.id, ...row.data }, req.locale),
+    });
+  } catch (err) {
+    logger.error("Error in /api/content/:id", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading content." });
+  }
+});
+
+// -------------------- SUBJECTS / CONTENT AUTHORING --------------------
+
+/**
+ * GET /api/subjects
+ * Subject names in display order, for dashboard and signup pickers.
+ * No sign-in needed.
+ */
+app.get("/api/subjects", async (req, res) => {
+  try {
+    const subjects = await storage.subjects.list();
+    return res.json({
+      success: true,
+      subjects: subjects.map((s) => ({ id: s.id, name: s.name })),
+    });
+  } catch (err) {
+    logger.error("Error in /api/subjects", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading subjects." });
+  }
+});
+
+// Everything under /api/admin is for admin accounts only
+app.use("/api/admin", requireAuth("admin"));
+
+// Full item as admins edit it, quiz answers included
+function adminContentItem(row, subject) {
+  return {
+    id: row.id,
+    subject,
+    format: row.format,
+    position: row.position,
+    published: Boolean(row.published),
+    item: row.data,
+    updatedAt: row.updated_at,
+  };
+}
+
+function invalidItem(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: "Content item is invalid.",
+    errors,
+  });
+}
+
+/**
+ * POST /api/admin/subjects
+ * Body: { name } — adds a subject at the end of the list
+ */
+app.post("/api/admin/subjects", validate({ body: { name: string({ max: 50 }) } }), async (req, res) => {
+  const { name } = req.body;
+
+  try {
+    if (await storage.subjects.findByName(name)) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Subject already exists." });
+    }
+    const position = (await storage.subjects.list()).length;
+    const id = await storage.subjects.create({ name, position });
+    return res.json({ success: true, subject: { id, name } });
+  } catch (err) {
+    logger.error("Error in /api/admin/subjects", err);
+
+    if (err.code === "ER_DUP_ENTRY") {
+      return res
+        .status(409)
+        .json({ success: false, message: "Subject already exists." });
+    }
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error creating subject." });
+  }
+});
+
+const adminContentRequest = validate({
+  query: { subject: subject(), format: optional(oneOf(allowedFormats)) },
+});
+
+/**
+ * GET /api/admin/content
+ * Every item in a subject, published or not, in display order.
+ * Query params: subject, format (optional; all formats when omitted)
+ */
+app.get("/api/admin/content", adminContentRequest, async (req, res) => {
+  const { format } = req.query;
+
+  try {
+    const subject = await storage.subjects.findByName(req.query.subject);
+
+    const items = [];
+    for (const f of format ? [format] : allowedFormats) {
+      const rows = await storage.contentItems.list(subject.id, f);
+      items.push(...rows.map((row) => adminContentItem(row, subject.name)));
+    }
+    return res.json({ success: true, subject: subject.name, items });
+  } catch (err) {
+    logger.error("Error in /api/admin/content", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading content." });
+  }
+});
+
+// item is checked by validateItem(), which knows each format's shape
+const newContentRequest = validate({
+  body: {
+    subject: subject(),
+    format: oneOf(allowedFormats),
+    item: optional(any()),
+    published: optional(boolean(), false),
+  },
+}, "Content item is invalid.");
+
+/**
+ * POST /api/admin/content
+ * Body: { subject, format, item, published? } — appends a new item.
+ * Items start unpublished unless published: true is sent.
+ */
+app.post("/api/admin/content", newContentRequest, async (req, res) => {
+  const { format, item } = req.body;
+  const errors = validateItem(format, item);
+  if (errors.length) return invalidItem(res, errors);
+
+  try {
+    const result = await storage.transaction(async (tx) => {
+      const subject = await tx.subjects.findByName(req.body.subject);
+      if (!subject) return { status: 400, message: "Invalid subject." };
+
+      const position = (await tx.contentItems.list(subject.id, format)).length;
+      const id = await tx.contentItems.create({
+        subject_id: subject.id,
+        format,
+        position,
+        published: req.body.published,
+        data: item,
+      });
+      return { row: await tx.contentItems.findById(id), subject };
+    });
+
+    if (!result.row) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+    return res.json({
+      success: true,
+      item: adminContentItem(result.row, result.subject.name),
+    });
+  } catch (err) {
+    logger.error("Error in POST /api/admin/content", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error creating content." });
+  }
+});
+
+const reorderRequest = validate({
+  body: { subject: subject(), format: oneOf(allowedFormats), ids: array(id(), { max: 1000 }) },
+});
+
+/**
+ * POST /api/admin/content/reorder
+ * Body: { subject, format, ids } — ids lists every item of that subject and
+ * format (published or not) in the new order.
+ */
+app.post("/api/admin/content/reorder", reorderRequest, async (req, res) => {
+  const { format, ids } = req.body;
+
+  try {
+    const result = await storage.transaction(async (tx) => {
+      const subject = await tx.subjects.findByName(req.body.subject);
+      if (!subject) return { status: 400, message: "Invalid subject." };
+
+      const current = await tx.contentItems.list(subject.id, format);
+      const known = new Set(current.map((c) => c.id));
+      const sameSet =
+        ids.length === current.length &&
+        new Set(ids).size === ids.length &&
+        ids.every((id) => known.has(id));
+      if (!sameSet) {
+        return {
+          status: 400,
+          message: "ids must list every item in this subject and format exactly once.",
+        };
+      }
+
+      for (let position = 0; position < ids.length; position++) {
+        await tx.contentItems.update(ids[position], { position });
+      }
+      const rows = await tx.contentItems.list(subject.id, format);
+      return { items: rows.map((row) => adminContentItem(row, subject.name)) };
+    });
+
+    if (!result.items) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message });
+    }
+    return res.json({ success: true, items: result.items });
+  } catch (err) {
+    logger.error("Error in /api/admin/content/reorder", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error reordering content." });
+  }
+});
+
+// Loads the item named by :id along with its subject name, or sends a 404
+async function findContentOr404(req, res) {
+  const row = await storage.contentItems.findById(req.params.id);
+  if (!row) {
+    res.status(404).json({ success: false, message: "Content item not found." });
+    return null;
+  }
+  const subject = await storage.subjects.findById(row.subject_id);
+  return { row, subject: subject ? subject.name : null };
+}
+
+/**
+ * PUT /api/admin/content/:id
+ * Body: { item } — replaces the item's content; format can't change
+ */
+app.put("/api/admin/content/:id", idParam, validate({ body: { item: optional(any()) } }), async (req, res) => {
+  try {
+    const found = await findContentOr404(req, res);
+    if (!found) return;
+
+    const errors = validateItem(found.row.format, req.body.item);
+    if (errors.length) return invalidItem(res, errors);
+
+    await storage.contentItems.update(found.row.id, { data: req.body.item });
+    const row = await storage.contentItems.findById(found.row.id);
+    return res.json({ success: true, item: adminContentItem(row, found.subject) });
+  } catch (err) {
+    logger.error("Error in PUT /api/admin/content", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error updating content." });
+  }
+});
+
+/**
+ * POST /api/admin/content/:id/publish
+ * POST /api/admin/content/:id/unpublish
+ * Unpublished items stay editable here but are hidden from /api/content.
+ */
+function setPublished(published) {
+  return async (req, res) => {
+    try {
+      const found = await findContentOr404(req, res);
+      if (!found) return;
+
+      await storage.contentItems.update(found.row.id, { published });
+      const row = await storage.contentItems.findById(found.row.id);
+      return res.json({ success: true, item: adminContentItem(row, found.subject) });
+    } catch (err) {
+      logger.error("Error publishing content", err);
+      return res
+        .status(500)
+        .json({ success: false, message: "Server error updating content." });
+    }
+  };
+}
+
+app.post("/api/admin/content/:id/publish", idParam, setPublished(true));
+app.post("/api/admin/content/:id/unpublish", idParam, setPublished(false));
+
+/** DELETE /api/admin/content/:id */
+app.delete("/api/admin/content/:id", idParam, async (req, res) => {
+  try {
+    const found = await findContentOr404(req, res);
+    if (!found) return;
+
+    await storage.contentItems.delete(found.row.id);
+    return res.json({ success: true, message: "Content item deleted." });
+  } catch (err) {
+    logger.error("Error in DELETE /api/admin/content", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error deleting content." });
+  }
+});
+
+// -------------------- LEARNING PATH AUTHORING --------------------
+
+// Path as admins edit it
+function adminPath(row, subject) {
+  return {
+    id: row.id,
+    subject,
+    title: row.title,
+    description: row.data.description,
+    position: row.position,
+    published: Boolean(row.published),
+    units: row.data.units,
+    updatedAt: row.updated_at,
+  };
+}
+
+function invalidPath(res, errors) {
+  return res.status(400).json({
+    success: false,
+    message: "Learning path is invalid.",
+    errors,
+  });
+}
+
+/**
+ * GET /api/admin/paths
+ * Every path, published or not. Query params: subject (optional)
+ */
+app.get("/api/admin/paths", validate({ query: { subject: optional(subject()) } }), async (req, res) => {
+  try {
+    let subjectId;
+    if (req.query.subject) {
+      subjectId = (await storage.subjects.findByName(req.query.subject)).id;
+    }
+
+    const subjects = new Map((await storage.subjects.list()).map((s) => [s.id, s.name]));
+    const rows = await storage.learningPaths.list({ subjectId });
+    return res.json({
+      success: true,
+      paths: rows.map((row) => adminPath(row, subjects.get(row.subject_id))),
+    });
+  } catch (err) {
+    logger.error("Error in /api/admin/paths", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading learning paths." });
+  }
+});
+
+// title, description and units are checked by validatePath()
+const pathFields = {
+  title: optional(any()),
+  description: optional(any()),
+  units: optional(any()),
+};
+
+const newPathRequest = validate({
+  body: { subject: subject(), ...pathFields, published: optional(boolean(), false) },
+}, "Learning path is invalid.");
+
+/**
+ * POST /api/admin/paths
+ * Body: { subject, title, description?, units, published? } — appends a path
+ * to the subject. units: [{ key, title, items: [contentId], requires?: [key] }]
+ */
+app.post("/api/admin/paths", newPathRequest, async (req, res) => {
+  try {
+    const subject = await storage.subjects.findByName(req.body.subject);
+
+    const errors = await validatePath(req.body, subject.id);
+    if (errors.length) return invalidPath(res, errors);
+
+    const position = (await storage.learningPaths.list({ subjectId: subject.id })).length;
+    const id = await storage.learningPaths.create({
+      subject_id: subject.id,
+      title: req.body.title.trim(),
+      position,
+      published: req.body.published,
+      data: pathData(req.body),
+    });
+    const row = await storage.learningPaths.findById(id);
+    return res.json({ success: true, path: adminPath(row, subject.name) });
+  } catch (err) {
+    logger.error("Error in POST /api/admin/paths", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error creating learning path." });
+  }
+});
+
+// Loads the path named by :id along with its subject, or sends a 404
+async function findPathOr404(req, res) {
+  const row = await storage.learningPaths.findById(req.params.id);
+  if (!row) {
+    res.status(404).json({ success: false, message: "Learning path not found." });
+    return null;
+  }
+  const subject = await storage.subjects.findById(row.subject_id);
+  return { row, subject };
+}
+
+/**
+ * PUT /api/admin/paths/:id
+ * Body: { title, description?, units } — replaces the path's definition;
+ * the subject can't change
+ */
+app.put("/api/admin/paths/:id", idParam, validate({ body: pathFields }, "Learning path is invalid."), async (req, res) => {
+  try {
+    const found = await findPathOr404(req, res);
+    if (!found) return;
+
+    const errors = await validatePath(req.body, found.row.subject_id);
+    if (errors.length) return invalidPath(res, errors);
+
+    await storage.learningPaths.update(found.row.id, {
+      title: req.body.title.trim(),
+      data: pathData(req.body),
+    });
+    const row = await storage.learningPaths.findById(found.row.id);
+    return res.json({ success: true, path: adminPath(row, found.subject.name) });
+  } catch (err) {
+    logger.error("Error in PUT /api/admin/paths", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error updating learning path." });
+  }
+});
+
+/**
+ * POST /api/admin/paths/:id/publish
+ * POST /api/admin/paths/:id/unpublish
+ * Unpublished paths are hidden from students and from /api/next-up.
+ */
+function setPathPublished(published) {
+  return async (req, res) => {
+    try {
+      const found = await findPathOr404(req, res);
+      if (!found) return;
+
+      await storage.learningPaths.update(found.row.id, { published });
+      const row = await storage.learningPaths.findById(found.row.id);
+      return res.json({ success: true, path: adminPath(row, found.subject.name) });
+    } catch (err) {
+      logger.error("Error publishing learning path", err);
+      return res
+        .status(500)
+        .json({ success: false, message: "Server error updating learning path." });
+    }
+  };
+}
+
+app.post("/api/admin/paths/:id/publish", idParam, setPathPublished(true));
+app.post("/api/admin/paths/:id/unpublish", idParam, setPathPublished(false));
+
+/** DELETE /api/admin/paths/:id */
+app.delete("/api/admin/paths/:id", idParam, async (req, res) => {
+  try {
+    const found = await findPathOr404(req, res);
+    if (!found) return;
+
+    await storage.learningPaths.delete(found.row.id);
+    return res.json({ success: true, message: "Learning path deleted." });
+  } catch (err) {
+    logger.error("Error in DELETE /api/admin/paths", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error deleting learning path." });
+  }
+});
+
+// -------------------- QUIZ ENDPOINTS --------------------
+
+const answerSchema = { questionIndex: integer({ min: 0 }), answerIndex: integer({ min: 0 }) };
+
+const quizRequest = validate({
+  body: (body) => ({
+    studentId: optional(id()),
+    ...(body.contentId !== undefined
+      ? { contentId: id() }
+      : { subject: subject(), lessonIndex: integer({ min: 0 }) }),
+    ...(body.answers !== undefined
+      ? { answers: array(object(answerSchema), { min: 1, max: 50 }) }
+      : answerSchema),
+  }),
+}, "Quiz answers are invalid.");
+
+/**
+ * POST /api/quiz/submit
+ * Grades lesson quiz answers on the server and records one attempt row per answer.
+ * Missed questions go into the student's review (see lib/review.js).
+ * Students only.
+ * Body: { contentId, answers: [{ questionIndex, answerIndex }] }
+ *   ({ subject, lessonIndex } instead of contentId still works, and a single
+ *   { questionIndex, answerIndex } at the top level also works)
+ */
+app.post("/api/quiz/submit", requireAuth("student"), requireStudentAccess, quizRequest, async (req, res) => {
+  const studentId = req.studentId;
+  const answers =
+    req.body.answers || [{ questionIndex: req.body.questionIndex, answerIndex: req.body.answerIndex }];
+
+  try {
+    const found = await resolveLesson(req.body);
+    if (!found.lesson) {
+      return res
+        .status(found.status)
+        .json({ success: false, message: found.message });
+    }
+    const { lesson, subject, lessonIndex } = found;
+
+    // A quiz started before the daily limit was reached can still be finished
+    const block = blockFor(await studentRestrictions(req), {
+      subject,
+      format: "lessons",
+      checkLimit: false,
+    });
+    if (block) return sendBlocked(res, block);
+
+    const results = gradeAnswers(lesson, answers);
+    if (!results) {
+      return res.status(400).json({ success: false, message: "Invalid answer." });
+    }
+
+    const day = await studentDay(studentId);
+    const xpAwarded = await storage.transaction(async (tx) => {
+      const previous = await tx.quizAttempts.listForStudent(studentId);
+      for (const r of results) {
+        await tx.quizAttempts.add({
+          student_id: studentId,
+          subject,
+          content_id: lesson.id,
+          lesson_index: lessonIndex,
+          lesson_title: lesson.title,
+          question_index: r.questionIndex,
+          answer_index: r.answerIndex,
+          is_correct: r.correct,
+        });
+      }
+      await recordLessonAnswers(tx, studentId, lesson.id, results, day.today, clock.now());
+      return awardQuizXp(tx, studentId, lesson, results, previous);
+    });
+
+    const score = {
+      correct: results.filter((r) => r.correct).length,
+      total: results.length,
+    };
+    await notifyQuiz(studentId, { subject, contentId: lesson.id, title: lesson.title }, score);
+
+    const newBadges = await checkBadges(studentId);
+    const mastery = await getStudentMastery(studentId);
+    const lessonMastery = mastery.lessons.find((l) => l.contentId === lesson.id);
+
+    return res.json({
+      success: true,
+      contentId: lesson.id,
+      results: results.map((r) => ({ questionIndex: r.questionIndex, correct: r.correct })),
+      score,
+      lessonMastery: lessonMastery ? lessonMastery.mastery : 0,
+      xpAwarded,
+      newBadges,
+    });
+  } catch (err) {
+    logger.error("Error in /api/quiz/submit", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error grading quiz." });
+  }
+});
+
+/**
+ * GET /api/quiz/mastery
+ * Per-lesson and per-subject mastery (0-100) for a student.
+ * Query params: studentId (optional for students)
+ */
+app.get("/api/quiz/mastery", requireStudentAccess, async (req, res) => {
+  try {
+    const mastery = await getStudentMastery(req.studentId);
+    return res.json({ success: true, studentId: req.studentId, ...mastery });
+  } catch (err) {
+    logger.error("Error in /api/quiz/mastery", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading mastery." });
+  }
+});
+
+// -------------------- REVIEW --------------------
+// Spaced repetition of missed lesson quiz questions. See lib/review.js.
+
+/**
+ * GET /api/review
+ * Today's review: the questions due, without their answers.
+ * Query params: studentId (optional for students)
+ * Returns { today, reviewedToday, remaining, complete, cards: [{ contentId,
+ * questionIndex, subject, lessonTitle, question, answers, dueDate, lapses }] }
+ */
+app.get("/api/review", requireStudentAccess, async (req, res) => {
+  try {
+    const queue = await reviewQueue(req.studentId, await studentDay(req.studentId), req.locale);
+    return res.json({ success: true, studentId: req.studentId, ...queue });
+  } catch (err) {
+    logger.error("Error in /api/review", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading review." });
+  }
+});
+
+const reviewAnswerRequest = validate({
+  body: {
+    studentId: optional(id()),
+    contentId: id(),
+    questionIndex: integer({ min: 0 }),
+    answerIndex: integer({ min: 0 }),
+    rating: optional(oneOf(RATINGS), "good"),
+  },
+}, "Review answer is invalid.");
+
+/**
+ * POST /api/review/answer
+ * Grades one review question and schedules when it comes back. Students only.
+ * Body: { contentId, questionIndex, answerIndex, rating?: "hard"|"good"|"easy" }
+ *   rating is how easy a right answer felt (default "good").
+ * Returns { correct, correctIndex, correctAnswer, nextDue, intervalDays,
+ * remaining, complete }; correctAnswer is in the student's language.
+ * 409 when the question isn't due today or was already reviewed today.
+ */
+app.post("/api/review/answer", requireAuth("student"), requireStudentAccess, reviewAnswerRequest, async (req, res) => {
+  const studentId = req.studentId;
+
+  try {
+    const day = await studentDay(studentId);
+    const answered = await answerReview(studentId, day, req.body, clock.now(), req.locale);
+    if (answered.status) {
+      const { status, ...body } = answered;
+      return res.status(status).json({ success: false, ...body });
+    }
+
+    const queue = await reviewQueue(studentId, day, req.locale);
+    return res.json({
+      success: true,
+      correct: answered.correct,
+      correctIndex: answered.correctIndex,
+      correctAnswer: answered.correctAnswer,
+      nextDue: answered.card.due_date,
+      intervalDays: answered.card.interval_days,
+      remaining: queue.remaining,
+      complete: queue.complete,
+    });
+  } catch (err) {
+    logger.error("Error in /api/review/answer", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error saving review answer." });
+  }
+});
+
+// -------------------- LEARNING PATHS / NEXT UP --------------------
+
+/**
+ * GET /api/paths
+ * Published learning paths with the student's progress: percent complete
+ * per path, and which units are unlocked or finished.
+ * Query params: studentId (optional for students)
+ */
+app.get("/api/paths", requireStudentAccess, async (req, res) => {
+  try {
+    const paths = await getStudentPaths(req.studentId);
+    return res.json({ success: true, studentId: req.studentId, paths });
+  } catch (err) {
+    logger.error("Error in /api/paths", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading learning paths." });
+  }
+});
+
+/**
+ * GET /api/next-up
+ * Recommends one item to do next, from the student's interest subject first
+ * and skipping items outside their age or switched off by parent controls.
+ * item is null when there's nothing to recommend: reason is "complete" when
+ * every path is done, "filtered" when only skipped items are left.
+ * Query params: studentId (optional for students)
+ */
+app.get("/api/next-up", requireStudentAccess, async (req, res) => {
+  try {
+    const student = await storage.students.findById(req.studentId);
+    if (!student) {
+      return res.status(404).json({ success: false, message: "Student not found." });
+    }
+
+    const controls = await loadControls(student.id);
+    const next = await recommendNext(
+      student,
+      ({ subject, format }) => permits(controls.subjects, subject) && permits(controls.formats, format)
+    );
+    const found = next.itemId && (await findPublishedItem(next.itemId));
+    if (!found) {
+      return res.json({
+        success: true,
+        item: null,
+        reason: next.reason,
+        message:
+          next.reason === "filtered"
+            ? "Nothing to suggest right now: what's left is switched off or not for your age."
+            : "All caught up! Every learning path is complete.",
+      });
+    }
+
+    return res.json({
+      success: true,
+      item: contentSummary(found.row, found.subject, req.locale),
+      path: { id: next.path.id, title: next.path.title, percent: next.path.percent },
+      unit: { key: next.unit.key, title: next.unit.title },
+      reason: next.reason,
+    });
+  } catch (err) {
+    logger.error("Error in /api/next-up", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error choosing the next item." });
+  }
+});
+
+// -------------------- STREAK ENDPOINTS (ONCE PER DAY + RESET IF MISSED DAY + COUNTDOWN) --------------------
+// Days are calendar days in the student's timezone (see studentDay()).
+
+app.get("/api/streak", requireStudentAccess, async (req, res) => {
+  const studentId = req.studentId;
+
+  try {
+    const s = await storage.streaks.get(studentId);
+    if (!s) return res.status(404).json({ success: false, message: "Student not found." });
+    const day = await studentDay(studentId);
+
+    return res.json({
+      success: true,
+      studentId: s.id,
+      name: s.full_name,
+      streakDays: s.streak_days || 0,
+      lastStreakDate: s.last_streak_date,
+      streakFreezes: s.streak_freezes || 0,
+      secondsUntilNextIncrement: day.secondsUntilTomorrow,
+      today: day.today,
+      timeZone: day.timeZone,
+    });
+  } catch (err) {
+    logger.error("Error in /api/streak", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading streak." });
+  }
+});
+
+const streakRequest = validate({
+  body: { studentId: optional(id()), activity: optional(oneOf(STREAK_ACTIVITIES)) },
+});
+
+/**
+ * POST /api/streak/increment
+ * - Only increments ONCE per calendar day in the student's timezone
+ * - If user misses a full day (i.e. last_streak_date is older than yesterday),
+ *   streak freezes cover the missed days if there are enough of them;
+ *   otherwise the streak resets to 1
+ * - Every 7th day earns a freeze (see lib/streaks.js)
+ * - activity "review" only counts once today's review is finished (409 until then)
+ * - Students only; studentId defaults to the signed-in student
+ * Body: { studentId?: 123, activity: "lesson"|"video"|"game"|"review" }
+ */
+app.post("/api/streak/increment", requireAuth("student"), requireStudentAccess, streakRequest, async (req, res) => {
+  const studentId = req.studentId;
+
+  try {
+    const day = await studentDay(studentId);
+    if (req.body.activity === "review" && !(await reviewQueue(studentId, day, req.locale)).complete) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Finish today's review first." });
+    }
+    const next = await storage.transaction((tx) => creditStreakDay(tx, studentId, day.today));
+
+    if (!next) {
+      return res.status(404).json({ success: false, message: "Student not found." });
+    }
+    await notifyStreak(studentId, next);
+
+    const newBadges = next.changed ? await checkBadges(studentId) : [];
+
+    return res.json({
+      success: true,
+      studentId,
+      streakDays: next.streak_days,
+      lastStreakDate: next.last_streak_date,
+      // True when today was newly counted (either +1 or reset->1)
+      incremented: next.changed,
+      streakFreezes: next.streak_freezes,
+      freezesUsed: next.freezesUsed,
+      freezeEarned: next.freezeEarned,
+      newBadges,
+      secondsUntilNextIncrement: day.secondsUntilTomorrow,
+      today: day.today,
+      timeZone: day.timeZone,
+    });
+  } catch (err) {
+    logger.error("Error in /api/streak/increment", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error updating streak." });
+  }
+});
+
+// -------------------- REWARDS (XP / LEVELS / BADGES) --------------------
+
+/**
+ * GET /api/rewards
+ * XP total and level, streak freezes, every badge with whether it has been
+ * earned, and the latest XP awards.
+ * Query params: studentId (optional for students)
+ */
+app.get("/api/rewards", requireStudentAccess, async (req, res) => {
+  try {
+    const rewards = await getRewards(req.studentId);
+    return res.json({ success: true, studentId: req.studentId, ...rewards });
+  } catch (err) {
+    logger.error("Error in /api/rewards", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading rewards." });
+  }
+});
+
+// -------------------- PARENT CONTROLS / WEEKLY GOALS --------------------
+// Rules and goals live in lib/controls.js; the content routes above enforce them.
+
+/**
+ * GET /api/controls
+ * A student's parent controls, today's minutes against the daily limit and
+ * this week's progress on each goal. Students can read their own.
+ * Query params: studentId (optional for students)
+ */
+app.get("/api/controls", requireStudentAccess, async (req, res) => {
+  try {
+    const day = await studentDay(req.studentId);
+    const { controls, usage } = await loadRestrictions(req.studentId, day);
+    const { week, goals } = await goalProgress(req.studentId, day);
+    return res.json({
+      success: true,
+      studentId: req.studentId,
+      controls,
+      today: usage,
+      week,
+      goals,
+    });
+  } catch (err) {
+    logger.error("Error in /api/controls", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error loading parent controls." });
+  }
+});
+
+// The rules themselves are checked by applyControlChanges()
+const controlsRequest = validate({
+  body: {
+    studentId: optional(id()),
+    dailyMinuteLimit: nullable(any()),
+    subjects: optional(any()),
+    formats: optional(any()),
+  },
+}, "Parent controls are invalid.");
+
+/**
+ * PUT /api/controls
+ * Parents only. Body: { studentId, dailyMinuteLimit?, subjects?, formats? }
+ * - dailyMinuteLimit: minutes per day, or null for no limit
+ * - subjects / formats: { mode: "all" | "allow" | "block", list: [...] }
+ * Fields that aren't sent are left as they are.
+ */
+app.put("/api/controls", requireAuth("parent"), requireStudentAccess, controlsRequest, async (req, res) => {
+  try {
+    const subjectNames = (await storage.subjects.list()).map((s) => s.name);
+    const { controls, errors } = applyControlChanges(
+      await loadControls(req.studentId),
+      req.body,
+      subjectNames
+    );
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Parent controls are invalid.",
+        errors,
+      });
+    }
+
+    await saveControls(req.studentId, controls);
+    const day = await studentDay(req.studentId);
+    return res.json({
+      success: true,
+      studentId: req.studentId,
+      controls,
+      today: await dailyUsage(req.studentId, controls, day),
+    });
+  } catch (err) {
+    logger.error("Error in PUT /api/controls", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error saving parent controls." });
+  }
+});
+
+// Which subjects, formats and targets make sense is validateGoal()'s job
+const goalRequest = validate({
+  body: {
+    studentId: optional(id()),
+    subject: optional(string()),
+    format: optional(string()),
+    metric: optional(string()),
+    target: optional(any()),
+  },
+}, "Goal is invalid.");
+
+/**
+ * POST /api/goals
+ * Parents only. Adds a weekly goal.
+ * Body: { studentId, target, metric? ("count" | "minutes"), subject?, format? }
+ * e.g. { studentId, subject: "Maths", format: "lessons", target: 3 }
+ */
+app.post("/api/goals", requireAuth("parent"), requireStudentAccess, goalRequest, async (req, res) => {
+  try {
+    const subjectNames = (await storage.subjects.list()).map((s) => s.name);
+    const { goal, errors } = validateGoal(req.body, subjectNames);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Goal is invalid.", errors });
+    }
+
+    const existing = await storage.goals.listForStudent(req.studentId);
+    if (existing.length >= MAX_GOALS) {
+      return res.status(400).json({
+        success: false,
+        message: `A student can have at most ${MAX_GOALS} goals.`,
+      });
+    }
+
+    const id = await storage.goals.create({ student_id: req.studentId, ...goal });
+    const { goals } = await goalProgress(req.studentId, await studentDay(req.studentId));
+    return res.json({ success: true, goal: goals.find((g) => g.id === id) });
+  } catch (err) {
+    logger.error("Error in POST /api/goals", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error adding goal." });
+  }
+});
+
+/**
+ * DELETE /api/goals/:id?studentId=
+ * Parents only.
+ */
+app.delete("/api/goals/:id", requireAuth("parent"), requireStudentAccess, idParam, async (req, res) => {
+  try {
+    const goal = await storage.goals.findById(req.params.id);
+    if (!goal || goal.student_id !== req.studentId) {
+      return res.status(404).json({ success: false, message: "Goal not found." });
+    }
+
+    await storage.goals.delete(goal.id);
+    return res.json({ success: true, message: "Goal removed." });
+  } catch (err) {
+    logger.error("Error in DELETE /api/goals", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error removing goal." });
+  }
+});
+
+// -------------------- ACTIVITY TRACKING ENDPOINTS --------------------
+
+// What an activity is about: { contentId } for a content item, or
+// { activityType, subject } for anything else
+const activityFields = (body) =>
+  body.contentId !== undefined && body.contentId !== null
+    ? { contentId: id() }
+    : { activityType: oneOf(ACTIVITY_TYPES), subject: subject() };
+
+// The signed-in student's activity session from :id, or null
+async function ownActivitySession(req) {
+  const session = await storage.activitySessions.findById(req.params.id);
+  return session && session.student_id === req.auth.id ? session : null;
+}
+
+const activityLogRequest = validate({
+  body: (body) => ({
+    studentId: optional(id()),
+    ...activityFields(body),
+  }),
+}, "Activity is invalid.");
+
+/**
+ * POST /api/activity/log
+ * Log a student activity (lesson, video, or game) that wasn't timed with an
+ * activity session. Students only; studentId defaults to the signed-in
+ * student. No minutes are recorded: only the server measures time. Nothing
+ * shows the student finished it, so it's logged as not completed: no XP,
+ * and no goal, path, badge or assignment progress.
+ * Body: { studentId?, contentId }
+ *   With contentId the type, subject and title come from the content item.
+ *   Activity not tied to an item can send { activityType, subject } instead.
+ * dailyLimit in the response says whether the limit is reached.
+ */
+app.post("/api/activity/log", requireAuth("student"), requireStudentAccess, activityLogRequest, async (req, res) => {
+  const studentId = req.studentId;
+  const minutes = 0;
+
+  try {
+    const resolved = await resolveActivity(req.body);
+    if (!resolved.activity) {
+      return res
+        .status(resolved.status)
+        .json({ success: false, message: resolved.message });
+    }
+    const { activity } = resolved;
+
+    const day = await studentDay(studentId);
+    const restrictions = await loadRestrictions(studentId, day);
+    const block = blockFor(restrictions, {
+      subject: activity.subject,
+      format: allowedFormats.find((f) => activityTypeFor(f) === activity.activityType),
+      checkLimit: false,
+    });
+    if (block) return sendBlocked(res, block);
+
+    const logged = { ...activity, minutes, completed: false };
+    const xpAwarded = await storage.transaction((tx) =>
+      recordActivity(tx, studentId, day, logged)
+    );
+    await notifyActivity(studentId, logged);
+
+    const newBadges = await checkBadges(studentId);
+
+    return res.json({
+      success: true,
+      message: "Activity logged successfully",
+      xpAwarded,
+      newBadges,
+      dailyLimit: await dailyUsage(studentId, restrictions.controls, day),
+    });
+  } catch (err) {
+    logger.error("Error in /api/activity/log", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error logging activity." });
+  }
+});
+
+/**
+ * POST /api/activity/sessions
+ * Students only. Starts timing a lesson, video or game; any session the
+ * student left open is closed first. Send a heartbeat every
+ * heartbeatSeconds while it's on screen, then end it.
+ * Body: { contentId } or { activityType, subject }
+ */
+app.post("/api/activity/sessions", requireAuth("student"), validate({ body: activityFields }, "Activity is invalid."), async (req, res) => {
+  const studentId = req.auth.id;
+
+  try {
+    const resolved = await resolveActivity(req.body);
+    if (!resolved.activity) {
+      return res
+        .status(resolved.status)
+        .json({ success: false, message: resolved.message });
+    }
+    const { activity } = resolved;
+
+    const restrictions = await loadRestrictions(studentId, await studentDay(studentId));
+    const block = blockFor(restrictions, {
+      subject: activity.subject,
+      format: allowedFormats.find((f) => activityTypeFor(f) === activity.activityType),
+    });
+    if (block) return sendBlocked(res, block);
+
+    const session = await openSession(studentId, activity);
+    return res.json({
+      success: true,
+      session: {
+        id: session.id,
+        activityType: session.activity_type,
+        subject: session.subject,
+        contentId: session.content_id,
+        startedAt: session.started_at,
+      },
+      heartbeatSeconds: HEARTBEAT_SECONDS,
+    });
+  } catch (err) {
+    logger.error("Error in POST /api/activity/sessions", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error starting the session." });
+  }
+});
+
+const heartbeatRequest = validate({
+  params: { id: id() },
+  body: { resume: optional(boolean(), false) },
+});
+
+/**
+ * POST /api/activity/sessions/:id/heartbeat
+ * Students only. Credits the time since the last heartbeat (at most
+ * MAX_GAP_SECONDS). Body: { resume? } — true after the student was away, so
+ * that gap isn't counted. dailyLimit includes this session's time so far;
+ * when it's reached the dashboard should end the session.
+ */
+app.post("/api/activity/sessions/:id/heartbeat", requireAuth("student"), heartbeatRequest, async (req, res) => {
+  try {
+    const session = await ownActivitySession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Session not found." });
+    }
+    const result = session.ended_at ? null : await recordHeartbeat(session, { resume: req.body.resume });
+    if (!result) {
+      return res.status(409).json({ success: false, message: "This session has already ended." });
+    }
+    if (result.ended) {
+      return res.json({
+        success: true,
+        ended: true,
+        reason: "timeout",
+        engagedSeconds: result.engagedSeconds,
+        minutes: result.closed.minutes,
+      });
+    }
+
+    const day = await studentDay(req.auth.id);
+    const usage = await dailyUsage(req.auth.id, await loadControls(req.auth.id), day);
+    const minutesToday = usage.minutesToday + Math.floor(result.engagedSeconds / 60);
+    return res.json({
+      success: true,
+      ended: false,
+      engagedSeconds: result.engagedSeconds,
+      dailyLimit: {
+        ...usage,
+        minutesToday,
+        minutesLeft: usage.limit === null ? null : Math.max(0, usage.limit - minutesToday),
+        reached: usage.limit !== null && minutesToday >= usage.limit,
+      },
+    });
+  } catch (err) {
+    logger.error("Error in /api/activity/sessions/:id/heartbeat", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error recording the heartbeat." });
+  }
+});
+
+const endSessionRequest = validate({
+  params: { id: id() },
+  body: { completed: optional(boolean(), true) },
+});
+
+/**
+ * POST /api/activity/sessions/:id/end
+ * Students only. Stops timing and records the activity with the measured
+ * minutes. Body: { completed? } — false when the student left before
+ * finishing; the time still counts but earns no XP.
+ */
+app.post("/api/activity/sessions/:id/end", requireAuth("student"), endSessionRequest, async (req, res) => {
+  const studentId = req.auth.id;
+
+  try {
+    const session = await ownActivitySession(req);
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Session not found." });
+    }
+    const closed = session.ended_at
+      ? null
+      : await closeSession(session, "ended", { completed: req.body.completed });
+    if (!closed) {
+      return res.status(409).json({ success: false, message: "This session has already ended." });
+    }
+
+    const newBadges = await checkBadges(studentId);
+    const day = await studentDay(studentId);
+
+    return res.json({
+      success: true,
+      engagedSeconds: closed.engagedSeconds,
+      minutes: closed.minutes,
+      xpAwarded: closed.xpAwarded,
+      newBadges,
+      dailyLimit: await dailyUsage(studentId, await loadControls(studentId), day),
+    });
+  } catch (err) {
+    logger.error("Error in /api/activity/sessions/:id/end", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error ending the session." });
+  }
+});
+
+// Ranges are checked together by parseRange() (end can't be before start, ...)
+const rangeQuery = {
+  start: optional(string({ max: 10 })),
+  end: optional(string({ max: 10 })),
+  days: optional(string({ max: 10 })),
+  granularity: optional(string({ max: 10 })),
+};
+
+/**
+ * GET /api/activity/analytics
+ * Analytics for a student over a range of calendar days in their timezone.
+ * Query params:
+ * - studentId (optional for students)
+ * - start, end: "YYYY-MM-DD", inclusive; end defaults to today
+ * - days: range length when start isn't given (default 7, at most 366)
+ * - granularity: "day" (default), "week" or "month" for series, subjects and
+ *   formats
+ * `dates` lists every day in the range (oldest first) so charts don't have to
+ * work them out. See lib/analytics.js for the shape of the rest.
+ */
+app.get("/api/activity/analytics", requireStudentAccess, validate({ query: { studentId: optional(id()), ...rangeQuery } }), async (req, res) => {
+  const studentId = req.studentId;
+
+  try {
+    const day = await studentDay(studentId);
+    const { range, errors } = parseRange(req.query, day.today);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Analytics range is invalid.",
+        errors,
+      });
+    }
+
+    const [analytics, sessions, recentActivities, mastery] = await Promise.all([
+      studentAnalytics(studentId, range),
+      storage.dailySessions.listSince(studentId, range.start),
+      storage.activities.recent(studentId, 10),
+      getStudentMastery(studentId),
+    ]);
+    const { totals, subjects } = analytics;
+
+    return res.json({
+      success: true,
+      data: {
+        ...analytics,
+        today: day.today,
+        dates: datesIn(range),
+        dailySessions: sessions.filter((s) => s.session_date <= range.end),
+        subjectDistribution: subjects
+          .map((s) => ({ subject: s.subject, count: s.activities.reduce((a, b) => a + b, 0) }))
+          .filter((s) => s.count > 0),
+        recentActivities,
+        totalStats: {
+          total_activities: totals.activities,
+          total_lessons: totals.lessons,
+          total_videos: totals.videos,
+          total_games: totals.games,
+          total_minutes: totals.minutes,
+        },
+        averageSessionMinutes: totals.averageSessionMinutes,
+        mastery,
+      },
+    });
+  } catch (err) {
+    logger.error("Error in /api/activity/analytics", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error fetching analytics." });
+  }
+});
+
+/**
+ * GET /api/analytics/siblings
+ * Parents only. Totals for each of their children side by side, over the
+ * same start / end / days as /api/activity/analytics (today is the family's).
+ */
+app.get("/api/analytics/siblings", requireAuth("parent"), validate({ query: rangeQuery }), async (req, res) => {
+  try {
+    const parent = await storage.parents.findById(req.auth.id);
+    const { range, errors } = parseRange(req.query, dayInfo(parent.timezone).today);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Analytics range is invalid.",
+        errors,
+      });
+    }
+
+    return res.json({
+      success: true,
+      range: { start: range.start, end: range.end },
+      students: await siblingComparison(parent.id, range),
+    });
+  } catch (err) {
+    logger.error("Error in /api/analytics/siblings", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error fetching analytics." });
+  }
+});
+
+// -------------------- OFFLINE SYNC --------------------
+// The dashboard queues activity and streak events while offline and sends
+// them here when it reconnects. See lib/sync.js.
+
+const syncEvent = (event) => ({
+  id: string({ max: 64, pattern: /^[\w-]+$/, patternMessage: "must be letters, digits, - or _" }),
+  type: oneOf(EVENT_TYPES),
+  occurredAt: timestamp(),
+  ...(event.type === "activity"
+    ? {
+        ...activityFields(event),
+        durationMinutes: optional(integer({ min: 0, max: MAX_EVENT_MINUTES }), 0),
+        completed: optional(boolean(), true),
+      }
+    : { activity: optional(oneOf(STREAK_ACTIVITIES)) }),
+});
+
+const syncRequest = validate(
+  { body: { events: array(object(syncEvent), { min: 1, max: MAX_BATCH_EVENTS }) } },
+  "Sync batch is invalid."
+);
+
+/**
+ * POST /api/sync/events
+ * Students only. Applies queued events, each once however often it's sent,
+ * on the day it happened rather than the day it arrived.
+ * Body: { events: [
+ *   { id, type: "activity", occurredAt, contentId, durationMinutes?, completed? },
+ *   { id, type: "streak", occurredAt, activity? }
+ * ] }
+ *   id is made up by the device (a UUID); occurredAt is an ISO timestamp,
+ *   for an activity the time it started.
+ * Answers 200 with a result per event, in the order sent:
+ *   { id, status: "applied" | "duplicate" | "rejected", message? }
+ * plus the streak afterwards and any new badges. Events with a result can be
+ * dropped from the queue; a 400 means the whole batch was malformed.
+ */
+app.post("/api/sync/events", requireAuth("student"), syncRequest, async (req, res) => {
+  try {
+    const { results, streak, newBadges } = await ingestEvents(req.auth.id, req.body.events);
+    return res.json({ success: true, results, ...streak, newBadges });
+  } catch (err) {
+    logger.error("Error in /api/sync/events", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error syncing activity." });
+  }
+});
+
+// -------------------- REPORTS --------------------
+
+const REPORT_FORMATS = ["json", "html", "text"];
+
+const weeklyReportRequest = validate({
+  query: {
+    studentId: optional(id()),
+    week: optional(date()),
+    format: optional(oneOf(REPORT_FORMATS), "json"),
+  },
+});
+
+/**
+ * GET /api/reports/weekly?studentId=&week=YYYY-MM-DD&format=json|html|text
+ * Preview of the weekly report email. week is any day in the week wanted
+ * (Monday to Sunday); it defaults to the last full week in the student's
+ * timezone.
+ */
+app.get("/api/reports/weekly", requireAuth("parent"), requireStudentAccess, weeklyReportRequest, async (req, res) => {
+  const { format, week } = req.query;
+
+  try {
+    const day = await studentDay(req.studentId);
+    const report = await buildWeeklyReport(req.studentId, week || lastWeekStart(day.today));
+    if (!report) {
+      return res.status(404).json({ success: false, message: "Student not found." });
+    }
+
+    if (format === "html") return res.type("html").send(renderReportHtml(report));
+    if (format === "text") return res.type("text").send(renderReportText(report));
+    return res.json({ success: true, report });
+  } catch (err) {
+    logger.error("Error in /api/reports/weekly", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error building the report." });
   }
+});
 
-  let conn;
-  try {
-    conn = await pool.getConnection();
+// -------------------- NOTIFICATIONS --------------------
+// What parents hear about their children as it happens (activity, quizzes,
+// streak milestones, a streak about to end); see lib/notifications.js.
 
-    // Get daily sessions for the past N days
-    const [sessions] = await conn.execute(
-      `SELECT session_date, total_minutes, lessons_count, videos_count, games_count
-       FROM daily_sessions
-       WHERE student_id = ? AND session_date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
-       ORDER BY session_date ASC`,
-      [studentId, days]
-    );
+const NOTIFICATION_PAGE_SIZE = 20;
 
-    // Get subject distribution
-    const [subjectDist] = await conn.execute(
-      `SELECT subject, COUNT(*) as count
-       FROM student_activities
-       WHERE student_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
-       GROUP BY subject`,
-      [studentId]
-    );
+// The last notification an EventSource saw: its Last-Event-ID header when it
+// reconnects, or ?lastEventId= on the first connection
+function lastEventIdOf(req) {
+  const header = req.get("last-event-id");
+  const value = header !== undefined && /^\d+$/.test(header.trim()) ? Number(header) : req.query.lastEventId;
+  return value || 0;
+}
 
-    // Get recent activities
-    const [recentActivities] = await conn.execute(
-      `SELECT activity_type, subject, content_title, created_at
-       FROM student_activities
-       WHERE student_id = ?
-       ORDER BY created_at DESC
-       LIMIT 10`,
-      [studentId]
-    );
+/**
+ * GET /api/notifications/stream
+ * Server-Sent Events: each new notification for the signed-in parent as an
+ * event "notification" whose data is the notification (as in
+ * GET /api/notifications) and whose id is its id. Parents only.
+ * Query params: lastEventId (optional) — send what came after it first
+ */
+app.get("/api/notifications/stream", requireAuth("parent"), validate({ query: { lastEventId: optional(id()) } }), async (req, res) => {
+  try {
+    await openStream(req, res, {
+      parentId: req.auth.id,
+      lastEventId: lastEventIdOf(req),
+      expiresAt: req.auth.expiresAt,
+      tokenHash: req.auth.tokenHash,
+    });
+  } catch (err) {
+    logger.error("Error in /api/notifications/stream", err);
+    if (!res.headersSent) {
+      return res
+        .status(500)
+        .json({ success: false, message: "Server error opening notifications." });
+    }
+    return res.end();
+  }
+});
 
-    // Get total stats
-    const [totalStats] = await conn.execute(
-      `SELECT 
-         COUNT(*) as total_activities,
-         SUM(CASE WHEN activity_type = 'lesson' THEN 1 ELSE 0 END) as total_lessons,
-         SUM(duration_minutes) as total_minutes
-       FROM student_activities
-       WHERE student_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)`,
-      [studentId]
-    );
+const notificationsRequest = validate({
+  query: {
+    unread: optional(boolean(), false),
+    before: optional(id()),
+    limit: optional(integer({ min: 1, max: 100 }), NOTIFICATION_PAGE_SIZE),
+  },
+});
 
-    conn.release();
+/**
+ * GET /api/notifications?unread=&before=&limit=
+ * The signed-in parent's inbox, newest first. unread=true leaves out what's
+ * been read; before (a notification id) pages back, using nextBefore from
+ * the previous page. Parents only.
+ */
+app.get("/api/notifications", requireAuth("parent"), notificationsRequest, async (req, res) => {
+  const { unread, before, limit } = req.query;
 
+  try {
+    const rows = await storage.notifications.list(req.auth.id, { unreadOnly: unread, beforeId: before, limit });
     return res.json({
       success: true,
-      data: {
-        dailySessions: sessions,
-        subjectDistribution: subjectDist,
-        recentActivities: recentActivities,
-        totalStats: totalStats[0] || { total_activities: 0, total_lessons: 0, total_minutes: 0 }
-      }
+      notifications: rows.map(describeNotification),
+      unreadCount: await storage.notifications.countUnread(req.auth.id),
+      nextBefore: rows.length === limit ? rows[rows.length - 1].id : null,
     });
   } catch (err) {
-    if (conn) conn.release();
-    console.error("❌ Error in /api/activity/analytics:", err);
+    logger.error("Error in /api/notifications", err);
     return res
       .status(500)
-      .json({ success: false, message: "Server error fetching analytics." });
+      .json({ success: false, message: "Server error loading notifications." });
+  }
+});
+
+/**
+ * POST /api/notifications/read
+ * Marks the signed-in parent's notifications as read: the ones in ids, or
+ * all of them when ids isn't sent. Parents only.
+ * Body: { ids?: [1, 2] }
+ */
+app.post("/api/notifications/read", requireAuth("parent"), validate({ body: { ids: optional(array(id(), { min: 1 })) } }), async (req, res) => {
+  try {
+    const marked = await storage.notifications.markRead(req.auth.id, req.body.ids || null, clock.now());
+    return res.json({
+      success: true,
+      marked,
+      unreadCount: await storage.notifications.countUnread(req.auth.id),
+    });
+  } catch (err) {
+    logger.error("Error in /api/notifications/read", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error updating notifications." });
+  }
+});
+
+// -------------------- PRIVACY --------------------
+// Exports, deletion with a grace period and activity retention; see
+// lib/privacy.js. Every change is recorded in audit_log.
+
+// Deleting needs the parent's password again, not just a session
+async function confirmPassword(req, res) {
+  const account = await storage.parents.findById(req.auth.id);
+  if (await verifyPassword(req.body.password, account && account.password_hash)) {
+    return true;
+  }
+  res.status(401).json({ success: false, message: "Password is incorrect." });
+  return false;
+}
+
+function sendPrivacyResult(res, result, body) {
+  if (result.status) {
+    const { status, ...error } = result;
+    return res.status(status).json({ success: false, ...error });
+  }
+  return res.json({ success: true, ...body });
+}
+
+/**
+ * GET /api/privacy
+ * Parents: pending deletions and retention settings for their own account
+ * and each child.
+ */
+app.get("/api/privacy", requireAuth("parent"), async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await privacyOverview(req.auth.id)) });
+  } catch (err) {
+    logger.error("Error in /api/privacy", err);
+    return res.status(500).json({ success: false, message: "Server error loading privacy settings." });
+  }
+});
+
+const EXPORT_FORMATS = ["zip", "json"];
+
+const exportRequest = validate({
+  query: { studentId: optional(id()), format: optional(oneOf(EXPORT_FORMATS), "zip") },
+});
+
+/**
+ * GET /api/privacy/export?studentId=&format=zip|json
+ * Any guardian. Everything stored about the child: a .zip with export.json
+ * plus one CSV per table (the default), or just the JSON.
+ */
+app.get("/api/privacy/export", requireAuth("parent"), requireStudentAccess, exportRequest, async (req, res) => {
+  const { format } = req.query;
+
+  try {
+    const archive = await exportStudent(req.studentId);
+    if (!archive) {
+      return res.status(404).json({ success: false, message: "Student not found." });
+    }
+    await audit(storage, "data_exported", req.auth, { role: "student", id: req.studentId }, { format });
+
+    const name = `student-${req.studentId}-${archive.exportedAt.slice(0, 10)}`;
+    res.attachment(`${name}.${format}`);
+    if (format === "json") return res.json(archive);
+    return res.type("application/zip").send(createZip(exportFiles(archive), clock.now()));
+  } catch (err) {
+    logger.error("Error in /api/privacy/export", err);
+    return res.status(500).json({ success: false, message: "Server error exporting data." });
+  }
+});
+
+// The allowed range is setRetention()'s to check
+const retentionRequest = validate({
+  body: { studentId: optional(id()), days: nullable(integer()) },
+}, "Retention setting is invalid.");
+
+/**
+ * PUT /api/privacy/retention
+ * Primary guardian only. Body: { studentId, days } — how many days of
+ * activity history to keep, or null for the server default.
+ */
+app.put("/api/privacy/retention", requireAuth("parent"), requireStudentAccess, retentionRequest, async (req, res) => {
+  try {
+    const days = req.body.days ?? null;
+    const result = await setRetention(req.auth, req.studentId, days);
+    return sendPrivacyResult(res, result, { studentId: req.studentId, retentionDays: result.retentionDays });
+  } catch (err) {
+    logger.error("Error in /api/privacy/retention", err);
+    return res.status(500).json({ success: false, message: "Server error saving retention setting." });
+  }
+});
+
+const deletionRequest = validate({
+  body: { studentId: optional(id()), password: password() },
+}, "Password is required.");
+
+/**
+ * POST /api/privacy/deletion
+ * Primary guardian only. Body: { studentId, password }. The child is
+ * signed out and deleted, with everything stored about them, once the
+ * grace period is over.
+ */
+app.post("/api/privacy/deletion", requireAuth("parent"), requireStudentAccess, deletionRequest, async (req, res) => {
+  try {
+    if (!(await confirmPassword(req, res))) return;
+    const result = await requestStudentDeletion(req.auth, req.studentId);
+    return sendPrivacyResult(res, result, { deletion: result.deletion });
+  } catch (err) {
+    logger.error("Error in POST /api/privacy/deletion", err);
+    return res.status(500).json({ success: false, message: "Server error requesting deletion." });
+  }
+});
+
+/** DELETE /api/privacy/deletion?studentId= — any guardian can cancel */
+app.delete("/api/privacy/deletion", requireAuth("parent"), requireStudentAccess, async (req, res) => {
+  try {
+    const result = await cancelDeletion(req.auth, { role: "student", id: req.studentId });
+    return sendPrivacyResult(res, result, { deletion: result.deletion });
+  } catch (err) {
+    logger.error("Error in DELETE /api/privacy/deletion", err);
+    return res.status(500).json({ success: false, message: "Server error cancelling deletion." });
+  }
+});
+
+/**
+ * POST /api/privacy/account-deletion
+ * Body: { password }. Schedules the parent's own account for deletion.
+ * children lists what happens to each child they're primary guardian of:
+ * handed over to their next guardian, or deleted too.
+ */
+app.post("/api/privacy/account-deletion", requireAuth("parent"), validate({ body: { password: password() } }, "Password is required."), async (req, res) => {
+  try {
+    if (!(await confirmPassword(req, res))) return;
+    const result = await requestAccountDeletion(req.auth);
+    return sendPrivacyResult(res, result, { deletion: result.deletion, children: result.children });
+  } catch (err) {
+    logger.error("Error in POST /api/privacy/account-deletion", err);
+    return res.status(500).json({ success: false, message: "Server error requesting deletion." });
+  }
+});
+
+/** DELETE /api/privacy/account-deletion */
+app.delete("/api/privacy/account-deletion", requireAuth("parent"), async (req, res) => {
+  try {
+    const result = await cancelDeletion(req.auth, { role: "parent", id: req.auth.id });
+    return sendPrivacyResult(res, result, { deletion: result.deletion });
+  } catch (err) {
+    logger.error("Error in DELETE /api/privacy/account-deletion", err);
+    return res.status(500).json({ success: false, message: "Server error cancelling deletion." });
+  }
+});
+
+const AUDIT_SUBJECT_ROLES = ["student", "parent"];
+
+const auditLogRequest = validate({
+  query: (query) => ({
+    subjectRole: optional(oneOf(AUDIT_SUBJECT_ROLES)),
+    // One account is a role and an id
+    subjectId: query.subjectRole ? id() : optional(id()),
+    limit: optional(integer({ min: 1, max: 500 }), 100),
+  }),
+});
+
+/**
+ * GET /api/admin/audit-log?subjectRole=&subjectId=&limit=
+ * Newest first (limit 1-500, default 100). subjectRole and subjectId
+ * narrow it to one account.
+ */
+app.get("/api/admin/audit-log", auditLogRequest, async (req, res) => {
+  const { subjectRole, subjectId, limit } = req.query;
+
+  try {
+    const entries = await storage.auditLog.list({
+      subject_role: subjectRole,
+      subject_id: subjectId,
+      limit,
+    });
+    return res.json({ success: true, entries });
+  } catch (err) {
+    logger.error("Error in /api/admin/audit-log", err);
+    return res.status(500).json({ success: false, message: "Server error loading the audit log." });
+  }
+});
+
+// -------------------- TEACHERS / CLASSROOMS --------------------
+// Teachers run classrooms that students join with a code, set assignments
+// and see how the class is doing; see lib/classrooms.js. Teacher accounts
+// are made by admins.
+
+const teacherRequest = validate({
+  body: { name: string(), email: email(), school: optional(string(), null) },
+}, "Teacher details are invalid.");
+
+/** GET /api/admin/teachers */
+app.get("/api/admin/teachers", async (req, res) => {
+  try {
+    const teachers = await storage.teachers.list();
+    return res.json({
+      success: true,
+      teachers: teachers.map((t) => ({ id: t.id, name: t.full_name, email: t.email, school: t.school })),
+    });
+  } catch (err) {
+    logger.error("Error in GET /api/admin/teachers", err);
+    return res.status(500).json({ success: false, message: "Server error loading teachers." });
+  }
+});
+
+/**
+ * POST /api/admin/teachers
+ * Body: { name, email, school? }. Creates the account and emails the
+ * teacher a link to choose their password.
+ */
+app.post("/api/admin/teachers", teacherRequest, async (req, res) => {
+  const { name, email, school } = req.body;
+
+  try {
+    // Sign-in looks emails up across every kind of account
+    if (await findAccountByEmail(email)) {
+      return res.status(409).json({ success: false, message: "Email already exists." });
+    }
+    // Nobody knows this password; the emailed link replaces it
+    const unusable = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+    const teacherId = await storage.teachers.create({
+      full_name: name,
+      email,
+      password_hash: unusable,
+      school,
+    });
+    const teacher = await storage.teachers.findById(teacherId);
+    await sendAccountSetup("teacher", teacher, mailer);
+
+    return res.status(201).json({
+      success: true,
+      teacher: { id: teacher.id, name: teacher.full_name, email: teacher.email, school: teacher.school },
+    });
+  } catch (err) {
+    logger.error("Error in POST /api/admin/teachers", err);
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ success: false, message: "Email already exists." });
+    }
+    return res.status(500).json({ success: false, message: "Server error creating teacher." });
+  }
+});
+
+// Students and parents: the classes a child is in, joining and leaving.
+// Registered before /api/classrooms/:id so "joined" isn't read as an id.
+
+/**
+ * GET /api/classrooms/joined?studentId=
+ * The child's classes, each with its assignments and the child's status on
+ * them ("done", "late", "overdue" or "assigned"). Nothing about classmates.
+ */
+app.get("/api/classrooms/joined", requireAuth("student", "parent"), requireStudentAccess, async (req, res) => {
+  try {
+    return res.json({ success: true, classrooms: await studentClassrooms(req.studentId) });
+  } catch (err) {
+    logger.error("Error in /api/classrooms/joined", err);
+    return res.status(500).json({ success: false, message: "Server error loading classes." });
+  }
+});
+
+const joinRequest = validate({
+  body: { code: string({ max: 20 }), studentId: optional(id()) },
+}, "Join code is invalid.");
+
+/**
+ * POST /api/classrooms/join
+ * Body: { code, studentId? }. A student joins with their teacher's code, or
+ * a guardian joins them (with studentId). Joining twice is fine.
+ */
+app.post("/api/classrooms/join", requireAuth("student", "parent"), requireStudentAccess, joinRequest, async (req, res) => {
+  try {
+    const result = await joinClassroom(req.auth, req.studentId, req.body.code);
+    if (!result.classroom) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    const classroom = (await studentClassrooms(req.studentId)).find((c) => c.id === result.classroom.id);
+    return res.status(result.joined ? 201 : 200).json({ success: true, classroom });
+  } catch (err) {
+    logger.error("Error in /api/classrooms/join", err);
+    return res.status(500).json({ success: false, message: "Server error joining the class." });
+  }
+});
+
+/**
+ * POST /api/classrooms/:id/leave
+ * Body: { studentId? }. Takes the child out of the class; their teacher
+ * stops seeing them.
+ */
+app.post("/api/classrooms/:id/leave", requireAuth("student", "parent"), requireStudentAccess, idParam, async (req, res) => {
+  try {
+    if (!(await leaveClassroom(req.auth, req.studentId, req.params.id))) {
+      return res.status(404).json({ success: false, message: "Not in that class." });
+    }
+    return res.json({ success: true });
+  } catch (err) {
+    logger.error("Error in /api/classrooms/:id/leave", err);
+    return res.status(500).json({ success: false, message: "Server error leaving the class." });
+  }
+});
+
+// Teachers: their own classrooms only. Sets req.classroom.
+async function loadTeacherClassroom(req, res, next) {
+  try {
+    req.classroom = await findTeacherClassroom(req.auth.id, req.params.id);
+    if (!req.classroom) {
+      return res.status(404).json({ success: false, message: "Classroom not found." });
+    }
+    return next();
+  } catch (err) {
+    logger.error("Error loading classroom", err);
+    return res.status(500).json({ success: false, message: "Server error loading classroom." });
+  }
+}
+
+const teacherClassroom = [requireAuth("teacher"), idParam, loadTeacherClassroom];
+
+const classroomRequest = validate({ body: { name: string({ max: 100 }) } }, "Classroom is invalid.");
+
+/** GET /api/classrooms — the teacher's classrooms with their join codes */
+app.get("/api/classrooms", requireAuth("teacher"), async (req, res) => {
+  try {
+    const classrooms = await storage.classrooms.listByTeacher(req.auth.id);
+    return res.json({ success: true, classrooms: classrooms.map(describeClassroom) });
+  } catch (err) {
+    logger.error("Error in GET /api/classrooms", err);
+    return res.status(500).json({ success: false, message: "Server error loading classrooms." });
+  }
+});
+
+/** POST /api/classrooms — body: { name }. Answers with the new join code. */
+app.post("/api/classrooms", requireAuth("teacher"), classroomRequest, async (req, res) => {
+  try {
+    const classroom = await createClassroom(req.auth.id, req.body.name);
+    return res.status(201).json({ success: true, classroom: describeClassroom({ ...classroom, student_count: 0 }) });
+  } catch (err) {
+    logger.error("Error in POST /api/classrooms", err);
+    return res.status(500).json({ success: false, message: "Server error creating classroom." });
+  }
+});
+
+/** PUT /api/classrooms/:id — body: { name } */
+app.put("/api/classrooms/:id", teacherClassroom, classroomRequest, async (req, res) => {
+  try {
+    await storage.classrooms.update(req.classroom.id, { name: req.body.name });
+    return res.json({ success: true, classroom: { id: req.classroom.id, name: req.body.name } });
+  } catch (err) {
+    logger.error("Error in PUT /api/classrooms", err);
+    return res.status(500).json({ success: false, message: "Server error saving classroom." });
+  }
+});
+
+/** DELETE /api/classrooms/:id — with its memberships and assignments */
+app.delete("/api/classrooms/:id", teacherClassroom, async (req, res) => {
+  try {
+    await storage.classrooms.delete(req.classroom.id);
+    return res.json({ success: true });
+  } catch (err) {
+    logger.error("Error in DELETE /api/classrooms", err);
+    return res.status(500).json({ success: false, message: "Server error deleting classroom." });
+  }
+});
+
+/**
+ * POST /api/classrooms/:id/join-code
+ * A new join code, e.g. after the old one was shared too widely. Students
+ * already in the class stay.
+ */
+app.post("/api/classrooms/:id/join-code", teacherClassroom, async (req, res) => {
+  try {
+    const classroom = await replaceJoinCode(req.classroom.id);
+    return res.json({ success: true, joinCode: classroom.join_code });
+  } catch (err) {
+    logger.error("Error in /api/classrooms/:id/join-code", err);
+    return res.status(500).json({ success: false, message: "Server error changing the join code." });
+  }
+});
+
+/** GET /api/classrooms/:id/students — names and join dates */
+app.get("/api/classrooms/:id/students", teacherClassroom, async (req, res) => {
+  try {
+    const students = await storage.classrooms.listStudents(req.classroom.id);
+    return res.json({
+      success: true,
+      students: students.map((s) => ({ id: s.id, name: s.full_name, joinedAt: s.joined_at })),
+    });
+  } catch (err) {
+    logger.error("Error in /api/classrooms/:id/students", err);
+    return res.status(500).json({ success: false, message: "Server error loading students." });
+  }
+});
+
+/** DELETE /api/classrooms/:id/students/:studentId */
+app.delete(
+  "/api/classrooms/:id/students/:studentId",
+  requireAuth("teacher"),
+  validate({ params: { id: id(), studentId: id() } }),
+  loadTeacherClassroom,
+  async (req, res) => {
+    try {
+      if (!(await leaveClassroom(req.auth, req.params.studentId, req.classroom.id))) {
+        return res.status(404).json({ success: false, message: "That student isn't in this class." });
+      }
+      return res.json({ success: true });
+    } catch (err) {
+      logger.error("Error in DELETE /api/classrooms/:id/students", err);
+      return res.status(500).json({ success: false, message: "Server error removing the student." });
+    }
+  }
+);
+
+/** GET /api/classrooms/:id/assignments — soonest due first */
+app.get("/api/classrooms/:id/assignments", teacherClassroom, async (req, res) => {
+  try {
+    const rows = await storage.assignments.listForClassroom(req.classroom.id);
+    return res.json({ success: true, assignments: await describeAssignments(rows) });
+  } catch (err) {
+    logger.error("Error in GET /api/classrooms/:id/assignments", err);
+    return res.status(500).json({ success: false, message: "Server error loading assignments." });
+  }
+});
+
+const assignmentRequest = validate({ body: { contentId: id(), dueDate: date() } }, "Assignment is invalid.");
+
+/**
+ * POST /api/classrooms/:id/assignments
+ * Body: { contentId, dueDate }. contentId is a published lesson, video or
+ * game (see /api/content/list); each item can be assigned once per class.
+ */
+app.post("/api/classrooms/:id/assignments", teacherClassroom, assignmentRequest, async (req, res) => {
+  try {
+    const result = await assignContent(req.classroom, req.body);
+    if (!result.assignment) {
+      return res
+        .status(result.status)
+        .json({ success: false, message: result.message, errors: result.errors });
+    }
+    return res.status(201).json({ success: true, assignment: result.assignment });
+  } catch (err) {
+    logger.error("Error in POST /api/classrooms/:id/assignments", err);
+    return res.status(500).json({ success: false, message: "Server error saving the assignment." });
+  }
+});
+
+const assignmentParams = validate({ params: { id: id(), assignmentId: id() } });
+
+// The assignment if it belongs to req.classroom, else null
+async function findClassAssignment(req) {
+  const assignment = await storage.assignments.findById(req.params.assignmentId);
+  return assignment && assignment.classroom_id === req.classroom.id ? assignment : null;
+}
+
+/** PUT /api/classrooms/:id/assignments/:assignmentId — body: { dueDate } */
+app.put(
+  "/api/classrooms/:id/assignments/:assignmentId",
+  requireAuth("teacher"),
+  assignmentParams,
+  loadTeacherClassroom,
+  validate({ body: { dueDate: date() } }, "Assignment is invalid."),
+  async (req, res) => {
+    try {
+      const assignment = await findClassAssignment(req);
+      if (!assignment) {
+        return res.status(404).json({ success: false, message: "Assignment not found." });
+      }
+      await storage.assignments.update(assignment.id, { due_date: req.body.dueDate });
+      const [updated] = await describeAssignments([await storage.assignments.findById(assignment.id)]);
+      return res.json({ success: true, assignment: updated });
+    } catch (err) {
+      logger.error("Error in PUT /api/classrooms/:id/assignments", err);
+      return res.status(500).json({ success: false, message: "Server error saving the assignment." });
+    }
+  }
+);
+
+/** DELETE /api/classrooms/:id/assignments/:assignmentId */
+app.delete(
+  "/api/classrooms/:id/assignments/:assignmentId",
+  requireAuth("teacher"),
+  assignmentParams,
+  loadTeacherClassroom,
+  async (req, res) => {
+    try {
+      const assignment = await findClassAssignment(req);
+      if (!assignment) {
+        return res.status(404).json({ success: false, message: "Assignment not found." });
+      }
+      await storage.assignments.delete(assignment.id);
+      return res.json({ success: true });
+    } catch (err) {
+      logger.error("Error in DELETE /api/classrooms/:id/assignments", err);
+      return res.status(500).json({ success: false, message: "Server error deleting the assignment." });
+    }
+  }
+);
+
+/**
+ * GET /api/classrooms/:id/overview?start=&end=&days=
+ * The class view: per student and per assignment completion, minutes and
+ * quiz scores over the range (default the last 7 days), plus class totals.
+ * Dates are checked like /api/activity/analytics.
+ */
+app.get("/api/classrooms/:id/overview", teacherClassroom, validate({ query: rangeQuery }), async (req, res) => {
+  try {
+    const { range, errors } = parseRange(req.query, dayInfo(null).today);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Analytics range is invalid.", errors });
+    }
+    return res.json({ success: true, ...(await classOverview(req.classroom, range)) });
+  } catch (err) {
+    logger.error("Error in /api/classrooms/:id/overview", err);
+    return res.status(500).json({ success: false, message: "Server error loading the class view." });
   }
 });
 
@@ -788,6 +3307,57 @@ app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, "index.html"));
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running at http://localhost:${PORT}`);
-});
\ No newline at end of file
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+async function start() {
+  // The in-memory store starts empty on every boot: load the starter content,
+  // and optionally demo accounts
+  if (storage.driver === "memory") {
+    await importBundledContent(storage);
+  }
+  if (storage.driver === "memory" && process.env.SEED_DEMO_DATA === "true") {
+    const { seed } = require("./db/seed");
+    const result = await seed(storage);
+    // The demo password is public; it's in the message so redaction keeps it
+    logger.info(`Demo data loaded (password: ${result.password})`);
+  }
+
+  const server = app.listen(PORT, () => {
+    logger.info("Server running", { url: `http://localhost:${PORT}`, storage: storage.driver });
+  });
+
+  const stops = [];
+  if (process.env.WEEKLY_REPORTS !== "off") {
+    stops.push(startReportScheduler(mailer));
+  }
+  if (process.env.PRIVACY_JOBS !== "off") {
+    stops.push(startPrivacyScheduler());
+  }
+  if (process.env.NOTIFICATION_JOBS !== "off") {
+    stops.push(startNotificationScheduler());
+  }
+  stops.push(startSessionSweeper());
+  // Open notification streams would otherwise hold the server open
+  stops.push(closeStreams);
+
+  // Orchestrators send SIGTERM and wait; Ctrl+C sends SIGINT. A second
+  // signal while draining doesn't start another shutdown.
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    logger.info("Shutting down", { signal });
+    const clean = await drainAndClose({ server, stops, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    logger.info(clean ? "Shut down cleanly" : "Shut down with connections cut off");
+    process.exit(clean ? 0 : 1);
+  };
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+// Tests require the app without binding a port
+if (require.main === module) {
+  start();
+}
+
+module.exports = app;
@@ -0,0 +1,109 @@
+// Service worker for the student dashboard (registered by studentdashboard.html).
+// - The dashboard page and what it loads are cached on install, and served
+//   from the cache (refreshed in the background) so it opens offline.
+// - The API reads the dashboard needs offline are fetched from the network
+//   and copied into API_CACHE; with no network the last copy is served.
+//   The dashboard warms that cache with the lessons for the student's
+//   subjects, so they can be read offline.
+// - Everything else goes straight to the network. Writes never touch the
+//   cache: the dashboard queues them itself and sends them to
+//   /api/sync/events when it's back online.
+
+const SHELL_CACHE = "edu-shell-v2";
+const API_CACHE = "edu-api-v1";
+
+const SHELL_FILES = [
+  "/studentdashboard.html",
+  "/i18n.js",
+  "/styles.css",
+  "/manifest.webmanifest",
+  "/images/app-icon.svg",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js",
+];
+
+const OFFLINE_API = [
+  "/api/content/",
+  "/api/subjects",
+  "/api/student-dashboard-data",
+  "/api/rewards",
+  "/api/controls",
+  "/api/classrooms/joined",
+  "/api/i18n",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions of this file
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, API_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => !current.includes(n)).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const offlineResponse = () =>
+  new Response(
+    JSON.stringify({ success: false, offline: true, message: "You're offline. This will load once you're back online." }),
+    { status: 503, headers: { "Content-Type": "application/json" } }
+  );
+
+async function networkFirst(request) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    return (await cache.match(request)) || offlineResponse();
+  }
+}
+
+async function cacheFirst(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request)
+    .then((response) => {
+      if (response.ok) cache.put(event.request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || Response.error();
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin && url.pathname.startsWith("/api/")) {
+    if (OFFLINE_API.some((prefix) => url.pathname.startsWith(prefix))) {
+      event.respondWith(networkFirst(request));
+    }
+    return;
+  }
+  if (SHELL_FILES.some((file) => new URL(file, self.location.origin).href === url.origin + url.pathname)) {
+    event.respondWith(cacheFirst(event));
+  }
+});
+
+// The dashboard asks for this when a different student signs in on the device
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "clear-api-cache") {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
@@ -0,0 +1,108 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  timeActivity,
+  registerFamily,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function logActivity(token, body) {
+  return api("POST", "/api/activity/log", { token, body });
+}
+
+describe("POST /api/activity/log", () => {
+  test("records an activity and rolls it into the day's session", async () => {
+    clock.setNow("2026-02-03T02:00:00Z");
+    const family = await registerFamily("aroha");
+
+    await timeActivity(family.studentToken, { activityType: "lesson", subject: "Physics" }, 10);
+    await logActivity(family.studentToken, { activityType: "video", subject: "Maths" });
+
+    const res = await api("GET", "/api/activity/analytics", { token: family.studentToken });
+    const { dailySessions, totalStats, subjectDistribution, recentActivities } = res.body.data;
+
+    assert.equal(dailySessions.length, 1);
+    assert.equal(dailySessions[0].total_minutes, 10); // the logged video adds none
+    assert.equal(dailySessions[0].lessons_count, 1);
+    assert.equal(dailySessions[0].videos_count, 1);
+    assert.equal(totalStats.total_activities, 2);
+    assert.equal(totalStats.total_lessons, 1);
+    assert.equal(subjectDistribution.length, 2);
+    assert.equal(recentActivities[0].subject, "Maths");
+  });
+
+  test("validates the activity type", async () => {
+    const family = await registerFamily("aroha");
+
+    const missing = await logActivity(family.studentToken, { activityType: "lesson" });
+    const invalid = await logActivity(family.studentToken, {
+      activityType: "nap",
+      subject: "Physics",
+    });
+
+    assert.equal(missing.status, 400);
+    assert.equal(invalid.status, 400);
+  });
+
+  test("only students can log activity", async () => {
+    const family = await registerFamily("aroha");
+    const res = await logActivity(family.parentToken, {
+      studentId: family.studentId,
+      activityType: "lesson",
+      subject: "Physics",
+    });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("GET /api/activity/analytics", () => {
+  test("returns empty totals for a new student", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/activity/analytics", { token: family.studentToken });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.dailySessions, []);
+    assert.equal(res.body.data.totalStats.total_activities, 0);
+  });
+
+  test("leaves out activity older than the window", async () => {
+    clock.setNow("2026-02-01T02:00:00Z");
+    const family = await registerFamily("aroha");
+    await logActivity(family.studentToken, { activityType: "game", subject: "Maths" });
+
+    clock.setNow("2026-03-15T02:00:00Z");
+    const token = await login("aroha.student@example.com");
+    const res = await api("GET", "/api/activity/analytics", { token });
+
+    assert.deepEqual(res.body.data.dailySessions, []);
+    assert.equal(res.body.data.totalStats.total_activities, 0);
+    assert.equal(res.body.data.recentActivities.length, 1);
+  });
+
+  test("parents see their own children only", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const own = await api("GET", `/api/activity/analytics?studentId=${aroha.studentId}`, {
+      token: aroha.parentToken,
+    });
+    const other = await api("GET", `/api/activity/analytics?studentId=${james.studentId}`, {
+      token: aroha.parentToken,
+    });
+    const none = await api("GET", "/api/activity/analytics", { token: aroha.parentToken });
+
+    assert.equal(own.status, 200);
+    assert.equal(other.status, 403);
+    assert.equal(none.status, 400);
+  });
+});
@@ -0,0 +1,238 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, startServer, stopServer, resetState, registerFamily, createAdmin } = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+const lesson = {
+  title: "Acids and Bases",
+  overview: "What the pH scale measures.",
+  blocks: [{ heading: "The pH scale", content: "pH runs from 0 to 14; 7 is neutral." }],
+  quiz: [
+    { question: "What pH is neutral?", answers: ["0", "7", "14"], correctIndex: 1 },
+  ],
+};
+
+async function addSubject(token, name) {
+  return api("POST", "/api/admin/subjects", { token, body: { name } });
+}
+
+async function addItem(token, body) {
+  return api("POST", "/api/admin/content", { token, body });
+}
+
+describe("admin role", () => {
+  test("admin endpoints reject students and parents", async () => {
+    const family = await registerFamily("aroha");
+
+    const student = await addSubject(family.studentToken, "Chemistry");
+    const parent = await api("GET", "/api/admin/content?subject=Maths", {
+      token: family.parentToken,
+    });
+    const anon = await addSubject(undefined, "Chemistry");
+
+    assert.equal(student.status, 403);
+    assert.equal(parent.status, 403);
+    assert.equal(anon.status, 401);
+  });
+
+  test("admins sign in through /api/login", async () => {
+    const token = await createAdmin();
+    const session = await api("GET", "/api/session", { token });
+    assert.equal(session.body.role, "admin");
+  });
+});
+
+describe("subjects", () => {
+  test("a new subject is served without code changes", async () => {
+    const admin = await createAdmin();
+    const family = await registerFamily("aroha");
+
+    const created = await addSubject(admin, "Chemistry");
+    assert.equal(created.status, 200);
+
+    const item = await addItem(admin, {
+      subject: "Chemistry",
+      format: "lessons",
+      item: lesson,
+      published: true,
+    });
+    assert.equal(item.status, 200);
+
+    const subjects = await api("GET", "/api/subjects");
+    assert.deepEqual(
+      subjects.body.subjects.map((s) => s.name),
+      ["Engineering", "Physics", "Maths", "Chemistry"]
+    );
+
+    const content = await api("GET", "/api/content?subject=Chemistry&format=lessons", {
+      token: family.studentToken,
+    });
+    assert.equal(content.body.item.title, "Acids and Bases");
+    assert.equal(content.body.item.questions[0].answers.length, 3);
+
+    const quiz = await api("POST", "/api/quiz/submit", {
+      token: family.studentToken,
+      body: { subject: "Chemistry", lessonIndex: 0, questionIndex: 0, answerIndex: 1 },
+    });
+    assert.equal(quiz.body.lessonMastery, 100);
+  });
+
+  test("rejects duplicate and empty subject names", async () => {
+    const admin = await createAdmin();
+
+    assert.equal((await addSubject(admin, "maths")).status, 409);
+    assert.equal((await addSubject(admin, "  ")).status, 400);
+  });
+});
+
+describe("content items", () => {
+  test("new items start unpublished and are hidden from students", async () => {
+    const admin = await createAdmin();
+    const family = await registerFamily("aroha");
+    await addSubject(admin, "Chemistry");
+
+    const created = await addItem(admin, { subject: "Chemistry", format: "lessons", item: lesson });
+    assert.equal(created.body.item.published, false);
+
+    const hidden = await api("GET", `/api/content/${created.body.item.id}`, {
+      token: family.studentToken,
+    });
+    assert.equal(hidden.status, 404);
+
+    await api("POST", `/api/admin/content/${created.body.item.id}/publish`, { token: admin });
+    const shown = await api("GET", "/api/content?subject=Chemistry&format=lessons", {
+      token: family.studentToken,
+    });
+    assert.equal(shown.body.item.title, "Acids and Bases");
+
+    await api("POST", `/api/admin/content/${created.body.item.id}/unpublish`, { token: admin });
+    const again = await api("GET", "/api/content?subject=Chemistry&format=lessons", {
+      token: family.studentToken,
+    });
+    assert.equal(again.status, 404);
+  });
+
+  test("admins see full items including quiz answers", async () => {
+    const admin = await createAdmin();
+    const res = await api("GET", "/api/admin/content?subject=Engineering&format=lessons", {
+      token: admin,
+    });
+
+    assert.equal(res.body.items.length, 3);
+    assert.equal(res.body.items[0].item.quiz[0].correctIndex, 1);
+  });
+
+  test("edits replace the item and are validated", async () => {
+    const admin = await createAdmin();
+    const list = await api("GET", "/api/admin/content?subject=Physics&format=videos", {
+      token: admin,
+    });
+    const video = list.body.items[0];
+
+    const ok = await api("PUT", `/api/admin/content/${video.id}`, {
+      token: admin,
+      body: { item: { ...video.item, title: "Newton's Laws (updated)" } },
+    });
+    const bad = await api("PUT", `/api/admin/content/${video.id}`, {
+      token: admin,
+      body: { item: { title: "Oops", youtubeId: "https://youtu.be/kKKM8Y-u7ds" } },
+    });
+    const missing = await api("PUT", "/api/admin/content/9999", {
+      token: admin,
+      body: { item: video.item },
+    });
+
+    assert.equal(ok.body.item.item.title, "Newton's Laws (updated)");
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors.map((e) => e.field), ["youtubeId"]);
+    assert.equal(missing.status, 404);
+  });
+
+  test("reorders items and rejects incomplete id lists", async () => {
+    const admin = await createAdmin();
+    const family = await registerFamily("aroha");
+    const list = await api("GET", "/api/admin/content?subject=Maths&format=games", {
+      token: admin,
+    });
+    const ids = list.body.items.map((i) => i.id);
+
+    const res = await api("POST", "/api/admin/content/reorder", {
+      token: admin,
+      body: { subject: "Maths", format: "games", ids: [...ids].reverse() },
+    });
+    const partial = await api("POST", "/api/admin/content/reorder", {
+      token: admin,
+      body: { subject: "Maths", format: "games", ids: ids.slice(1) },
+    });
+
+    assert.deepEqual(res.body.items.map((i) => i.id), [...ids].reverse());
+    assert.equal(partial.status, 400);
+
+    const first = await api("GET", "/api/content?subject=Maths&format=games&index=0", {
+      token: family.studentToken,
+    });
+    assert.equal(first.body.item.title, list.body.items[2].item.title);
+  });
+
+  test("deletes items", async () => {
+    const admin = await createAdmin();
+    const list = await api("GET", "/api/admin/content?subject=Maths&format=videos", {
+      token: admin,
+    });
+    const id = list.body.items[0].id;
+
+    const res = await api("DELETE", `/api/admin/content/${id}`, { token: admin });
+    const after = await api("GET", "/api/admin/content?subject=Maths&format=videos", {
+      token: admin,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(after.body.items.length, 2);
+    assert.equal((await api("DELETE", `/api/admin/content/${id}`, { token: admin })).status, 404);
+  });
+});
+
+describe("content schema", () => {
+  const { validateItem } = require("../lib/content");
+  const fields = (format, item) => validateItem(format, item).map((e) => e.field);
+
+  test("lessons need a title and blocks, and quiz answers must line up", () => {
+    assert.deepEqual(fields("lessons", lesson), []);
+    assert.deepEqual(fields("lessons", { ...lesson, title: "", blocks: [] }), ["title", "blocks"]);
+    assert.deepEqual(
+      fields("lessons", {
+        ...lesson,
+        quiz: { question: "Q?", answers: ["a", "b"], correctIndex: 2 },
+      }),
+      ["quiz.correctIndex"]
+    );
+    assert.deepEqual(
+      fields("lessons", { ...lesson, blocks: [{ heading: "Only a heading" }] }),
+      ["blocks[0].content"]
+    );
+  });
+
+  test("games need an http(s) url and unknown fields are rejected", () => {
+    assert.deepEqual(fields("games", { title: "Sim", url: "https://phet.colorado.edu/" }), []);
+    assert.deepEqual(fields("games", { title: "Sim", url: "javascript:alert(1)" }), ["url"]);
+    assert.deepEqual(
+      fields("videos", { title: "Clip", youtubeID: "abc" }),
+      ["youtubeID", "youtubeId"]
+    );
+  });
+
+  test("the starter content passes the schema", () => {
+    const { readBundledContent } = require("../db/bundled-content");
+    for (const subject of readBundledContent()) {
+      for (const [format, items] of Object.entries(subject.items)) {
+        for (const item of items) {
+          assert.deepEqual(validateItem(format, item), [], `${subject.name} ${format}: ${item.title}`);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,178 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  timeActivity,
+  registerFamily,
+  PASSWORD,
+} = require("./helpers");
+const { parseRange, buckets } = require("../lib/analytics");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+// Times activity starting at a given instant, signing in again so the
+// session is fresh
+async function timeAt(instant, email, { minutes, ...body }) {
+  clock.setNow(instant);
+  const token = await login(email);
+  return timeActivity(token, body, minutes);
+}
+
+const analytics = (token, query) => api("GET", `/api/activity/analytics?${query}`, { token });
+
+// Two weeks of NZ activity: Mon 2 Mar to Sun 15 Mar 2026
+async function twoWeeks() {
+  clock.setNow("2026-03-01T21:00:00Z");
+  const family = await registerFamily("aroha");
+  const email = "aroha.student@example.com";
+
+  // Week 1: 2 days, 40 minutes
+  await timeAt("2026-03-01T21:00:00Z", email, { activityType: "lesson", subject: "Maths", minutes: 20 });
+  await timeAt("2026-03-04T21:00:00Z", email, { activityType: "video", subject: "Physics", minutes: 20 });
+  // Week 2: 3 days, 60 minutes
+  await timeAt("2026-03-08T21:00:00Z", email, { activityType: "game", subject: "Maths", minutes: 10 });
+  await timeAt("2026-03-09T21:00:00Z", email, { activityType: "lesson", subject: "Maths", minutes: 30 });
+  await timeAt("2026-03-14T21:00:00Z", email, { activityType: "video", subject: "Engineering", minutes: 20 });
+
+  clock.setNow("2026-03-15T09:00:00Z"); // Sun 15 Mar, 10pm NZ
+  return { ...family, studentToken: await login(email), parentToken: await login("aroha.parent@example.com") };
+}
+
+describe("GET /api/activity/analytics", () => {
+  test("totals cover every format in the range", async () => {
+    const family = await twoWeeks();
+
+    const res = await analytics(family.studentToken, "start=2026-03-02&end=2026-03-15");
+
+    const { totalStats, totals } = res.body.data;
+    assert.equal(res.status, 200);
+    assert.deepEqual(totalStats, {
+      total_activities: 5,
+      total_lessons: 2,
+      total_videos: 2,
+      total_games: 1,
+      total_minutes: 100,
+    });
+    assert.equal(totals.activeDays, 5);
+    assert.equal(totals.averageSessionMinutes, 20);
+    assert.equal(res.body.data.dates.length, 14);
+  });
+
+  test("weekly series split by subject and format", async () => {
+    const family = await twoWeeks();
+
+    const res = await analytics(family.parentToken, `studentId=${family.studentId}&start=2026-03-02&end=2026-03-15&granularity=week`);
+
+    const { series, subjects, formats } = res.body.data;
+    assert.deepEqual(
+      series.map((b) => [b.start, b.end, b.minutes, b.activities]),
+      [
+        ["2026-03-02", "2026-03-08", 40, 2],
+        ["2026-03-09", "2026-03-15", 60, 3],
+      ]
+    );
+    assert.deepEqual(subjects.find((s) => s.subject === "Maths"), {
+      subject: "Maths",
+      minutes: [20, 40],
+      activities: [1, 2],
+    });
+    assert.deepEqual(formats.map((f) => [f.format, f.minutes]), [
+      ["lessons", [20, 30]],
+      ["videos", [20, 20]],
+      ["games", [0, 10]],
+    ]);
+  });
+
+  test("compares the last 7 days with the 7 before", async () => {
+    const family = await twoWeeks();
+
+    const res = await analytics(family.studentToken, "days=7");
+
+    const { comparison } = res.body.data;
+    assert.equal(comparison.current.start, "2026-03-09");
+    assert.equal(comparison.current.minutes, 60);
+    assert.equal(comparison.previous.minutes, 40);
+    assert.deepEqual(comparison.change.minutes, { difference: 20, percent: 50 });
+    assert.deepEqual(comparison.change.activeDays, { difference: 1, percent: 50 });
+  });
+
+  test("rejects bad ranges", async () => {
+    const family = await registerFamily("aroha");
+
+    const res = await analytics(family.studentToken, "start=2026-03-10&end=2026-03-01&granularity=year");
+    const tooLong = await analytics(family.studentToken, "start=2024-01-01&end=2026-01-01");
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field), ["granularity", "end"]);
+    assert.equal(tooLong.status, 400);
+  });
+});
+
+describe("GET /api/analytics/siblings", () => {
+  test("puts a parent's children side by side", async () => {
+    const family = await twoWeeks();
+    await api("POST", "/api/register-student", {
+      token: family.parentToken,
+      body: {
+        studentName: "Mere Student",
+        studentEmail: "mere.student@example.com",
+        studentPassword: PASSWORD,
+        studentAge: 9,
+        studentInterests: "Maths",
+      },
+    });
+    await timeAt("2026-03-15T08:00:00Z", "mere.student@example.com", {
+      activityType: "game",
+      subject: "Maths",
+      minutes: 45,
+    });
+
+    const res = await api("GET", "/api/analytics/siblings?days=7", { token: family.parentToken });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.range, { start: "2026-03-09", end: "2026-03-15" });
+    assert.deepEqual(
+      res.body.students.map((s) => [s.name, s.minutes, s.activities, s.activeDays]),
+      [
+        ["aroha Student", 60, 3, 3],
+        ["Mere Student", 45, 1, 1],
+      ]
+    );
+    assert.equal(res.body.students[1].subjects.find((s) => s.subject === "Maths").minutes, 45);
+  });
+
+  test("is for parents only", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/analytics/siblings", { token: family.studentToken });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("ranges", () => {
+  test("buckets are cut to the range", () => {
+    const { range } = parseRange({ start: "2026-01-28", end: "2026-03-03", granularity: "month" }, "2026-03-03");
+
+    assert.deepEqual(buckets(range), [
+      { start: "2026-01-28", end: "2026-01-31" },
+      { start: "2026-02-01", end: "2026-02-28" },
+      { start: "2026-03-01", end: "2026-03-03" },
+    ]);
+    assert.deepEqual(buckets({ ...range, granularity: "week" })[0], { start: "2026-01-28", end: "2026-02-01" });
+  });
+
+  test("days counts back from end", () => {
+    assert.deepEqual(parseRange({ days: "3" }, "2026-03-03").range, {
+      start: "2026-03-01",
+      end: "2026-03-03",
+      granularity: "day",
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+
+const {
+  api,
+  storage,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  createTeacher,
+  PASSWORD,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+const familyBody = {
+  parentName: "Aroha Parent",
+  parentEmail: "aroha@example.com",
+  parentPassword: PASSWORD,
+  studentName: "Mere",
+  studentEmail: "mere@example.com",
+  studentPassword: PASSWORD,
+  studentAge: 12,
+  studentInterests: "Physics",
+};
+
+describe("POST /api/register-parent", () => {
+  test("creates both accounts and signs in the parent", async () => {
+    const res = await api("POST", "/api/register-parent", { body: familyBody });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.role, "parent");
+    assert.ok(res.body.token);
+    assert.match(res.headers.get("set-cookie"), /sid=.*HttpOnly/);
+
+    const student = await storage.students.findById(res.body.studentId);
+    assert.equal(student.parent_id, res.body.parentId);
+  });
+
+  test("signInAs student starts a student session", async () => {
+    const res = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, signInAs: "student" },
+    });
+    const session = await api("GET", "/api/session", { token: res.body.token });
+
+    assert.equal(session.body.role, "student");
+    assert.equal(session.body.id, res.body.studentId);
+  });
+
+  test("rejects missing fields", async () => {
+    const res = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, studentAge: undefined },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test("returns 409 for a duplicate parent email", async () => {
+    await api("POST", "/api/register-parent", { body: familyBody });
+    const res = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, studentEmail: "other@example.com" },
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Parent email already exists.");
+  });
+
+  test("returns 409 for a duplicate student email without creating the parent", async () => {
+    await api("POST", "/api/register-parent", { body: familyBody });
+    const res = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, parentEmail: "new.parent@example.com" },
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Student email already exists.");
+    assert.equal(await storage.parents.findByEmail("new.parent@example.com"), null);
+  });
+
+  test("returns 409 for an email a teacher or student signs in with", async () => {
+    await createTeacher("whaea@example.com");
+    await registerFamily("aroha");
+
+    const teacher = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, parentEmail: "whaea@example.com" },
+    });
+    const student = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, parentEmail: "aroha.student@example.com" },
+    });
+    const sameAsChild = await api("POST", "/api/register-parent", {
+      body: { ...familyBody, studentEmail: familyBody.parentEmail },
+    });
+
+    assert.equal(teacher.status, 409);
+    assert.equal(student.status, 409);
+    assert.equal(sameAsChild.status, 409);
+    assert.equal(await storage.parents.findByEmail("whaea@example.com"), null);
+    assert.equal(await storage.parents.findByEmail(familyBody.parentEmail), null);
+  });
+
+  test("rolls back the parent when creating the student fails", async (t) => {
+    const realHash = bcrypt.hash;
+    let calls = 0;
+    t.mock.method(bcrypt, "hash", async (...args) => {
+      calls += 1;
+      if (calls === 2) throw new Error("hash failed");
+      return realHash(...args);
+    });
+
+    const res = await api("POST", "/api/register-parent", { body: familyBody });
+
+    assert.equal(res.status, 500);
+    assert.equal(await storage.parents.findByEmail(familyBody.parentEmail), null);
+    assert.equal(await storage.students.findByEmail(familyBody.studentEmail), null);
+  });
+});
+
+describe("POST /api/register-student", () => {
+  const studentBody = {
+    studentName: "Tama",
+    studentEmail: "tama@example.com",
+    studentPassword: PASSWORD,
+    studentAge: 9,
+    studentInterests: "Maths",
+  };
+
+  test("asks the named parent to approve instead of linking, and signs the student in", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("POST", "/api/register-student", {
+      body: { ...studentBody, parentEmail: "aroha.parent@example.com" },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.parentId, null);
+    assert.equal(res.body.invitation.kind, "link");
+    assert.ok(res.body.token);
+    assert.equal((await storage.students.findById(res.body.studentId)).parent_id, null);
+    assert.equal(await storage.guardians.isGuardian(res.body.studentId, family.parentId), false);
+  });
+
+  test("a signed-in parent adds a child without losing their session", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("POST", "/api/register-student", {
+      token: family.parentToken,
+      body: studentBody,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.parentId, family.parentId);
+    assert.equal(res.body.token, undefined);
+  });
+
+  test("returns 409 for a duplicate email and 400 for missing fields", async () => {
+    await api("POST", "/api/register-student", { body: studentBody });
+    const dup = await api("POST", "/api/register-student", { body: studentBody });
+    const missing = await api("POST", "/api/register-student", {
+      body: { ...studentBody, studentInterests: "" },
+    });
+
+    assert.equal(dup.status, 409);
+    assert.equal(missing.status, 400);
+  });
+
+  test("can't take a parent's email, so the parent can still sign in", async () => {
+    await registerFamily("aroha");
+    const res = await api("POST", "/api/register-student", {
+      body: { ...studentBody, studentEmail: "aroha.parent@example.com" },
+    });
+    const parent = await api("POST", "/api/login", {
+      body: { email: "aroha.parent@example.com", password: PASSWORD },
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(parent.status, 200);
+    assert.equal(parent.body.role, "parent");
+  });
+});
+
+describe("login, logout and sessions", () => {
+  test("logs in students and parents", async () => {
+    await registerFamily("aroha");
+
+    const student = await api("POST", "/api/login", {
+      body: { email: "aroha.student@example.com", password: PASSWORD },
+    });
+    const parent = await api("POST", "/api/login", {
+      body: { email: "aroha.parent@example.com", password: PASSWORD },
+    });
+
+    assert.equal(student.body.role, "student");
+    assert.equal(parent.body.role, "parent");
+    assert.equal(student.body.password_hash, undefined);
+  });
+
+  test("rejects bad credentials", async () => {
+    await registerFamily("aroha");
+
+    const wrong = await api("POST", "/api/login", {
+      body: { email: "aroha.student@example.com", password: "nope" },
+    });
+    const unknown = await api("POST", "/api/login", {
+      body: { email: "nobody@example.com", password: PASSWORD },
+    });
+    const missing = await api("POST", "/api/login", { body: { email: "x@example.com" } });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.message, wrong.body.message);
+    assert.equal(missing.status, 400);
+  });
+
+  test("other origins aren't allowed to make credentialed calls", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/session", {
+      token: family.studentToken,
+      headers: { Origin: "https://evil.example.com" },
+    });
+
+    assert.equal(res.headers.get("access-control-allow-origin"), null);
+  });
+
+  test("accepts the session cookie as well as a Bearer token", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/session", {
+      headers: { Cookie: `sid=${encodeURIComponent(family.studentToken)}` },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, family.studentId);
+  });
+
+  test("rejects tampered tokens", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/session", { token: family.studentToken + "x" });
+    assert.equal(res.status, 401);
+  });
+
+  test("logout ends the session", async () => {
+    const family = await registerFamily("aroha");
+    await api("POST", "/api/logout", { token: family.studentToken });
+    const res = await api("GET", "/api/session", { token: family.studentToken });
+
+    assert.equal(res.status, 401);
+  });
+
+  test("sessions expire after the TTL", async () => {
+    clock.setNow("2026-05-01T00:00:00Z");
+    const family = await registerFamily("aroha");
+
+    clock.setNow("2026-05-01T11:59:00Z");
+    assert.equal((await api("GET", "/api/session", { token: family.studentToken })).status, 200);
+
+    clock.setNow("2026-05-01T12:00:01Z");
+    assert.equal((await api("GET", "/api/session", { token: family.studentToken })).status, 401);
+  });
+
+  test("GET /api/health needs no session", async () => {
+    const res = await api("GET", "/api/health");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+  });
+});
@@ -0,0 +1,265 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  mailer,
+  startServer,
+  stopServer,
+  resetState,
+  timeActivity,
+  registerFamily,
+  createAdmin,
+  createTeacher,
+  PASSWORD,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function firstItem(subject, format) {
+  const row = await storage.subjects.findByName(subject);
+  const [item] = await storage.contentItems.list(row.id, format);
+  return item;
+}
+
+async function createClassroom(teacherToken, name = "Room 7") {
+  const res = await api("POST", "/api/classrooms", { token: teacherToken, body: { name } });
+  return res.body.classroom;
+}
+
+const join = (token, code, studentId) =>
+  api("POST", "/api/classrooms/join", { token, body: { code, studentId } });
+
+const logItem = (token, contentId, minutes = 10) => timeActivity(token, { contentId }, minutes);
+
+describe("teacher accounts", () => {
+  test("admins create them, and the teacher picks a password from the email", async () => {
+    const admin = await createAdmin();
+    await registerFamily("aroha");
+
+    const taken = await api("POST", "/api/admin/teachers", {
+      token: admin,
+      body: { name: "Aroha", email: "aroha.parent@example.com" },
+    });
+    const res = await api("POST", "/api/admin/teachers", {
+      token: admin,
+      body: { name: "Whaea Mere", email: "mere.teacher@example.com", school: "Kura School" },
+    });
+
+    assert.equal(taken.status, 409);
+    assert.equal(res.status, 201);
+    const message = mailer.sent.at(-1);
+    assert.equal(message.to, "mere.teacher@example.com");
+    const token = message.text.match(/token=([\w-]+)/)[1];
+    const reset = await api("POST", "/api/password-reset/confirm", { body: { token, newPassword: PASSWORD } });
+    assert.equal(reset.status, 200);
+
+    const signIn = await api("POST", "/api/login", {
+      body: { email: "mere.teacher@example.com", password: PASSWORD },
+    });
+    assert.equal(signIn.body.role, "teacher");
+    assert.equal(signIn.body.teacherId, res.body.teacher.id);
+  });
+
+  test("only admins can create them", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("POST", "/api/admin/teachers", {
+      token: family.parentToken,
+      body: { name: "Sneaky", email: "sneaky@example.com" },
+    });
+    assert.equal(res.status, 403);
+  });
+});
+
+describe("classrooms and join codes", () => {
+  test("students join with the code, in any case, and show up on the roster", async () => {
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const classroom = await createClassroom(teacherToken);
+
+    assert.match(classroom.joinCode, /^[A-HJ-NP-Z2-9]{8}$/);
+    const typed = `${classroom.joinCode.slice(0, 4).toLowerCase()}-${classroom.joinCode.slice(4)}`;
+    const joined = await join(aroha.studentToken, typed);
+    const again = await join(aroha.studentToken, classroom.joinCode);
+    const wrong = await join(aroha.studentToken, "ZZZZ2222");
+
+    assert.equal(joined.status, 201);
+    assert.equal(joined.body.classroom.teacher, "Whaea Teacher");
+    assert.equal(again.status, 200);
+    assert.equal(wrong.status, 404);
+
+    const roster = await api("GET", `/api/classrooms/${classroom.id}/students`, { token: teacherToken });
+    assert.deepEqual(roster.body.students.map((s) => [s.id, s.name]), [[aroha.studentId, "aroha Student"]]);
+    assert.equal(roster.body.students[0].email, undefined);
+  });
+
+  test("a parent can join their own child, but not someone else's", async () => {
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+    const { joinCode } = await createClassroom(teacherToken);
+
+    assert.equal((await join(aroha.parentToken, joinCode, aroha.studentId)).status, 201);
+    assert.equal((await join(aroha.parentToken, joinCode, james.studentId)).status, 403);
+
+    const log = await storage.auditLog.list({ subject_role: "student", subject_id: aroha.studentId, limit: 5 });
+    assert.deepEqual(log.map((e) => [e.action, e.actor_role]), [["classroom_joined", "parent"]]);
+  });
+
+  test("a new join code replaces the old one; the teacher can remove a student", async () => {
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const classroom = await createClassroom(teacherToken);
+    await join(aroha.studentToken, classroom.joinCode);
+
+    const fresh = await api("POST", `/api/classrooms/${classroom.id}/join-code`, { token: teacherToken });
+    assert.notEqual(fresh.body.joinCode, classroom.joinCode);
+    assert.equal((await join(aroha.parentToken, classroom.joinCode, aroha.studentId)).status, 404);
+
+    const removed = await api("DELETE", `/api/classrooms/${classroom.id}/students/${aroha.studentId}`, {
+      token: teacherToken,
+    });
+    assert.equal(removed.status, 200);
+    const joined = await api("GET", "/api/classrooms/joined", { token: aroha.studentToken });
+    assert.deepEqual(joined.body.classrooms, []);
+  });
+
+  test("teachers only see their own classrooms", async () => {
+    const mine = await createTeacher();
+    const other = await createTeacher("rawiri.teacher@example.com", "Matua Rawiri");
+    const classroom = await createClassroom(mine.teacherToken);
+
+    const list = await api("GET", "/api/classrooms", { token: other.teacherToken });
+    const peek = await api("GET", `/api/classrooms/${classroom.id}/overview`, { token: other.teacherToken });
+
+    assert.deepEqual(list.body.classrooms, []);
+    assert.equal(peek.status, 404);
+  });
+});
+
+describe("assignments and the class view", () => {
+  test("students see their assignments with where they are on each", async () => {
+    clock.setNow("2026-03-02T01:00:00Z");
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const classroom = await createClassroom(teacherToken);
+    await join(aroha.studentToken, classroom.joinCode);
+    const lesson = await firstItem("Physics", "lessons");
+    const game = await firstItem("Maths", "games");
+
+    const set = await api("POST", `/api/classrooms/${classroom.id}/assignments`, {
+      token: teacherToken,
+      body: { contentId: lesson.id, dueDate: "2026-03-06" },
+    });
+    await api("POST", `/api/classrooms/${classroom.id}/assignments`, {
+      token: teacherToken,
+      body: { contentId: game.id, dueDate: "2026-03-01" },
+    });
+    const twice = await api("POST", `/api/classrooms/${classroom.id}/assignments`, {
+      token: teacherToken,
+      body: { contentId: lesson.id, dueDate: "2026-03-09" },
+    });
+    await logItem(aroha.studentToken, lesson.id);
+
+    assert.equal(set.status, 201);
+    assert.equal(set.body.assignment.title, lesson.data.title);
+    assert.equal(twice.status, 409);
+    const res = await api("GET", `/api/classrooms/joined?studentId=${aroha.studentId}`, { token: aroha.parentToken });
+    assert.deepEqual(
+      res.body.classrooms[0].assignments.map((a) => [a.contentId, a.dueDate, a.status]),
+      [
+        [game.id, "2026-03-01", "overdue"],
+        [lesson.id, "2026-03-06", "done"],
+      ]
+    );
+  });
+
+  test("unpublished items can't be assigned", async () => {
+    const { teacherToken } = await createTeacher();
+    const classroom = await createClassroom(teacherToken);
+    const lesson = await firstItem("Physics", "lessons");
+    await storage.contentItems.update(lesson.id, { published: false });
+
+    const res = await api("POST", `/api/classrooms/${classroom.id}/assignments`, {
+      token: teacherToken,
+      body: { contentId: lesson.id, dueDate: "2026-03-06" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field), ["contentId"]);
+  });
+
+  test("the class view adds up completion, minutes and quiz scores", async () => {
+    clock.setNow("2026-03-04T01:00:00Z");
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+    const classroom = await createClassroom(teacherToken);
+    await join(aroha.studentToken, classroom.joinCode);
+    await join(james.studentToken, classroom.joinCode);
+    const lesson = await firstItem("Physics", "lessons");
+    await api("POST", `/api/classrooms/${classroom.id}/assignments`, {
+      token: teacherToken,
+      body: { contentId: lesson.id, dueDate: "2026-03-03" },
+    });
+
+    await logItem(aroha.studentToken, lesson.id, 20);
+    const questions = [lesson.data.quiz].flat();
+    await api("POST", "/api/quiz/submit", {
+      token: aroha.studentToken,
+      body: {
+        contentId: lesson.id,
+        answers: questions.map((q, questionIndex) => ({ questionIndex, answerIndex: q.correctIndex })),
+      },
+    });
+
+    const res = await api("GET", `/api/classrooms/${classroom.id}/overview?days=7`, { token: teacherToken });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.range, { start: "2026-02-26", end: "2026-03-04" });
+    const byName = Object.fromEntries(res.body.students.map((s) => [s.name, s]));
+    assert.equal(byName["aroha Student"].minutes, 20);
+    assert.deepEqual(byName["aroha Student"].assignments, { total: 1, done: 0, late: 1, overdue: 0 });
+    assert.equal(byName["aroha Student"].quiz.percent, 100);
+    assert.deepEqual(byName["james Student"].assignments, { total: 1, done: 0, late: 0, overdue: 1 });
+    assert.equal(byName["james Student"].quiz.percent, null);
+    assert.deepEqual(
+      [res.body.assignments[0].late, res.body.assignments[0].overdue, res.body.assignments[0].completionPercent],
+      [1, 1, 50]
+    );
+    assert.equal(res.body.totals.minutes, 20);
+    assert.equal(res.body.totals.averageMinutes, 10);
+    assert.equal(res.body.totals.completionPercent, 50);
+  });
+
+  test("teachers can't open a student's own pages, and parents can't open the class view", async () => {
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const classroom = await createClassroom(teacherToken);
+    await join(aroha.studentToken, classroom.joinCode);
+
+    const analytics = await api("GET", `/api/activity/analytics?studentId=${aroha.studentId}`, {
+      token: teacherToken,
+    });
+    const view = await api("GET", `/api/classrooms/${classroom.id}/overview`, { token: aroha.parentToken });
+
+    assert.equal(analytics.status, 403);
+    assert.equal(view.status, 403);
+  });
+
+  test("deleting a child takes them out of their classes", async () => {
+    const { teacherToken } = await createTeacher();
+    const aroha = await registerFamily("aroha");
+    const classroom = await createClassroom(teacherToken);
+    await join(aroha.studentToken, classroom.joinCode);
+
+    await storage.students.delete(aroha.studentId);
+
+    const roster = await api("GET", `/api/classrooms/${classroom.id}/students`, { token: teacherToken });
+    assert.deepEqual(roster.body.students, []);
+  });
+});
@@ -0,0 +1,162 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, startServer, stopServer, resetState, registerFamily, createAdmin } = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function list(token, query = "") {
+  return api("GET", `/api/content/list${query}`, { token });
+}
+
+describe("GET /api/content/list", () => {
+  test("pages through every published item", async () => {
+    const { studentToken } = await registerFamily("aroha");
+
+    const first = await list(studentToken, "?pageSize=4");
+    const last = await list(studentToken, "?pageSize=4&page=7");
+
+    assert.equal(first.body.total, 27);
+    assert.equal(first.body.totalPages, 7);
+    assert.equal(first.body.items.length, 4);
+    assert.equal(first.body.items[0].subject, "Engineering");
+    assert.equal(last.body.items.length, 3);
+    assert.equal(first.body.items[0].questions, undefined);
+  });
+
+  test("filters by subject and format", async () => {
+    const { studentToken } = await registerFamily("aroha");
+    const res = await list(studentToken, "?subject=Physics&format=videos");
+
+    assert.equal(res.body.total, 3);
+    assert.ok(res.body.items.every((i) => i.subject === "Physics" && i.format === "videos"));
+  });
+
+  test("filters by tag and age band", async () => {
+    const admin = await createAdmin();
+    const { studentToken } = await registerFamily("aroha");
+    const game = (title, extra) => ({
+      subject: "Maths",
+      format: "games",
+      published: true,
+      item: { title, url: "https://example.com/game", ...extra },
+    });
+    await api("POST", "/api/admin/content", {
+      token: admin,
+      body: game("Times Tables", { tags: ["Arithmetic"], ageMin: 7, ageMax: 10 }),
+    });
+    await api("POST", "/api/admin/content", {
+      token: admin,
+      body: game("Algebra Tiles", { tags: ["algebra"], ageMin: 12, ageMax: 15 }),
+    });
+
+    const tagged = await list(studentToken, "?tag=arithmetic");
+    const age8 = await list(studentToken, "?format=games&subject=Maths&age=8");
+    const band = await list(studentToken, "?format=games&subject=Maths&age=10-12");
+    const bad = await list(studentToken, "?age=ten");
+
+    assert.deepEqual(tagged.body.items.map((i) => i.title), ["Times Tables"]);
+    assert.deepEqual(tagged.body.items[0].tags, ["Arithmetic"]);
+    // The three starter games have no age range, so they match any age
+    assert.equal(age8.body.total, 4);
+    assert.ok(!age8.body.items.some((i) => i.title === "Algebra Tiles"));
+    assert.equal(band.body.total, 5);
+    assert.equal(bad.status, 400);
+  });
+
+  test("searches titles, overviews and lesson text", async () => {
+    const { studentToken } = await registerFamily("aroha");
+
+    const title = await list(studentToken, "?q=doppler");
+    const body = await list(studentToken, "?q=inertia");
+    const allWords = await list(studentToken, "?q=ambulance%20siren");
+    const none = await list(studentToken, "?q=ambulance%20volcano");
+
+    assert.deepEqual(title.body.items.map((i) => i.title), ["Waves and Sound"]);
+    assert.deepEqual(body.body.items.map((i) => i.title), ["Forces and Motion: Newton's Laws"]);
+    assert.equal(allWords.body.total, 1);
+    assert.equal(none.body.total, 0);
+  });
+
+  test("leaves out unpublished items", async () => {
+    const admin = await createAdmin();
+    const { studentToken } = await registerFamily("aroha");
+    const all = await api("GET", "/api/admin/content?subject=Maths&format=videos", {
+      token: admin,
+    });
+    await api("POST", `/api/admin/content/${all.body.items[0].id}/unpublish`, { token: admin });
+
+    const res = await list(studentToken, "?subject=Maths&format=videos");
+    assert.equal(res.body.total, 2);
+  });
+});
+
+describe("GET /api/content/:id", () => {
+  test("returns an item by ID without quiz answers", async () => {
+    const { studentToken } = await registerFamily("aroha");
+    const listed = await list(studentToken, "?subject=Physics&format=lessons&pageSize=1");
+    const id = listed.body.items[0].id;
+
+    const res = await api("GET", `/api/content/${id}`, { token: studentToken });
+
+    assert.equal(res.body.item.id, id);
+    assert.equal(res.body.subject, "Physics");
+    assert.equal(res.body.item.questions.length, 1);
+    assert.doesNotMatch(JSON.stringify(res.body), /correctIndex/);
+    assert.equal((await api("GET", "/api/content/9999", { token: studentToken })).status, 404);
+  });
+});
+
+describe("content IDs in activity and quiz history", () => {
+  test("activity logged by content ID takes its type, subject and title from the item", async () => {
+    const { studentToken } = await registerFamily("aroha");
+    const listed = await list(studentToken, "?subject=Maths&format=games&pageSize=1");
+    const game = listed.body.items[0];
+
+    const res = await api("POST", "/api/activity/log", {
+      token: studentToken,
+      body: { contentId: game.id },
+    });
+    const missing = await api("POST", "/api/activity/log", {
+      token: studentToken,
+      body: { contentId: 9999 },
+    });
+    const analytics = await api("GET", "/api/activity/analytics", { token: studentToken });
+
+    assert.equal(res.status, 200);
+    assert.equal(missing.status, 404);
+    const recent = analytics.body.data.recentActivities[0];
+    assert.equal(recent.content_id, game.id);
+    assert.equal(recent.activity_type, "game");
+    assert.equal(recent.subject, "Maths");
+    assert.equal(recent.content_title, game.title);
+  });
+
+  test("quiz mastery follows the lesson when lessons are reordered", async () => {
+    const admin = await createAdmin();
+    const { studentToken } = await registerFamily("aroha");
+    const lessons = await api("GET", "/api/admin/content?subject=Engineering&format=lessons", {
+      token: admin,
+    });
+    const ids = lessons.body.items.map((i) => i.id);
+
+    const submit = await api("POST", "/api/quiz/submit", {
+      token: studentToken,
+      body: { contentId: ids[0], questionIndex: 0, answerIndex: 1 },
+    });
+    assert.equal(submit.body.contentId, ids[0]);
+
+    await api("POST", "/api/admin/content/reorder", {
+      token: admin,
+      body: { subject: "Engineering", format: "lessons", ids: [...ids].reverse() },
+    });
+
+    const mastery = await api("GET", "/api/quiz/mastery", { token: studentToken });
+    assert.equal(mastery.body.lessons.length, 1);
+    assert.equal(mastery.body.lessons[0].contentId, ids[0]);
+    assert.equal(mastery.body.lessons[0].lessonIndex, 2);
+    assert.equal(mastery.body.lessons[0].questionsMastered, 1);
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, startServer, stopServer, resetState, registerFamily } = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+describe("GET /api/content", () => {
+  test("returns a lesson without the quiz answers", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/content?subject=Engineering&format=lessons&index=0", {
+      token: family.studentToken,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.item.questions.length, 2);
+    assert.doesNotMatch(JSON.stringify(res.body), /correctIndex/);
+  });
+
+  test("rejects out-of-range indexes and validates subject and format", async () => {
+    const family = await registerFamily("aroha");
+
+    const outOfRange = await api("GET", "/api/content?subject=Maths&format=videos&index=99", {
+      token: family.studentToken,
+    });
+    const subject = await api("GET", "/api/content?subject=Art&format=videos", {
+      token: family.studentToken,
+    });
+    const format = await api("GET", "/api/content?subject=Maths&format=podcasts", {
+      token: family.studentToken,
+    });
+
+    assert.equal(outOfRange.status, 404);
+    assert.equal(outOfRange.body.total, 3);
+    assert.equal(subject.status, 400);
+    assert.equal(format.status, 400);
+  });
+
+  test("requires a session and hides the raw content files", async () => {
+    const anon = await api("GET", "/api/content?subject=Maths&format=lessons");
+    const raw = await api("GET", "/content/maths.json");
+
+    assert.equal(anon.status, 401);
+    assert.equal(raw.status, 404);
+  });
+});
+
+describe("quiz grading and mastery", () => {
+  test("grades answers on the server and tracks mastery", async () => {
+    const family = await registerFamily("aroha");
+
+    const first = await api("POST", "/api/quiz/submit", {
+      token: family.studentToken,
+      body: {
+        subject: "Engineering",
+        lessonIndex: 0,
+        answers: [
+          { questionIndex: 0, answerIndex: 1 },
+          { questionIndex: 1, answerIndex: 0 },
+        ],
+      },
+    });
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.score, { correct: 1, total: 2 });
+    assert.equal(first.body.lessonMastery, 50);
+
+    // Retrying the missed question brings the lesson to full mastery
+    const retry = await api("POST", "/api/quiz/submit", {
+      token: family.studentToken,
+      body: { subject: "Engineering", lessonIndex: 0, questionIndex: 1, answerIndex: 1 },
+    });
+    assert.equal(retry.body.lessonMastery, 100);
+
+    const mastery = await api("GET", `/api/quiz/mastery?studentId=${family.studentId}`, {
+      token: family.parentToken,
+    });
+    const engineering = mastery.body.subjects.find((s) => s.subject === "Engineering");
+    assert.equal(engineering.questionsMastered, 2);
+  });
+
+  test("rejects invalid submissions", async () => {
+    const family = await registerFamily("aroha");
+    const submit = (body) => api("POST", "/api/quiz/submit", { token: family.studentToken, body });
+
+    assert.equal((await submit({ subject: "Art", lessonIndex: 0, answers: [] })).status, 400);
+    assert.equal((await submit({ subject: "Maths", lessonIndex: -1 })).status, 400);
+    assert.equal(
+      (await submit({ subject: "Maths", lessonIndex: 99, questionIndex: 0, answerIndex: 0 })).status,
+      404
+    );
+    assert.equal(
+      (await submit({ subject: "Maths", lessonIndex: 0, questionIndex: 5, answerIndex: 0 })).status,
+      400
+    );
+  });
+
+  test("parents cannot submit quizzes", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("POST", "/api/quiz/submit", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, subject: "Maths", lessonIndex: 0, questionIndex: 0, answerIndex: 1 },
+    });
+    assert.equal(res.status, 403);
+  });
+});
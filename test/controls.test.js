@@ -0,0 +1,230 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  timeActivity,
+  registerFamily,
+} = require("./helpers");
+const { goalLabel } = require("../lib/controls");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function setControls(family, body) {
+  return api("PUT", "/api/controls", {
+    token: family.parentToken,
+    body: { studentId: family.studentId, ...body },
+  });
+}
+
+async function firstItem(subject, format) {
+  const row = await storage.subjects.findByName(subject);
+  const [item] = await storage.contentItems.list(row.id, format);
+  return item;
+}
+
+const logItem = (token, contentId, minutes = 10) => timeActivity(token, { contentId }, minutes);
+
+describe("PUT /api/controls", () => {
+  test("saves only the fields that are sent", async () => {
+    const family = await registerFamily("aroha");
+
+    await setControls(family, { dailyMinuteLimit: 30 });
+    const res = await setControls(family, { subjects: { mode: "block", list: ["maths"] } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.controls.dailyMinuteLimit, 30);
+    assert.deepEqual(res.body.controls.subjects, { mode: "block", list: ["Maths"] });
+    assert.deepEqual(res.body.controls.formats, { mode: "all", list: [] });
+  });
+
+  test("reports every invalid field", async () => {
+    const family = await registerFamily("aroha");
+
+    const res = await setControls(family, {
+      dailyMinuteLimit: 2,
+      subjects: { mode: "allow", list: ["Art"] },
+      formats: { mode: "sometimes" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(
+      res.body.errors.map((e) => e.field),
+      ["dailyMinuteLimit", "subjects.list[0]", "formats.mode"]
+    );
+  });
+
+  test("only the student's own parent can change them", async () => {
+    const family = await registerFamily("aroha");
+    const other = await registerFamily("tane");
+
+    const student = await api("PUT", "/api/controls", {
+      token: family.studentToken,
+      body: { dailyMinuteLimit: 600 },
+    });
+    const stranger = await setControls({ ...family, parentToken: other.parentToken }, {
+      dailyMinuteLimit: 10,
+    });
+
+    assert.equal(student.status, 403);
+    assert.equal(stranger.status, 403);
+  });
+});
+
+describe("enforcement", () => {
+  test("blocked subjects and formats are hidden from lists and refused by ID", async () => {
+    const family = await registerFamily("aroha");
+    await setControls(family, {
+      subjects: { mode: "allow", list: ["Physics", "Maths"] },
+      formats: { mode: "block", list: ["games"] },
+    });
+    const engineering = await firstItem("Engineering", "lessons");
+
+    const list = await api("GET", "/api/content/list?pageSize=50", { token: family.studentToken });
+    const byId = await api("GET", `/api/content/${engineering.id}`, { token: family.studentToken });
+    const games = await api("GET", "/api/content/list?format=games", { token: family.studentToken });
+
+    assert.equal(list.status, 200);
+    assert.ok(list.body.items.length > 0);
+    assert.ok(list.body.items.every((i) => i.subject !== "Engineering" && i.format !== "games"));
+    assert.equal(byId.status, 403);
+    assert.equal(byId.body.blockedBy, "subject");
+    assert.equal(games.status, 403);
+    assert.equal(games.body.blockedBy, "format");
+  });
+
+  test("parents still see everything", async () => {
+    const family = await registerFamily("aroha");
+    await setControls(family, { subjects: { mode: "block", list: ["Engineering"] } });
+    const engineering = await firstItem("Engineering", "lessons");
+
+    const res = await api("GET", `/api/content/${engineering.id}`, { token: family.parentToken });
+    assert.equal(res.status, 200);
+  });
+
+  test("the daily limit stops new content until the student's next day", async () => {
+    clock.setNow("2026-03-02T00:00:00Z");
+    const family = await registerFamily("aroha");
+    await setControls(family, { dailyMinuteLimit: 15 });
+    const lesson = await firstItem("Physics", "lessons");
+
+    const first = await logItem(family.studentToken, lesson.id, 10);
+    assert.equal(first.body.dailyLimit.minutesLeft, 5);
+    assert.equal(first.body.dailyLimit.reached, false);
+
+    // Time already spent is still recorded past the limit
+    clock.setNow("2026-03-02T01:00:00Z");
+    const second = await logItem(family.studentToken, lesson.id, 10);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.dailyLimit.reached, true);
+
+    const blocked = await api("GET", `/api/content/${lesson.id}`, { token: family.studentToken });
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.blockedBy, "dailyLimit");
+    assert.match(blocked.body.message, /15 minutes/);
+    assert.equal(blocked.body.dailyLimit.minutesToday, 20);
+
+    clock.setNow("2026-03-03T00:00:00Z");
+    const token = await login("aroha.student@example.com");
+    const tomorrow = await api("GET", `/api/content/${lesson.id}`, { token });
+    assert.equal(tomorrow.status, 200);
+  });
+
+  test("activity in a blocked subject can't be logged", async () => {
+    const family = await registerFamily("aroha");
+    await setControls(family, { subjects: { mode: "block", list: ["Maths"] } });
+
+    const res = await logItem(family.studentToken, (await firstItem("Maths", "videos")).id);
+    assert.equal(res.status, 403);
+  });
+
+  test("next-up skips switched-off subjects", async () => {
+    const family = await registerFamily("aroha");
+    await setControls(family, { subjects: { mode: "block", list: ["Physics"] } });
+
+    const res = await api("GET", "/api/next-up", { token: family.studentToken });
+    assert.notEqual(res.body.item.subject, "Physics");
+  });
+});
+
+describe("weekly goals", () => {
+  test("progress counts matching activity since Monday in the student's timezone", async () => {
+    // Monday 2 March 2026, 10am in NZ
+    clock.setNow("2026-03-01T21:00:00Z");
+    const family = await registerFamily("aroha");
+
+    const goal = await api("POST", "/api/goals", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, subject: "Maths", format: "lessons", target: 2 },
+    });
+    await api("POST", "/api/goals", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, metric: "minutes", target: 30 },
+    });
+    assert.equal(goal.status, 200);
+    assert.equal(goal.body.goal.label, "2 Maths lessons");
+    assert.equal(goal.body.goal.progress, 0);
+
+    await logItem(family.studentToken, (await firstItem("Maths", "lessons")).id, 10);
+    await logItem(family.studentToken, (await firstItem("Physics", "lessons")).id, 10);
+
+    const res = await api("GET", `/api/controls?studentId=${family.studentId}`, {
+      token: family.parentToken,
+    });
+    assert.deepEqual(res.body.week, { start: "2026-03-02", end: "2026-03-08" });
+    assert.deepEqual(
+      res.body.goals.map((g) => [g.label, g.progress, g.done]),
+      [
+        ["2 Maths lessons", 1, false],
+        ["30 minutes of learning", 20, false],
+      ]
+    );
+
+    // Next Monday starts from zero
+    clock.setNow("2026-03-08T21:00:00Z");
+    const nextWeek = await api("GET", "/api/controls", {
+      token: await login("aroha.student@example.com"),
+    });
+    assert.equal(nextWeek.body.goals[0].progress, 0);
+  });
+
+  test("goals are validated and can be removed", async () => {
+    const family = await registerFamily("aroha");
+
+    const bad = await api("POST", "/api/goals", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, format: "books", target: 0 },
+    });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors.map((e) => e.field), ["format", "target"]);
+
+    const created = await api("POST", "/api/goals", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, target: 5 },
+    });
+    const removed = await api(
+      "DELETE",
+      `/api/goals/${created.body.goal.id}?studentId=${family.studentId}`,
+      { token: family.parentToken }
+    );
+    assert.equal(removed.status, 200);
+    assert.deepEqual(await storage.goals.listForStudent(family.studentId), []);
+  });
+
+  test("labels read naturally", () => {
+    assert.equal(goalLabel({ subject: null, format: null, metric: "count", target: 1 }), "1 activity");
+    assert.equal(goalLabel({ subject: "Physics", format: "games", metric: "count", target: 1 }), "1 Physics game");
+    assert.equal(
+      goalLabel({ subject: "Physics", format: "videos", metric: "minutes", target: 45 }),
+      "45 minutes of Physics videos"
+    );
+  });
+});
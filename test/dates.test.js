@@ -0,0 +1,82 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_TIMEZONE,
+  dateString,
+  nzDateString,
+  secondsUntilNextNZMidnight,
+  dayInfo,
+  lastDays,
+  addDays,
+  startOfDay,
+} = require("../lib/dates");
+const clock = require("../lib/clock");
+
+test("nzDateString flips at NZ midnight, not UTC midnight", () => {
+  // January is NZDT (UTC+13): NZ midnight is 11:00 UTC the day before
+  assert.equal(nzDateString(new Date("2026-01-01T10:59:59Z")), "2026-01-01");
+  assert.equal(nzDateString(new Date("2026-01-01T11:00:00Z")), "2026-01-02");
+
+  // July is NZST (UTC+12)
+  assert.equal(nzDateString(new Date("2026-07-01T11:59:59Z")), "2026-07-01");
+  assert.equal(nzDateString(new Date("2026-07-01T12:00:00Z")), "2026-07-02");
+});
+
+test("nzDateString defaults to the injected clock", () => {
+  clock.setNow("2026-03-10T12:00:00Z");
+  try {
+    assert.equal(nzDateString(), "2026-03-11");
+  } finally {
+    clock.resetNow();
+  }
+});
+
+test("secondsUntilNextNZMidnight counts down to the NZ day boundary", () => {
+  assert.equal(secondsUntilNextNZMidnight(new Date("2026-01-01T10:59:59Z")), 1);
+  assert.equal(secondsUntilNextNZMidnight(new Date("2026-01-01T11:00:00Z")), 86400);
+  assert.equal(secondsUntilNextNZMidnight(new Date("2026-07-01T00:00:00Z")), 12 * 3600);
+});
+
+test("secondsUntilNextNZMidnight handles DST changes", () => {
+  // 27 Sep 2026: clocks go forward at 2am, so the day is 23 hours long
+  assert.equal(secondsUntilNextNZMidnight(new Date("2026-09-26T12:00:00Z")), 23 * 3600);
+  // 5 Apr 2026: clocks go back at 3am, so the day is 25 hours long
+  assert.equal(secondsUntilNextNZMidnight(new Date("2026-04-04T11:00:00Z")), 25 * 3600);
+});
+
+test("addDays crosses month and year ends", () => {
+  assert.equal(addDays("2026-01-01", -1), "2025-12-31");
+  assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(addDays("2026-03-31", 1), "2026-04-01");
+});
+
+test("startOfDay returns the UTC instant a zone's day begins", () => {
+  assert.equal(startOfDay("2026-01-02", "Pacific/Auckland").toISOString(), "2026-01-01T11:00:00.000Z");
+  assert.equal(startOfDay("2026-07-02", "Pacific/Auckland").toISOString(), "2026-07-01T12:00:00.000Z");
+  // First day of daylight time starts on standard time
+  assert.equal(startOfDay("2026-09-27", "Pacific/Auckland").toISOString(), "2026-09-26T12:00:00.000Z");
+});
+
+test("dateString works in any IANA timezone", () => {
+  const instant = new Date("2026-01-01T11:30:00Z");
+  assert.equal(dateString(instant, "Pacific/Auckland"), "2026-01-02");
+  assert.equal(dateString(instant, "Europe/London"), "2026-01-01");
+  assert.equal(dateString(instant, "America/Los_Angeles"), "2026-01-01");
+});
+
+test("dayInfo falls back to the default timezone for unknown or missing zones", () => {
+  const now = new Date("2026-01-01T11:00:00Z");
+  assert.equal(dayInfo("Not/AZone", now).timeZone, DEFAULT_TIMEZONE);
+  assert.equal(dayInfo(null, now).timeZone, DEFAULT_TIMEZONE);
+
+  const london = dayInfo("Europe/London", now);
+  assert.equal(london.today, "2026-01-01");
+  assert.equal(london.yesterday, "2025-12-31");
+  assert.equal(london.startOfToday.toISOString(), "2026-01-01T00:00:00.000Z");
+  assert.equal(london.secondsUntilTomorrow, 13 * 3600);
+});
+
+test("lastDays lists the days up to today, oldest first", () => {
+  assert.deepEqual(lastDays("2026-03-01", 3), ["2026-02-27", "2026-02-28", "2026-03-01"]);
+});
@@ -0,0 +1,277 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  mailer,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  login,
+  PASSWORD,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+const invite = (token, body) => api("POST", "/api/family/invitations", { token, body });
+const answer = (token, id, action) => api("POST", `/api/family/invitations/${id}/${action}`, { token });
+const family = (token) => api("GET", "/api/family", { token });
+const canSee = async (token, studentId) =>
+  (await api("GET", `/api/student-dashboard-data?studentId=${studentId}`, { token })).status === 200;
+
+// A parent account with no children, e.g. an invited second guardian
+async function registerGuardian(prefix) {
+  const res = await api("POST", "/api/register-parent", {
+    body: {
+      parentName: `${prefix} Parent`,
+      parentEmail: `${prefix}.parent@example.com`,
+      parentPassword: PASSWORD,
+      children: [],
+    },
+  });
+  assert.equal(res.status, 200);
+  return { parentId: res.body.parentId, parentToken: res.body.token };
+}
+
+describe("POST /api/register-parent with children", () => {
+  test("creates several children at once", async () => {
+    const child = (name) => ({
+      name,
+      email: `${name.toLowerCase()}@example.com`,
+      password: PASSWORD,
+      age: 10,
+      interests: "Maths",
+    });
+    const res = await api("POST", "/api/register-parent", {
+      body: {
+        parentName: "Aroha",
+        parentEmail: "aroha@example.com",
+        parentPassword: PASSWORD,
+        children: [child("Mere"), child("Tama")],
+      },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.studentIds.length, 2);
+    const overview = await family(res.body.token);
+    assert.deepEqual(overview.body.children.map((c) => c.name), ["Mere", "Tama"]);
+    assert.ok(overview.body.children.every((c) => c.primary));
+  });
+
+  test("names the child whose password is weak", async () => {
+    const res = await api("POST", "/api/register-parent", {
+      body: {
+        parentName: "Aroha",
+        parentEmail: "aroha@example.com",
+        parentPassword: PASSWORD,
+        children: [{ name: "Mere", email: "mere@example.com", password: "short", age: 10 }],
+      },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, "children[0].password");
+  });
+});
+
+describe("second guardians", () => {
+  test("an accepted invitation shares every child, including ones added later", async () => {
+    const aroha = await registerFamily("aroha");
+    const sent = await invite(aroha.parentToken, { kind: "guardian", email: "rawiri.parent@example.com" });
+    assert.equal(sent.status, 201);
+    assert.equal(mailer.sent.at(-1).to, "rawiri.parent@example.com");
+
+    const rawiri = await registerGuardian("rawiri");
+    assert.equal(await canSee(rawiri.parentToken, aroha.studentId), false);
+
+    const incoming = (await family(rawiri.parentToken)).body.invitations.incoming;
+    assert.equal(incoming[0].from.name, "aroha Parent");
+    assert.equal((await answer(rawiri.parentToken, incoming[0].id, "accept")).status, 200);
+    assert.equal(await canSee(rawiri.parentToken, aroha.studentId), true);
+
+    const added = await api("POST", "/api/register-student", {
+      token: aroha.parentToken,
+      body: { studentName: "Tama", studentEmail: "tama@example.com", studentPassword: PASSWORD, studentAge: 8, studentInterests: "Maths" },
+    });
+    assert.equal(await canSee(rawiri.parentToken, added.body.studentId), true);
+
+    const overview = (await family(rawiri.parentToken)).body;
+    assert.deepEqual(overview.guardians.map((g) => g.id), [aroha.parentId]);
+    assert.ok(overview.children.every((c) => !c.primary));
+  });
+
+  test("the primary guardian can remove a second guardian, who can also leave", async () => {
+    const aroha = await registerFamily("aroha");
+    const rawiri = await registerGuardian("rawiri");
+    const sent = await invite(aroha.parentToken, { kind: "guardian", email: "rawiri.parent@example.com" });
+    await answer(rawiri.parentToken, sent.body.invitation.id, "accept");
+
+    const notPrimary = await api("DELETE", `/api/family/guardians/${aroha.parentId}`, { token: rawiri.parentToken });
+    assert.equal(notPrimary.status, 404);
+
+    const removed = await api("DELETE", `/api/family/guardians/${rawiri.parentId}`, { token: aroha.parentToken });
+    assert.equal(removed.body.removed, 1);
+    assert.equal(await canSee(rawiri.parentToken, aroha.studentId), false);
+    assert.equal(await canSee(aroha.parentToken, aroha.studentId), true);
+
+    const again = await invite(aroha.parentToken, { kind: "guardian", email: "rawiri.parent@example.com" });
+    await answer(rawiri.parentToken, again.body.invitation.id, "accept");
+    const left = await api("DELETE", `/api/family/guardians/${rawiri.parentId}`, { token: rawiri.parentToken });
+    assert.equal(left.body.removed, 1);
+    assert.equal(await canSee(rawiri.parentToken, aroha.studentId), false);
+  });
+});
+
+describe("student link requests", () => {
+  const studentBody = {
+    studentName: "Tama",
+    studentEmail: "tama@example.com",
+    studentPassword: PASSWORD,
+    studentAge: 9,
+    studentInterests: "Maths",
+  };
+
+  test("stay pending until the parent approves from their dashboard", async () => {
+    const aroha = await registerFamily("aroha");
+    const tama = await api("POST", "/api/register-student", {
+      body: { ...studentBody, parentEmail: "aroha.parent@example.com" },
+    });
+    assert.equal(await canSee(aroha.parentToken, tama.body.studentId), false);
+    assert.match(mailer.sent.at(-1).subject, /asked to join your family/);
+
+    const james = await registerFamily("james");
+    const id = tama.body.invitation.id;
+    assert.equal((await answer(james.parentToken, id, "accept")).status, 404);
+
+    const incoming = (await family(aroha.parentToken)).body.invitations.incoming;
+    assert.deepEqual(incoming.map((i) => [i.kind, i.from.name]), [["link", "Tama"]]);
+    assert.equal((await answer(aroha.parentToken, id, "accept")).status, 200);
+    assert.equal(await canSee(aroha.parentToken, tama.body.studentId), true);
+    assert.equal((await storage.students.findById(tama.body.studentId)).parent_id, aroha.parentId);
+    assert.equal((await answer(aroha.parentToken, id, "accept")).status, 409);
+  });
+
+  test("a declined request links nothing", async () => {
+    const aroha = await registerFamily("aroha");
+    const tama = await api("POST", "/api/register-student", {
+      body: { ...studentBody, parentEmail: "aroha.parent@example.com" },
+    });
+
+    assert.equal((await answer(aroha.parentToken, tama.body.invitation.id, "decline")).status, 200);
+    assert.equal(await canSee(aroha.parentToken, tama.body.studentId), false);
+    assert.deepEqual((await family(tama.body.token)).body.invitations.outgoing, []);
+  });
+});
+
+describe("child invitations", () => {
+  test("an existing student without a family can accept", async () => {
+    const aroha = await registerFamily("aroha");
+    const tama = await api("POST", "/api/register-student", {
+      body: { studentName: "Tama", studentEmail: "tama@example.com", studentPassword: PASSWORD, studentAge: 9, studentInterests: "Maths" },
+    });
+
+    const sent = await invite(aroha.parentToken, { kind: "child", email: "tama@example.com" });
+    const incoming = (await family(tama.body.token)).body.invitations.incoming;
+    assert.deepEqual(incoming.map((i) => i.id), [sent.body.invitation.id]);
+
+    await answer(tama.body.token, sent.body.invitation.id, "accept");
+    const guardians = (await family(tama.body.token)).body.guardians;
+    assert.deepEqual(guardians.map((g) => [g.id, g.primary]), [[aroha.parentId, true]]);
+  });
+
+  test("a student already in a family can't accept", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const sent = await invite(james.parentToken, { kind: "child", email: "aroha.student@example.com" });
+    const res = await answer(aroha.studentToken, sent.body.invitation.id, "accept");
+
+    assert.equal(res.status, 409);
+    assert.equal(await canSee(james.parentToken, aroha.studentId), false);
+  });
+});
+
+describe("unlinking and transfers", () => {
+  test("only the primary guardian can unlink or transfer a child", async () => {
+    const aroha = await registerFamily("aroha");
+    const rawiri = await registerGuardian("rawiri");
+    const sent = await invite(aroha.parentToken, { kind: "guardian", email: "rawiri.parent@example.com" });
+    await answer(rawiri.parentToken, sent.body.invitation.id, "accept");
+
+    const unlink = await api("DELETE", `/api/family/children/${aroha.studentId}`, { token: rawiri.parentToken });
+    const transfer = await invite(rawiri.parentToken, {
+      kind: "transfer",
+      email: "james.parent@example.com",
+      studentId: aroha.studentId,
+    });
+    assert.equal(unlink.status, 403);
+    assert.equal(transfer.status, 403);
+
+    const ok = await api("DELETE", `/api/family/children/${aroha.studentId}`, { token: aroha.parentToken });
+    assert.equal(ok.status, 200);
+    assert.equal(await canSee(aroha.parentToken, aroha.studentId), false);
+    assert.equal(await canSee(rawiri.parentToken, aroha.studentId), false);
+    assert.equal((await storage.students.findById(aroha.studentId)).parent_id, null);
+  });
+
+  test("an accepted transfer moves the child to the new parent", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const sent = await invite(aroha.parentToken, {
+      kind: "transfer",
+      email: "james.parent@example.com",
+      studentId: aroha.studentId,
+    });
+    assert.equal(sent.body.invitation.student.name, "aroha Student");
+    assert.equal(await canSee(james.parentToken, aroha.studentId), false);
+
+    await answer(james.parentToken, sent.body.invitation.id, "accept");
+    assert.equal(await canSee(james.parentToken, aroha.studentId), true);
+    assert.equal(await canSee(aroha.parentToken, aroha.studentId), false);
+    const children = (await family(james.parentToken)).body.children;
+    assert.deepEqual(children.map((c) => [c.id, c.primary]), [[aroha.studentId, true], [james.studentId, true]]);
+  });
+});
+
+describe("invitation rules", () => {
+  test("rejects bad kinds and emails, yourself and duplicates", async () => {
+    const aroha = await registerFamily("aroha");
+
+    const kind = await invite(aroha.parentToken, { kind: "link", email: "x@example.com" });
+    const email = await invite(aroha.parentToken, { kind: "guardian", email: "not-an-email" });
+    const self = await invite(aroha.parentToken, { kind: "guardian", email: "aroha.parent@example.com" });
+    await invite(aroha.parentToken, { kind: "guardian", email: "x@example.com" });
+    const dup = await invite(aroha.parentToken, { kind: "guardian", email: "x@example.com" });
+    const linked = await invite(aroha.studentToken, { kind: "link", email: "x@example.com" });
+
+    assert.deepEqual(kind.body.errors, [{ field: "kind", message: "must be one of: guardian, child, transfer" }]);
+    assert.equal(email.body.errors[0].field, "email");
+    assert.equal(self.status, 400);
+    assert.equal(dup.status, 409);
+    assert.equal(linked.status, 409);
+  });
+
+  test("the sender can cancel, and invitations expire", async () => {
+    clock.setNow("2026-03-02T00:00:00Z");
+    const aroha = await registerFamily("aroha");
+    const rawiri = await registerGuardian("rawiri");
+
+    const first = await invite(aroha.parentToken, { kind: "guardian", email: "rawiri.parent@example.com" });
+    const cancel = await api("DELETE", `/api/family/invitations/${first.body.invitation.id}`, {
+      token: aroha.parentToken,
+    });
+    assert.equal(cancel.body.invitation.status, "cancelled");
+    assert.equal((await answer(rawiri.parentToken, first.body.invitation.id, "accept")).status, 409);
+
+    const second = await invite(aroha.parentToken, { kind: "guardian", email: "rawiri.parent@example.com" });
+    clock.setNow("2026-03-17T00:00:00Z");
+    const token = await login("rawiri.parent@example.com");
+    assert.deepEqual((await family(token)).body.invitations.incoming, []);
+    assert.equal((await answer(token, second.body.invitation.id, "accept")).status, 409);
+  });
+});
@@ -0,0 +1,197 @@
+// Shared setup for the API tests. Loaded before server.js so the app picks up
+// the in-memory storage driver and a fixed session secret.
+process.env.STORAGE_DRIVER = "memory";
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || "test-secret";
+process.env.MAIL_TRANSPORT = "memory";
+
+const zlib = require("zlib");
+const bcrypt = require("bcrypt");
+const app = require("../server");
+const { storage } = require("../db/storage");
+const { importBundledContent } = require("../db/bundled-content");
+const clock = require("../lib/clock");
+const { mailer } = require("../lib/mail");
+const { MAX_GAP_SECONDS } = require("../lib/tracking");
+
+// Route handlers log generously; keep test output readable.
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+}
+
+let server = null;
+let baseUrl = null;
+
+async function startServer() {
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  await new Promise((resolve) => server.close(resolve));
+  server = null;
+}
+
+// Empty store with the starter content from content/*.json
+async function resetState() {
+  storage.reset();
+  clock.resetNow();
+  mailer.reset();
+  await importBundledContent(storage);
+}
+
+/**
+ * Calls the API and parses the JSON body.
+ * options: { body, token, headers, binary, stream, signal } — binary returns
+ * the body as a Buffer instead (downloads); stream returns the fetch Response
+ * unread (event streams), and signal aborts it
+ */
+async function api(method, path, options = {}) {
+  const headers = { ...options.headers };
+  if (options.body !== undefined) headers["Content-Type"] = "application/json";
+  if (options.token) headers.Authorization = `Bearer ${options.token}`;
+
+  const res = await fetch(baseUrl + path, {
+    method,
+    headers,
+    body: options.body === undefined ? undefined : JSON.stringify(options.body),
+    signal: options.signal,
+  });
+  if (options.stream) return res;
+  if (options.binary) {
+    return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+  }
+  const text = await res.text();
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    body = text;
+  }
+  return { status: res.status, headers: res.headers, body };
+}
+
+/**
+ * Spends `minutes` on an activity through an activity session, the way the
+ * dashboard does: it starts at the clock's current time and the clock moves
+ * on as heartbeats are sent. body is { contentId } or { activityType,
+ * subject }; end is the /end body. Returns the /end response, or the /start
+ * one if the session couldn't start.
+ */
+async function timeActivity(token, body, minutes, end = {}) {
+  const startedAt = clock.now().getTime();
+  const at = (seconds) => clock.setNow(new Date(startedAt + seconds * 1000));
+  at(0);
+  const started = await api("POST", "/api/activity/sessions", { token, body });
+  if (started.status !== 200) return started;
+
+  const { id } = started.body.session;
+  const total = minutes * 60;
+  for (let t = MAX_GAP_SECONDS; t < total; t += MAX_GAP_SECONDS) {
+    at(t);
+    await api("POST", `/api/activity/sessions/${id}/heartbeat`, { token, body: {} });
+  }
+  at(total);
+  return api("POST", `/api/activity/sessions/${id}/end`, { token, body: end });
+}
+
+const PASSWORD = "kiwi-fern-42";
+
+async function login(email, password = PASSWORD) {
+  const res = await api("POST", "/api/login", { body: { email, password } });
+  if (res.status !== 200) {
+    throw new Error(`login failed: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.token;
+}
+
+/**
+ * Registers a parent + student pair through the API.
+ * Returns { parentId, studentId, parentToken, studentToken }.
+ */
+async function registerFamily(prefix = "family") {
+  const reg = await api("POST", "/api/register-parent", {
+    body: {
+      parentName: `${prefix} Parent`,
+      parentEmail: `${prefix}.parent@example.com`,
+      parentPassword: PASSWORD,
+      studentName: `${prefix} Student`,
+      studentEmail: `${prefix}.student@example.com`,
+      studentPassword: PASSWORD,
+      studentAge: 12,
+      studentInterests: "Physics",
+    },
+  });
+  if (reg.status !== 200) {
+    throw new Error(`register-parent failed: ${JSON.stringify(reg.body)}`);
+  }
+
+  return {
+    parentId: reg.body.parentId,
+    studentId: reg.body.studentId,
+    parentToken: reg.body.token,
+    studentToken: await login(`${prefix}.student@example.com`),
+  };
+}
+
+// Admins can't self-register; create one directly and sign in
+async function createAdmin(email = "admin@example.com") {
+  await storage.admins.create({
+    full_name: "Admin",
+    email,
+    password_hash: await bcrypt.hash(PASSWORD, 10),
+  });
+  return login(email);
+}
+
+// Teachers are made by admins with an emailed set-password link; tests skip
+// the email and sign in directly
+async function createTeacher(email = "whaea.teacher@example.com", name = "Whaea Teacher") {
+  const id = await storage.teachers.create({
+    full_name: name,
+    email,
+    password_hash: await bcrypt.hash(PASSWORD, 10),
+    school: "Kura School",
+  });
+  return { teacherId: id, teacherToken: await login(email) };
+}
+
+// The files in a .zip download (as lib/zip.js writes them), as { name: Buffer }
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  const count = buffer.readUInt16LE(end + 10);
+  let at = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = buffer.readUInt16LE(at + 28);
+    const size = buffer.readUInt32LE(at + 20);
+    const local = buffer.readUInt32LE(at + 42);
+    const name = buffer.toString("utf8", at + 46, at + 46 + nameLength);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size));
+    at += 46 + nameLength;
+  }
+  return files;
+}
+
+module.exports = {
+  app,
+  storage,
+  clock,
+  mailer,
+  api,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  timeActivity,
+  registerFamily,
+  createAdmin,
+  createTeacher,
+  readZip,
+  PASSWORD,
+};
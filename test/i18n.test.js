@@ -0,0 +1,139 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, storage, startServer, stopServer, resetState, registerFamily, createAdmin } = require("./helpers");
+const { fromAcceptLanguage, translate } = require("../lib/i18n");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function mathsLesson() {
+  const row = await storage.subjects.findByName("Maths");
+  const [lesson] = await storage.contentItems.list(row.id, "lessons");
+  return lesson;
+}
+
+const setLanguage = (token, language) =>
+  api("POST", "/api/update-student-profile", { token, body: { language } });
+
+describe("content in the student's language", () => {
+  test("?locale= picks the translation, and untranslated fields stay in English", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = await mathsLesson();
+
+    const english = await api("GET", `/api/content/${lesson.id}`, { token: family.studentToken });
+    const maori = await api("GET", `/api/content/${lesson.id}?locale=mi`, { token: family.studentToken });
+
+    assert.equal(english.headers.get("content-language"), "en");
+    assert.equal(english.body.item.title, "Fractions, Decimals, and Percentages");
+    assert.equal(english.body.item.translations, undefined);
+    assert.equal(maori.headers.get("content-language"), "mi");
+    assert.equal(maori.body.item.title, "Ngā Hautanga, ngā Tau Ā-Ira me ngā Ōrau");
+    assert.equal(maori.body.item.blocks[0].heading, "Te Mārama ki ngā Hautanga");
+    assert.equal(maori.body.item.blocks[0].content, english.body.item.blocks[0].content);
+    assert.equal(maori.body.item.questions[0].question, "He aha te ⅖ hei ōrau?");
+    assert.deepEqual(maori.body.item.questions[0].answers, english.body.item.questions[0].answers);
+  });
+
+  test("the student's saved language is used until they clear it", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = await mathsLesson();
+    const get = () => api("GET", `/api/content/${lesson.id}`, { token: family.studentToken });
+
+    const saved = await setLanguage(family.studentToken, "mi");
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.student.language, "mi");
+    assert.equal((await get()).body.item.title, "Ngā Hautanga, ngā Tau Ā-Ira me ngā Ōrau");
+
+    const invalid = await setLanguage(family.studentToken, "fr");
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, "language");
+
+    await setLanguage(family.studentToken, "");
+    assert.equal(await storage.students.language(family.studentId), null);
+    assert.equal((await get()).body.item.title, "Fractions, Decimals, and Percentages");
+  });
+
+  test("translations are checked like the rest of the item", async () => {
+    const admin = await createAdmin();
+    const item = {
+      title: "Ratios",
+      blocks: [{ heading: "Parts", content: "A ratio compares parts." }],
+      quiz: [{ question: "2:4 is the same as?", answers: ["1:2", "2:1"], correctIndex: 0 }],
+    };
+    const add = (translations) =>
+      api("POST", "/api/admin/content", {
+        token: admin,
+        body: { subject: "Maths", format: "lessons", item: { ...item, translations } },
+      });
+
+    const bad = await add({
+      fr: { title: "Rapports" },
+      mi: { youtubeId: "abc", blocks: [{}, {}], quiz: [{ answers: ["1:2"] }] },
+    });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors.map((e) => e.field).sort(), [
+      "translations.fr",
+      "translations.mi.blocks",
+      "translations.mi.quiz[0].answers",
+      "translations.mi.youtubeId",
+    ]);
+
+    const good = await add({ mi: { title: "Ōwehenga", quiz: [{ question: "He ōrite te 2:4 ki te aha?" }] } });
+    assert.equal(good.status, 200);
+  });
+});
+
+describe("messages and UI strings", () => {
+  test("API messages and validation errors are translated", async () => {
+    const family = await registerFamily("aroha");
+    await setLanguage(family.studentToken, "mi");
+
+    const missing = await api("GET", "/api/content/999999", { token: family.studentToken });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.message, "Kāore i kitea tēnei mea.");
+
+    const invalid = await api("POST", "/api/update-student-profile", {
+      token: family.studentToken,
+      body: { studentName: "x".repeat(300) },
+    });
+    assert.equal(invalid.body.message, "He hē ngā taipitopito o te kōtaha.");
+    assert.deepEqual(invalid.body.errors, [{ field: "studentName", message: "kia 255 ngā pūāhua, neke iho" }]);
+  });
+
+  test("signed-out requests follow Accept-Language", async () => {
+    const res = await api("POST", "/api/login", {
+      body: { email: "nobody@example.com", password: "wrong-password" },
+      headers: { "Accept-Language": "mi-NZ,mi;q=0.9,en;q=0.8" },
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, "He hē te īmēra, te kupuhipa rānei.");
+  });
+
+  test("GET /api/i18n fills untranslated keys with English", async () => {
+    const res = await api("GET", "/api/i18n?locale=mi");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.locale, "mi");
+    assert.deepEqual(res.body.languages.map((l) => l.code), ["en", "mi"]);
+    assert.equal(res.body.strings["review.left"].includes("{count}"), true);
+
+    const english = await api("GET", "/api/i18n", { headers: { "Accept-Language": "fr" } });
+    assert.equal(english.body.locale, "en");
+    assert.deepEqual(Object.keys(english.body.strings).sort(), Object.keys(res.body.strings).sort());
+  });
+});
+
+describe("lib/i18n", () => {
+  test("placeholders in catalog keys match any text", () => {
+    assert.equal(translate("Maths is switched off by your parent.", "mi"), "Kua whakawetohia te Maths e tō mātua.");
+    assert.equal(translate("Something new.", "mi"), "Something new.");
+    assert.equal(translate("Student not found.", "en"), "Student not found.");
+  });
+
+  test("Accept-Language is ranked by q", () => {
+    assert.equal(fromAcceptLanguage("en;q=0.5, mi-NZ"), "mi");
+    assert.equal(fromAcceptLanguage("fr, de;q=0.8"), null);
+    assert.equal(fromAcceptLanguage(undefined), null);
+  });
+});
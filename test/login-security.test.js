@@ -0,0 +1,239 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  mailer,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  login,
+  PASSWORD,
+} = require("./helpers");
+const { LIMITS } = require("../lib/throttle");
+const { passwordErrors } = require("../lib/passwords");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+const START = Date.parse("2026-03-02T00:00:00Z");
+const at = (minutes) => clock.setNow(new Date(START + minutes * 60 * 1000).toISOString());
+
+const signIn = (email, password) => api("POST", "/api/login", { body: { email, password } });
+const requestReset = (email) => api("POST", "/api/password-reset/request", { body: { email } });
+const confirmReset = (token, newPassword) =>
+  api("POST", "/api/password-reset/confirm", { body: { token, newPassword } });
+
+// The token from the newest reset email
+function sentToken() {
+  const message = mailer.sent[mailer.sent.length - 1];
+  return decodeURIComponent(message.text.match(/reset-password\.html\?token=(\S+)/)[1]);
+}
+
+describe("sign-in throttling", () => {
+  test("locks an account after repeated failures, even for the right password", async () => {
+    at(0);
+    await registerFamily("aroha");
+    const email = "aroha.student@example.com";
+
+    for (let i = 0; i < LIMITS.account.max; i++) {
+      assert.equal((await signIn(email, "wrong-guess-1")).status, 401);
+    }
+    const locked = await signIn(email, PASSWORD);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get("retry-after"), String(LIMITS.account.lockMinutes * 60));
+
+    at(LIMITS.account.lockMinutes);
+    assert.equal((await signIn(email, PASSWORD)).status, 200);
+  });
+
+  test("treats unknown emails exactly like real ones", async () => {
+    at(0);
+    await registerFamily("aroha");
+
+    const real = await signIn("aroha.parent@example.com", "wrong-guess-1");
+    const unknown = await signIn("nobody@example.com", "wrong-guess-1");
+    assert.deepEqual(unknown.body, real.body);
+
+    for (let i = 1; i < LIMITS.account.max; i++) await signIn("nobody@example.com", "wrong-guess-1");
+    assert.equal((await signIn("nobody@example.com", "wrong-guess-1")).status, 429);
+  });
+
+  test("a successful sign-in clears the account's failures", async () => {
+    at(0);
+    await registerFamily("aroha");
+    const email = "aroha.parent@example.com";
+
+    for (let i = 1; i < LIMITS.account.max; i++) await signIn(email, "wrong-guess-1");
+    assert.equal((await signIn(email, PASSWORD)).status, 200);
+    assert.equal((await signIn(email, "wrong-guess-1")).status, 401);
+    assert.equal((await signIn(email, PASSWORD)).status, 200);
+  });
+
+  test("parallel guesses can't get past the limit", async () => {
+    at(0);
+    await registerFamily("aroha");
+    const email = "aroha.student@example.com";
+
+    const results = await Promise.all(
+      Array.from({ length: 30 }, () => signIn(email, "wrong-guess-1"))
+    );
+    const statuses = results.map((r) => r.status);
+
+    assert.equal(statuses.filter((s) => s === 401).length, LIMITS.account.max);
+    assert.equal(statuses.filter((s) => s === 429).length, 30 - LIMITS.account.max);
+    assert.equal((await signIn(email, PASSWORD)).status, 429);
+  });
+
+  test("locks the client IP after failures across many emails", async () => {
+    at(0);
+    await registerFamily("aroha");
+
+    for (let i = 0; i < LIMITS.ip.max; i++) {
+      assert.equal((await signIn(`guess${i}@example.com`, "wrong-guess-1")).status, 401);
+    }
+    assert.equal((await signIn("aroha.parent@example.com", PASSWORD)).status, 429);
+  });
+});
+
+describe("password rules", () => {
+  test("passwordErrors explains what's wrong", () => {
+    const messages = (pw, email) => passwordErrors("pw", pw, email).map((e) => e.message);
+
+    assert.deepEqual(messages("kiwi-fern-42"), []);
+    assert.deepEqual(messages("short1"), ["must be at least 8 characters"]);
+    assert.deepEqual(messages("onlyletters"), ["must mix letters with numbers or symbols"]);
+    assert.deepEqual(messages("Password123"), ["is too common"]);
+    assert.deepEqual(messages("mere.tane-2026", "mere.tane@example.com"), [
+      "must not contain your email address",
+    ]);
+    assert.deepEqual(messages(`a1${"x".repeat(80)}`), ["must be at most 72 bytes"]);
+  });
+
+  test("both sign-up forms reject weak passwords with field errors", async () => {
+    const parent = await api("POST", "/api/register-parent", {
+      body: {
+        parentName: "Aroha Parent",
+        parentEmail: "aroha@example.com",
+        parentPassword: "password",
+        studentName: "Mere",
+        studentEmail: "mere@example.com",
+        studentPassword: "12345678",
+        studentAge: 12,
+        studentInterests: "Physics",
+      },
+    });
+    assert.equal(parent.status, 400);
+    assert.equal(parent.body.message, "Password is too weak.");
+    assert.deepEqual(
+      [...new Set(parent.body.errors.map((e) => e.field))],
+      ["parentPassword", "studentPassword"]
+    );
+
+    const student = await api("POST", "/api/register-student", {
+      body: {
+        studentName: "Mere",
+        studentEmail: "mere@example.com",
+        studentPassword: "abc",
+        studentAge: 12,
+        studentInterests: "Physics",
+      },
+    });
+    assert.equal(student.status, 400);
+    assert.equal(student.body.errors[0].field, "studentPassword");
+    assert.equal(await storage.students.findByEmail("mere@example.com"), null);
+  });
+
+  test("change-password applies the same rules", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("POST", "/api/change-password", {
+      token: family.parentToken,
+      body: { currentPassword: PASSWORD, newPassword: "qwerty123" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors, [{ field: "newPassword", message: "is too common" }]);
+  });
+});
+
+describe("password reset", () => {
+  test("answers the same for known and unknown emails, mailing only real accounts", async () => {
+    await registerFamily("aroha");
+
+    const known = await requestReset("aroha.parent@example.com");
+    const unknown = await requestReset("nobody@example.com");
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(mailer.sent.length, 1);
+    assert.equal(mailer.sent[0].to, "aroha.parent@example.com");
+  });
+
+  test("sets a new password, signs out everywhere and spends the token", async () => {
+    const family = await registerFamily("aroha");
+    await requestReset("aroha.parent@example.com");
+    const token = sentToken();
+
+    const res = await confirmReset(token, "new-kiwi-pass-7");
+    assert.equal(res.status, 200);
+    assert.equal((await api("GET", "/api/session", { token: family.parentToken })).status, 401);
+    assert.equal((await signIn("aroha.parent@example.com", PASSWORD)).status, 401);
+    assert.ok(await login("aroha.parent@example.com", "new-kiwi-pass-7"));
+
+    const again = await confirmReset(token, "another-pass-8");
+    assert.equal(again.status, 400);
+    assert.match(again.body.message, /invalid or has expired/);
+  });
+
+  test("a weak password leaves the token usable", async () => {
+    await registerFamily("aroha");
+    await requestReset("aroha.student@example.com");
+    const token = sentToken();
+
+    const weak = await confirmReset(token, "password");
+    assert.equal(weak.status, 400);
+    assert.equal(weak.body.errors[0].field, "newPassword");
+    assert.equal((await confirmReset(token, "new-kiwi-pass-7")).status, 200);
+  });
+
+  test("tokens expire, and a newer request replaces an older token", async () => {
+    at(0);
+    await registerFamily("aroha");
+
+    await requestReset("aroha.parent@example.com");
+    const first = sentToken();
+    await requestReset("aroha.parent@example.com");
+    const second = sentToken();
+    assert.equal((await confirmReset(first, "new-kiwi-pass-7")).status, 400);
+
+    at(61);
+    assert.equal((await confirmReset(second, "new-kiwi-pass-7")).status, 400);
+  });
+
+  test("a reset lifts the sign-in lockout", async () => {
+    at(0);
+    await registerFamily("aroha");
+    const email = "aroha.parent@example.com";
+    for (let i = 0; i < LIMITS.account.max; i++) await signIn(email, "wrong-guess-1");
+    assert.equal((await signIn(email, PASSWORD)).status, 429);
+
+    await requestReset(email);
+    await confirmReset(sentToken(), "new-kiwi-pass-7");
+    assert.equal((await signIn(email, "new-kiwi-pass-7")).status, 200);
+  });
+
+  test("limits how often a reset can be requested", async () => {
+    at(0);
+    await registerFamily("aroha");
+
+    for (let i = 0; i < LIMITS.resetAccount.max; i++) {
+      assert.equal((await requestReset("aroha.parent@example.com")).status, 200);
+    }
+    assert.equal((await requestReset("aroha.parent@example.com")).status, 429);
+    assert.equal(mailer.sent.length, LIMITS.resetAccount.max);
+  });
+});
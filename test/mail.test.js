@@ -0,0 +1,172 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const { createSmtpTransport, SmtpError } = require("../lib/mail/smtp");
+const { createFileTransport } = require("../lib/mail/file");
+const { buildMessage } = require("../lib/mail/message");
+
+const message = {
+  from: "STEM Learning <no-reply@example.com>",
+  to: "parent@example.com",
+  subject: "Tēnā koe",
+  text: "Line one\n.starts with a dot\n",
+  html: "<p>Hi</p>",
+  messageId: "<abc@example.com>",
+};
+
+// A scripted SMTP server that records what the client sends. rejectRcpt
+// makes RCPT TO fail.
+async function fakeSmtpServer({ rejectRcpt = false } = {}) {
+  const commands = [];
+  let data = "";
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply("220 fake.example.com ESMTP");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            reply("250 queued");
+          } else {
+            data += `${line}\n`;
+          }
+          continue;
+        }
+        commands.push(line);
+        if (line.startsWith("EHLO")) {
+          socket.write("250-fake.example.com\r\n250-AUTH PLAIN LOGIN\r\n250 SIZE 1000000\r\n");
+        } else if (line.startsWith("AUTH PLAIN")) reply("235 ok");
+        else if (line.startsWith("MAIL FROM")) reply("250 ok");
+        else if (line.startsWith("RCPT TO")) reply(rejectRcpt ? "550 no such user" : "250 ok");
+        else if (line === "DATA") {
+          inData = true;
+          reply("354 go ahead");
+        } else if (line === "QUIT") {
+          reply("221 bye");
+          socket.end();
+        } else reply("502 unknown");
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    commands,
+    data: () => data,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("SMTP transport", () => {
+  test("authenticates and delivers the message", async () => {
+    const server = await fakeSmtpServer();
+    try {
+      const smtp = createSmtpTransport({
+        host: "127.0.0.1",
+        port: server.port,
+        user: "mailer",
+        pass: "secret",
+        requireTLS: false,
+        name: "test.local",
+        timeoutMs: 5000,
+      });
+
+      const result = await smtp.send({ ...message, html: null });
+
+      assert.equal(result.messageId, "<abc@example.com>");
+      assert.deepEqual(server.commands, [
+        "EHLO test.local",
+        `AUTH PLAIN ${Buffer.from("\0mailer\0secret").toString("base64")}`,
+        "MAIL FROM:<no-reply@example.com>",
+        "RCPT TO:<parent@example.com>",
+        "DATA",
+        "QUIT",
+      ]);
+      assert.match(server.data(), /^Subject: =\?UTF-8\?B\?/m);
+      assert.match(server.data(), /^Message-ID: <abc@example.com>$/m);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("won't authenticate over a connection without STARTTLS", async () => {
+    const server = await fakeSmtpServer();
+    try {
+      const smtp = createSmtpTransport({
+        host: "127.0.0.1",
+        port: server.port,
+        user: "mailer",
+        pass: "secret",
+        name: "test.local",
+        timeoutMs: 5000,
+      });
+
+      await assert.rejects(smtp.send(message), (err) => {
+        assert.ok(err instanceof SmtpError);
+        assert.match(err.message, /STARTTLS/);
+        return true;
+      });
+      assert.deepEqual(server.commands, ["EHLO test.local"]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("a rejected recipient fails with the server's reply", async () => {
+    const server = await fakeSmtpServer({ rejectRcpt: true });
+    try {
+      const smtp = createSmtpTransport({ host: "127.0.0.1", port: server.port, timeoutMs: 5000 });
+
+      await assert.rejects(smtp.send(message), (err) => {
+        assert.ok(err instanceof SmtpError);
+        assert.equal(err.code, 550);
+        return true;
+      });
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe("message building", () => {
+  test("text and HTML go in a multipart/alternative message", () => {
+    const raw = buildMessage(message);
+    const boundary = /boundary="([^"]+)"/.exec(raw)[1];
+    const parts = raw.split(`--${boundary}`);
+
+    assert.equal(parts.length, 4);
+    assert.match(parts[1], /text\/plain/);
+    assert.match(parts[2], /text\/html/);
+    const body = parts[1].split("\r\n\r\n")[1].replace(/\r\n/g, "");
+    assert.equal(Buffer.from(body, "base64").toString("utf8"), message.text);
+  });
+});
+
+describe("file transport", () => {
+  test("writes each message as an .eml file", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mail-"));
+    try {
+      const { file } = await createFileTransport({ dir }).send(message);
+
+      assert.equal(path.dirname(file), dir);
+      assert.match(file, /\.eml$/);
+      assert.match(await fs.readFile(file, "utf8"), /^To: parent@example.com$/m);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
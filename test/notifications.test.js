@@ -0,0 +1,253 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  timeActivity,
+  registerFamily,
+  PASSWORD,
+} = require("./helpers");
+const { warnStreaksAtRisk, pruneNotifications } = require("../lib/notifications");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+// NZ wall-clock times during NZDT (UTC+13)
+const nzTime = (date, time) => {
+  const [h, m] = time.split(":").map(Number);
+  const utc = new Date(`${date}T00:00:00Z`);
+  utc.setUTCHours(h - 13, m);
+  return utc;
+};
+
+async function engineeringLesson() {
+  const row = await storage.subjects.findByName("Engineering");
+  const [lesson] = await storage.contentItems.list(row.id, "lessons");
+  return lesson;
+}
+
+const logActivity = (token, contentId, minutes = 15) => timeActivity(token, { contentId }, minutes);
+
+const inbox = (token, query = "") => api("GET", `/api/notifications${query}`, { token });
+
+// Reads "notification" events off GET /api/notifications/stream
+async function openStream(token, headers = {}) {
+  const controller = new AbortController();
+  const res = await api("GET", "/api/notifications/stream", {
+    token,
+    headers,
+    stream: true,
+    signal: controller.signal,
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+
+  async function next() {
+    for (;;) {
+      const end = buffered.indexOf("\n\n");
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) return null;
+        buffered += decoder.decode(value, { stream: true });
+        continue;
+      }
+      const block = buffered.slice(0, end);
+      buffered = buffered.slice(end + 2);
+      const fields = Object.fromEntries(
+        block.split("\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)])
+      );
+      if (fields.event === "notification") return { id: Number(fields.id), ...JSON.parse(fields.data) };
+    }
+  }
+
+  return { res, next, close: () => controller.abort() };
+}
+
+describe("notification inbox", () => {
+  test("activity and quizzes reach every guardian, unread until read", async () => {
+    const family = await registerFamily("aroha");
+    const other = await registerFamily("mere");
+    await storage.guardians.add(family.studentId, other.parentId);
+    const lesson = await engineeringLesson();
+
+    await logActivity(family.studentToken, lesson.id);
+    await api("POST", "/api/quiz/submit", {
+      token: family.studentToken,
+      body: {
+        contentId: lesson.id,
+        answers: [
+          { questionIndex: 0, answerIndex: 1 },
+          { questionIndex: 1, answerIndex: 0 },
+        ],
+      },
+    });
+
+    const res = await inbox(family.parentToken);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.unreadCount, 2);
+    const [quiz, activity] = res.body.notifications;
+    assert.equal(activity.type, "activity");
+    assert.equal(activity.message, `aroha Student finished the Engineering lesson "${lesson.data.title}" (15 min).`);
+    assert.deepEqual(
+      [activity.studentId, activity.details.minutes, activity.details.completed, activity.read],
+      [family.studentId, 15, true, false]
+    );
+    assert.equal(quiz.type, "quiz");
+    assert.deepEqual([quiz.details.correct, quiz.details.total], [1, 2]);
+
+    assert.equal((await inbox(other.parentToken)).body.unreadCount, 2);
+
+    const one = await api("POST", "/api/notifications/read", { token: family.parentToken, body: { ids: [activity.id] } });
+    assert.deepEqual([one.body.marked, one.body.unreadCount], [1, 1]);
+    const unread = await inbox(family.parentToken, "?unread=true");
+    assert.deepEqual(unread.body.notifications.map((n) => n.id), [quiz.id]);
+
+    // Another parent's ids are left alone
+    const notMine = await api("POST", "/api/notifications/read", { token: other.parentToken, body: { ids: [quiz.id] } });
+    assert.equal(notMine.body.marked, 0);
+
+    const all = await api("POST", "/api/notifications/read", { token: other.parentToken });
+    assert.deepEqual([all.body.marked, all.body.unreadCount], [2, 0]);
+    assert.equal((await inbox(family.parentToken)).body.unreadCount, 1);
+  });
+
+  test("pages back with before, and only parents have an inbox", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+    for (let i = 0; i < 3; i++) await logActivity(family.studentToken, lesson.id, i + 1);
+
+    const first = await inbox(family.parentToken, "?limit=2");
+    assert.equal(first.body.notifications.length, 2);
+    const second = await inbox(family.parentToken, `?limit=2&before=${first.body.nextBefore}`);
+    assert.deepEqual(second.body.notifications.map((n) => n.details.minutes), [1]);
+    assert.equal(second.body.nextBefore, null);
+
+    assert.equal((await inbox(family.studentToken)).status, 403);
+    assert.equal((await inbox(family.parentToken, "?limit=500")).status, 400);
+  });
+
+  test("unlinking a child drops the notifications about them", async () => {
+    const family = await registerFamily("aroha");
+    await logActivity(family.studentToken, (await engineeringLesson()).id);
+
+    await api("DELETE", `/api/family/children/${family.studentId}`, { token: family.parentToken });
+    assert.equal((await inbox(family.parentToken)).body.notifications.length, 0);
+  });
+});
+
+describe("streak notifications", () => {
+  test("milestones are announced once", async () => {
+    await registerFamily("aroha");
+    for (const date of ["2026-03-01", "2026-03-02", "2026-03-03"]) {
+      clock.setNow(nzTime(date, "16:00"));
+      const token = await login("aroha.student@example.com");
+      await api("POST", "/api/streak/increment", { token, body: { activity: "lesson" } });
+      await api("POST", "/api/streak/increment", { token, body: { activity: "lesson" } });
+    }
+
+    const res = await inbox(await login("aroha.parent@example.com"));
+    const milestones = res.body.notifications.filter((n) => n.type === "streak-milestone");
+    assert.equal(milestones.length, 1);
+    assert.equal(milestones[0].message, "aroha Student reached a 3-day streak!");
+    assert.equal(milestones[0].details.streakDays, 3);
+  });
+
+  test("a streak about to end is flagged late in the student's day, once", async () => {
+    const family = await registerFamily("aroha");
+    await storage.streaks.save(family.studentId, {
+      streak_days: 5,
+      last_streak_date: "2026-03-02",
+      streak_freezes: 0,
+    });
+
+    assert.equal(await warnStreaksAtRisk(nzTime("2026-03-03", "20:00")), 0);
+    assert.equal(await warnStreaksAtRisk(nzTime("2026-03-03", "22:30")), 1);
+    assert.equal(await warnStreaksAtRisk(nzTime("2026-03-03", "23:30")), 0);
+
+    clock.setNow(nzTime("2026-03-03", "22:30"));
+    const res = await inbox(await login("aroha.parent@example.com"));
+    const [warning] = res.body.notifications;
+    assert.equal(warning.type, "streak-at-risk");
+    assert.equal(warning.message, "aroha Student's 5-day streak ends at midnight unless they do something today.");
+
+    // Already counted today, or a freeze would cover the day: nothing to warn about
+    await storage.streaks.save(family.studentId, { streak_days: 6, last_streak_date: "2026-03-04", streak_freezes: 0 });
+    assert.equal(await warnStreaksAtRisk(nzTime("2026-03-04", "22:30")), 0);
+    await storage.streaks.save(family.studentId, { streak_days: 6, last_streak_date: "2026-03-04", streak_freezes: 1 });
+    assert.equal(await warnStreaksAtRisk(nzTime("2026-03-05", "22:30")), 0);
+  });
+
+  test("old notifications are pruned", async () => {
+    const family = await registerFamily("aroha");
+    await logActivity(family.studentToken, (await engineeringLesson()).id);
+
+    assert.equal(await pruneNotifications(new Date(Date.now() + 89 * 24 * 60 * 60 * 1000)), 0);
+    assert.equal(await pruneNotifications(new Date(Date.now() + 91 * 24 * 60 * 60 * 1000)), 1);
+  });
+});
+
+describe("GET /api/notifications/stream", () => {
+  test("pushes new notifications, and catches up from Last-Event-ID", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+
+    const stream = await openStream(family.parentToken);
+    let event;
+    try {
+      assert.equal(stream.res.status, 200);
+      assert.match(stream.res.headers.get("content-type"), /^text\/event-stream/);
+      await logActivity(family.studentToken, lesson.id, 5);
+      event = await stream.next();
+      assert.deepEqual([event.type, event.details.minutes], ["activity", 5]);
+    } finally {
+      stream.close();
+    }
+
+    await logActivity(family.studentToken, lesson.id, 6);
+    await logActivity(family.studentToken, lesson.id, 7);
+    const again = await openStream(family.parentToken, { "Last-Event-ID": String(event.id) });
+    try {
+      assert.deepEqual([(await again.next()).details.minutes, (await again.next()).details.minutes], [6, 7]);
+    } finally {
+      again.close();
+    }
+  });
+
+  test("ends with the session it was opened with", { timeout: 10000 }, async () => {
+    const family = await registerFamily("aroha");
+    const otherToken = await login("aroha.parent@example.com");
+    const signedOut = await openStream(family.parentToken);
+    const other = await openStream(otherToken);
+
+    try {
+      await api("POST", "/api/logout", { token: family.parentToken });
+      assert.equal(await signedOut.next(), null);
+
+      // Changing the password signs out every other session too
+      await api("POST", "/api/change-password", {
+        token: await login("aroha.parent@example.com"),
+        body: { currentPassword: PASSWORD, newPassword: "new-password-1" },
+      });
+      assert.equal(await other.next(), null);
+    } finally {
+      signedOut.close();
+      other.close();
+    }
+  });
+
+  test("only parents can listen", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/notifications/stream", { token: family.studentToken });
+    const anon = await api("GET", "/api/notifications/stream");
+    assert.equal(res.status, 403);
+    assert.equal(anon.status, 401);
+  });
+});
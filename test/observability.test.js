@@ -0,0 +1,145 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { app, api, storage, startServer, stopServer, resetState, registerFamily } = require("./helpers");
+const { createLogger } = require("../lib/logger");
+const { registry } = require("../lib/metrics");
+const { drainAndClose } = require("../lib/health");
+
+before(startServer);
+after(stopServer);
+beforeEach(() => {
+  registry.reset();
+  return resetState();
+});
+
+// Runs fn with the app's log lines collected instead of printed
+async function captureLogs(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = console.error = (line) => lines.push(JSON.parse(line));
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+describe("logging", () => {
+  test("lines are JSON with levels, and personal details are redacted", () => {
+    const lines = [];
+    const logger = createLogger({ level: "info", write: (line) => lines.push(JSON.parse(line)) });
+
+    logger.debug("not written");
+    logger.info("Signed up", { studentId: 7, studentName: "Mere", parent: { email: "aroha@example.com" } });
+    logger.error("Insert failed", new Error("Duplicate entry 'aroha@example.com' for key 'email'"));
+
+    assert.deepEqual(
+      lines.map((l) => [l.level, l.msg]),
+      [
+        ["info", "Signed up"],
+        ["error", "Insert failed"],
+      ]
+    );
+    assert.equal(lines[0].studentId, 7);
+    assert.equal(lines[0].studentName, "[redacted]");
+    assert.equal(lines[0].parent.email, "[redacted]");
+    assert.equal(lines[1].err.message, "Duplicate entry '[email]' for key 'email'");
+  });
+
+  test("each request gets an id, echoed back and on its log lines", async () => {
+    const family = await registerFamily("aroha");
+
+    let res;
+    const lines = await captureLogs(async () => {
+      res = await api("GET", `/api/student-dashboard-data?studentId=${family.studentId}`, {
+        token: family.parentToken,
+        headers: { "X-Request-Id": "lb-1234" },
+      });
+    });
+    const fresh = await api("GET", "/api/health/live", { headers: { "X-Request-Id": "no spaces allowed" } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-request-id"), "lb-1234");
+    assert.match(fresh.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+    const done = lines.find((l) => l.msg === "Request completed");
+    assert.equal(done.requestId, "lb-1234");
+    assert.equal(done.route, "/api/student-dashboard-data");
+    assert.equal(done.status, 200);
+    // The dashboard used to log the whole student record
+    assert.ok(!JSON.stringify(lines).includes("aroha"));
+  });
+});
+
+describe("GET /metrics", () => {
+  test("counts requests by route pattern and status, with timings", async () => {
+    const family = await registerFamily("aroha");
+    await api("DELETE", "/api/goals/999", { token: family.parentToken });
+    await api("GET", "/api/no-such-route");
+
+    const res = await api("GET", "/metrics");
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/plain/);
+    assert.match(res.body, /^http_requests_total\{method="DELETE",route="\/api\/goals\/:id",status="400"\} 1$/m);
+    assert.match(res.body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+    assert.match(res.body, /^http_request_duration_seconds_count\{method="DELETE",route="\/api\/goals\/:id"\} 1$/m);
+    assert.match(res.body, /^# TYPE http_request_duration_seconds histogram$/m);
+  });
+
+  test("asks for METRICS_TOKEN when one is set", async () => {
+    process.env.METRICS_TOKEN = "scrape-me";
+    try {
+      assert.equal((await api("GET", "/metrics")).status, 401);
+      const ok = await api("GET", "/metrics", { headers: { Authorization: "Bearer scrape-me" } });
+      assert.equal(ok.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
+
+describe("health", () => {
+  test("readiness checks the database and the content files", async () => {
+    const ready = await api("GET", "/api/health/ready");
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, "ready");
+    assert.deepEqual(Object.keys(ready.body.checks), ["database", "content"]);
+
+    const { ping } = storage;
+    storage.ping = async () => {
+      throw new Error("connect ECONNREFUSED 10.0.0.5:3306");
+    };
+    try {
+      const down = await api("GET", "/api/health");
+      const live = await api("GET", "/api/health/live");
+
+      assert.equal(down.status, 503);
+      assert.equal(down.body.status, "unavailable");
+      assert.equal(down.body.checks.database.ok, false);
+      assert.equal(down.body.checks.content.ok, true);
+      assert.ok(!JSON.stringify(down.body).includes("10.0.0.5"));
+      assert.equal(live.status, 200);
+    } finally {
+      storage.ping = ping;
+    }
+  });
+
+  // Last: draining can't be undone in this process
+  test("shutdown stops the schedulers and the server, then reports draining", async () => {
+    const server = await new Promise((resolve) => {
+      const s = app.listen(0, () => resolve(s));
+    });
+    let stopped = 0;
+
+    const closed = await drainAndClose({ server, stops: [() => stopped++], timeoutMs: 1000 });
+
+    assert.equal(closed, true);
+    assert.equal(stopped, 1);
+    assert.equal(server.listening, false);
+    const res = await api("GET", "/api/health/ready");
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "draining");
+  });
+});
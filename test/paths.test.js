@@ -0,0 +1,247 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  createAdmin,
+  timeActivity,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function getPaths(token, query = "") {
+  const res = await api("GET", `/api/paths${query}`, { token });
+  assert.equal(res.status, 200);
+  return res.body.paths;
+}
+
+const findPath = (paths, subject) => paths.find((p) => p.subject === subject);
+
+// Finishes the item and, for a lesson, answers its whole quiz correctly
+async function complete(token, itemId) {
+  const row = await storage.contentItems.findById(itemId);
+  await timeActivity(token, { contentId: itemId }, 1);
+  if (row.format !== "lessons" || !row.data.quiz) return;
+
+  const quiz = Array.isArray(row.data.quiz) ? row.data.quiz : [row.data.quiz];
+  const res = await api("POST", "/api/quiz/submit", {
+    token,
+    body: {
+      contentId: itemId,
+      answers: quiz.map((q, questionIndex) => ({ questionIndex, answerIndex: q.correctIndex })),
+    },
+  });
+  assert.equal(res.status, 200);
+}
+
+describe("learning path progress", () => {
+  test("starter paths start at 0% with only the first unit unlocked", async () => {
+    const family = await registerFamily("aroha");
+    const paths = await getPaths(family.studentToken);
+
+    assert.deepEqual(paths.map((p) => p.subject), ["Engineering", "Physics", "Maths"]);
+    const physics = findPath(paths, "Physics");
+    assert.equal(physics.percent, 0);
+    assert.equal(physics.totalItems, 9);
+    assert.deepEqual(physics.units.map((u) => u.unlocked), [true, false, false]);
+  });
+
+  test("a lesson with a quiz needs every question mastered", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = findPath(await getPaths(family.studentToken), "Physics").units[0].items[0];
+    assert.equal(lesson.format, "lessons");
+
+    await timeActivity(family.studentToken, { contentId: lesson.id }, 1);
+    let unit = findPath(await getPaths(family.studentToken), "Physics").units[0];
+    assert.equal(unit.items[0].complete, false);
+
+    await complete(family.studentToken, lesson.id);
+    unit = findPath(await getPaths(family.studentToken), "Physics").units[0];
+    assert.equal(unit.items[0].complete, true);
+  });
+
+  test("finishing a unit unlocks the units that require it", async () => {
+    const family = await registerFamily("aroha");
+    const first = findPath(await getPaths(family.studentToken), "Physics").units[0];
+
+    for (const item of first.items) await complete(family.studentToken, item.id);
+
+    const physics = findPath(await getPaths(family.studentToken), "Physics");
+    assert.equal(physics.completedItems, 3);
+    assert.equal(physics.percent, 33);
+    assert.equal(physics.units[0].complete, true);
+    assert.deepEqual(physics.units.map((u) => u.unlocked), [true, true, false]);
+  });
+
+  test("parents see their own children's progress only", async () => {
+    const family = await registerFamily("aroha");
+    const other = await registerFamily("tane");
+
+    const paths = await getPaths(family.parentToken, `?studentId=${family.studentId}`);
+    assert.equal(paths.length, 3);
+
+    const denied = await api("GET", `/api/paths?studentId=${other.studentId}`, {
+      token: family.parentToken,
+    });
+    assert.equal(denied.status, 403);
+  });
+});
+
+describe("next up", () => {
+  test("starts with the first item in the student's interest subject", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/next-up", { token: family.studentToken });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.item.subject, "Physics");
+    assert.equal(res.body.item.format, "lessons");
+    assert.equal(res.body.item.title, "Forces and Motion: Newton's Laws");
+    assert.equal(res.body.unit.key, "forces");
+    assert.equal(res.body.reason, "interest");
+  });
+
+  test("moves on as items are completed", async () => {
+    const family = await registerFamily("aroha");
+    const first = await api("GET", "/api/next-up", { token: family.studentToken });
+
+    await complete(family.studentToken, first.body.item.id);
+    const next = await api("GET", "/api/next-up", { token: family.studentToken });
+    assert.equal(next.body.item.format, "videos");
+    assert.equal(next.body.unit.key, "forces");
+  });
+
+  test("skips items outside the student's age range", async () => {
+    const admin = await createAdmin();
+    const family = await registerFamily("aroha");
+    const first = await api("GET", "/api/next-up", { token: family.studentToken });
+
+    const row = await storage.contentItems.findById(first.body.item.id);
+    const updated = await api("PUT", `/api/admin/content/${row.id}`, {
+      token: admin,
+      body: { item: { ...row.data, ageMin: 14 } },
+    });
+    assert.equal(updated.status, 200);
+
+    const next = await api("GET", "/api/next-up", { token: family.studentToken });
+    assert.equal(next.body.item.subject, "Physics");
+    assert.equal(next.body.item.format, "videos");
+  });
+
+  test("falls back to other subjects once the interest path is done", async () => {
+    const family = await registerFamily("aroha");
+    const physics = findPath(await getPaths(family.studentToken), "Physics");
+    for (const unit of physics.units) {
+      for (const item of unit.items) await complete(family.studentToken, item.id);
+    }
+
+    const res = await api("GET", "/api/next-up", { token: family.studentToken });
+    assert.equal(res.body.item.subject, "Engineering");
+    assert.equal(res.body.reason, "path");
+  });
+
+  test("says when what's left is switched off, rather than all caught up", async () => {
+    const family = await registerFamily("aroha");
+    const controls = await api("PUT", "/api/controls", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, formats: { mode: "allow", list: ["videos"] } },
+    });
+    assert.equal(controls.status, 200);
+    const videos = (await getPaths(family.studentToken))
+      .flatMap((p) => p.units.flatMap((u) => u.items))
+      .filter((i) => i.format === "videos");
+    for (const video of videos) await complete(family.studentToken, video.id);
+
+    const res = await api("GET", "/api/next-up", { token: family.studentToken });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.item, null);
+    assert.equal(res.body.reason, "filtered");
+    assert.doesNotMatch(res.body.message, /caught up/);
+  });
+});
+
+describe("path authoring", () => {
+  async function mathsItems() {
+    const subject = await storage.subjects.findByName("Maths");
+    const lessons = await storage.contentItems.list(subject.id, "lessons");
+    const games = await storage.contentItems.list(subject.id, "games");
+    return { lessons, games };
+  }
+
+  test("rejects prerequisites that aren't earlier units and items from other subjects", async () => {
+    const admin = await createAdmin();
+    const physics = await storage.subjects.findByName("Physics");
+    const [physicsLesson] = await storage.contentItems.list(physics.id, "lessons");
+    const { lessons } = await mathsItems();
+
+    const res = await api("POST", "/api/admin/paths", {
+      token: admin,
+      body: {
+        subject: "Maths",
+        title: "Broken",
+        units: [
+          { key: "one", title: "One", items: [lessons[0].id], requires: ["two"] },
+          { key: "two", title: "Two", items: [physicsLesson.id] },
+        ],
+      },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(
+      res.body.errors.map((e) => e.field),
+      ["units[0].requires[0]", "units[1].items[0]"]
+    );
+  });
+
+  test("paths are hidden from students until published", async () => {
+    const admin = await createAdmin();
+    const family = await registerFamily("aroha");
+    const { lessons, games } = await mathsItems();
+
+    const created = await api("POST", "/api/admin/paths", {
+      token: admin,
+      body: {
+        subject: "Maths",
+        title: "Maths games",
+        units: [
+          { key: "warm-up", title: "Warm up", items: [games[0].id] },
+          { key: "practice", title: "Practice", items: [lessons[1].id, games[1].id], requires: ["warm-up"] },
+        ],
+      },
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.path.published, false);
+    assert.equal(created.body.path.position, 1);
+
+    assert.equal((await getPaths(family.studentToken)).length, 3);
+
+    const published = await api("POST", `/api/admin/paths/${created.body.path.id}/publish`, {
+      token: admin,
+    });
+    assert.equal(published.body.path.published, true);
+
+    const paths = await getPaths(family.studentToken);
+    assert.deepEqual(
+      paths.map((p) => p.title),
+      ["Engineering foundations", "Physics foundations", "Maths foundations", "Maths games"]
+    );
+    assert.equal(paths[3].totalItems, 3);
+  });
+
+  test("deleted content drops out of a path's totals", async () => {
+    const admin = await createAdmin();
+    const family = await registerFamily("aroha");
+    const maths = findPath(await getPaths(family.studentToken), "Maths");
+
+    await api("DELETE", `/api/admin/content/${maths.units[0].items[2].id}`, { token: admin });
+
+    const after = findPath(await getPaths(family.studentToken), "Maths");
+    assert.equal(after.totalItems, 8);
+  });
+});
@@ -0,0 +1,268 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  login,
+  createAdmin,
+  readZip,
+  PASSWORD,
+} = require("./helpers");
+const { runPrivacyJobs } = require("../lib/privacy");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+const logActivity = (token, subject = "Physics") =>
+  api("POST", "/api/activity/log", {
+    token,
+    body: { activityType: "lesson", subject },
+  });
+
+const requestDeletion = (token, studentId, password = PASSWORD) =>
+  api("POST", "/api/privacy/deletion", { token, body: { studentId, password } });
+
+// rawiri becomes a second guardian of aroha's children
+async function shareWith(aroha, rawiri) {
+  const sent = await api("POST", "/api/family/invitations", {
+    token: aroha.parentToken,
+    body: { kind: "guardian", email: "rawiri.parent@example.com" },
+  });
+  await api("POST", `/api/family/invitations/${sent.body.invitation.id}/accept`, {
+    token: rawiri.parentToken,
+  });
+}
+
+const GRACE_MS = 8 * 24 * 60 * 60 * 1000;
+
+describe("GET /api/privacy/export", () => {
+  test("the JSON export has the profile and every record, without the password hash", async () => {
+    clock.setNow("2026-03-02T01:00:00Z");
+    const aroha = await registerFamily("aroha");
+    await logActivity(aroha.studentToken);
+
+    const res = await api("GET", `/api/privacy/export?studentId=${aroha.studentId}&format=json`, {
+      token: aroha.parentToken,
+    });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /student-\d+-2026-03-02\.json/);
+    assert.equal(res.body.student.email, "aroha.student@example.com");
+    assert.equal(res.body.student.password_hash, undefined);
+    assert.deepEqual(res.body.guardians.map((g) => g.id), [aroha.parentId]);
+    assert.equal(res.body.records.student_activities[0].subject, "Physics");
+    assert.equal(res.body.records.daily_sessions.length, 1);
+  });
+
+  test("the zip has export.json plus a CSV per table", async () => {
+    const aroha = await registerFamily("aroha");
+    await logActivity(aroha.studentToken);
+    // Names are free text, so they can look like spreadsheet formulas
+    await api("POST", "/api/update-student-profile", {
+      token: aroha.parentToken,
+      body: { studentId: aroha.studentId, studentName: "=SUM(A1)" },
+    });
+
+    const res = await api("GET", `/api/privacy/export?studentId=${aroha.studentId}`, {
+      token: aroha.parentToken,
+      binary: true,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/zip");
+    const files = readZip(res.body);
+    assert.ok(files["export.json"]);
+    assert.ok(files["student_activities.csv"]);
+    const csv = files["student_activities.csv"].toString().split("\r\n");
+    assert.match(csv[0], /^id,student_id,/);
+    assert.match(csv[1], /,Physics,/);
+    assert.match(files["student.csv"].toString(), /,'=SUM\(A1\),/);
+    assert.equal(JSON.parse(files["export.json"]).student.full_name, "=SUM(A1)");
+  });
+
+  test("only the child's guardians can export, and each export is audited", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const denied = await api("GET", `/api/privacy/export?studentId=${aroha.studentId}`, {
+      token: james.parentToken,
+    });
+    const student = await api("GET", "/api/privacy/export", { token: aroha.studentToken });
+    await api("GET", `/api/privacy/export?studentId=${aroha.studentId}&format=json`, {
+      token: aroha.parentToken,
+    });
+
+    assert.equal(denied.status, 403);
+    assert.equal(student.status, 403);
+    const log = await storage.auditLog.list({ subject_role: "student", subject_id: aroha.studentId, limit: 10 });
+    assert.deepEqual(
+      log.map((e) => [e.action, e.actor_id, e.details]),
+      [["data_exported", aroha.parentId, { format: "json" }]]
+    );
+  });
+});
+
+describe("deleting a child", () => {
+  test("waits out the grace period, then removes everything", async () => {
+    clock.setNow("2026-03-02T01:00:00Z");
+    const aroha = await registerFamily("aroha");
+    await logActivity(aroha.studentToken);
+
+    const wrong = await requestDeletion(aroha.parentToken, aroha.studentId, "not-my-password-1");
+    assert.equal(wrong.status, 401);
+
+    const res = await requestDeletion(aroha.parentToken, aroha.studentId);
+    assert.equal(res.status, 200);
+    assert.equal(new Date(res.body.deletion.deleteAfter).toISOString(), "2026-03-09T01:00:00.000Z");
+    assert.equal((await requestDeletion(aroha.parentToken, aroha.studentId)).status, 409);
+
+    // Signed out, and can't sign back in while it's pending
+    assert.equal((await api("GET", "/api/session", { token: aroha.studentToken })).status, 401);
+    const signIn = await api("POST", "/api/login", {
+      body: { email: "aroha.student@example.com", password: PASSWORD },
+    });
+    assert.equal(signIn.status, 403);
+
+    assert.deepEqual(await runPrivacyJobs(), { deleted: 0, purged: 0 });
+    clock.setNow(new Date(clock.now().getTime() + GRACE_MS));
+    assert.equal((await runPrivacyJobs()).deleted, 1);
+
+    assert.equal(await storage.students.findById(aroha.studentId), null);
+    const records = await storage.privacy.studentRecords(aroha.studentId);
+    assert.ok(Object.values(records).every((rows) => rows.length === 0));
+    assert.ok(await storage.parents.findById(aroha.parentId));
+
+    const log = await storage.auditLog.list({ subject_role: "student", subject_id: aroha.studentId, limit: 10 });
+    assert.deepEqual(log.map((e) => e.action), ["deletion_completed", "deletion_requested"]);
+    assert.ok(!JSON.stringify(log).includes("aroha"));
+  });
+
+  test("any guardian can cancel, but only the primary guardian can ask", async () => {
+    const aroha = await registerFamily("aroha");
+    const rawiri = await registerFamily("rawiri");
+    await shareWith(aroha, rawiri);
+
+    assert.equal((await requestDeletion(rawiri.parentToken, aroha.studentId)).status, 403);
+    await requestDeletion(aroha.parentToken, aroha.studentId);
+
+    const cancelled = await api("DELETE", `/api/privacy/deletion?studentId=${aroha.studentId}`, {
+      token: rawiri.parentToken,
+    });
+    assert.equal(cancelled.body.deletion.status, "cancelled");
+    assert.equal(typeof (await login("aroha.student@example.com")), "string");
+
+    clock.setNow(new Date(clock.now().getTime() + GRACE_MS));
+    assert.equal((await runPrivacyJobs()).deleted, 0);
+    assert.ok(await storage.students.findById(aroha.studentId));
+  });
+});
+
+describe("deleting a parent account", () => {
+  test("hands shared children to the next guardian and deletes the rest", async () => {
+    const aroha = await registerFamily("aroha");
+    const rawiri = await registerFamily("rawiri");
+    await shareWith(aroha, rawiri);
+    const tama = await api("POST", "/api/register-student", {
+      token: aroha.parentToken,
+      body: { studentName: "Tama", studentEmail: "tama@example.com", studentPassword: PASSWORD, studentAge: 8, studentInterests: "Maths" },
+    });
+    // Tama has no other guardian
+    await storage.guardians.remove(tama.body.studentId, rawiri.parentId);
+
+    const res = await api("POST", "/api/privacy/account-deletion", {
+      token: aroha.parentToken,
+      body: { password: PASSWORD },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.children.map((c) => [c.id, c.outcome]),
+      [
+        [aroha.studentId, "handedOver"],
+        [tama.body.studentId, "deleted"],
+      ]
+    );
+
+    clock.setNow(new Date(clock.now().getTime() + GRACE_MS));
+    await runPrivacyJobs();
+
+    assert.equal(await storage.parents.findById(aroha.parentId), null);
+    assert.equal((await storage.students.findById(aroha.studentId)).parent_id, rawiri.parentId);
+    assert.equal(await storage.students.findById(tama.body.studentId), null);
+    const overview = await api("GET", "/api/family", { token: await login("rawiri.parent@example.com") });
+    assert.ok(overview.body.children.find((c) => c.id === aroha.studentId).primary);
+  });
+
+  test("can be cancelled from the same account", async () => {
+    const aroha = await registerFamily("aroha");
+    await api("POST", "/api/privacy/account-deletion", { token: aroha.parentToken, body: { password: PASSWORD } });
+
+    const overview = await api("GET", "/api/privacy", { token: aroha.parentToken });
+    assert.ok(overview.body.account.deletion);
+    const cancelled = await api("DELETE", "/api/privacy/account-deletion", { token: aroha.parentToken });
+    assert.equal(cancelled.status, 200);
+    assert.equal((await api("DELETE", "/api/privacy/account-deletion", { token: aroha.parentToken })).status, 404);
+  });
+});
+
+describe("activity retention", () => {
+  test("purges history older than the child's setting", async () => {
+    clock.setNow("2026-01-05T01:00:00Z");
+    const aroha = await registerFamily("aroha");
+    await logActivity(aroha.studentToken);
+
+    const invalid = await api("PUT", "/api/privacy/retention", {
+      token: aroha.parentToken,
+      body: { studentId: aroha.studentId, days: 7 },
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors[0].field, "days");
+
+    const saved = await api("PUT", "/api/privacy/retention", {
+      token: aroha.parentToken,
+      body: { studentId: aroha.studentId, days: 30 },
+    });
+    assert.equal(saved.body.retentionDays, 30);
+
+    clock.setNow("2026-02-10T01:00:00Z");
+    await logActivity(await login("aroha.student@example.com"), "Maths");
+    const { purged } = await runPrivacyJobs();
+
+    assert.equal(purged, 2);
+    const records = await storage.privacy.studentRecords(aroha.studentId);
+    assert.deepEqual(records.student_activities.map((a) => a.subject), ["Maths"]);
+    assert.deepEqual(records.daily_sessions.map((s) => s.session_date), ["2026-02-10"]);
+  });
+
+  test("keeps everything when neither the child nor the server sets a limit", async () => {
+    clock.setNow("2020-01-06T01:00:00Z");
+    const aroha = await registerFamily("aroha");
+    await logActivity(aroha.studentToken);
+
+    clock.setNow("2026-01-05T01:00:00Z");
+    assert.equal((await runPrivacyJobs()).purged, 0);
+  });
+});
+
+describe("GET /api/admin/audit-log", () => {
+  test("lists entries newest first for admins only", async () => {
+    const aroha = await registerFamily("aroha");
+    await requestDeletion(aroha.parentToken, aroha.studentId);
+    await api("DELETE", `/api/privacy/deletion?studentId=${aroha.studentId}`, { token: aroha.parentToken });
+
+    const admin = await createAdmin();
+    const res = await api("GET", `/api/admin/audit-log?subjectRole=student&subjectId=${aroha.studentId}`, {
+      token: admin,
+    });
+    const denied = await api("GET", "/api/admin/audit-log", { token: aroha.parentToken });
+
+    assert.deepEqual(res.body.entries.map((e) => e.action), ["deletion_cancelled", "deletion_requested"]);
+    assert.equal(denied.status, 403);
+  });
+});
@@ -0,0 +1,215 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  createTeacher,
+  PASSWORD,
+} = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+describe("dashboard data", () => {
+  test("students load their own dashboard", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("GET", "/api/student-dashboard-data", { token: family.studentToken });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.student.id, family.studentId);
+    assert.equal(res.body.parent.id, family.parentId);
+  });
+
+  test("students cannot load a sibling's or stranger's dashboard", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+    const res = await api("GET", `/api/student-dashboard-data?studentId=${james.studentId}`, {
+      token: aroha.studentToken,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("parents list their children and cannot ask for another parent", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const own = await api("GET", "/api/parent-dashboard-data", { token: aroha.parentToken });
+    const other = await api("GET", `/api/parent-dashboard-data?parentId=${james.parentId}`, {
+      token: aroha.parentToken,
+    });
+    const asStudent = await api("GET", "/api/parent-dashboard-data", {
+      token: aroha.studentToken,
+    });
+
+    assert.deepEqual(own.body.students.map((s) => s.id), [aroha.studentId]);
+    assert.equal(own.body.students[0].password_hash, undefined);
+    assert.equal(other.status, 403);
+    assert.equal(asStudent.status, 403);
+  });
+});
+
+describe("POST /api/update-student-profile", () => {
+  test("updates only the fields sent", async () => {
+    const family = await registerFamily("aroha");
+    const res = await api("POST", "/api/update-student-profile", {
+      token: family.studentToken,
+      body: { studentName: "Mere K", studentAge: 13 },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.student.name, "Mere K");
+    assert.equal(res.body.student.age, 13);
+    assert.equal(res.body.student.email, "aroha.student@example.com");
+    assert.equal(res.body.invitation, null);
+  });
+
+  test("rejects another student's email and bad ages", async () => {
+    const aroha = await registerFamily("aroha");
+    await registerFamily("james");
+
+    const dup = await api("POST", "/api/update-student-profile", {
+      token: aroha.studentToken,
+      body: { studentEmail: "james.student@example.com" },
+    });
+    const age = await api("POST", "/api/update-student-profile", {
+      token: aroha.studentToken,
+      body: { studentAge: "twelve" },
+    });
+
+    assert.equal(dup.status, 409);
+    assert.equal(age.status, 400);
+  });
+
+  test("rejects an email a parent signs in with", async () => {
+    const aroha = await registerFamily("aroha");
+
+    const res = await api("POST", "/api/update-student-profile", {
+      token: aroha.studentToken,
+      body: { studentEmail: "aroha.parent@example.com" },
+    });
+
+    assert.equal(res.status, 409);
+  });
+
+  test("a new parent email asks for a transfer instead of re-linking", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const fromParent = await api("POST", "/api/update-student-profile", {
+      token: aroha.parentToken,
+      body: { studentId: aroha.studentId, parentEmail: "james.parent@example.com" },
+    });
+    const fromStudent = await api("POST", "/api/update-student-profile", {
+      token: aroha.studentToken,
+      body: { parentEmail: "james.parent@example.com" },
+    });
+    const unchanged = await api("POST", "/api/update-student-profile", {
+      token: aroha.studentToken,
+      body: { parentEmail: "aroha.parent@example.com" },
+    });
+
+    assert.equal(fromParent.body.invitation.kind, "transfer");
+    assert.equal(fromParent.body.student.parentId, aroha.parentId);
+    assert.equal(await storage.guardians.isGuardian(aroha.studentId, james.parentId), false);
+    assert.equal(fromStudent.status, 409);
+    assert.equal(unchanged.body.invitation, null);
+  });
+
+  test("parents can edit their own children only", async () => {
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+
+    const own = await api("POST", "/api/update-student-profile", {
+      token: aroha.parentToken,
+      body: { studentId: aroha.studentId, studentInterests: "Maths" },
+    });
+    const other = await api("POST", "/api/update-student-profile", {
+      token: aroha.parentToken,
+      body: { studentId: james.studentId, studentInterests: "Maths" },
+    });
+
+    assert.equal(own.body.student.interests, "Maths");
+    assert.equal(other.status, 403);
+  });
+});
+
+describe("POST /api/update-parent-profile", () => {
+  test("updates the signed-in parent and rejects duplicate emails", async () => {
+    const aroha = await registerFamily("aroha");
+    await registerFamily("james");
+
+    const ok = await api("POST", "/api/update-parent-profile", {
+      token: aroha.parentToken,
+      body: { parentName: "Aroha K" },
+    });
+    const dup = await api("POST", "/api/update-parent-profile", {
+      token: aroha.parentToken,
+      body: { parentEmail: "james.parent@example.com" },
+    });
+    const asStudent = await api("POST", "/api/update-parent-profile", {
+      token: aroha.studentToken,
+      body: { parentName: "Nope" },
+    });
+
+    assert.equal(ok.body.parent.full_name, "Aroha K");
+    assert.equal(dup.status, 409);
+    assert.equal(asStudent.status, 403);
+  });
+
+  test("can't take an email a student or teacher signs in with", async () => {
+    const aroha = await registerFamily("aroha");
+    await createTeacher("whaea@example.com");
+
+    const student = await api("POST", "/api/update-parent-profile", {
+      token: aroha.parentToken,
+      body: { parentEmail: "aroha.student@example.com" },
+    });
+    const teacher = await api("POST", "/api/update-parent-profile", {
+      token: aroha.parentToken,
+      body: { parentEmail: "whaea@example.com" },
+    });
+    const own = await api("POST", "/api/update-parent-profile", {
+      token: aroha.parentToken,
+      body: { parentEmail: "aroha.parent@example.com" },
+    });
+
+    assert.equal(student.status, 409);
+    assert.equal(teacher.status, 409);
+    assert.equal(own.status, 200);
+    assert.equal((await storage.parents.findById(aroha.parentId)).email, "aroha.parent@example.com");
+  });
+});
+
+describe("POST /api/change-password", () => {
+  test("changes the password and signs out old sessions", async () => {
+    const family = await registerFamily("aroha");
+
+    const wrong = await api("POST", "/api/change-password", {
+      token: family.studentToken,
+      body: { currentPassword: "nope", newPassword: "new-password-1" },
+    });
+    assert.equal(wrong.status, 401);
+
+    const res = await api("POST", "/api/change-password", {
+      token: family.studentToken,
+      body: { currentPassword: PASSWORD, newPassword: "new-password-1" },
+    });
+    assert.equal(res.status, 200);
+
+    const oldSession = await api("GET", "/api/session", { token: family.studentToken });
+    const newSession = await api("GET", "/api/session", { token: res.body.token });
+    const login = await api("POST", "/api/login", {
+      body: { email: "aroha.student@example.com", password: "new-password-1" },
+    });
+
+    assert.equal(oldSession.status, 401);
+    assert.equal(newSession.status, 200);
+    assert.equal(login.status, 200);
+  });
+});
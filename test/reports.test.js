@@ -0,0 +1,167 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  mailer,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  timeActivity,
+  registerFamily,
+} = require("./helpers");
+const { sendWeeklyReports } = require("../lib/reports");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function logItem(token, subject, format, minutes) {
+  const row = await storage.subjects.findByName(subject);
+  const [item] = await storage.contentItems.list(row.id, format);
+  return timeActivity(token, { contentId: item.id }, minutes);
+}
+
+// A week of activity for Monday 2 to Sunday 8 March 2026 (NZ), plus one
+// activity on the Monday after that must not be counted
+async function learnForAWeek() {
+  clock.setNow("2026-03-01T21:00:00Z"); // Mon 2 Mar, 10am NZ
+  const family = await registerFamily("aroha");
+  await logItem(family.studentToken, "Maths", "lessons", 20);
+  await logItem(family.studentToken, "Physics", "videos", 10);
+
+  clock.setNow("2026-03-08T10:30:00Z"); // Sun 8 Mar, 11:30pm NZ
+  let token = await login("aroha.student@example.com");
+  await logItem(token, "Maths", "games", 15);
+
+  clock.setNow("2026-03-08T21:00:00Z"); // Mon 9 Mar, 10am NZ
+  token = await login("aroha.student@example.com");
+  await logItem(token, "Maths", "lessons", 30);
+
+  return { ...family, parentToken: await login("aroha.parent@example.com") };
+}
+
+const preview = (family, query = "") =>
+  api("GET", `/api/reports/weekly?studentId=${family.studentId}${query}`, { token: family.parentToken });
+
+describe("GET /api/reports/weekly", () => {
+  test("defaults to last full week in the student's timezone", async () => {
+    const family = await learnForAWeek();
+
+    const res = await preview(family);
+
+    assert.equal(res.status, 200);
+    const { report } = res.body;
+    assert.deepEqual(report.week, { start: "2026-03-02", end: "2026-03-08", timeZone: "Pacific/Auckland" });
+    assert.equal(report.minutes, 45);
+    assert.equal(report.activeDays, 2);
+    assert.deepEqual(report.activities, { total: 3, lessons: 1, videos: 1, games: 1 });
+    assert.deepEqual(
+      report.days.map((d) => [d.date, d.minutes]),
+      [
+        ["2026-03-02", 30],
+        ["2026-03-03", 0],
+        ["2026-03-04", 0],
+        ["2026-03-05", 0],
+        ["2026-03-06", 0],
+        ["2026-03-07", 0],
+        ["2026-03-08", 15],
+      ]
+    );
+    assert.deepEqual(report.subjects, [
+      { subject: "Maths", count: 2, minutes: 35 },
+      { subject: "Physics", count: 1, minutes: 10 },
+    ]);
+  });
+
+  test("any day picks its week, and bad dates are refused", async () => {
+    const family = await learnForAWeek();
+
+    const current = await preview(family, "&week=2026-03-11");
+    const bad = await preview(family, "&week=2026-02-30");
+
+    assert.equal(current.body.report.week.start, "2026-03-09");
+    assert.equal(current.body.report.minutes, 30);
+    assert.equal(bad.status, 400);
+  });
+
+  test("renders as html and text", async () => {
+    const family = await learnForAWeek();
+
+    const html = await preview(family, "&format=html");
+    const text = await preview(family, "&format=text");
+
+    assert.match(html.headers.get("content-type"), /text\/html/);
+    assert.match(html.body, /Weekly report for aroha student/i);
+    assert.match(text.headers.get("content-type"), /text\/plain/);
+    assert.match(text.body, /Time learning: 45 minutes over 2 days/);
+  });
+
+  test("is for the student's own parent only", async () => {
+    const family = await registerFamily("aroha");
+    const other = await registerFamily("tane");
+
+    const student = await api("GET", "/api/reports/weekly", { token: family.studentToken });
+    const stranger = await preview({ ...family, parentToken: other.parentToken });
+
+    assert.equal(student.status, 403);
+    assert.equal(stranger.status, 403);
+  });
+});
+
+describe("weekly report emails", () => {
+  test("parents opt in from their profile", async () => {
+    const family = await registerFamily("aroha");
+
+    const on = await api("POST", "/api/update-parent-profile", {
+      token: family.parentToken,
+      body: { weeklyReport: true },
+    });
+    const bad = await api("POST", "/api/update-parent-profile", {
+      token: family.parentToken,
+      body: { weeklyReport: "yes" },
+    });
+    const dashboard = await api("GET", "/api/parent-dashboard-data", { token: family.parentToken });
+
+    assert.equal(on.body.parent.weekly_report, true);
+    assert.equal(bad.status, 400);
+    assert.equal(dashboard.body.parent.weekly_report, true);
+  });
+
+  test("go out once per child per week, only to parents who opted in", async () => {
+    const family = await learnForAWeek();
+    await registerFamily("tane");
+    await api("POST", "/api/update-parent-profile", {
+      token: family.parentToken,
+      body: { weeklyReport: true },
+    });
+
+    const first = await sendWeeklyReports(mailer);
+    const again = await sendWeeklyReports(mailer);
+
+    assert.deepEqual(first, { sent: 1, failed: 0 });
+    assert.deepEqual(again, { sent: 0, failed: 0 });
+    assert.equal(mailer.sent.length, 1);
+    const [message] = mailer.sent;
+    assert.equal(message.to, "aroha.parent@example.com");
+    assert.match(message.subject, /2026-03-02 to 2026-03-08\): 45 minutes/);
+    assert.match(message.text, /Maths: 2 activities, 35 min/);
+    assert.match(message.html, /<html/);
+
+    // The next Monday brings the next week's report
+    clock.setNow("2026-03-15T21:00:00Z");
+    assert.deepEqual(await sendWeeklyReports(mailer), { sent: 1, failed: 0 });
+  });
+
+  test("a failed send is retried on the next run", async () => {
+    const family = await learnForAWeek();
+    await storage.parents.update(family.parentId, { weekly_report: true });
+    const failing = { send: async () => Promise.reject(new Error("SMTP down")) };
+
+    assert.deepEqual(await sendWeeklyReports(failing), { sent: 0, failed: 1 });
+    assert.deepEqual(await sendWeeklyReports(mailer), { sent: 1, failed: 0 });
+  });
+});
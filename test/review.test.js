@@ -0,0 +1,192 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, storage, clock, startServer, stopServer, resetState, login, registerFamily } = require("./helpers");
+const { schedule } = require("../lib/review");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+// NZ wall-clock times during NZDT (UTC+13)
+const nzTime = (date, time) => {
+  const [h, m] = time.split(":").map(Number);
+  const utc = new Date(`${date}T00:00:00Z`);
+  utc.setUTCHours(h - 13, m);
+  return utc;
+};
+
+// Engineering's first lesson has two questions; answer 1 is right for both
+async function engineeringLesson() {
+  const row = await storage.subjects.findByName("Engineering");
+  const [lesson] = await storage.contentItems.list(row.id, "lessons");
+  return lesson;
+}
+
+const submitQuiz = (token, contentId, answers) =>
+  api("POST", "/api/quiz/submit", { token, body: { contentId, answers } });
+
+const answer = (token, body) => api("POST", "/api/review/answer", { token, body });
+
+// Signs in again on a later day (sessions last 12 hours)
+async function dayOf(date) {
+  clock.setNow(nzTime(date, "09:00"));
+  return login("aroha.student@example.com");
+}
+
+describe("review queue", () => {
+  test("missed questions come back the next day, without their answers", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+    await submitQuiz(family.studentToken, lesson.id, [
+      { questionIndex: 0, answerIndex: 1 },
+      { questionIndex: 1, answerIndex: 0 },
+    ]);
+
+    const sameDay = await api("GET", "/api/review", { token: family.studentToken });
+    assert.equal(sameDay.status, 200);
+    assert.deepEqual([sameDay.body.remaining, sameDay.body.complete], [0, false]);
+
+    const token = await dayOf("2026-03-03");
+    const res = await api("GET", "/api/review", { token });
+    assert.equal(res.body.today, "2026-03-03");
+    assert.equal(res.body.remaining, 1);
+    const [card] = res.body.cards;
+    assert.deepEqual(
+      [card.contentId, card.questionIndex, card.subject, card.dueDate, card.lapses],
+      [lesson.id, 1, "Engineering", "2026-03-03", 1]
+    );
+    assert.equal(card.correctIndex, undefined);
+    assert.equal(card.answers.length > 1, true);
+
+    const parentToken = await login("aroha.parent@example.com");
+    const parent = await api("GET", `/api/review?studentId=${family.studentId}`, { token: parentToken });
+    assert.equal(parent.body.remaining, 1);
+  });
+
+  test("answers space the card out SM-2 style and a miss starts it again", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+    await submitQuiz(family.studentToken, lesson.id, [{ questionIndex: 1, answerIndex: 0 }]);
+    const card = { contentId: lesson.id, questionIndex: 1 };
+
+    let token = await dayOf("2026-03-03");
+    const first = await answer(token, { ...card, answerIndex: 1 });
+    assert.equal(first.status, 200);
+    assert.deepEqual(
+      [first.body.correct, first.body.correctIndex, first.body.nextDue, first.body.intervalDays],
+      [true, 1, "2026-03-04", 1]
+    );
+    assert.deepEqual([first.body.remaining, first.body.complete], [0, true]);
+    assert.equal((await answer(token, { ...card, answerIndex: 1 })).status, 409);
+
+    token = await dayOf("2026-03-04");
+    const second = await answer(token, { ...card, answerIndex: 1 });
+    assert.deepEqual([second.body.nextDue, second.body.intervalDays], ["2026-03-10", 6]);
+
+    token = await dayOf("2026-03-10");
+    const third = await answer(token, { ...card, answerIndex: 1, rating: "easy" });
+    assert.deepEqual([third.body.nextDue, third.body.intervalDays], ["2026-03-25", 15]);
+
+    token = await dayOf("2026-03-25");
+    const missed = await answer(token, { ...card, answerIndex: 2 });
+    assert.deepEqual([missed.body.correct, missed.body.nextDue, missed.body.intervalDays], [false, "2026-03-26", 1]);
+
+    const saved = await storage.reviewCards.get(family.studentId, lesson.id, 1);
+    assert.deepEqual([saved.repetitions, saved.lapses, saved.ease], [0, 2, 260]);
+    // Review answers count towards mastery like any other attempt
+    assert.equal((await storage.quizAttempts.listForStudent(family.studentId)).length, 5);
+  });
+
+  test("getting it right in the lesson only moves a card that's due", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+    await submitQuiz(family.studentToken, lesson.id, [{ questionIndex: 1, answerIndex: 0 }]);
+    await submitQuiz(family.studentToken, lesson.id, [{ questionIndex: 1, answerIndex: 1 }]);
+    assert.equal((await storage.reviewCards.get(family.studentId, lesson.id, 1)).due_date, "2026-03-03");
+
+    const token = await dayOf("2026-03-03");
+    await submitQuiz(token, lesson.id, [{ questionIndex: 1, answerIndex: 1 }]);
+    const saved = await storage.reviewCards.get(family.studentId, lesson.id, 1);
+    assert.deepEqual([saved.repetitions, saved.due_date], [1, "2026-03-04"]);
+  });
+
+  test("finishing the day's review counts for the streak", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+    await submitQuiz(family.studentToken, lesson.id, [
+      { questionIndex: 0, answerIndex: 0 },
+      { questionIndex: 1, answerIndex: 0 },
+    ]);
+
+    const token = await dayOf("2026-03-03");
+    const streak = () => api("POST", "/api/streak/increment", { token, body: { activity: "review" } });
+
+    await answer(token, { contentId: lesson.id, questionIndex: 0, answerIndex: 1 });
+    const early = await streak();
+    assert.equal(early.status, 409);
+
+    const last = await answer(token, { contentId: lesson.id, questionIndex: 1, answerIndex: 1 });
+    assert.equal(last.body.complete, true);
+    const done = await streak();
+    assert.equal(done.status, 200);
+    assert.deepEqual([done.body.incremented, done.body.lastStreakDate], [true, "2026-03-03"]);
+  });
+
+  test("a te reo Māori student is shown and told the answer in te reo", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    await api("POST", "/api/update-student-profile", { token: family.studentToken, body: { language: "mi" } });
+    const lesson = await engineeringLesson();
+    const parallel = ["Ka weto katoa", "Ka kā tonu", "Ka iti iho te mārama", "Ka kōpikopiko"];
+    await storage.contentItems.update(lesson.id, {
+      data: { ...lesson.data, translations: { mi: { quiz: [{}, { answers: parallel }] } } },
+    });
+    await submitQuiz(family.studentToken, lesson.id, [{ questionIndex: 1, answerIndex: 0 }]);
+
+    const token = await dayOf("2026-03-03");
+    const queue = await api("GET", "/api/review", { token });
+    assert.deepEqual(queue.body.cards[0].answers, parallel);
+
+    const res = await answer(token, { contentId: lesson.id, questionIndex: 1, answerIndex: 0 });
+    assert.equal(res.status, 200);
+    assert.deepEqual([res.body.correct, res.body.correctIndex, res.body.correctAnswer], [false, 1, "Ka kā tonu"]);
+  });
+
+  test("switched off subjects drop out, and only the student can answer", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await engineeringLesson();
+    await submitQuiz(family.studentToken, lesson.id, [{ questionIndex: 1, answerIndex: 0 }]);
+    const token = await dayOf("2026-03-03");
+    const parentToken = await login("aroha.parent@example.com");
+    const body = { studentId: family.studentId, contentId: lesson.id, questionIndex: 1, answerIndex: 1 };
+
+    assert.equal((await answer(parentToken, body)).status, 403);
+    assert.equal((await answer(token, { ...body, questionIndex: 0 })).status, 404);
+    assert.equal((await answer(token, { ...body, rating: "meh" })).status, 400);
+
+    await api("PUT", "/api/controls", {
+      token: parentToken,
+      body: { studentId: family.studentId, subjects: { mode: "block", list: ["Engineering"] } },
+    });
+    const queue = await api("GET", "/api/review", { token });
+    const blocked = await answer(token, body);
+    assert.equal(queue.body.remaining, 0);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.blockedBy, "subject");
+  });
+});
+
+describe("schedule", () => {
+  test("hard answers lower the ease, never below 1.3", () => {
+    let card = { repetitions: 2, interval_days: 6, ease: 140, lapses: 0 };
+    card = schedule(card, 3, "2026-03-01");
+    assert.deepEqual(card, { repetitions: 3, interval_days: 8, ease: 130, lapses: 0, due_date: "2026-03-09" });
+    assert.equal(schedule(card, 3, "2026-03-09").ease, 130);
+  });
+});
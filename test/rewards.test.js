@@ -0,0 +1,159 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  login,
+  registerFamily,
+  timeActivity,
+} = require("./helpers");
+const { levelFor, XP_RULES } = require("../lib/gamification");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function firstItem(subject, format) {
+  const row = await storage.subjects.findByName(subject);
+  const [item] = await storage.contentItems.list(row.id, format);
+  return item;
+}
+
+async function finishItem(token, contentId) {
+  return timeActivity(token, { contentId }, 1);
+}
+
+async function rewards(token, query = "") {
+  const res = await api("GET", `/api/rewards${query}`, { token });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+describe("levels", () => {
+  test("thresholds grow with each level", () => {
+    assert.deepEqual(levelFor(0), { total: 0, level: 1, levelStartXp: 0, nextLevelXp: 100 });
+    assert.equal(levelFor(99).level, 1);
+    assert.equal(levelFor(100).level, 2);
+    assert.equal(levelFor(299).level, 2);
+    assert.equal(levelFor(1000).level, 5);
+  });
+});
+
+describe("XP for activities", () => {
+  test("awards the activity type's XP once per item per day", async () => {
+    clock.setNow(new Date("2026-03-02T00:00:00Z"));
+    const family = await registerFamily("aroha");
+    const video = await firstItem("Physics", "videos");
+
+    const first = await finishItem(family.studentToken, video.id);
+    const repeat = await finishItem(family.studentToken, video.id);
+    assert.equal(first.body.xpAwarded, XP_RULES.activity.video);
+    assert.equal(repeat.body.xpAwarded, 0);
+
+    clock.setNow(new Date("2026-03-03T00:00:00Z"));
+    const nextDay = await finishItem(await login("aroha.student@example.com"), video.id);
+    assert.equal(nextDay.body.xpAwarded, XP_RULES.activity.video);
+  });
+
+  test("the first activity earns the First Steps badge", async () => {
+    const family = await registerFamily("aroha");
+    const game = await firstItem("Maths", "games");
+
+    const first = await finishItem(family.studentToken, game.id);
+    const second = await finishItem(family.studentToken, game.id);
+
+    assert.deepEqual(first.body.newBadges.map((b) => b.key), ["first-steps"]);
+    assert.deepEqual(second.body.newBadges, []);
+  });
+});
+
+describe("XP for quizzes", () => {
+  async function submit(token, lesson, answers) {
+    return api("POST", "/api/quiz/submit", { token, body: { contentId: lesson.id, answers } });
+  }
+
+  const allRight = (lesson) =>
+    [lesson.data.quiz].flat().map((q, questionIndex) => ({ questionIndex, answerIndex: q.correctIndex }));
+
+  test("correct answers score once, with a one-off bonus for a perfect quiz", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    const answers = allRight(lesson);
+
+    const first = await submit(family.studentToken, lesson, answers);
+    assert.equal(
+      first.body.xpAwarded,
+      answers.length * XP_RULES.correctAnswer + XP_RULES.perfectQuiz
+    );
+    assert.ok(first.body.newBadges.some((b) => b.key === "first-perfect-quiz"));
+
+    const again = await submit(family.studentToken, lesson, answers);
+    assert.equal(again.body.xpAwarded, 0);
+  });
+
+  test("wrong answers earn nothing", async () => {
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    const [q] = [lesson.data.quiz].flat();
+
+    const res = await submit(family.studentToken, lesson, [
+      { questionIndex: 0, answerIndex: (q.correctIndex + 1) % q.answers.length },
+    ]);
+    assert.equal(res.body.xpAwarded, 0);
+  });
+});
+
+describe("GET /api/rewards", () => {
+  test("sums the ledger and lists every badge", async () => {
+    const family = await registerFamily("aroha");
+    await finishItem(family.studentToken, (await firstItem("Physics", "lessons")).id);
+    await finishItem(family.studentToken, (await firstItem("Physics", "games")).id);
+
+    const body = await rewards(family.studentToken);
+
+    assert.equal(body.xp.total, XP_RULES.activity.lesson + XP_RULES.activity.game);
+    assert.equal(body.xp.level, 1);
+    assert.equal(body.recentXp.length, 2);
+    assert.equal(body.streak.freezes, 0);
+    const firstSteps = body.badges.find((b) => b.key === "first-steps");
+    assert.equal(firstSteps.earned, true);
+    assert.ok(body.badges.some((b) => b.key === "streak-7" && !b.earned));
+  });
+
+  test("finishing every lesson in a subject earns its badge", async () => {
+    const family = await registerFamily("aroha");
+    const subject = await storage.subjects.findByName("Maths");
+    const lessons = await storage.contentItems.list(subject.id, "lessons");
+
+    let last;
+    for (const lesson of lessons) {
+      last = await api("POST", "/api/quiz/submit", {
+        token: family.studentToken,
+        body: {
+          contentId: lesson.id,
+          answers: [lesson.data.quiz]
+            .flat()
+            .map((q, questionIndex) => ({ questionIndex, answerIndex: q.correctIndex })),
+        },
+      });
+    }
+
+    assert.ok(last.body.newBadges.some((b) => b.key === "maths-lessons"));
+  });
+
+  test("parents can read their own child's rewards only", async () => {
+    const family = await registerFamily("aroha");
+    const other = await registerFamily("tane");
+
+    await rewards(family.parentToken, `?studentId=${family.studentId}`);
+    const denied = await api("GET", `/api/rewards?studentId=${other.studentId}`, {
+      token: family.parentToken,
+    });
+    assert.equal(denied.status, 403);
+  });
+});
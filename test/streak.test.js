@@ -0,0 +1,171 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, clock, startServer, stopServer, resetState, login, registerFamily } = require("./helpers");
+const { addDays } = require("../lib/dates");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+// NZ wall-clock times during NZDT (UTC+13)
+const nzTime = (date, time) => {
+  const [h, m] = time.split(":").map(Number);
+  const utc = new Date(`${date}T00:00:00Z`);
+  utc.setUTCHours(h - 13, m);
+  return utc;
+};
+
+async function increment(token) {
+  return api("POST", "/api/streak/increment", { token, body: { activity: "lesson" } });
+}
+
+// Sessions last 12 hours, so sign in again after moving the clock far ahead
+async function incrementAt(time) {
+  clock.setNow(time);
+  return increment(await login("aroha.student@example.com"));
+}
+
+describe("POST /api/streak/increment", () => {
+  test("first activity starts a streak of 1", async () => {
+    clock.setNow(nzTime("2026-01-10", "09:00"));
+    const family = await registerFamily("aroha");
+
+    const res = await increment(family.studentToken);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.streakDays, 1);
+    assert.equal(res.body.lastStreakDate, "2026-01-10");
+    assert.equal(res.body.incremented, true);
+  });
+
+  test("a second activity on the same NZ day is a no-op", async () => {
+    clock.setNow(nzTime("2026-01-10", "09:00"));
+    const family = await registerFamily("aroha");
+    await increment(family.studentToken);
+
+    const res = await incrementAt(nzTime("2026-01-10", "23:59"));
+
+    assert.equal(res.body.streakDays, 1);
+    assert.equal(res.body.incremented, false);
+  });
+
+  test("an activity the next NZ day increments", async () => {
+    clock.setNow(nzTime("2026-01-10", "23:59"));
+    const family = await registerFamily("aroha");
+    await increment(family.studentToken);
+
+    // One minute later it is already tomorrow in NZ, though still the same UTC day
+    clock.setNow(nzTime("2026-01-11", "00:00"));
+    const res = await increment(family.studentToken);
+
+    assert.equal(res.body.streakDays, 2);
+    assert.equal(res.body.lastStreakDate, "2026-01-11");
+    assert.equal(res.body.incremented, true);
+  });
+
+  test("missing a day resets the streak to 1", async () => {
+    clock.setNow(nzTime("2026-01-10", "12:00"));
+    await registerFamily("aroha");
+    await incrementAt(nzTime("2026-01-10", "12:00"));
+    await incrementAt(nzTime("2026-01-11", "12:00"));
+
+    const res = await incrementAt(nzTime("2026-01-13", "12:00"));
+
+    assert.equal(res.body.streakDays, 1);
+    assert.equal(res.body.lastStreakDate, "2026-01-13");
+  });
+
+  test("reports the countdown to NZ midnight", async () => {
+    clock.setNow(nzTime("2026-01-10", "23:00"));
+    const family = await registerFamily("aroha");
+
+    const res = await increment(family.studentToken);
+
+    assert.equal(res.body.secondsUntilNextIncrement, 3600);
+    assert.equal(res.body.today, "2026-01-10");
+  });
+
+  test("rejects unknown activities and parent callers", async () => {
+    const family = await registerFamily("aroha");
+
+    const bad = await api("POST", "/api/streak/increment", {
+      token: family.studentToken,
+      body: { activity: "nap" },
+    });
+    const parent = await api("POST", "/api/streak/increment", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, activity: "lesson" },
+    });
+
+    assert.equal(bad.status, 400);
+    assert.equal(parent.status, 403);
+  });
+});
+
+describe("GET /api/streak", () => {
+  test("parents can read their child's streak but not other children's", async () => {
+    clock.setNow(nzTime("2026-01-10", "12:00"));
+    const aroha = await registerFamily("aroha");
+    const james = await registerFamily("james");
+    await increment(aroha.studentToken);
+
+    const own = await api("GET", `/api/streak?studentId=${aroha.studentId}`, {
+      token: aroha.parentToken,
+    });
+    const other = await api("GET", `/api/streak?studentId=${james.studentId}`, {
+      token: aroha.parentToken,
+    });
+
+    assert.equal(own.body.streakDays, 1);
+    assert.equal(own.body.today, "2026-01-10");
+    assert.equal(other.status, 403);
+  });
+
+  test("requires a session", async () => {
+    const res = await api("GET", "/api/streak?studentId=1");
+    assert.equal(res.status, 401);
+  });
+});
+
+describe("streak freezes", () => {
+  // Counts one day per NZ date from `from`, signing in again each time
+  async function streakOf(days, from = "2026-01-01") {
+    clock.setNow(nzTime(from, "12:00"));
+    await registerFamily("aroha");
+    let res;
+    for (let i = 0; i < days; i++) {
+      res = await incrementAt(nzTime(addDays(from, i), "12:00"));
+    }
+    return res;
+  }
+
+  test("every 7th day earns a freeze", async () => {
+    const res = await streakOf(7);
+
+    assert.equal(res.body.streakDays, 7);
+    assert.equal(res.body.freezeEarned, true);
+    assert.equal(res.body.streakFreezes, 1);
+  });
+
+  test("a freeze covers a missed day instead of resetting", async () => {
+    await streakOf(7);
+
+    // 2026-01-08 is skipped
+    const res = await incrementAt(nzTime("2026-01-09", "12:00"));
+
+    assert.equal(res.body.streakDays, 8);
+    assert.deepEqual(res.body.freezesUsed, ["2026-01-08"]);
+    assert.equal(res.body.streakFreezes, 0);
+  });
+
+  test("the streak resets when there are too few freezes for the gap", async () => {
+    await streakOf(7);
+
+    const res = await incrementAt(nzTime("2026-01-10", "12:00"));
+
+    assert.equal(res.body.streakDays, 1);
+    assert.deepEqual(res.body.freezesUsed, []);
+    assert.equal(res.body.streakFreezes, 1);
+  });
+});
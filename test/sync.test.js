@@ -0,0 +1,204 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, storage, clock, startServer, stopServer, resetState, login, registerFamily } = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+// NZ wall-clock times during NZDT (UTC+13)
+const nzTime = (date, time) => {
+  const [h, m] = time.split(":").map(Number);
+  const utc = new Date(`${date}T00:00:00Z`);
+  utc.setUTCHours(h - 13, m);
+  return utc;
+};
+
+async function firstItem(subject, format) {
+  const row = await storage.subjects.findByName(subject);
+  const [item] = await storage.contentItems.list(row.id, format);
+  return item;
+}
+
+const sync = (token, events) => api("POST", "/api/sync/events", { token, body: { events } });
+
+// What the dashboard queues when a lesson is finished offline
+const finished = (key, contentId, occurredAt, durationMinutes = 15) => [
+  { id: `${key}-activity`, type: "activity", occurredAt: occurredAt.toISOString(), contentId, durationMinutes },
+  { id: `${key}-streak`, type: "streak", occurredAt: occurredAt.toISOString(), activity: "lesson" },
+];
+
+describe("POST /api/sync/events", () => {
+  test("credits activity and streak days to when they happened, not when they arrived", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const { studentId } = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+
+    // Offline Monday evening and Tuesday, back online on Wednesday
+    clock.setNow(nzTime("2026-03-04", "08:00"));
+    const token = await login("aroha.student@example.com");
+    const res = await sync(token, [
+      ...finished("tue", lesson.id, nzTime("2026-03-03", "10:00")),
+      ...finished("mon", lesson.id, nzTime("2026-03-02", "19:30")),
+    ]);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.results.map((r) => [r.id, r.status, r.day]),
+      [
+        ["tue-activity", "applied", "2026-03-03"],
+        ["tue-streak", "applied", "2026-03-03"],
+        ["mon-activity", "applied", "2026-03-02"],
+        ["mon-streak", "applied", "2026-03-02"],
+      ]
+    );
+    assert.equal(res.body.streakDays, 2);
+    assert.equal(res.body.lastStreakDate, "2026-03-03");
+    assert.equal((await storage.dailySessions.get(studentId, "2026-03-02")).total_minutes, 15);
+    assert.equal((await storage.dailySessions.get(studentId, "2026-03-03")).total_minutes, 15);
+    assert.equal(await storage.dailySessions.get(studentId, "2026-03-04"), null);
+  });
+
+  test("a batch sent twice only counts once", async () => {
+    clock.setNow(nzTime("2026-03-02", "16:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    const events = finished("a1", lesson.id, nzTime("2026-03-02", "15:00"), 20);
+
+    const first = await sync(family.studentToken, events);
+    const again = await sync(family.studentToken, events);
+
+    assert.deepEqual(first.body.results.map((r) => r.status), ["applied", "applied"]);
+    assert.ok(first.body.results[0].xpAwarded > 0);
+    assert.deepEqual(again.body.results.map((r) => r.status), ["duplicate", "duplicate"]);
+    assert.equal(await storage.activities.count(family.studentId), 1);
+    assert.equal((await storage.dailySessions.get(family.studentId, "2026-03-02")).total_minutes, 20);
+    assert.equal(again.body.streakDays, 1);
+  });
+
+  test("a late day that was already counted leaves the streak alone", async () => {
+    clock.setNow(nzTime("2026-03-02", "09:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    await sync(family.studentToken, finished("mon", lesson.id, nzTime("2026-03-02", "09:00")));
+    clock.setNow(nzTime("2026-03-03", "09:00"));
+    const token = await login("aroha.student@example.com");
+    await sync(token, finished("tue", lesson.id, nzTime("2026-03-03", "09:00")));
+
+    // A second device was offline on Monday and only now sends its work
+    const res = await sync(token, finished("late", lesson.id, nzTime("2026-03-02", "18:00")));
+
+    assert.deepEqual(res.body.results.map((r) => r.status), ["applied", "applied"]);
+    assert.equal(res.body.results[1].counted, false);
+    assert.equal(res.body.streakDays, 2);
+    assert.equal(res.body.lastStreakDate, "2026-03-03");
+  });
+
+  test("an offline day synced after a later online one fills the gap", async () => {
+    clock.setNow(nzTime("2026-03-01", "09:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    const increment = (token) =>
+      api("POST", "/api/streak/increment", { token, body: { activity: "lesson" } });
+    await increment(family.studentToken);
+
+    // Offline all Monday; online again on Tuesday, which restarts the streak
+    clock.setNow(nzTime("2026-03-03", "09:00"));
+    const token = await login("aroha.student@example.com");
+    const tuesday = await increment(token);
+    assert.equal(tuesday.body.streakDays, 1);
+
+    const res = await sync(token, finished("mon", lesson.id, nzTime("2026-03-02", "18:00")));
+
+    assert.equal(res.body.results[1].counted, true);
+    assert.equal(res.body.streakDays, 3);
+    assert.equal(res.body.lastStreakDate, "2026-03-03");
+  });
+
+  test("offline minutes can't run past the next activity or the time they arrive", async () => {
+    clock.setNow(nzTime("2026-03-02", "09:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    const video = await firstItem("Physics", "videos");
+
+    // An online session at 10:00 bounds the lesson queued at 9:30
+    clock.setNow(nzTime("2026-03-02", "10:00"));
+    const token = await login("aroha.student@example.com");
+    await api("POST", "/api/activity/sessions", { token, body: { contentId: video.id } });
+
+    clock.setNow(nzTime("2026-03-02", "11:00"));
+    const activity = (id, contentId, time, durationMinutes) => ({
+      id,
+      type: "activity",
+      occurredAt: nzTime("2026-03-02", time).toISOString(),
+      contentId,
+      durationMinutes,
+    });
+    const res = await sync(token, [
+      activity("early", lesson.id, "09:30", 90),
+      activity("late", lesson.id, "10:50", 60),
+      activity("fits", lesson.id, "10:20", 15),
+    ]);
+
+    assert.deepEqual(
+      res.body.results.map((r) => [r.id, r.status, r.minutes]),
+      [
+        ["early", "applied", 30],
+        ["late", "applied", 10],
+        ["fits", "applied", 15],
+      ]
+    );
+  });
+
+  test("turns away events that can't count, and says why", async () => {
+    clock.setNow(nzTime("2026-03-10", "09:00"));
+    const family = await registerFamily("aroha");
+    const lesson = await firstItem("Physics", "lessons");
+    const game = await firstItem("Maths", "games");
+    await api("PUT", "/api/controls", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, formats: { mode: "block", list: ["games"] } },
+    });
+
+    const res = await sync(family.studentToken, [
+      { id: "old", type: "activity", occurredAt: nzTime("2026-03-01", "09:00").toISOString(), contentId: lesson.id },
+      { id: "future", type: "activity", occurredAt: nzTime("2026-03-10", "10:00").toISOString(), contentId: lesson.id },
+      { id: "skew", type: "activity", occurredAt: nzTime("2026-03-10", "09:02").toISOString(), contentId: lesson.id },
+      { id: "blocked", type: "activity", occurredAt: nzTime("2026-03-10", "08:00").toISOString(), contentId: game.id },
+      { id: "idle", type: "streak", occurredAt: nzTime("2026-03-09", "12:00").toISOString() },
+    ]);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.results.map((r) => [r.id, r.status]),
+      [
+        ["old", "rejected"],
+        ["future", "rejected"],
+        ["skew", "applied"],
+        ["blocked", "rejected"],
+        ["idle", "rejected"],
+      ]
+    );
+    assert.match(res.body.results[3].message, /switched off/);
+    assert.match(res.body.results[4].message, /No activity was recorded on 2026-03-09/);
+    assert.equal(res.body.streakDays, 0);
+  });
+
+  test("a malformed batch is a 400 naming the event, and only students can sync", async () => {
+    const family = await registerFamily("aroha");
+
+    const bad = await sync(family.studentToken, [
+      { id: "ok-1", type: "streak", occurredAt: new Date().toISOString() },
+      { id: "bad id!", type: "activity", occurredAt: "yesterday" },
+    ]);
+    const parent = await sync(family.parentToken, [{ id: "p", type: "streak", occurredAt: new Date().toISOString() }]);
+
+    assert.equal(bad.status, 400);
+    assert.deepEqual(
+      bad.body.errors.map((e) => e.field),
+      ["events[1].id", "events[1].occurredAt", "events[1].activityType", "events[1].subject"]
+    );
+    assert.equal(parent.status, 403);
+  });
+});
@@ -0,0 +1,127 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { api, clock, startServer, stopServer, resetState, login, PASSWORD } = require("./helpers");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+async function registerIn(timezone, prefix = "aroha") {
+  const reg = await api("POST", "/api/register-parent", {
+    body: {
+      parentName: `${prefix} Parent`,
+      parentEmail: `${prefix}.parent@example.com`,
+      parentPassword: PASSWORD,
+      studentName: `${prefix} Student`,
+      studentEmail: `${prefix}.student@example.com`,
+      studentPassword: PASSWORD,
+      studentAge: 12,
+      studentInterests: "Physics",
+      timezone,
+    },
+  });
+  return {
+    reg,
+    studentId: reg.body.studentId,
+    parentToken: reg.body.token,
+    studentToken: reg.status === 200 ? await login(`${prefix}.student@example.com`) : null,
+  };
+}
+
+async function streak(token) {
+  return api("POST", "/api/streak/increment", { token, body: { activity: "lesson" } });
+}
+
+describe("family and student timezones", () => {
+  test("a new family gets the timezone sent at signup", async () => {
+    const family = await registerIn("Europe/London");
+
+    const res = await api("GET", "/api/student-dashboard-data", { token: family.studentToken });
+
+    assert.equal(res.body.student.timezone, null);
+    assert.equal(res.body.student.effectiveTimezone, "Europe/London");
+    assert.equal(res.body.parent.timezone, "Europe/London");
+  });
+
+  test("unknown timezones are rejected", async () => {
+    const family = await registerIn("Mars/Olympus");
+    assert.equal(family.reg.status, 400);
+
+    const ok = await registerIn("Europe/London", "tane");
+    const res = await api("POST", "/api/update-student-profile", {
+      token: ok.studentToken,
+      body: { timezone: "Nowhere" },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  test("a student's own timezone overrides the family's until cleared", async () => {
+    const family = await registerIn("Europe/London");
+
+    const set = await api("POST", "/api/update-student-profile", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, timezone: "America/New_York" },
+    });
+    assert.equal(set.body.student.timezone, "America/New_York");
+
+    clock.setNow("2026-01-10T03:00:00Z");
+    const token = await login("aroha.student@example.com");
+    assert.equal((await api("GET", "/api/streak", { token })).body.today, "2026-01-09");
+
+    await api("POST", "/api/update-student-profile", { token, body: { timezone: "" } });
+    assert.equal((await api("GET", "/api/streak", { token })).body.today, "2026-01-10");
+  });
+
+  test("a parent's change applies to children without their own timezone", async () => {
+    await registerIn("Pacific/Auckland");
+    clock.setNow("2026-01-10T12:00:00Z");
+    const token = await login("aroha.student@example.com");
+    assert.equal((await api("GET", "/api/streak", { token })).body.today, "2026-01-11");
+
+    const res = await api("POST", "/api/update-parent-profile", {
+      token: await login("aroha.parent@example.com"),
+      body: { timezone: "Europe/London" },
+    });
+    assert.equal(res.body.parent.timezone, "Europe/London");
+    assert.equal((await api("GET", "/api/streak", { token })).body.today, "2026-01-10");
+  });
+});
+
+describe("days in the student's timezone", () => {
+  test("streak days turn over at the student's local midnight", async () => {
+    // 23:30 in London on 9 Jan, already 10 Jan in NZ
+    clock.setNow("2026-01-09T23:30:00Z");
+    const family = await registerIn("Europe/London");
+
+    const first = await streak(family.studentToken);
+    assert.equal(first.body.lastStreakDate, "2026-01-09");
+    assert.equal(first.body.secondsUntilNextIncrement, 30 * 60);
+    assert.equal(first.body.timeZone, "Europe/London");
+
+    clock.setNow("2026-01-10T00:30:00Z");
+    const next = await streak(await login("aroha.student@example.com"));
+    assert.equal(next.body.streakDays, 2);
+    assert.equal(next.body.lastStreakDate, "2026-01-10");
+  });
+
+  test("activity goes into the daily session for the student's local date", async () => {
+    // 20:00 on 3 Feb in Los Angeles is 04:00 UTC on 4 Feb
+    clock.setNow("2026-02-04T04:00:00Z");
+    const family = await registerIn("America/Los_Angeles");
+
+    await api("POST", "/api/activity/log", {
+      token: family.studentToken,
+      body: { activityType: "lesson", subject: "Physics" },
+    });
+    const res = await api("GET", "/api/activity/analytics", { token: family.studentToken });
+    const { dailySessions, dates, today, timeZone } = res.body.data;
+
+    assert.equal(timeZone, "America/Los_Angeles");
+    assert.equal(today, "2026-02-03");
+    assert.equal(dates.length, 7);
+    assert.equal(dates[6], "2026-02-03");
+    assert.equal(dailySessions.length, 1);
+    assert.equal(dailySessions[0].session_date, "2026-02-03");
+  });
+});
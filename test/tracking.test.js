@@ -0,0 +1,214 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  storage,
+  clock,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+} = require("./helpers");
+const { closeAbandonedSessions, creditedSeconds, MAX_SESSION_SECONDS } = require("../lib/tracking");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+const START = Date.parse("2026-03-02T00:00:00Z"); // 1pm in NZ
+const at = (seconds) => clock.setNow(new Date(START + seconds * 1000).toISOString());
+
+async function firstItem(subject, format) {
+  const row = await storage.subjects.findByName(subject);
+  const [item] = await storage.contentItems.list(row.id, format);
+  return item;
+}
+
+async function start(token, format = "lessons") {
+  const item = await firstItem("Physics", format);
+  return api("POST", "/api/activity/sessions", { token, body: { contentId: item.id } });
+}
+
+const beat = (token, id, body = {}) =>
+  api("POST", `/api/activity/sessions/${id}/heartbeat`, { token, body });
+const end = (token, id, body = {}) => api("POST", `/api/activity/sessions/${id}/end`, { token, body });
+
+async function setup() {
+  at(0);
+  return registerFamily("aroha");
+}
+
+describe("activity sessions", () => {
+  test("heartbeats measure the time and feed daily_sessions", async () => {
+    const family = await setup();
+    const started = await start(family.studentToken);
+    const { id } = started.body.session;
+    assert.equal(started.status, 200);
+    assert.equal(started.body.heartbeatSeconds, 30);
+
+    for (let t = 30; t <= 600; t += 30) {
+      at(t);
+      await beat(family.studentToken, id);
+    }
+    at(610);
+    const res = await end(family.studentToken, id);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.engagedSeconds, 610);
+    assert.equal(res.body.minutes, 10);
+    assert.ok(res.body.xpAwarded > 0);
+    const [session] = await storage.dailySessions.listSince(family.studentId, "2026-03-02");
+    assert.equal(session.total_minutes, 10);
+    assert.equal(session.lessons_count, 1);
+  });
+
+  test("idle gaps are capped and time away isn't counted", async () => {
+    const family = await setup();
+    const { id } = (await start(family.studentToken)).body.session;
+
+    at(30 * 60); // Half an hour without a heartbeat
+    const idle = await beat(family.studentToken, id);
+    at(30 * 60 + 240);
+    const back = await beat(family.studentToken, id, { resume: true });
+
+    assert.equal(idle.body.engagedSeconds, 90);
+    assert.equal(back.body.engagedSeconds, 90);
+  });
+
+  test("abandoned sessions are closed with the time measured so far", async () => {
+    const family = await setup();
+    const { id } = (await start(family.studentToken, "videos")).body.session;
+    at(60);
+    await beat(family.studentToken, id);
+    at(120);
+    await beat(family.studentToken, id);
+
+    at(120 + 4 * 60);
+    assert.equal(await closeAbandonedSessions(), 0);
+    at(120 + 6 * 60);
+    assert.equal(await closeAbandonedSessions(), 1);
+
+    const closed = await storage.activitySessions.findById(id);
+    assert.equal(closed.end_reason, "abandoned");
+    assert.equal(closed.engaged_seconds, 120);
+    const [activity] = await storage.activities.listSince(family.studentId, new Date(START));
+    assert.equal(activity.duration_minutes, 2);
+    assert.deepEqual(await storage.xp.recent(family.studentId, 10), []);
+
+    const late = await beat(family.studentToken, id);
+    assert.equal(late.status, 409);
+  });
+
+  test("starting something new closes the open session", async () => {
+    const family = await setup();
+    const first = (await start(family.studentToken)).body.session;
+    at(45);
+    const second = (await start(family.studentToken, "games")).body.session;
+
+    const replaced = await storage.activitySessions.findById(first.id);
+    assert.equal(replaced.end_reason, "replaced");
+    assert.equal(replaced.engaged_seconds, 45);
+    assert.deepEqual(
+      (await storage.activitySessions.listOpen(family.studentId)).map((s) => s.id),
+      [second.id]
+    );
+  });
+
+  test("leaving early records the time without XP", async () => {
+    const family = await setup();
+    const { id } = (await start(family.studentToken)).body.session;
+    at(60);
+
+    const res = await end(family.studentToken, id, { completed: false });
+    const again = await end(family.studentToken, id);
+
+    assert.equal(res.body.minutes, 1);
+    assert.equal(res.body.xpAwarded, 0);
+    assert.equal(again.status, 409);
+  });
+
+  test("sessions belong to their student", async () => {
+    const family = await setup();
+    const other = await registerFamily("tane");
+    const { id } = (await start(family.studentToken)).body.session;
+
+    const stranger = await beat(other.studentToken, id);
+    const parent = await start(family.parentToken);
+
+    assert.equal(stranger.status, 404);
+    assert.equal(parent.status, 403);
+  });
+
+  test("the daily limit counts the open session and blocks new ones", async () => {
+    const family = await setup();
+    await api("PUT", "/api/controls", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, dailyMinuteLimit: 5 },
+    });
+    const { id } = (await start(family.studentToken)).body.session;
+
+    for (let t = 60; t <= 300; t += 60) {
+      at(t);
+      await beat(family.studentToken, id);
+    }
+    const last = await beat(family.studentToken, id);
+    assert.equal(last.body.dailyLimit.minutesToday, 5);
+    assert.equal(last.body.dailyLimit.reached, true);
+
+    await end(family.studentToken, id);
+    const blocked = await start(family.studentToken);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.blockedBy, "dailyLimit");
+  });
+
+  test("sessions stop at the maximum length", () => {
+    const session = { engaged_seconds: MAX_SESSION_SECONDS - 10, last_seen_at: new Date(START) };
+    assert.equal(creditedSeconds(session, new Date(START + 60 * 1000)), MAX_SESSION_SECONDS);
+  });
+});
+
+describe("POST /api/activity/log", () => {
+  test("counts the activity but records no minutes, whatever is sent", async () => {
+    const family = await setup();
+    const item = await firstItem("Maths", "games");
+
+    const claimed = await api("POST", "/api/activity/log", {
+      token: family.studentToken,
+      body: { contentId: item.id, durationMinutes: 120 },
+    });
+    const none = await api("POST", "/api/activity/log", {
+      token: family.studentToken,
+      body: { contentId: item.id },
+    });
+
+    assert.equal(claimed.status, 200);
+    assert.equal(none.status, 200);
+    const [session] = await storage.dailySessions.listSince(family.studentId, "2026-03-02");
+    assert.equal(session.total_minutes, 0);
+    assert.equal(session.games_count, 2);
+  });
+
+  test("isn't treated as finishing the item: no XP, badges, goals or path progress", async () => {
+    const family = await setup();
+    const item = await firstItem("Maths", "games");
+    await api("POST", "/api/goals", {
+      token: family.parentToken,
+      body: { studentId: family.studentId, target: 1 },
+    });
+
+    const res = await api("POST", "/api/activity/log", {
+      token: family.studentToken,
+      body: { contentId: item.id },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.xpAwarded, 0);
+    assert.deepEqual(res.body.newBadges, []);
+    const rewards = await api("GET", "/api/rewards", { token: family.studentToken });
+    assert.equal(rewards.body.xp.total, 0);
+    const controls = await api("GET", "/api/controls", { token: family.studentToken });
+    assert.equal(controls.body.goals[0].progress, 0);
+    assert.deepEqual(await storage.activities.contentIds(family.studentId), []);
+  });
+});
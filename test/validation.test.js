@@ -0,0 +1,158 @@
+const { test, describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  api,
+  startServer,
+  stopServer,
+  resetState,
+  registerFamily,
+  PASSWORD,
+} = require("./helpers");
+const {
+  check,
+  optional,
+  nullable,
+  string,
+  email,
+  integer,
+  oneOf,
+  subject,
+  array,
+  object,
+} = require("../lib/validation");
+
+before(startServer);
+after(stopServer);
+beforeEach(resetState);
+
+describe("check()", () => {
+  test("cleans values and drops fields the schema doesn't name", async () => {
+    const { value, errors } = await check(
+      { name: string(), age: integer({ min: 3, max: 19 }), interest: subject() },
+      { name: "  Mere ", age: "12", interest: "maths", isAdmin: true }
+    );
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: "Mere", age: 12, interest: "Maths" });
+  });
+
+  test("reports every bad field, with paths into lists and objects", async () => {
+    const schema = {
+      kind: oneOf(["a", "b"]),
+      children: array(object({ email: email(), age: integer({ min: 3, max: 19 }) }), { max: 2 }),
+    };
+    const { errors } = await check(schema, {
+      kind: "c",
+      children: [{ email: "mere@example.com", age: 12 }, { email: "tama", age: 2.5 }],
+    });
+
+    assert.deepEqual(errors, [
+      { field: "kind", message: "must be one of: a, b" },
+      { field: "children[1].email", message: "must be an email address" },
+      { field: "children[1].age", message: "must be a whole number from 3 to 19" },
+    ]);
+  });
+
+  test("blank fields are missing unless optional; nullable keeps an explicit clear", async () => {
+    const schema = { name: string(), nickname: optional(string(), "none"), timezone: nullable(string()) };
+
+    const blank = await check(schema, { name: "  ", nickname: "", timezone: "" });
+    const absent = await check(schema, { name: "Mere" });
+
+    assert.deepEqual(blank.errors, [{ field: "name", message: "is required" }]);
+    assert.deepEqual(blank.value, { nickname: "none", timezone: null });
+    assert.deepEqual(absent.value, { name: "Mere", nickname: "none" });
+  });
+});
+
+describe("request validation", () => {
+  test("sign-up answers every bad field at once", async () => {
+    const res = await api("POST", "/api/register-parent", {
+      body: {
+        parentName: "Aroha",
+        parentEmail: "aroha-at-example.com",
+        parentPassword: PASSWORD,
+        studentName: "Mere",
+        studentEmail: "mere@example.com",
+        studentPassword: PASSWORD,
+        studentAge: "Year 7",
+        studentInterests: "Basket weaving",
+      },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.message, "Sign-up details are invalid.");
+    assert.deepEqual(res.body.errors.map((e) => e.field), ["parentEmail", "studentAge", "studentInterests"]);
+    assert.match(res.body.errors[2].message, /^must be one of: .*Maths/);
+  });
+
+  test("profile changes check age and interest", async () => {
+    const family = await registerFamily("aroha");
+
+    const bad = await api("POST", "/api/update-student-profile", {
+      token: family.studentToken,
+      body: { studentAge: 40, studentInterests: "Art" },
+    });
+    const ok = await api("POST", "/api/update-student-profile", {
+      token: family.studentToken,
+      body: { studentAge: "13", studentInterests: "physics", studentEmail: "" },
+    });
+
+    assert.deepEqual(bad.body.errors.map((e) => e.field), ["studentAge", "studentInterests"]);
+    assert.equal(ok.body.student.age, 13);
+    assert.equal(ok.body.student.interests, "Physics");
+    assert.equal(ok.body.student.email, "aroha.student@example.com");
+  });
+
+  test("activity subjects must be real subjects", async () => {
+    const family = await registerFamily("aroha");
+
+    const res = await api("POST", "/api/activity/log", {
+      token: family.studentToken,
+      body: { activityType: "lesson", subject: "Anything at all" },
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field), ["subject"]);
+  });
+
+  test("query strings and route params are checked too", async () => {
+    const family = await registerFamily("aroha");
+
+    const list = await api("GET", "/api/content/list?pageSize=500&age=ten", { token: family.studentToken });
+    const item = await api("GET", "/api/content/not-a-number", { token: family.studentToken });
+
+    assert.deepEqual(list.body.errors, [
+      { field: "age", message: "must look like 12 or 9-12" },
+      { field: "pageSize", message: "must be a whole number from 1 to 50" },
+    ]);
+    assert.deepEqual(item.body.errors, [{ field: "id", message: "must be a whole number of at least 1" }]);
+  });
+
+  test("a bad or missing studentId is a field error", async () => {
+    const family = await registerFamily("aroha");
+
+    const bad = await api("GET", "/api/review?studentId=abc", { token: family.parentToken });
+    const missing = await api("GET", "/api/review", { token: family.parentToken });
+    const inBody = await api("PUT", "/api/controls", {
+      token: family.parentToken,
+      body: { studentId: "0" },
+    });
+
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors, [{ field: "studentId", message: "must be a whole number of at least 1" }]);
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.errors, [{ field: "studentId", message: "is required" }]);
+    assert.equal(inBody.status, 400);
+    assert.deepEqual(inBody.body.errors.map((e) => e.field), ["studentId"]);
+  });
+
+  test("signed-out callers get 401, not the route's field errors", async () => {
+    const res = await api("POST", "/api/update-parent-profile", { body: { parentEmail: "nope" } });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.errors, undefined);
+  });
+});